@@ -1,7 +1,11 @@
 import ApiIndex from '../models/ApiIndex.js';
+import Environment from '../models/Environment.js';
 import { matchEndpointAuto } from '../utils/agentMatcher.js';
 import { getDecryptedAuthConfig } from './authController.js';
+import { isEndpointEnabled } from '../utils/endpointCuration.js';
+import { resolveBaseUrl } from '../utils/serverUrl.js';
 import { generateResponse } from '../services/llmService.js';
+import apiExecutorService from '../services/apiExecutorService.js';
 import axios from 'axios';
 
 /**
@@ -28,6 +32,9 @@ export const executeAgent = async (req, res) => {
     // Step 1: Get available endpoints from ApiIndex
     let availableEndpoints = [];
     let baseUrl = null; // Store base URL for API calls
+    let specName = null; // Spec of the knowledge base, selects its auth config
+    let environment = null; // Active environment of that spec
+    const endpointSources = []; // { apiIndex, endpoint } of every available endpoint, for its security requirements
     
     if (knowledgeBaseId) {
       // Get specific API index
@@ -38,23 +45,29 @@ export const executeAgent = async (req, res) => {
       
       const apiIndex = await ApiIndex.findOne(query);
       if (apiIndex) {
-        // Extract base URL from metadata
+        // Extract base URL from metadata and the active environment
         console.log("apiIndex" , apiIndex.metadata);
-        baseUrl = apiIndex.metadata?.baseUrl || null;
+        specName = apiIndex.spec;
+        environment = await Environment.findActive(apiIndex.zohoOrgId, specName);
+        baseUrl = resolveBaseUrl(apiIndex.metadata, environment) || null;
         console.log("metadata : ", baseUrl);
         // Transform ApiIndex endpoints to match expected format
-        availableEndpoints = apiIndex.endpoints.map(ep => ({
-          method: ep.method,
-          endpoint: ep.path,
-          description: ep.summary || ep.description || '',
-          parameters: ep.parameters || []
-        }));
+        availableEndpoints = apiIndex.endpoints.filter(isEndpointEnabled).map(ep => {
+          endpointSources.push({ apiIndex, endpoint: ep });
+          return {
+            method: ep.method,
+            endpoint: ep.path,
+            description: ep.summary || ep.description || '',
+            parameters: ep.parameters || []
+          };
+        });
       }
     } else {
       // Get all API indexes
       const apiIndexes = await ApiIndex.find();
       apiIndexes.forEach(apiIndex => {
-        apiIndex.endpoints.forEach(ep => {
+        apiIndex.endpoints.filter(isEndpointEnabled).forEach(ep => {
+          endpointSources.push({ apiIndex, endpoint: ep });
           availableEndpoints.push({
             method: ep.method,
             endpoint: ep.path,
@@ -87,10 +100,7 @@ export const executeAgent = async (req, res) => {
     
     console.log(`✅ Matched to: ${match.endpoint.method} ${match.endpoint.endpoint} (confidence: ${match.confidence})`);
     
-    // Step 3: Get authentication configuration
-    const authConfig = await getDecryptedAuthConfig(zohoOrgId);
-    
-    // Step 4: Execute API call (MOCK MODE - return mock data)
+    // Step 3: Execute API call (MOCK MODE - return mock data)
     const USE_MOCK_MODE = process.env.USE_MOCK_MODE === 'true';
     
     let apiResponse;
@@ -99,6 +109,7 @@ export const executeAgent = async (req, res) => {
     if (USE_MOCK_MODE) {
       // Mock execution
       console.log(`🔄 [MOCK] Simulating API call...`);
+      const authConfig = await getDecryptedAuthConfig(zohoOrgId, specName, environment?.name);
       
       // Replace path parameters
       let finalEndpoint = match.endpoint.endpoint;
@@ -126,10 +137,15 @@ export const executeAgent = async (req, res) => {
       
       try {
         console.log("agentController: ", match);
+        // Credentials are chosen from the endpoint's security requirements, as in chat
+        const source = endpointSources.find(({ endpoint }) =>
+          endpoint.method === match.endpoint.method && endpoint.path === match.endpoint.endpoint
+        );
         const result = await executeRealApiCall(
           match.endpoint,
           match.parameters,
-          authConfig,
+          source,
+          environment,
           baseUrl  // Pass base URL
         );
         
@@ -139,7 +155,6 @@ export const executeAgent = async (req, res) => {
           endpoint: result.url,
           method: match.endpoint.method,
           parameters: match.parameters,
-          authUsed: authConfig ? authConfig.authType : 'none',
           statusCode: result.status
         };
         
@@ -239,8 +254,10 @@ function generateMockResponse(endpoint, parameters) {
 
 /**
  * Execute real API call with authentication (PRODUCTION)
+ * @param {Object} source - { apiIndex, endpoint } the matched endpoint comes from
+ * @param {Object} environment - Active environment of the spec (selects its credentials)
  */
-async function executeRealApiCall(endpoint, parameters, authConfig, baseUrl) {
+async function executeRealApiCall(endpoint, parameters, source, environment, baseUrl) {
   // Build full URL with base URL
   let path = endpoint.endpoint;
   console.log("baseurl: ", baseUrl);
@@ -272,35 +289,14 @@ async function executeRealApiCall(endpoint, parameters, authConfig, baseUrl) {
     headers: {}
   };
   
-  // Add authentication
-  if (authConfig) {
-    switch (authConfig.authType) {
-      case 'apiKey':
-        requestConfig.headers[authConfig.config.keyName] = authConfig.config.keyValue;
-        break;
-      
-      case 'bearer':
-        requestConfig.headers['Authorization'] = `Bearer ${authConfig.config.token}`;
-        break;
-      
-      case 'basic':
-        const credentials = Buffer.from(
-          `${authConfig.config.username}:${authConfig.config.password}`
-        ).toString('base64');
-        requestConfig.headers['Authorization'] = `Basic ${credentials}`;
-        break;
-      
-      case 'custom':
-        requestConfig.headers[authConfig.config.headerName] = authConfig.config.headerValue;
-        break;
-      
-      case 'oauth2':
-        // For OAuth2, assume token is already obtained and stored
-        if (authConfig.config.accessToken) {
-          requestConfig.headers['Authorization'] = `Bearer ${authConfig.config.accessToken}`;
-        }
-        break;
-    }
+  // Add the credentials the endpoint's security requirements call for
+  if (source) {
+    await apiExecutorService.applyEndpointAuth(requestConfig, {
+      orgId: source.apiIndex.zohoOrgId,
+      apiIndex: source.apiIndex,
+      endpoint: source.endpoint,
+      environment
+    });
   }
   
   // Execute request
@@ -1,5 +1,9 @@
 import AuthConfig from '../models/AuthConfig.js';
+import Organization from '../models/Organization.js';
+import VisitorCredential from '../models/VisitorCredential.js';
+import ApiIndex, { SPEC_NAME_PATTERN, toSpecScope } from '../models/ApiIndex.js';
 import { encryptConfig, decryptConfig } from '../utils/encryption.js';
+import { API_KEY_LOCATIONS, findSchemeCredential, getCompatibleAuthTypes } from '../utils/requestAuth.js';
 
 // Define sensitive fields for each auth type
 const SENSITIVE_FIELDS = {
@@ -17,6 +21,9 @@ const SENSITIVE_FIELDS = {
 export const configureAuth = async (req, res) => {
   try {
     const { authEnabled, authType, config, zohoOrgId } = req.body;
+    const specName = toSpecScope(req.body.specName);
+    const environment = req.body.environment?.trim().toLowerCase() || null;
+    const schemeName = req.body.schemeName?.trim() || null;
     
     if (!zohoOrgId) {
       return res.status(400).json({
@@ -25,6 +32,20 @@ export const configureAuth = async (req, res) => {
       });
     }
     
+    if (specName && !SPEC_NAME_PATTERN.test(specName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'specName must be lowercase letters, digits, "-" or "_" (max 50 characters)'
+      });
+    }
+    
+    if (environment && !SPEC_NAME_PATTERN.test(environment)) {
+      return res.status(400).json({
+        success: false,
+        message: 'environment must be lowercase letters, digits, "-" or "_" (max 50 characters)'
+      });
+    }
+    
     if (authEnabled && !authType) {
       return res.status(400).json({
         success: false,
@@ -39,9 +60,17 @@ export const configureAuth = async (req, res) => {
       });
     }
     
-    console.log(`🔐 Configuring authentication: ${authEnabled ? authType : 'disabled'}`);
+    if (authEnabled && authType === 'apiKey' && config.location && !API_KEY_LOCATIONS.includes(config.location)) {
+      return res.status(400).json({
+        success: false,
+        message: `config.location must be one of: ${API_KEY_LOCATIONS.join(', ')}`
+      });
+    }
+    
+    const scope = [specName, environment, schemeName].filter(Boolean).join('/');
+    console.log(`🔐 Configuring authentication${scope ? ` for ${scope}` : ''}: ${authEnabled ? authType : 'disabled'}`);
     
-    let encryptedData = { encryptedConfig: {}, ivs: {}, tags: {} };
+    let encryptedData = { encryptedConfig: {}, ivs: {}, tags: {}, keyIds: {} };
     
     if (authEnabled && config) {
       // Get sensitive fields for this auth type
@@ -53,16 +82,20 @@ export const configureAuth = async (req, res) => {
       console.log(`🔒 Encrypted ${sensitiveFields.length} sensitive fields`);
     }
     
-    // Delete existing config for this org and create new one
-    await AuthConfig.deleteMany({ zohoOrgId });
+    // Delete existing config for this org (spec, environment and scheme) and create new one
+    await AuthConfig.deleteMany({ zohoOrgId, specName, environment, schemeName });
     
     const authConfig = await AuthConfig.create({
       zohoOrgId,
+      specName,
+      environment,
+      schemeName,
       authEnabled,
       authType: authEnabled ? authType : null,
       encryptedConfig: encryptedData.encryptedConfig,
       ivs: encryptedData.ivs || {},
-      tags: encryptedData.tags || {}
+      tags: encryptedData.tags || {},
+      keyIds: encryptedData.keyIds || {}
     });
     
     console.log(`✅ Auth configuration saved: ${authConfig._id}`);
@@ -72,6 +105,9 @@ export const configureAuth = async (req, res) => {
       message: 'Authentication configured successfully',
       data: {
         configId: authConfig._id,
+        specName: authConfig.specName,
+        environment: authConfig.environment,
+        schemeName: authConfig.schemeName,
         authEnabled: authConfig.authEnabled,
         authType: authConfig.authType,
         createdAt: authConfig.createdAt
@@ -90,11 +126,14 @@ export const configureAuth = async (req, res) => {
 
 /**
  * Get current authentication configuration (decrypted, sanitized)
- * GET /api/auth/config
+ * GET /api/auth/config?zohoOrgId=...&specName=...&environment=...&schemeName=...
  */
 export const getAuthConfig = async (req, res) => {
   try {
     const { zohoOrgId } = req.query;
+    const specName = toSpecScope(req.query.specName);
+    const environment = req.query.environment?.trim().toLowerCase() || null;
+    const schemeName = req.query.schemeName?.trim() || null;
     
     if (!zohoOrgId) {
       return res.status(400).json({
@@ -103,12 +142,15 @@ export const getAuthConfig = async (req, res) => {
       });
     }
 
-    const authConfig = await AuthConfig.findOne({ zohoOrgId }).sort({ createdAt: -1 });
+    const authConfig = await AuthConfig.findOne({ zohoOrgId, specName, environment, schemeName }).sort({ createdAt: -1 });
     
     if (!authConfig) {
       return res.json({
         success: true,
         data: {
+          specName,
+          environment,
+          schemeName,
           authEnabled: false,
           authType: null,
           config: {}
@@ -129,7 +171,8 @@ export const getAuthConfig = async (req, res) => {
         authConfig.encryptedConfig,
         authConfig.ivs,
         authConfig.tags,
-        sensitiveFields
+        sensitiveFields,
+        authConfig.keyIds
       );
       
       // Sanitize: mask sensitive values for response
@@ -147,6 +190,9 @@ export const getAuthConfig = async (req, res) => {
       success: true,
       data: {
         configId: authConfig._id,
+        specName: authConfig.specName,
+        environment: authConfig.environment,
+        schemeName: authConfig.schemeName,
         authEnabled: authConfig.authEnabled,
         authType: authConfig.authType,
         config: sanitizedConfig,
@@ -165,35 +211,172 @@ export const getAuthConfig = async (req, res) => {
   }
 };
 
+/**
+ * Get the security schemes of a spec and the credential each one would use
+ * GET /api/auth/schemes?zohoOrgId=...&specName=...&environment=...
+ */
+export const getSecuritySchemes = async (req, res) => {
+  try {
+    const { zohoOrgId, specName } = req.query;
+    const environment = req.query.environment?.trim().toLowerCase() || null;
+    
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+    
+    const apiIndex = await ApiIndex.findActive(zohoOrgId, specName) || await ApiIndex.findLatest(zohoOrgId, specName);
+    if (!apiIndex) {
+      return res.status(404).json({
+        success: false,
+        message: 'No API documentation found for this spec'
+      });
+    }
+    
+    const securitySchemes = apiIndex.securitySchemes || {};
+    const credentials = await getDecryptedSchemeCredentials(zohoOrgId, apiIndex.spec, environment, Object.keys(securitySchemes));
+    
+    const schemes = Object.entries(securitySchemes).map(([name, scheme]) => {
+      const credential = findSchemeCredential(name, scheme, [], credentials);
+      return {
+        name,
+        type: scheme.type,
+        scheme: scheme.scheme || scheme.in || null,
+        compatibleAuthTypes: getCompatibleAuthTypes(scheme),
+        // Endpoints that can use the scheme (alone or together with others)
+        endpoints: apiIndex.endpoints.filter(ep => ep.security?.some(requirement => name in (requirement || {}))).length,
+        credential: credential
+          ? {
+              source: credential.source || (credential.schemeName ? 'scheme' : 'default'),
+              authType: credential.authType
+            }
+          : null
+      };
+    });
+    
+    return res.json({
+      success: true,
+      data: {
+        specName: apiIndex.spec,
+        environment,
+        schemes
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching security schemes:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security schemes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Decrypt the sensitive fields of an AuthConfig document
+ */
+const decryptAuthConfig = (authConfig) => {
+  const sensitiveFields = SENSITIVE_FIELDS[authConfig.authType] || [];
+  
+  const decryptedConfig = decryptConfig(
+    authConfig.encryptedConfig,
+    authConfig.ivs,
+    authConfig.tags,
+    sensitiveFields,
+    authConfig.keyIds
+  );
+  
+  return {
+    specName: authConfig.specName,
+    environment: authConfig.environment,
+    schemeName: authConfig.schemeName || null,
+    authType: authConfig.authType,
+    config: decryptedConfig
+  };
+};
+
 /**
  * Get decrypted auth config for internal use (not exposed via API)
  * Used by agent executor to make authenticated API calls
+ * The most specific config wins: spec + environment, spec, environment, org-wide
+ * Without schemeName the default credential is returned, with it the scheme's own credential
  */
-export const getDecryptedAuthConfig = async (zohoOrgId) => {
+export const getDecryptedAuthConfig = async (zohoOrgId, specName = null, environment = null, schemeName = null) => {
   try {
     if (!zohoOrgId) return null;
     
-    const authConfig = await AuthConfig.findOne({ zohoOrgId }).sort({ createdAt: -1 });
+    const configSpec = toSpecScope(specName);
+    const scopes = [
+      [configSpec, environment],
+      [configSpec, null],
+      [null, environment],
+      [null, null]
+    ].filter(([spec, env], idx, all) => all.findIndex(([s, e]) => s === spec && e === env) === idx);
+    
+    let authConfig = null;
+    for (const [scopeSpec, scopeEnvironment] of scopes) {
+      authConfig = await AuthConfig.findOne({
+        zohoOrgId,
+        specName: scopeSpec,
+        environment: scopeEnvironment,
+        schemeName
+      }).sort({ createdAt: -1 });
+      if (authConfig) break;
+    }
     
     if (!authConfig || !authConfig.authEnabled) {
       return null;
     }
     
-    const sensitiveFields = SENSITIVE_FIELDS[authConfig.authType] || [];
-    
-    const decryptedConfig = decryptConfig(
-      authConfig.encryptedConfig,
-      authConfig.ivs,
-      authConfig.tags,
-      sensitiveFields
-    );
-    
-    return {
-      authType: authConfig.authType,
-      config: decryptedConfig
-    };
+    return decryptAuthConfig(authConfig);
   } catch (error) {
     console.error('❌ Error getting decrypted auth config:', error);
     return null;
   }
 };
+
+/**
+ * Delegated OAuth token available to a chat (usable for OAuth / bearer schemes)
+ * The visitor's own credential; the org-level token only when the org enabled the fallback.
+ * Without a visitor, any signed-in visitor of the org counts.
+ * @returns {Promise<Object|null>} { source: 'visitor' | 'organization', authType, config, delegated }
+ */
+const getDelegatedCredential = async (zohoOrgId, visitorId = null) => {
+  const hasToken = { 'oauthCredentials.accessToken': { $nin: [null, ''] } };
+  const visitorQuery = visitorId
+    ? { orgId: zohoOrgId, visitorId, ...hasToken }
+    : { orgId: zohoOrgId, ...hasToken };
+  
+  let source = null;
+  if (await VisitorCredential.exists(visitorQuery)) {
+    source = 'visitor';
+  } else if (await Organization.exists({ orgId: zohoOrgId, userId: null, visitorCredentialFallback: true, ...hasToken })) {
+    source = 'organization';
+  }
+  
+  return source ? { source, authType: 'oauth2', config: {}, delegated: true } : null;
+};
+
+/**
+ * Every credential that can satisfy the security schemes of a spec (see findSchemeCredential)
+ * @param {Object} options - { visitorId } of the chat the call is made for
+ * @returns {Promise<Object>} { default, schemes: { [schemeName]: credential }, delegated }
+ */
+export const getDecryptedSchemeCredentials = async (zohoOrgId, specName = null, environment = null, schemeNames = [], { visitorId = null } = {}) => {
+  const schemes = {};
+  for (const schemeName of schemeNames) {
+    const credential = await getDecryptedAuthConfig(zohoOrgId, specName, environment, schemeName);
+    if (credential) {
+      schemes[schemeName] = credential;
+    }
+  }
+  
+  return {
+    default: await getDecryptedAuthConfig(zohoOrgId, specName, environment),
+    schemes,
+    delegated: await getDelegatedCredential(zohoOrgId, visitorId)
+  };
+};
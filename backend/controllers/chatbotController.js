@@ -8,6 +8,10 @@ import ragOrchestrationService from "../services/ragOrchestrationService.js";
 import redisSessionService from "../services/redisSessionService.js";
 import salesiqMessageService from "../services/salesiqMessageService.js";
 import Conversation from "../models/Conversation.js";
+import visitorIdentityService, { IDENTITY_TOKEN_FIELD } from "../services/visitorIdentityService.js";
+
+// Log webhook payloads without the visitor's identity token
+const redactIdentityToken = (key, value) => (key === IDENTITY_TOKEN_FIELD ? '[redacted]' : value);
 
 class ChatbotController {
     constructor() {
@@ -48,14 +52,13 @@ class ChatbotController {
             console.log("\n" + "=".repeat(60));
             console.log("📨 INCOMING WEBHOOK");
             console.log("=".repeat(60));
-            console.log(JSON.stringify(payload, null, 2));
+            console.log(JSON.stringify(payload, redactIdentityToken, 2));
             console.log("=".repeat(60) + "\n");
 
             const handler = payload.handler;
             const userMessage = payload.message?.text;
             const visitorEmail = payload.visitor?.email || "anonymous";
             const orgId = payload.org_id;
-            const visitorId = payload.visitor?.email || payload.visitor?.active_conversation_id;
 
             // Handle trigger event (bot opened)
             if (handler === "trigger") {
@@ -68,32 +71,6 @@ class ChatbotController {
                 // 2. Extract Visitor ID (Use Email as Unique Key)
                 const visitorId = payload.visitor?.email || payload.visitor?.email_id;
 
-                // 2.1 Link user to organization using orgId from webhook
-                if (visitorId && orgId) {
-                    try {
-                        const Organization = (await import('../models/Organization.js')).default;
-
-                        // Try to find organization by visitor email (stored as userId)
-                        // The userId might be the MongoDB _id from third-party login
-                        // We'll also check by email in metadata
-                        let organization = await Organization.findOne({
-                            'metadata.contact_email': visitorId
-                        });
-
-                        if (organization && !organization.orgId) {
-                            // Found user entry from third-party login, now set orgId
-                            organization.orgId = orgId;
-                            organization.status = 'active';
-                            await organization.save();
-                            console.log(`✅ Linked user ${visitorId} to org ${orgId}`);
-                        } else if (organization && organization.orgId !== orgId) {
-                            console.log(`⚠️  User ${visitorId} already linked to org ${organization.orgId}`);
-                        }
-                    } catch (error) {
-                        console.error('❌ Error linking user to organization:', error);
-                    }
-                }
-
                 // 2.5 Retrieve temporarily stored custom params (from direct API call)
                 let tempCustomParams = {};
                 if (visitorId && redisSessionService.redis) {
@@ -126,6 +103,7 @@ class ChatbotController {
                 // Remove standard Zoho fields from sessionParams if they pollute the custom data
                 delete sessionParams.type;
                 delete sessionParams.platform;
+                delete sessionParams[IDENTITY_TOKEN_FIELD];
 
                 if (visitorId && orgId) {
                     console.log(`💾 Storing dynamic session params for ${visitorId} @ ${orgId}`);
@@ -160,6 +138,9 @@ class ChatbotController {
                 console.log(`👤 Visitor: ${visitorEmail}`);
                 console.log(`💬 Message: "${userMessage}"`);
 
+                // Verified identity of the visitor (see visitorIdentityService) - not the typed email
+                const visitorId = await visitorIdentityService.resolveVisitorId(payload, orgId);
+
                 // Check for pending reply text (from failed proactive send)
                 const conversation = await Conversation.findOne({ visitorId, orgId });
                 if (conversation?.pendingReplyText) {
@@ -196,7 +177,8 @@ class ChatbotController {
                     console.log("\n🧠 Starting RAG Orchestration Pipeline...");
                     const pipelinePromise = ragOrchestrationService.processMessage(
                         userMessage,
-                        payload
+                        payload,
+                        visitorId
                     );
 
                     // Create a 4-second timeout promise
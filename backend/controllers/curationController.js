@@ -0,0 +1,213 @@
+import ApiIndex from '../models/ApiIndex.js';
+import { VectorDbService } from '../services/vectorDbService.js';
+import { CURATED_FIELDS, applyCuration, getSourceValue, isEndpointEnabled } from '../utils/endpointCuration.js';
+
+// Lazy initialization - same pattern as the processing pipeline
+let vectorDbService = null;
+const getVectorDbService = () => {
+  if (!vectorDbService) {
+    vectorDbService = new VectorDbService();
+  }
+  return vectorDbService;
+};
+
+// Fields that change what is embedded for an endpoint
+const EMBEDDED_FIELDS = [...CURATED_FIELDS, 'exampleQueries'];
+
+/**
+ * Admin view of an endpoint: effective values plus what was overridden
+ */
+const formatEndpoint = (endpoint) => ({
+  endpointId: endpoint.endpointId,
+  method: endpoint.method,
+  path: endpoint.path,
+  summary: endpoint.summary || '',
+  description: endpoint.description || '',
+  businessTags: endpoint.businessTags || [],
+  exampleQueries: endpoint.curation?.exampleQueries || [],
+  enabled: isEndpointEnabled(endpoint),
+  deprecated: endpoint.deprecated || false,
+  overridden: CURATED_FIELDS.filter(field => endpoint.curation?.[field] != null),
+  source: Object.fromEntries(CURATED_FIELDS.map(field => [field, getSourceValue(endpoint, field) ?? null])),
+  updatedAt: endpoint.curation?.updatedAt || null
+});
+
+/**
+ * Validate the editable fields of an update request
+ * null (or an empty string) clears an override
+ * @returns {String|null} - Error message
+ */
+const validateChanges = (changes) => {
+  if ('enabled' in changes && typeof changes.enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  for (const field of ['summary', 'description']) {
+    if (field in changes && changes[field] !== null && typeof changes[field] !== 'string') {
+      return `${field} must be a string or null`;
+    }
+  }
+  for (const field of ['businessTags', 'exampleQueries']) {
+    const value = changes[field];
+    if (field in changes && value !== null && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      return `${field} must be an array of strings or null`;
+    }
+  }
+  return null;
+};
+
+const normalizeChange = (value) => {
+  if (typeof value === 'string') {
+    return value.trim() || null;
+  }
+  if (Array.isArray(value)) {
+    const items = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+    return items.length > 0 ? items : null;
+  }
+  return value;
+};
+
+/**
+ * List the endpoints of a version for curation
+ * GET /api/knowledge/versions/:knowledgeBaseId/endpoints?zohoOrgId=...
+ */
+export const listEndpoints = async (req, res) => {
+  try {
+    const { knowledgeBaseId } = req.params;
+    const { zohoOrgId } = req.query;
+
+    const query = { _id: knowledgeBaseId };
+    if (zohoOrgId) {
+      query.zohoOrgId = zohoOrgId; // Filter by org for security
+    }
+
+    const apiIndex = await ApiIndex.findOne(query).select('endpoints specName version status');
+    if (!apiIndex) {
+      return res.status(404).json({
+        success: false,
+        message: 'Knowledge base not found'
+      });
+    }
+
+    const endpoints = apiIndex.endpoints.map(formatEndpoint);
+
+    return res.json({
+      success: true,
+      data: {
+        knowledgeBaseId: apiIndex._id,
+        specName: apiIndex.spec,
+        version: apiIndex.version ?? null,
+        enabledCount: endpoints.filter(endpoint => endpoint.enabled).length,
+        endpoints
+      }
+    });
+  } catch (error) {
+    console.error('❌ List endpoints error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list endpoints',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Enable/disable an endpoint or edit its summary, description, business tags and example queries
+ * Only the endpoint's own vector chunks are re-embedded; edits carry over to re-ingested versions
+ * PATCH /api/knowledge/versions/:knowledgeBaseId/endpoints/:endpointId
+ */
+export const updateEndpoint = async (req, res) => {
+  try {
+    const { knowledgeBaseId, endpointId } = req.params;
+    const { zohoOrgId, ...body } = req.body;
+
+    const changes = Object.fromEntries(
+      ['enabled', ...EMBEDDED_FIELDS].filter(field => field in body).map(field => [field, body[field]])
+    );
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update - expected one of: enabled, ${EMBEDDED_FIELDS.join(', ')}`
+      });
+    }
+
+    const validationError = validateChanges(changes);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const query = { _id: knowledgeBaseId };
+    if (zohoOrgId) {
+      query.zohoOrgId = zohoOrgId; // Filter by org for security
+    }
+
+    const apiIndex = await ApiIndex.findOne(query);
+    if (!apiIndex) {
+      return res.status(404).json({
+        success: false,
+        message: 'Knowledge base not found'
+      });
+    }
+
+    const position = apiIndex.endpoints.findIndex(endpoint => endpoint.endpointId === endpointId);
+    if (position === -1) {
+      return res.status(404).json({
+        success: false,
+        message: `Endpoint ${endpointId} not found`
+      });
+    }
+
+    const current = apiIndex.endpoints[position].toObject();
+    const { source: _source, ...curation } = current.curation || {};
+    for (const [field, value] of Object.entries(changes)) {
+      curation[field] = normalizeChange(value);
+    }
+    curation.updatedAt = new Date();
+
+    // Re-apply all overrides to the uncurated values
+    const uncurated = { ...current };
+    for (const field of CURATED_FIELDS) {
+      uncurated[field] = getSourceValue(current, field);
+    }
+    const updated = applyCuration(uncurated, curation);
+
+    apiIndex.endpoints.set(position, updated);
+    apiIndex.updatedAt = new Date();
+    await apiIndex.save();
+
+    // Re-embed only this endpoint's chunks, and only if embedded content changed
+    const embeddedContent = (endpoint) => JSON.stringify([
+      ...CURATED_FIELDS.map(field => endpoint[field] ?? null),
+      endpoint.curation?.exampleQueries || []
+    ]);
+
+    let reembeddedChunks = 0;
+    if (embeddedContent(current) !== embeddedContent(updated)) {
+      const vectorDb = getVectorDbService();
+      await vectorDb.initializeIndex();
+      await vectorDb.deleteChunks(apiIndex._id, apiIndex.namespace, { endpointIds: [endpointId] });
+      const chunks = await vectorDb.createChunks(apiIndex, null, apiIndex.namespace, { endpointIds: [endpointId] });
+      reembeddedChunks = chunks.length;
+    }
+
+    console.log(`✏️  Curated endpoint ${endpointId} (${Object.keys(changes).join(', ')}), re-embedded ${reembeddedChunks} chunks`);
+
+    return res.json({
+      success: true,
+      message: 'Endpoint updated',
+      data: {
+        endpoint: formatEndpoint(apiIndex.endpoints[position]),
+        reembeddedChunks
+      }
+    });
+  } catch (error) {
+    console.error('❌ Update endpoint error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update endpoint',
+      error: error.message
+    });
+  }
+};
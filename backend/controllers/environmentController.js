@@ -0,0 +1,269 @@
+import ApiIndex, { SPEC_NAME_PATTERN, toSpecScope } from '../models/ApiIndex.js';
+import AuthConfig from '../models/AuthConfig.js';
+import Environment from '../models/Environment.js';
+import { getUrlVariables, resolveBaseUrl, validateVariableValues } from '../utils/serverUrl.js';
+
+/**
+ * Version whose server definitions environments are resolved against
+ */
+const findSpecIndex = async (zohoOrgId, specName) =>
+  (await ApiIndex.findActive(zohoOrgId, specName || undefined)) ||
+  (await ApiIndex.findLatest(zohoOrgId, specName || undefined));
+
+/**
+ * Summary of an environment for API responses
+ */
+const formatEnvironment = (environment, metadata) => {
+  let resolvedBaseUrl = null;
+  let error = null;
+  try {
+    resolvedBaseUrl = resolveBaseUrl(metadata, environment);
+  } catch (resolveError) {
+    error = resolveError.message;
+  }
+
+  return {
+    name: environment.name,
+    specName: environment.specName,
+    baseUrl: environment.baseUrl,
+    variables: environment.variables || {},
+    resolvedBaseUrl,
+    error,
+    active: environment.active,
+    createdAt: environment.createdAt,
+    updatedAt: environment.updatedAt
+  };
+};
+
+/**
+ * List an org's environments for a spec with the spec's server variables
+ * GET /api/environments?zohoOrgId=...&specName=...
+ */
+export const listEnvironments = async (req, res) => {
+  try {
+    const { zohoOrgId } = req.query;
+    const specName = toSpecScope(req.query.specName);
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    const [apiIndex, environments] = await Promise.all([
+      findSpecIndex(zohoOrgId, specName),
+      Environment.find({ zohoOrgId, specName }).sort({ createdAt: 1 })
+    ]);
+    const metadata = apiIndex?.metadata || {};
+
+    return res.json({
+      success: true,
+      data: {
+        specName,
+        // Used when no environment is active
+        defaultBaseUrl: metadata.baseUrl || null,
+        baseUrlTemplate: metadata.baseUrlTemplate || null,
+        serverVariables: metadata.serverVariables || {},
+        activeEnvironment: environments.find(environment => environment.active)?.name || null,
+        environments: environments.map(environment => formatEnvironment(environment, metadata))
+      }
+    });
+  } catch (error) {
+    console.error('❌ List environments error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list environments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create or update a named environment
+ * Credentials for it are configured through POST /api/auth/configure with { environment }
+ * PUT /api/environments/:name
+ */
+export const saveEnvironment = async (req, res) => {
+  try {
+    const name = req.params.name?.trim().toLowerCase();
+    const { zohoOrgId, variables = {} } = req.body;
+    const specName = toSpecScope(req.body.specName);
+    const baseUrl = req.body.baseUrl?.trim() || null;
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    if (!SPEC_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Environment name must be lowercase letters, digits, "-" or "_" (max 50 characters)'
+      });
+    }
+
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+      return res.status(400).json({
+        success: false,
+        message: 'variables must be an object of server variable values'
+      });
+    }
+
+    const apiIndex = await findSpecIndex(zohoOrgId, specName);
+    const metadata = apiIndex?.metadata || {};
+
+    const variableError = validateVariableValues(metadata.serverVariables, variables, getUrlVariables(baseUrl));
+    if (variableError) {
+      return res.status(400).json({
+        success: false,
+        message: variableError
+      });
+    }
+
+    // The environment must resolve to a usable URL before it can be saved
+    let resolvedBaseUrl;
+    try {
+      resolvedBaseUrl = resolveBaseUrl(metadata, { baseUrl, variables });
+    } catch (resolveError) {
+      return res.status(400).json({
+        success: false,
+        message: resolveError.message
+      });
+    }
+    if (!/^https?:\/\//i.test(resolvedBaseUrl)) {
+      return res.status(400).json({
+        success: false,
+        message: resolvedBaseUrl
+          ? `Base URL "${resolvedBaseUrl}" must be an absolute http(s) URL`
+          : 'baseUrl is required until a spec with a server URL is ingested'
+      });
+    }
+
+    let environment = await Environment.findOne({ zohoOrgId, specName, name });
+    const created = !environment;
+    if (created) {
+      // The first environment of a spec becomes the active one
+      const hasEnvironments = await Environment.exists({ zohoOrgId, specName });
+      environment = new Environment({ zohoOrgId, specName, name, active: !hasEnvironments });
+    }
+    environment.baseUrl = baseUrl;
+    environment.variables = variables;
+    await environment.save();
+
+    console.log(`🌍 ${created ? 'Created' : 'Updated'} environment ${name} for org ${zohoOrgId}: ${resolvedBaseUrl}`);
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: `Environment ${name} ${created ? 'created' : 'updated'}`,
+      data: formatEnvironment(environment, metadata)
+    });
+  } catch (error) {
+    console.error('❌ Save environment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to save environment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Switch the environment API calls go to (takes effect immediately, no re-ingestion)
+ * POST /api/environments/:name/activate
+ */
+export const activateEnvironment = async (req, res) => {
+  try {
+    const name = req.params.name?.trim().toLowerCase();
+    const { zohoOrgId } = req.body;
+    const specName = toSpecScope(req.body.specName);
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    const environment = await Environment.findOne({ zohoOrgId, specName, name });
+    if (!environment) {
+      return res.status(404).json({
+        success: false,
+        message: `Environment ${name} not found`
+      });
+    }
+
+    await Environment.updateMany(
+      { zohoOrgId, specName, _id: { $ne: environment._id } },
+      { $set: { active: false } }
+    );
+    environment.active = true;
+    await environment.save();
+
+    const apiIndex = await findSpecIndex(zohoOrgId, specName);
+    console.log(`🌍 Switched org ${zohoOrgId}${specName ? ` (${specName})` : ''} to environment ${name}`);
+
+    return res.json({
+      success: true,
+      message: `Environment ${name} is now active`,
+      data: formatEnvironment(environment, apiIndex?.metadata || {})
+    });
+  } catch (error) {
+    console.error('❌ Activate environment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to activate environment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an environment and its credentials
+ * Deleting the active environment falls back to the spec's own server URL
+ * DELETE /api/environments/:name?zohoOrgId=...&specName=...
+ */
+export const deleteEnvironment = async (req, res) => {
+  try {
+    const name = req.params.name?.trim().toLowerCase();
+    const { zohoOrgId } = req.query;
+    const specName = toSpecScope(req.query.specName);
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    const environment = await Environment.findOneAndDelete({ zohoOrgId, specName, name });
+    if (!environment) {
+      return res.status(404).json({
+        success: false,
+        message: `Environment ${name} not found`
+      });
+    }
+
+    // Org-wide credentials of the environment are kept while another spec still has one of that name
+    const nameInUse = await Environment.exists({ zohoOrgId, name });
+    if (!nameInUse) {
+      await AuthConfig.deleteMany({ zohoOrgId, environment: name });
+    } else if (specName) {
+      await AuthConfig.deleteMany({ zohoOrgId, specName, environment: name });
+    }
+
+    return res.json({
+      success: true,
+      message: `Environment ${name} deleted${environment.active ? ' - calls now use the spec\'s own server URL' : ''}`
+    });
+  } catch (error) {
+    console.error('❌ Delete environment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete environment',
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,10 @@
-import { ProcessingPipeline } from '../services/processingPipeline.js';
+import { ProcessingJobService } from '../services/processingJobService.js';
 import { ApiParserService } from '../services/apiParserService.js';
-import ApiIndex from '../models/ApiIndex.js';
+import ApiIndex, { DEFAULT_SPEC, SPEC_NAME_PATTERN } from '../models/ApiIndex.js';
+import { SpecSourceService } from '../services/specSourceService.js';
+import { SpecSyncService } from '../services/specSyncService.js';
+import { buildQualityReport } from '../utils/specQuality.js';
+import { getDecryptedSchemeCredentials } from './authController.js';
 import crypto from 'crypto';
 
 // Simple in-memory cache for analysis results (TTL: 10 minutes)
@@ -23,6 +27,7 @@ setInterval(() => {
 export const ingestKnowledge = async (req, res) => {
   try {
     const { sourceType, sourceUrl, fileContent, fileName, baseUrlOverride, zohoOrgId, organizationName, authConfig, analysisId } = req.body;
+    const specName = (req.body.specName || DEFAULT_SPEC).trim().toLowerCase();
     
     if (!analysisId && (!sourceType || (sourceType === 'url' && !sourceUrl) || (sourceType === 'file' && !fileContent))) {
       return res.status(400).json({
@@ -39,8 +44,15 @@ export const ingestKnowledge = async (req, res) => {
       });
     }
     
+    if (!SPEC_NAME_PATTERN.test(specName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'specName must be lowercase letters, digits, "-" or "_" (max 50 characters)'
+      });
+    }
+    
     console.log(`📥 Ingesting knowledge from ${sourceType}: ${sourceUrl || fileName}`);
-    console.log(`🏢 Zoho Org ID: ${zohoOrgId}`);
+    console.log(`🏢 Zoho Org ID: ${zohoOrgId} (spec: ${specName})`);
     if (baseUrlOverride) {
       console.log(`🌐 Base URL override provided: ${baseUrlOverride}`);
     }
@@ -48,6 +60,8 @@ export const ingestKnowledge = async (req, res) => {
     // Prepare raw text based on source type
     let rawText;
     let mimeType = 'application/json'; // Default
+    let parseOptions = {}; // Used to resolve relative $refs against the source URL
+    let syncSource = null;
     
     // Check cache first if analysisId provided
     if (analysisId && analysisCache.has(analysisId)) {
@@ -55,134 +69,60 @@ export const ingestKnowledge = async (req, res) => {
       const cached = analysisCache.get(analysisId);
       rawText = cached.rawText;
       mimeType = cached.mimeType;
+      parseOptions = cached.parseOptions || {};
+      syncSource = cached.syncSource || null;
     } else if (sourceType === 'url') {
-      // Fetch from URL
       // Fetch from URL with optional authentication
-      const headers = {};
-      
-      if (authConfig) {
-        if (authConfig.type === 'bearer' && authConfig.token) {
-          headers['Authorization'] = `Bearer ${authConfig.token}`;
-        } else if (authConfig.type === 'basic' && authConfig.username && authConfig.password) {
-          const credentials = Buffer.from(`${authConfig.username}:${authConfig.password}`).toString('base64');
-          headers['Authorization'] = `Basic ${credentials}`;
-        } else if (authConfig.type === 'apiKey' && authConfig.location === 'header' && authConfig.keyName && authConfig.keyValue) {
-          headers[authConfig.keyName] = authConfig.keyValue;
-        } else if (authConfig.type === 'custom' && authConfig.headerName && authConfig.headerValue) {
-          headers[authConfig.headerName] = authConfig.headerValue;
-        } else if (authConfig.type === 'oauth2' && authConfig.clientId && authConfig.clientSecret && authConfig.tokenUrl) {
-          try {
-            console.log(`🔑 Fetching OAuth2 token from ${authConfig.tokenUrl}`);
-            
-            const bodyParams = new URLSearchParams();
-            bodyParams.append('grant_type', 'client_credentials');
-            
-            const requestHeaders = {
-              'Content-Type': 'application/x-www-form-urlencoded'
-            };
-
-            // Check client authentication method (header vs body)
-            if (authConfig.clientAuthentication === 'body') {
-              console.log('📝 Sending client credentials in body');
-              bodyParams.append('client_id', authConfig.clientId);
-              bodyParams.append('client_secret', authConfig.clientSecret);
-            } else {
-              // Default to Basic Auth header
-              console.log('📝 Sending client credentials in header');
-              requestHeaders['Authorization'] = `Basic ${Buffer.from(`${authConfig.clientId}:${authConfig.clientSecret}`).toString('base64')}`;
-            }
-
-            const tokenResponse = await fetch(authConfig.tokenUrl, {
-              method: 'POST',
-              headers: requestHeaders,
-              body: bodyParams.toString()
-            });
-            
-            if (tokenResponse.ok) {
-              const tokenData = await tokenResponse.json();
-              if (tokenData.access_token) {
-                headers['Authorization'] = `Bearer ${tokenData.access_token}`;
-                console.log('✅ OAuth2 token obtained successfully');
-              }
-            } else {
-              console.error('❌ Failed to fetch OAuth2 token:', await tokenResponse.text());
-            }
-          } catch (error) {
-            console.error('❌ OAuth2 token fetch error:', error);
-          }
-        }
-      }
-      
-      const response = await fetch(sourceUrl, { headers });
-      if (!response.ok) {
-        throw new Error(`Failed to fetch from URL: ${response.statusText}`);
-      }
-      rawText = await response.text();
-      
-      // Detect YAML vs JSON
-      const contentType = response.headers.get('content-type');
-      if (contentType?.includes('yaml') || sourceUrl.endsWith('.yaml') || sourceUrl.endsWith('.yml')) {
-        mimeType = 'application/x-yaml';
-      }
+      const source = await SpecSourceService.fetchSpec(sourceUrl, authConfig);
+      rawText = source.rawText;
+      mimeType = source.mimeType;
+      parseOptions = source.parseOptions;
+      syncSource = { sourceUrl, authConfig, etag: source.etag, lastModified: source.lastModified };
     } else {
       // Use file content
       rawText = fileContent;
       
-      // Detect YAML vs JSON from filename
+      // Detect YAML / GraphQL SDL vs JSON from filename
       if (fileName?.endsWith('.yaml') || fileName?.endsWith('.yml')) {
         mimeType = 'application/x-yaml';
+      } else if (fileName?.endsWith('.graphql') || fileName?.endsWith('.gql')) {
+        mimeType = 'application/graphql';
       }
     }
     
-    // Create a temporary API doc ID (we'll use the ApiIndex ID later)
-    const tempDocId = `temp_${Date.now()}`;
+    // The fetch headers are not stored with the job - it rebuilds them from the encrypted source auth
+    const { headers, ...storedParseOptions } = parseOptions;
     
-    // Use ProcessingPipeline for advanced processing
-    const pipeline = new ProcessingPipeline();
-    const result = await pipeline.process(tempDocId, rawText, mimeType, baseUrlOverride, zohoOrgId, organizationName);
-    
-    if (!result.success) {
-      return res.status(400).json({
-        success: false,
-        message: 'Processing failed',
-        error: result.error
-      });
-    }
-    
-    // Get the created ApiIndex to extract endpoints for frontend
-    const apiIndex = await ApiIndex.findById(result.apiIndexId);
-    
-    // Update ApiIndex with source information
-    apiIndex.sourceUrl = sourceUrl || null;
-    apiIndex.sourceType = sourceType;
-    apiIndex.fileName = fileName || null;
-    await apiIndex.save();
-    
-    console.log(`✅ Knowledge ingestion complete via ProcessingPipeline`);
-    console.log(`   - Endpoints: ${result.stats.endpoints}`);
-    console.log(`   - Intents: ${result.stats.intents}`);
-    console.log(`   - Sub-intents: ${result.stats.subIntents}`);
-    console.log(`   - Vector chunks: ${result.stats.vectorChunks}`);
-    
-    // Format skills for frontend (simplified view)
-    const skills = apiIndex.endpoints.map(ep => ({
-      method: ep.method,
-      endpoint: ep.path,
-      description: ep.summary || ep.description || '',
-      parameters: ep.parameters || []
-    }));
+    // Processing (LLM tagging, intents, embeddings) runs as a background job
+    const job = await ProcessingJobService.enqueue({
+      zohoOrgId,
+      specName,
+      input: {
+        rawText,
+        mimeType,
+        parseOptions: storedParseOptions,
+        baseUrlOverride,
+        organizationName,
+        sourceType,
+        sourceUrl,
+        fileName,
+        // Where a URL-based spec can be re-fetched from by the sync schedule (auth stored encrypted)
+        syncSource: syncSource && {
+          sourceUrl: syncSource.sourceUrl,
+          sourceAuth: SpecSyncService.encryptAuth(syncSource.authConfig),
+          etag: syncSource.etag,
+          lastModified: syncSource.lastModified
+        }
+      }
+    });
     
-    return res.json({
+    return res.status(202).json({
       success: true,
-      message: 'Knowledge ingested successfully with advanced processing',
+      message: 'Knowledge ingestion started',
       data: {
-        knowledgeBaseId: result.apiIndexId,
-        totalEndpoints: result.stats.endpoints,
-        learnedSkills: result.stats.endpoints,
-        vectorChunks: result.stats.vectorChunks,
-        intents: result.stats.intents,
-        subIntents: result.stats.subIntents,
-        skills: skills
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/processing/jobs/${job._id}`
       }
     });
     
@@ -202,7 +142,8 @@ export const ingestKnowledge = async (req, res) => {
  */
 export const analyzeKnowledge = async (req, res) => {
   try {
-    const { sourceType, sourceUrl, fileContent, fileName, authConfig } = req.body;
+    const { sourceType, sourceUrl, fileContent, fileName, authConfig, zohoOrgId } = req.body;
+    const specName = (req.body.specName || DEFAULT_SPEC).trim().toLowerCase();
     
     if (!sourceType || (sourceType === 'url' && !sourceUrl) || (sourceType === 'file' && !fileContent)) {
       return res.status(400).json({
@@ -216,89 +157,44 @@ export const analyzeKnowledge = async (req, res) => {
     // Prepare raw text based on source type
     let rawText;
     let mimeType = 'application/json'; // Default
+    let parseOptions = {};
+    let syncSource = null;
     
     if (sourceType === 'url') {
       // Fetch from URL with optional authentication
-      const headers = {};
-      
-      if (authConfig) {
-        if (authConfig.type === 'bearer' && authConfig.token) {
-          headers['Authorization'] = `Bearer ${authConfig.token}`;
-        } else if (authConfig.type === 'basic' && authConfig.username && authConfig.password) {
-          const credentials = Buffer.from(`${authConfig.username}:${authConfig.password}`).toString('base64');
-          headers['Authorization'] = `Basic ${credentials}`;
-        } else if (authConfig.type === 'apiKey' && authConfig.location === 'header' && authConfig.keyName && authConfig.keyValue) {
-          headers[authConfig.keyName] = authConfig.keyValue;
-        } else if (authConfig.type === 'custom' && authConfig.headerName && authConfig.headerValue) {
-          headers[authConfig.headerName] = authConfig.headerValue;
-        } else if (authConfig.type === 'oauth2' && authConfig.clientId && authConfig.clientSecret && authConfig.tokenUrl) {
-          try {
-            console.log(`🔑 Fetching OAuth2 token from ${authConfig.tokenUrl}`);
-            
-            const bodyParams = new URLSearchParams();
-            bodyParams.append('grant_type', 'client_credentials');
-            
-            const requestHeaders = {
-              'Content-Type': 'application/x-www-form-urlencoded'
-            };
-
-            // Check client authentication method (header vs body)
-            if (authConfig.clientAuthentication === 'body') {
-              bodyParams.append('client_id', authConfig.clientId);
-              bodyParams.append('client_secret', authConfig.clientSecret);
-            } else {
-              requestHeaders['Authorization'] = `Basic ${Buffer.from(`${authConfig.clientId}:${authConfig.clientSecret}`).toString('base64')}`;
-            }
-
-            const tokenResponse = await fetch(authConfig.tokenUrl, {
-              method: 'POST',
-              headers: requestHeaders,
-              body: bodyParams.toString()
-            });
-            
-            if (tokenResponse.ok) {
-              const tokenData = await tokenResponse.json();
-              if (tokenData.access_token) {
-                headers['Authorization'] = `Bearer ${tokenData.access_token}`;
-              }
-            } else {
-              console.error('❌ Failed to fetch OAuth2 token:', await tokenResponse.text());
-            }
-          } catch (error) {
-            console.error('❌ OAuth2 token fetch error:', error);
-          }
-        }
-      }
-      
-      const response = await fetch(sourceUrl, { headers });
-      if (!response.ok) {
-        throw new Error(`Failed to fetch from URL: ${response.statusText}`);
-      }
-      rawText = await response.text();
-      
-      // Detect YAML vs JSON
-      const contentType = response.headers.get('content-type');
-      if (contentType?.includes('yaml') || sourceUrl.endsWith('.yaml') || sourceUrl.endsWith('.yml')) {
-        mimeType = 'application/x-yaml';
-      }
+      const source = await SpecSourceService.fetchSpec(sourceUrl, authConfig);
+      rawText = source.rawText;
+      mimeType = source.mimeType;
+      parseOptions = source.parseOptions;
+      syncSource = { sourceUrl, authConfig, etag: source.etag, lastModified: source.lastModified };
     } else {
       // Use file content
       rawText = fileContent;
       
-      // Detect YAML vs JSON from filename
+      // Detect YAML / GraphQL SDL vs JSON from filename
       if (fileName?.endsWith('.yaml') || fileName?.endsWith('.yml')) {
         mimeType = 'application/x-yaml';
+      } else if (fileName?.endsWith('.graphql') || fileName?.endsWith('.gql')) {
+        mimeType = 'application/graphql';
       }
     }
     
     // Parse the documentation
-    const parsed = await ApiParserService.parse(rawText, mimeType);
+    const parsed = await ApiParserService.parse(rawText, mimeType, parseOptions);
+    // Knowing the org, also check every required security scheme has a credential
+    const credentials = zohoOrgId
+      ? await getDecryptedSchemeCredentials(zohoOrgId, specName, null, Object.keys(parsed.securitySchemes || {}))
+      : undefined;
+    const quality = buildQualityReport(parsed, { credentials });
+    console.log(`📋 Chat-readiness score: ${quality.score}/100 (${quality.summary.errors} errors, ${quality.summary.warnings} warnings)`);
     
     // Cache the result
     const analysisId = crypto.randomUUID();
     analysisCache.set(analysisId, {
       rawText,
       mimeType,
+      parseOptions,
+      syncSource,
       parsed, // Store parsed result too if we want to use it later
       expiry: Date.now() + 10 * 60 * 1000 // 10 minutes TTL
     });
@@ -312,7 +208,8 @@ export const analyzeKnowledge = async (req, res) => {
         stats: {
           endpoints: parsed.endpoints.length,
           components: Object.keys(parsed.components || {}).length
-        }
+        },
+        quality
       }
     });
     
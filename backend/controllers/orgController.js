@@ -1,8 +1,8 @@
-import ApiIndex from '../models/ApiIndex.js';
+import ApiIndex, { DEFAULT_SPEC } from '../models/ApiIndex.js';
 
 /**
  * Check if a Zoho Org ID exists in the system
- * GET /api/org/check/:zohoOrgId
+ * GET /api/org/check/:zohoOrgId?specName=...
  */
 export const checkOrgExists = async (req, res) => {
   try {
@@ -17,8 +17,14 @@ export const checkOrgExists = async (req, res) => {
     
     console.log(`🔍 Checking if Zoho Org ID exists: ${zohoOrgId}`);
     
-    // Check if any ApiIndex exists for this org
-    const apiIndex = await ApiIndex.findOne({ zohoOrgId });
+    const specName = req.query.specName || DEFAULT_SPEC;
+    const activeSpecs = await ApiIndex.findAllActive(zohoOrgId);
+    
+    // Prefer the active version; fall back to the latest draft so onboarding can resume,
+    // then to any other active spec of the org
+    const apiIndex = activeSpecs.find(active => active.spec === specName)
+      || (await ApiIndex.findLatest(zohoOrgId, specName))
+      || activeSpecs[0];
     
     if (!apiIndex) {
       console.log(`❌ Org not found: ${zohoOrgId}`);
@@ -46,11 +52,22 @@ export const checkOrgExists = async (req, res) => {
         zohoOrgId: apiIndex.zohoOrgId,
         namespace: apiIndex.namespace,
         knowledgeBaseId: apiIndex._id,
+        specName: apiIndex.spec,
+        version: apiIndex.version ?? null,
+        status: apiIndex.status || 'active',
         apiTitle: apiIndex.metadata?.title || 'API',
         apiDescription: apiIndex.metadata?.description || '',
         baseUrl: apiIndex.metadata?.baseUrl || '',
         totalEndpoints: apiIndex.endpoints.length,
         skills: skills,
+        specs: activeSpecs.map(active => ({
+          specName: active.spec,
+          knowledgeBaseId: active._id,
+          version: active.version ?? null,
+          apiTitle: active.metadata?.title || 'API',
+          baseUrl: active.metadata?.baseUrl || '',
+          totalEndpoints: active.endpoints.length
+        })),
         createdAt: apiIndex.createdAt,
         updatedAt: apiIndex.updatedAt
       }
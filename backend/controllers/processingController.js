@@ -3,9 +3,21 @@
  */
 
 import { ProcessingPipeline } from '../services/processingPipeline.js';
+import { DocExtractionService } from '../services/docExtractionService.js';
+import { ProcessingJobService, jobEvents } from '../services/processingJobService.js';
 import ApiDoc from '../models/ApiDoc.js';
+import { DEFAULT_SPEC } from '../models/ApiIndex.js';
+import DocExtraction from '../models/DocExtraction.js';
+import ProcessingJob from '../models/ProcessingJob.js';
+import mongoose from 'mongoose';
 
 let pipeline = null;
+let extractionService = null;
+
+const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+const TERMINAL_EVENT_TYPES = ['completed', 'failed', 'cancelled'];
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+const STREAM_POLL_MS = 5 * 1000; // Picks up events of jobs run by another server instance
 
 function getPipeline() {
     if (!pipeline) {
@@ -51,8 +63,48 @@ export const startProcessing = async (req, res) => {
     }
 };
 
+/**
+ * Summary of a processing job for API responses
+ */
+function formatJob(job) {
+    return {
+        jobId: job._id,
+        type: job.type,
+        zohoOrgId: job.zohoOrgId,
+        specName: job.specName,
+        status: job.status,
+        currentStep: job.currentStep,
+        progress: job.progress,
+        steps: job.steps,
+        knowledgeBaseId: job.result?.knowledgeBaseId || job.apiIndexId || null,
+        error: job.error || null,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAfter : null,
+        cancelRequested: job.cancelRequested,
+        result: job.result || null, // Ingest response data, once completed
+        createdAt: job.createdAt,
+        startedAt: job.startedAt || null,
+        finishedAt: job.finishedAt || null
+    };
+}
+
+/**
+ * Find a processing job by the :jobId route param
+ * Sends the error response and returns null when it does not exist
+ */
+async function findJob(jobId, res) {
+    const job = mongoose.isValidObjectId(jobId) ? await ProcessingJob.findById(jobId).select('-input') : null;
+    if (!job) {
+        res.status(404).json({ message: 'Processing job not found' });
+        return null;
+    }
+    return job;
+}
+
 /**
  * Get processing status
+ * Accepts the job ID returned by POST /api/knowledge/ingest; other IDs are looked up as API doc IDs
  */
 export const getProcessingStatus = async (req, res) => {
     try {
@@ -62,6 +114,11 @@ export const getProcessingStatus = async (req, res) => {
             return res.status(400).json({ message: 'docId is required' });
         }
 
+        const job = mongoose.isValidObjectId(docId) ? await ProcessingJob.findById(docId).select('-input') : null;
+        if (job) {
+            return res.json(formatJob(job));
+        }
+
         const status = await getPipeline().getStatus(docId);
 
         return res.json(status);
@@ -74,6 +131,190 @@ export const getProcessingStatus = async (req, res) => {
     }
 };
 
+/**
+ * List an organization's processing jobs, newest first
+ */
+export const listJobs = async (req, res) => {
+    try {
+        const { zohoOrgId, status } = req.query;
+
+        if (!zohoOrgId) {
+            return res.status(400).json({ message: 'zohoOrgId is required' });
+        }
+
+        const query = { zohoOrgId };
+        if (status) query.status = status;
+
+        const jobs = await ProcessingJob.find(query)
+            .select('-input -result')
+            .sort({ createdAt: -1 })
+            .limit(50);
+
+        return res.json({ jobs: jobs.map(formatJob) });
+    } catch (error) {
+        console.error('List jobs error:', error);
+        return res.status(500).json({
+            message: 'Failed to list processing jobs',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a processing job with per-step progress
+ */
+export const getJob = async (req, res) => {
+    try {
+        const job = await findJob(req.params.jobId, res);
+        if (!job) return;
+
+        return res.json(formatJob(job));
+    } catch (error) {
+        console.error('Get job error:', error);
+        return res.status(500).json({
+            message: 'Failed to get processing job',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Stream a job's pipeline events as server-sent events
+ * Events recorded before the client connected (after Last-Event-ID, if given) are replayed first,
+ * followed by a "snapshot" event with the job's current state; the stream ends with the job
+ */
+export const streamJobEvents = async (req, res) => {
+    try {
+        const job = await findJob(req.params.jobId, res);
+        if (!job) return;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        res.flushHeaders();
+
+        const jobId = job._id.toString();
+        let lastSeq = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+        let closed = false;
+
+        const send = (event) => {
+            if (closed || event.seq <= lastSeq) return;
+            lastSeq = event.seq;
+            res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (TERMINAL_EVENT_TYPES.includes(event.type)) {
+                close();
+            }
+        };
+
+        const poll = async () => {
+            const latest = await ProcessingJob.findById(jobId).select('events status');
+            latest?.events.forEach(send);
+            if (!closed && (!latest || TERMINAL_JOB_STATUSES.includes(latest.status))) {
+                close();
+            }
+        };
+
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+        const poller = setInterval(() => {
+            poll().catch(error => console.error('Job event poll error:', error));
+        }, STREAM_POLL_MS);
+
+        function close() {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            clearInterval(poller);
+            jobEvents.off(jobId, send);
+            res.end();
+        }
+
+        req.on('close', close);
+        jobEvents.on(jobId, send);
+
+        job.events.forEach(send);
+        if (!closed) {
+            res.write(`event: snapshot\ndata: ${JSON.stringify(formatJob(job))}\n\n`);
+            if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+                close();
+            }
+        }
+    } catch (error) {
+        console.error('Stream job events error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                message: 'Failed to stream job events',
+                error: error.message
+            });
+        }
+        res.end();
+    }
+};
+
+/**
+ * Cancel a queued or running job
+ * A running job stops at its next step (or embedded chunk) and its partial version is removed
+ */
+export const cancelJob = async (req, res) => {
+    try {
+        const job = await findJob(req.params.jobId, res);
+        if (!job) return;
+
+        if (!['queued', 'running'].includes(job.status)) {
+            return res.status(409).json({ message: `Job is ${job.status} - only queued or running jobs can be cancelled` });
+        }
+
+        await ProcessingJobService.cancel(job);
+
+        return res.json({
+            message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+            ...formatJob(job)
+        });
+    } catch (error) {
+        console.error('Cancel job error:', error);
+        return res.status(500).json({
+            message: 'Failed to cancel processing job',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Run a failed or cancelled job again
+ */
+export const retryJob = async (req, res) => {
+    try {
+        const job = await findJob(req.params.jobId, res);
+        if (!job) return;
+
+        if (!['failed', 'cancelled'].includes(job.status)) {
+            return res.status(409).json({ message: `Job is ${job.status} - only failed or cancelled jobs can be retried` });
+        }
+        if (job.sourceAuthRemoved) {
+            return res.status(409).json({ message: 'The credentials used to fetch this spec were removed when the job ended - ingest it again instead' });
+        }
+        // A commit job claims its extraction again (it went back to review when the job ended)
+        if (job.input?.extractionId && !(await getExtractionService().claimForCommit(job.input.extractionId))) {
+            return res.status(409).json({ message: 'The extraction is no longer pending review - commit it again instead' });
+        }
+
+        await ProcessingJobService.retry(job);
+
+        return res.status(202).json({
+            message: 'Job queued for retry',
+            ...formatJob(job)
+        });
+    } catch (error) {
+        console.error('Retry job error:', error);
+        return res.status(500).json({
+            message: 'Failed to retry processing job',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Get API index
  */
@@ -120,5 +361,177 @@ export const getIntentMappings = async (req, res) => {
     }
 };
 
+/**
+ * Get the doc extraction service (lazy, like the pipeline)
+ */
+function getExtractionService() {
+    if (!extractionService) {
+        extractionService = new DocExtractionService();
+    }
+    return extractionService;
+}
+
+/**
+ * Check that an extraction exists and is still awaiting review
+ * Sends the error response and returns null otherwise
+ */
+async function findReviewableExtraction(extractionId, res) {
+    const extraction = await DocExtraction.findById(extractionId);
+    if (!extraction) {
+        res.status(404).json({ message: 'Extraction not found' });
+        return null;
+    }
+    if (extraction.status !== 'pending_review') {
+        res.status(409).json({
+            message: `Extraction is ${extraction.status} - only extractions pending review can be changed`
+        });
+        return null;
+    }
+    return extraction;
+}
+
+/**
+ * List doc extractions for an organization
+ */
+export const listExtractions = async (req, res) => {
+    try {
+        const { zohoOrgId, status } = req.query;
+
+        if (!zohoOrgId) {
+            return res.status(400).json({ message: 'zohoOrgId is required' });
+        }
+
+        const query = { zohoOrgId };
+        if (status) query.status = status;
 
+        const extractions = await DocExtraction.find(query)
+            .select('-rawText')
+            .sort({ createdAt: -1 });
 
+        return res.json({
+            extractions: extractions.map(extraction => ({
+                extractionId: extraction._id,
+                fileName: extraction.fileName,
+                sourceFormat: extraction.sourceFormat,
+                status: extraction.status,
+                candidates: extraction.candidates.length,
+                approved: extraction.candidates.filter(c => c.approved).length,
+                jobId: extraction.jobId,
+                apiIndexId: extraction.apiIndexId,
+                createdAt: extraction.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('List extractions error:', error);
+        return res.status(500).json({
+            message: 'Failed to list extractions',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a doc extraction with its candidate endpoints for review
+ */
+export const getExtraction = async (req, res) => {
+    try {
+        const extraction = await DocExtraction.findById(req.params.extractionId).select('-rawText');
+        if (!extraction) {
+            return res.status(404).json({ message: 'Extraction not found' });
+        }
+
+        return res.json(extraction);
+    } catch (error) {
+        console.error('Get extraction error:', error);
+        return res.status(500).json({
+            message: 'Failed to get extraction',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Save the admin's edits to the extracted candidates
+ * Body: { candidates: [...], metadata: { title, description, baseUrl } }
+ */
+export const updateExtraction = async (req, res) => {
+    try {
+        const { extractionId } = req.params;
+        const { candidates, metadata } = req.body;
+
+        if (!(await findReviewableExtraction(extractionId, res))) return;
+
+        const { extraction, errors } = await getExtractionService().updateCandidates(
+            extractionId,
+            { candidates, metadata }
+        );
+
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid candidates', errors });
+        }
+
+        return res.json({
+            message: 'Extraction updated',
+            extractionId: extraction._id,
+            metadata: extraction.metadata,
+            candidates: extraction.candidates
+        });
+    } catch (error) {
+        console.error('Update extraction error:', error);
+        return res.status(500).json({
+            message: 'Failed to update extraction',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Process the approved candidates through the standard pipeline as a background job
+ * Body: { baseUrl } (optional override)
+ */
+export const commitExtraction = async (req, res) => {
+    try {
+        const { extractionId } = req.params;
+        const { baseUrl } = req.body || {};
+
+        const extraction = await findReviewableExtraction(extractionId, res);
+        if (!extraction) return;
+
+        if (!extraction.candidates.some(c => c.approved)) {
+            return res.status(400).json({ message: 'No approved endpoints to process' });
+        }
+
+        // Claimed atomically - a second commit of the same extraction gets a 409
+        const claimed = await getExtractionService().claimForCommit(extractionId);
+        if (!claimed) {
+            return res.status(409).json({ message: 'Extraction is already being committed' });
+        }
+
+        let job;
+        try {
+            job = await ProcessingJobService.enqueue({
+                zohoOrgId: claimed.zohoOrgId,
+                specName: claimed.specName || DEFAULT_SPEC,
+                input: getExtractionService().buildCommitInput(claimed, { baseUrlOverride: baseUrl || null })
+            });
+        } catch (error) {
+            await DocExtraction.releaseCommit(extractionId);
+            throw error;
+        }
+        await DocExtraction.updateOne({ _id: extractionId }, { $set: { jobId: job._id } });
+
+        return res.status(202).json({
+            message: 'Processing started',
+            extractionId,
+            jobId: job._id,
+            status: job.status,
+            statusUrl: `/api/processing/jobs/${job._id}`
+        });
+    } catch (error) {
+        console.error('Commit extraction error:', error);
+        return res.status(500).json({
+            message: 'Processing failed',
+            error: error.message
+        });
+    }
+};
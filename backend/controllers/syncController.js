@@ -0,0 +1,194 @@
+import ApiIndex, { DEFAULT_SPEC } from '../models/ApiIndex.js';
+import SpecSync from '../models/SpecSync.js';
+import { SpecSyncService } from '../services/specSyncService.js';
+import { ProcessingJobService } from '../services/processingJobService.js';
+
+const MIN_INTERVAL_MINUTES = 15;
+
+/**
+ * Summary of a sync schedule for API responses (the source auth is never returned)
+ */
+const formatSync = (sync) => ({
+  specName: sync.specName,
+  sourceUrl: sync.sourceUrl,
+  hasSourceAuth: Boolean(sync.sourceAuth?.encrypted),
+  enabled: sync.enabled,
+  intervalMinutes: sync.intervalMinutes,
+  autoActivate: sync.autoActivate,
+  running: Boolean(sync.lockedUntil && sync.lockedUntil > new Date()) || sync.runs?.[0]?.status === 'queued',
+  nextRunAt: sync.nextRunAt || null,
+  lastRunAt: sync.lastRunAt || null,
+  lastStatus: sync.lastStatus || null,
+  lastError: sync.lastError || null,
+  runs: sync.runs || []
+});
+
+const getSpecName = (value) => (value || DEFAULT_SPEC).trim().toLowerCase();
+
+/**
+ * Get the sync schedule and run history of a spec
+ * GET /api/knowledge/sync?zohoOrgId=...&specName=...
+ */
+export const getSyncSchedule = async (req, res) => {
+  try {
+    const { zohoOrgId } = req.query;
+    const specName = getSpecName(req.query.specName);
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    const sync = await SpecSync.findOne({ zohoOrgId, specName });
+    if (!sync) {
+      return res.status(404).json({
+        success: false,
+        message: `No URL source recorded for the ${specName} spec - ingest it from a URL first`
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: formatSync(sync)
+    });
+  } catch (error) {
+    console.error('❌ Get sync schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get sync schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Opt in/out of scheduled re-sync and change its settings
+ * PUT /api/knowledge/sync
+ */
+export const updateSyncSchedule = async (req, res) => {
+  try {
+    const { zohoOrgId, enabled, intervalMinutes, autoActivate } = req.body;
+    const specName = getSpecName(req.body.specName);
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be a boolean'
+      });
+    }
+
+    if (autoActivate !== undefined && typeof autoActivate !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'autoActivate must be a boolean'
+      });
+    }
+
+    if (intervalMinutes !== undefined && (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES)) {
+      return res.status(400).json({
+        success: false,
+        message: `intervalMinutes must be a whole number of at least ${MIN_INTERVAL_MINUTES}`
+      });
+    }
+
+    let sync = await SpecSync.findOne({ zohoOrgId, specName });
+    if (!sync) {
+      // Specs ingested before sources were recorded: fall back to the stored URL (fetched without auth)
+      const latest = await ApiIndex.findLatest(zohoOrgId, specName);
+      if (!latest?.sourceUrl) {
+        return res.status(404).json({
+          success: false,
+          message: `No URL source recorded for the ${specName} spec - ingest it from a URL first`
+        });
+      }
+      sync = new SpecSync({ zohoOrgId, specName, sourceUrl: latest.sourceUrl });
+    }
+
+    if (intervalMinutes !== undefined) sync.intervalMinutes = intervalMinutes;
+    if (autoActivate !== undefined) sync.autoActivate = autoActivate;
+    if (enabled !== undefined) sync.enabled = enabled;
+
+    sync.nextRunAt = sync.enabled ? SpecSyncService.getNextRunAt(sync) : null;
+    await sync.save();
+
+    console.log(`⏰ Sync of ${specName} spec for org ${zohoOrgId} ${sync.enabled ? `every ${sync.intervalMinutes} minutes` : 'disabled'}`);
+
+    return res.json({
+      success: true,
+      message: sync.enabled ? 'Sync schedule saved' : 'Sync schedule disabled',
+      data: formatSync(sync)
+    });
+  } catch (error) {
+    console.error('❌ Update sync schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update sync schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sync a spec now; the re-ingest runs in the background
+ * POST /api/knowledge/sync/run
+ */
+export const runSyncNow = async (req, res) => {
+  try {
+    const { zohoOrgId } = req.body;
+    const specName = getSpecName(req.body.specName);
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    const sync = await SpecSync.findOne({ zohoOrgId, specName });
+    if (!sync) {
+      return res.status(404).json({
+        success: false,
+        message: `No URL source recorded for the ${specName} spec - ingest it from a URL first`
+      });
+    }
+
+    if (sync.lockedUntil && sync.lockedUntil > new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'A sync of this spec is already running'
+      });
+    }
+
+    if (await ProcessingJobService.hasUnfinishedJob(zohoOrgId, specName)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The spec is being processed - sync it once its processing job has finished'
+      });
+    }
+
+    SpecSyncService.runSync(sync, 'manual').catch(error => {
+      console.error('❌ Manual sync error:', error);
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: 'Sync started - check GET /api/knowledge/sync for the result'
+    });
+  } catch (error) {
+    console.error('❌ Run sync error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start sync',
+      error: error.message
+    });
+  }
+};
@@ -4,8 +4,10 @@ const require = createRequire(import.meta.url);
 const pdfParse = require("pdf-parse");
 import ApiDoc from "../models/ApiDoc.js";
 import { ProcessingPipeline } from "../services/processingPipeline.js";
+import { DocExtractionService } from "../services/docExtractionService.js";
 
 let pipeline = null;
+let extractionService = null;
 
 function getPipeline() {
   if (!pipeline) {
@@ -14,10 +16,17 @@ function getPipeline() {
   return pipeline;
 }
 
+function getExtractionService() {
+  if (!extractionService) {
+    extractionService = new DocExtractionService();
+  }
+  return extractionService;
+}
+
 export const uploadDoc = async (req, res) => {
   try {
     const file = req.file;
-    const { autoProcess, zohoOrgId, organizationName } = req.body; // Added zohoOrgId and organizationName
+    const { autoProcess, zohoOrgId, organizationName, specName } = req.body; // Added zohoOrgId and organizationName
 
     if (!file) {
       return res.status(400).json({ message: "No file uploaded" });
@@ -33,6 +42,7 @@ export const uploadDoc = async (req, res) => {
 
     let rawText = "";
     let mimeType = file.mimetype;
+    let sourceFormat = null; // Set for unstructured docs that need LLM extraction
 
     // 🔥 Extract text based on file type
     const ext = file.originalname.split(".").pop().toLowerCase();
@@ -40,19 +50,44 @@ export const uploadDoc = async (req, res) => {
     if (file.mimetype === "application/pdf" || ext === "pdf") {
       const data = await pdfParse(file.buffer);
       rawText = data.text;
+      sourceFormat = "pdf";
+    } else if (ext === "md" || ext === "markdown") {
+      rawText = file.buffer.toString("utf8");
+      sourceFormat = "markdown";
     } else if (
       file.mimetype === "application/json" ||
       ext === "json" ||
       ext === "yaml" ||
       ext === "yml" ||
-      ext === "graphql" ||
-      ext === "md" ||
-      ext === "markdown"
+      ext === "graphql"
     ) {
       rawText = file.buffer.toString("utf8");
+      if (ext === "graphql") mimeType = "application/graphql";
     } else {
       return res.status(400).json({
-        message: "Unsupported file format. Supported: JSON, YAML, PDF",
+        message: "Unsupported file format. Supported: JSON, YAML, GraphQL, PDF, Markdown",
+      });
+    }
+
+    // 📄 PDF / Markdown: extract candidate endpoints for admin review
+    // They are processed once reviewed via POST /api/processing/extractions/:id/commit
+    if (sourceFormat) {
+      const extraction = await getExtractionService().extract({
+        rawText,
+        sourceFormat,
+        fileName: file.originalname,
+        zohoOrgId,
+        organizationName,
+        specName: specName ? specName.trim().toLowerCase() : undefined,
+      });
+
+      return res.json({
+        message: "Endpoints extracted - review them before processing",
+        extractionId: extraction._id,
+        status: extraction.status,
+        metadata: extraction.metadata,
+        candidates: extraction.candidates,
+        failedChunks: extraction.failedChunks,
       });
     }
 
@@ -0,0 +1,244 @@
+import ApiIndex, { DEFAULT_SPEC } from '../models/ApiIndex.js';
+import IntentMapping from '../models/IntentMapping.js';
+import VectorChunk from '../models/VectorChunk.js';
+import { VectorDbService } from '../services/vectorDbService.js';
+
+// Drafts and inactive versions kept per spec (newest first); older ones are archived
+export const RETAINED_VERSIONS = 5;
+
+/**
+ * Mark a version as its spec's active one; the previously active version of the
+ * same spec becomes inactive. Other specs of the org are not affected.
+ * Indexes created before versioning (no status) are deactivated as well
+ */
+export const activateApiIndex = async (apiIndex) => {
+  await ApiIndex.updateMany(
+    {
+      ...ApiIndex.specQuery(apiIndex.zohoOrgId, apiIndex.spec),
+      _id: { $ne: apiIndex._id },
+      $or: [{ status: 'active' }, { status: { $exists: false } }]
+    },
+    { $set: { status: 'inactive' } }
+  );
+
+  apiIndex.status = 'active';
+  apiIndex.activatedAt = new Date();
+  await apiIndex.save();
+
+  console.log(`✅ Activated ${apiIndex.spec} version ${apiIndex.version} (${apiIndex._id}) for org ${apiIndex.zohoOrgId}`);
+  return apiIndex;
+};
+
+/**
+ * Archive the versions of a spec beyond the newest RETAINED_VERSIONS drafts and inactive versions
+ * Their vector chunks and intents are deleted, so every new version doesn't leave another
+ * full copy of the vectors behind; archived versions can no longer be activated
+ * @returns {Promise<Number>} Number of versions archived
+ */
+export const archiveOldVersions = async (zohoOrgId, specName = DEFAULT_SPEC) => {
+  const stale = await ApiIndex.find({
+    ...ApiIndex.specQuery(zohoOrgId, specName),
+    status: { $in: ['draft', 'inactive'] }
+  })
+    .sort({ version: -1 })
+    .skip(RETAINED_VERSIONS)
+    .select('_id version namespace');
+
+  const vectorDbService = new VectorDbService();
+  let archived = 0;
+  for (const apiIndex of stale) {
+    // Archive first so the version cannot be activated while its chunks are deleted
+    const { modifiedCount } = await ApiIndex.updateOne(
+      { _id: apiIndex._id, status: { $in: ['draft', 'inactive'] } },
+      { $set: { status: 'archived' } }
+    );
+    if (modifiedCount === 0) continue;
+
+    await vectorDbService.deleteAllChunks(apiIndex._id, apiIndex.namespace);
+    await IntentMapping.deleteMany({ apiIndexId: apiIndex._id });
+    archived++;
+    console.log(`🗄️  Archived ${specName} version ${apiIndex.version} (${apiIndex._id}) for org ${zohoOrgId}`);
+  }
+  return archived;
+};
+
+/**
+ * Summary of a version for API responses
+ */
+const formatVersion = (apiIndex, stats = {}) => ({
+  knowledgeBaseId: apiIndex._id,
+  specName: apiIndex.spec,
+  version: apiIndex.version ?? null,
+  status: apiIndex.status || 'active', // Unversioned indexes are live until a version is activated
+  basedOnVersion: apiIndex.basedOnVersion ?? null,
+  apiTitle: apiIndex.metadata?.title || 'API',
+  baseUrl: apiIndex.metadata?.baseUrl || '',
+  sourceType: apiIndex.sourceType || null,
+  sourceUrl: apiIndex.sourceUrl || null,
+  fileName: apiIndex.fileName || null,
+  createdAt: apiIndex.createdAt,
+  activatedAt: apiIndex.activatedAt || null,
+  stats: {
+    endpoints: apiIndex.endpoints?.length || 0,
+    intents: stats.intents || 0,
+    vectorChunks: stats.vectorChunks || 0
+  }
+});
+
+/**
+ * List all spec versions for an organization with stats
+ * GET /api/knowledge/versions?zohoOrgId=...&specName=...
+ */
+export const listVersions = async (req, res) => {
+  try {
+    const { zohoOrgId, specName } = req.query;
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    const query = specName ? ApiIndex.specQuery(zohoOrgId, specName) : { zohoOrgId };
+    const versions = await ApiIndex.find(query)
+      .select('-components -securitySchemes')
+      .sort({ createdAt: -1 });
+
+    const ids = versions.map(v => v._id);
+    const [intentCounts, chunkCounts] = await Promise.all([
+      IntentMapping.aggregate([
+        { $match: { apiIndexId: { $in: ids } } },
+        { $project: { apiIndexId: 1, count: { $size: '$intents' } } }
+      ]),
+      VectorChunk.aggregate([
+        { $match: { apiIndexId: { $in: ids } } },
+        { $group: { _id: '$apiIndexId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const intentsById = new Map(intentCounts.map(c => [c.apiIndexId.toString(), c.count]));
+    const chunksById = new Map(chunkCounts.map(c => [c._id.toString(), c.count]));
+    const active = await ApiIndex.findAllActive(zohoOrgId);
+
+    return res.json({
+      success: true,
+      data: {
+        // Active version per spec, e.g. { billing: "...", identity: "..." }
+        activeVersions: Object.fromEntries(active.map(v => [v.spec, v._id])),
+        versions: versions.map(v => formatVersion(v, {
+          intents: intentsById.get(v._id.toString()),
+          vectorChunks: chunksById.get(v._id.toString())
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ List versions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Activate a version (a tested draft, or any earlier version)
+ * POST /api/knowledge/versions/:knowledgeBaseId/activate
+ */
+export const activateVersion = async (req, res) => {
+  try {
+    const { knowledgeBaseId } = req.params;
+    const { zohoOrgId } = req.body;
+
+    const query = { _id: knowledgeBaseId };
+    if (zohoOrgId) {
+      query.zohoOrgId = zohoOrgId; // Filter by org for security
+    }
+
+    const apiIndex = await ApiIndex.findOne(query);
+    if (!apiIndex) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    if (apiIndex.status === 'archived') {
+      return res.status(409).json({
+        success: false,
+        message: `Version ${apiIndex.version} was archived and can no longer be activated - re-ingest the spec instead`
+      });
+    }
+
+    if (apiIndex.status === 'active') {
+      return res.json({
+        success: true,
+        message: `Version ${apiIndex.version} is already active`,
+        data: formatVersion(apiIndex)
+      });
+    }
+
+    await activateApiIndex(apiIndex);
+
+    return res.json({
+      success: true,
+      message: `Version ${apiIndex.version} is now active`,
+      data: formatVersion(apiIndex)
+    });
+  } catch (error) {
+    console.error('❌ Activate version error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to activate version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Roll back a spec to the version that was active before the current one
+ * POST /api/knowledge/versions/rollback
+ */
+export const rollbackVersion = async (req, res) => {
+  try {
+    const { zohoOrgId, specName = DEFAULT_SPEC } = req.body;
+
+    if (!zohoOrgId) {
+      return res.status(400).json({
+        success: false,
+        message: 'zohoOrgId is required'
+      });
+    }
+
+    const specQuery = ApiIndex.specQuery(zohoOrgId, specName);
+    const current = await ApiIndex.findOne({ ...specQuery, status: 'active' });
+    const previous = await ApiIndex.findOne({
+      ...specQuery,
+      status: 'inactive',
+      activatedAt: { $exists: true, ...(current?.activatedAt && { $lt: current.activatedAt }) }
+    }).sort({ activatedAt: -1 });
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: `No previously active version of the ${specName} spec to roll back to`
+      });
+    }
+
+    await activateApiIndex(previous);
+
+    return res.json({
+      success: true,
+      message: `Rolled back from version ${current?.version ?? 'none'} to version ${previous.version}`,
+      data: formatVersion(previous)
+    });
+  } catch (error) {
+    console.error('❌ Rollback error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to roll back',
+      error: error.message
+    });
+  }
+};
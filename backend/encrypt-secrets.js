@@ -0,0 +1,232 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import AuthConfig from "./models/AuthConfig.js";
+import Organization from "./models/Organization.js";
+import ProcessingJob from "./models/ProcessingJob.js";
+import SalesiqToken from "./models/SalesiqToken.js";
+import SpecSync from "./models/SpecSync.js";
+import VisitorCredential from "./models/VisitorCredential.js";
+import VisitorSignIn from "./models/VisitorSignIn.js";
+import {
+    DEFAULT_KEY_ID,
+    decrypt,
+    decryptValue,
+    encrypt,
+    encryptValue,
+    getCurrentKeyId,
+    getValueKeyId,
+    isEncryptedValue
+} from "./utils/encryption.js";
+
+/**
+ * Encrypt every stored secret with the current encryption key
+ * - secrets stored before field encryption was enabled are encrypted
+ * - secrets encrypted with an older key are re-encrypted (key rotation)
+ * - spec fetch headers stored in plain text on processing jobs are removed, as is the
+ *   source auth of jobs that ended (running jobs rebuild the headers from the source auth)
+ * Safe to run more than once - secrets already under the current key are left alone.
+ *
+ * Rotating the key: add the new key to ENCRYPTION_KEYS, point ENCRYPTION_KEY_ID at it and
+ * restart, run this command, then remove the old key once it reports no failures.
+ *
+ * Usage: node encrypt-secrets.js [--dry-run]
+ */
+
+// Models with fields declared as encryptedField
+const FIELD_MODELS = [Organization, SalesiqToken, VisitorCredential, VisitorSignIn];
+
+// Log progress every this many documents
+const PROGRESS_INTERVAL = 100;
+
+const JOB_TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+// Paths of a model that are encrypted at rest (declared with encryptedField)
+const getEncryptedPaths = (Model) => {
+    const paths = [];
+    Model.schema.eachPath((path, schemaType) => {
+        if (schemaType.options.set === encryptValue) {
+            paths.push(path);
+        }
+    });
+    return paths;
+};
+
+// Split a field map into $set and $unset (fields set to undefined)
+const toUpdateOperators = (update) => {
+    const operators = {};
+    for (const [path, value] of Object.entries(update)) {
+        const operator = value === undefined ? "$unset" : "$set";
+        operators[operator] = { ...operators[operator], [path]: value === undefined ? "" : value };
+    }
+    return operators;
+};
+
+const getPathValue = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+// Re-encrypt a value stored with encryptValue (or still in plain text) under the current key
+const reencryptValue = (value, currentKeyId) => {
+    if (!isEncryptedValue(value)) {
+        return encryptValue(value);
+    }
+    if (getValueKeyId(value) === currentKeyId) {
+        return value;
+    }
+    const plainText = decryptValue(value);
+    if (plainText === null) {
+        throw new Error(`cannot decrypt with key "${getValueKeyId(value)}"`);
+    }
+    return encryptValue(plainText);
+};
+
+/**
+ * Build the update that re-encrypts the secrets of one raw document
+ * @returns {Object} $set update (empty when nothing changes)
+ */
+const reencryptFields = (doc, paths, currentKeyId) => {
+    const update = {};
+    for (const path of paths) {
+        const value = getPathValue(doc, path);
+        if (typeof value !== "string" || !value) {
+            continue;
+        }
+        const reencrypted = reencryptValue(value, currentKeyId);
+        if (reencrypted !== value) {
+            update[path] = reencrypted;
+        }
+    }
+    return update;
+};
+
+// AuthConfig keeps the IV, tag and key ID of each field next to the config
+const reencryptAuthConfig = (doc, currentKeyId) => {
+    const update = {};
+    for (const field of Object.keys(doc.ivs || {})) {
+        const keyId = doc.keyIds?.[field] || DEFAULT_KEY_ID;
+        if (keyId === currentKeyId || !doc.encryptedConfig?.[field]) {
+            continue;
+        }
+        const { encrypted, iv, tag } = encrypt(decrypt(doc.encryptedConfig[field], doc.ivs[field], doc.tags?.[field], keyId));
+        update[`encryptedConfig.${field}`] = encrypted;
+        update[`ivs.${field}`] = iv;
+        update[`tags.${field}`] = tag;
+        update[`keyIds.${field}`] = currentKeyId;
+    }
+    return update;
+};
+
+// Fetch auth stored as one encrypted JSON document (SpecSync, ProcessingJob input)
+const reencryptSourceAuth = (sourceAuth, currentKeyId) => {
+    const { encrypted, iv, tag, keyId } = sourceAuth || {};
+    if (!encrypted || (keyId || DEFAULT_KEY_ID) === currentKeyId) {
+        return null;
+    }
+    return encrypt(decrypt(encrypted, iv, tag, keyId));
+};
+
+const reencryptSpecSync = (doc, currentKeyId) => {
+    const sourceAuth = reencryptSourceAuth(doc.sourceAuth, currentKeyId);
+    return sourceAuth ? { sourceAuth } : {};
+};
+
+// Processing jobs stored the spec fetch headers in plain text; jobs that ended no longer need the source auth
+const reencryptProcessingJob = (doc, currentKeyId) => {
+    const update = {};
+    if (doc.input?.parseOptions?.headers) {
+        update["input.parseOptions.headers"] = undefined;
+    }
+    if (JOB_TERMINAL_STATUSES.includes(doc.status) && doc.input?.syncSource?.sourceAuth) {
+        update["input.syncSource.sourceAuth"] = undefined;
+        update.sourceAuthRemoved = true;
+    } else {
+        const sourceAuth = reencryptSourceAuth(doc.input?.syncSource?.sourceAuth, currentKeyId);
+        if (sourceAuth) {
+            update["input.syncSource.sourceAuth"] = sourceAuth;
+        }
+    }
+    return update;
+};
+
+/**
+ * Re-encrypt the documents of a collection, reporting progress
+ * Raw documents are read and written so the schema setters/getters don't interfere
+ * Fields the update builder sets to undefined are removed
+ * @returns {Promise<Object>} { total, updated, failed }
+ */
+async function processCollection(Model, reencrypt, { dryRun }) {
+    const total = await Model.collection.countDocuments();
+    const result = { total, updated: 0, failed: 0 };
+    let processed = 0;
+
+    console.log(`🔄 ${Model.modelName}: ${total} document(s)`);
+
+    for await (const doc of Model.collection.find({})) {
+        try {
+            const update = reencrypt(doc);
+            if (Object.keys(update).length > 0) {
+                if (!dryRun) {
+                    await Model.collection.updateOne({ _id: doc._id }, toUpdateOperators(update));
+                }
+                result.updated++;
+            }
+        } catch (error) {
+            console.error(`❌ ${Model.modelName} ${doc._id}: ${error.message}`);
+            result.failed++;
+        }
+
+        processed++;
+        if (processed % PROGRESS_INTERVAL === 0 && processed < total) {
+            console.log(`⏳ ${Model.modelName}: ${processed}/${total}`);
+        }
+    }
+
+    console.log(`🔐 ${Model.modelName}: ${result.updated} document(s) ${dryRun ? "to re-encrypt" : "re-encrypted"}, ${result.failed} failed`);
+    return result;
+}
+
+async function encryptSecrets() {
+    const dryRun = process.argv.includes("--dry-run");
+
+    try {
+        const currentKeyId = getCurrentKeyId();
+        if (!currentKeyId) {
+            throw new Error("No usable encryption key - set ENCRYPTION_KEY or ENCRYPTION_KEYS / ENCRYPTION_KEY_ID");
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log("✅ Connected to MongoDB");
+        console.log(`🔑 Encrypting with key "${currentKeyId}"${dryRun ? " (dry run)" : ""}`);
+
+        const jobs = [
+            ...FIELD_MODELS.map(Model => {
+                const paths = getEncryptedPaths(Model);
+                return [Model, doc => reencryptFields(doc, paths, currentKeyId)];
+            }),
+            [AuthConfig, doc => reencryptAuthConfig(doc, currentKeyId)],
+            [SpecSync, doc => reencryptSpecSync(doc, currentKeyId)],
+            [ProcessingJob, doc => reencryptProcessingJob(doc, currentKeyId)]
+        ];
+
+        let updated = 0;
+        let failed = 0;
+        for (const [Model, reencrypt] of jobs) {
+            const result = await processCollection(Model, reencrypt, { dryRun });
+            updated += result.updated;
+            failed += result.failed;
+        }
+
+        if (failed > 0) {
+            console.error(`❌ ${failed} document(s) could not be re-encrypted - keep the keys they use configured and run again`);
+            process.exit(1);
+        }
+
+        console.log(dryRun
+            ? `✅ Dry run complete - ${updated} document(s) would be re-encrypted, nothing was written`
+            : `✅ All secrets encrypted with key "${currentKeyId}" (${updated} document(s) updated)`);
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ Error:", error);
+        process.exit(1);
+    }
+}
+
+encryptSecrets();
@@ -1,6 +1,7 @@
 import "dotenv/config";
 import mongoose from "mongoose";
 import Organization from "./models/Organization.js";
+import VisitorCredential from "./models/VisitorCredential.js";
 
 async function fixIndexes() {
     try {
@@ -19,6 +20,17 @@ async function fixIndexes() {
         await Organization.syncIndexes();
         console.log("✅ Indexes synced (orgId is now non-unique)");
 
+        // Visitor credentials are unique per org and visitor identity, not per user ID
+        console.log("🔄 Dropping visitorcredentials userId_1 index...");
+        try {
+            await mongoose.connection.collection('visitorcredentials').dropIndex('userId_1');
+            console.log("✅ Index dropped");
+        } catch (e) {
+            console.log("⚠️  Index might not exist or already dropped:", e.message);
+        }
+        await VisitorCredential.syncIndexes();
+        console.log("✅ Visitor credential indexes synced");
+
         process.exit(0);
     } catch (error) {
         console.error("❌ Error:", error);
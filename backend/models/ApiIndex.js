@@ -1,5 +1,18 @@
 import mongoose from "mongoose";
 
+// Spec name used for orgs with a single API (and indexes created before multi-spec support)
+export const DEFAULT_SPEC = "default";
+export const SPEC_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/**
+ * Spec name stored on per-spec settings (auth configs, environments)
+ * The default spec shares the org-wide settings, stored without a spec name
+ */
+export const toSpecScope = (specName) => {
+  const normalized = specName?.trim().toLowerCase();
+  return normalized && normalized !== DEFAULT_SPEC ? normalized : null;
+};
+
 const parameterSchema = new mongoose.Schema(
   {
     name: String,
@@ -52,6 +65,21 @@ const exampleSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Admin edits to an endpoint - carried over to new versions on re-ingestion
+// Unset fields are not overridden; source holds the parsed/generated values they replace
+const curationSchema = new mongoose.Schema(
+  {
+    enabled: Boolean, // false = hidden from the chatbot
+    summary: String,
+    description: String,
+    businessTags: { type: [String], default: undefined },
+    exampleQueries: { type: [String], default: undefined },
+    source: mongoose.Schema.Types.Mixed,
+    updatedAt: Date,
+  },
+  { _id: false }
+);
+
 const endpointSchema = new mongoose.Schema(
   {
     endpointId: { type: String, required: true },
@@ -72,6 +100,11 @@ const endpointSchema = new mongoose.Schema(
     security: [mongoose.Schema.Types.Mixed],
     deprecated: Boolean,
     examples: exampleSchema,
+    // GraphQL operation details (operationType, fieldName, args, selectionSet)
+    graphql: mongoose.Schema.Types.Mixed,
+    // Hash of the parsed endpoint content, used to diff re-ingested specs
+    contentHash: String,
+    curation: curationSchema,
   },
   { _id: false }
 );
@@ -90,12 +123,31 @@ const apiIndexSchema = new mongoose.Schema({
     version: String,
     title: String,
     description: String,
-    baseUrl: String,
+    baseUrl: String, // Server URL with variable defaults applied
+    baseUrlTemplate: String, // Server URL as declared, when it has {variables}
+    serverVariables: mongoose.Schema.Types.Mixed, // OpenAPI server variable definitions
+    servers: mongoose.Schema.Types.Mixed,
     parsedAt: Date,
   },
   // Organization identification for multi-tenancy
   zohoOrgId: { type: String, required: true, index: true },
   namespace: { type: String, required: true, index: true },
+  // Name of the service this spec describes (e.g. "billing") - an org can have
+  // several specs active at once, each with its own base URL and auth
+  specName: {
+    type: String,
+    match: SPEC_NAME_PATTERN,
+  },
+  // Spec versioning - every ingest creates a draft; one active version per spec
+  // No default: indexes created before versioning must keep an unset status
+  version: { type: Number },
+  status: {
+    type: String,
+    // inactive = previously active; archived = too old to activate (its chunks and intents are deleted)
+    enum: ["draft", "active", "inactive", "archived"],
+  },
+  basedOnVersion: { type: Number }, // Version the draft was diffed against
+  activatedAt: { type: Date },
   endpoints: [endpointSchema],
   securitySchemes: mongoose.Schema.Types.Mixed,
   components: mongoose.Schema.Types.Mixed,
@@ -107,5 +159,73 @@ apiIndexSchema.index({ "endpoints.endpointId": 1 });
 apiIndexSchema.index({ "endpoints.path": 1, "endpoints.method": 1 });
 apiIndexSchema.index({ "endpoints.tags": 1 });
 apiIndexSchema.index({ "endpoints.businessTags": 1 });
+apiIndexSchema.index({ zohoOrgId: 1, specName: 1, status: 1 });
+apiIndexSchema.index({ zohoOrgId: 1, specName: 1, version: -1 });
+
+/**
+ * Query matching one spec of an org
+ * Indexes created before multi-spec support have no specName and belong to the default spec
+ */
+apiIndexSchema.statics.specQuery = function (zohoOrgId, specName = DEFAULT_SPEC) {
+  return specName === DEFAULT_SPEC
+    ? { zohoOrgId, specName: { $in: [DEFAULT_SPEC, null] } }
+    : { zohoOrgId, specName };
+};
+
+/**
+ * Find the version of a spec the bot and executor should use
+ * Indexes created before versioning have no status - the newest of those is
+ * used until a version is activated
+ */
+apiIndexSchema.statics.findActive = async function (zohoOrgId, specName = DEFAULT_SPEC) {
+  const query = this.specQuery(zohoOrgId, specName);
+
+  const active = await this.findOne({ ...query, status: "active" });
+  if (active) return active;
+
+  return this.findOne({ ...query, status: { $exists: false } }).sort({
+    createdAt: -1,
+  });
+};
+
+/**
+ * Find the active version of every spec of an org
+ */
+apiIndexSchema.statics.findAllActive = async function (zohoOrgId) {
+  const specNames = (await this.distinct("specName", { zohoOrgId })).filter(Boolean);
+  if (!specNames.includes(DEFAULT_SPEC)) specNames.push(DEFAULT_SPEC);
+
+  const active = await Promise.all(
+    specNames.map((specName) => this.findActive(zohoOrgId, specName))
+  );
+  return active.filter(Boolean);
+};
+
+/**
+ * Find the most recently created version of a spec (draft or not)
+ */
+apiIndexSchema.statics.findLatest = function (zohoOrgId, specName = DEFAULT_SPEC) {
+  return this.findOne(this.specQuery(zohoOrgId, specName)).sort({ createdAt: -1 });
+};
+
+/**
+ * Next version number for a spec
+ */
+apiIndexSchema.statics.getNextVersion = async function (zohoOrgId, specName = DEFAULT_SPEC) {
+  const latest = await this.findOne({
+    ...this.specQuery(zohoOrgId, specName),
+    version: { $exists: true },
+  })
+    .sort({ version: -1 })
+    .select("version");
+  return (latest?.version || 0) + 1;
+};
+
+/**
+ * Spec name of an index (DEFAULT_SPEC for indexes created before multi-spec support)
+ */
+apiIndexSchema.virtual("spec").get(function () {
+  return this.specName || DEFAULT_SPEC;
+});
 
 export default mongoose.model("ApiIndex", apiIndexSchema);
@@ -11,6 +11,22 @@ const authConfigSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // API spec the config applies to; unset = org-wide (used by specs without their own config)
+  specName: {
+    type: String,
+    default: null
+  },
+  // Environment the credentials are for (e.g. 'sandbox'); unset = all environments
+  environment: {
+    type: String,
+    default: null
+  },
+  // Security scheme of the spec (securitySchemes key) the credential is for;
+  // unset = the default credential, used for any scheme of a matching type
+  schemeName: {
+    type: String,
+    default: null
+  },
   authType: {
     type: String,
     enum: ['oauth2', 'apiKey', 'bearer', 'basic', 'custom'],
@@ -21,7 +37,7 @@ const authConfigSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
-  // Encryption metadata - stores IVs and tags for each encrypted field
+  // Encryption metadata - stores IVs, tags and key IDs for each encrypted field
   ivs: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -30,6 +46,11 @@ const authConfigSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Missing for fields encrypted before keys had IDs (the default key)
+  keyIds: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   createdAt: {
     type: Date,
     default: Date.now
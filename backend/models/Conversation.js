@@ -23,7 +23,7 @@ const messageSchema = new mongoose.Schema({
 }, { _id: false });
 
 const conversationSchema = new mongoose.Schema({
-    // Unique visitor identifier from SalesIQ
+    // Verified visitor identity (see visitorIdentityService) - SaaS user or SalesIQ conversation
     visitorId: {
         type: String,
         required: true,
@@ -0,0 +1,92 @@
+/**
+ * DocExtraction Model
+ * Candidate endpoints extracted by the LLM from unstructured docs (PDF / Markdown),
+ * kept for admin review until they are committed to the processing pipeline
+ */
+
+import mongoose from 'mongoose';
+import { SPEC_NAME_PATTERN } from './ApiIndex.js';
+
+const candidateFieldSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    in: { type: String, enum: ['path', 'query', 'header', 'body'], default: 'query' },
+    type: { type: String, default: 'string' },
+    required: { type: Boolean, default: false },
+    description: String,
+    enum: [String]
+}, { _id: false });
+
+const candidateSchema = new mongoose.Schema({
+    candidateId: { type: String, required: true },
+    method: {
+        type: String,
+        required: true,
+        enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD']
+    },
+    path: { type: String, required: true },
+    summary: String,
+    description: String,
+    parameters: [candidateFieldSchema], // path, query and header params
+    bodyFields: [candidateFieldSchema], // JSON body fields
+    confidence: Number,
+    // Excerpt of the documentation the endpoint was extracted from (helps review)
+    sourceExcerpt: String,
+    // Admin can reject a candidate without deleting it
+    approved: { type: Boolean, default: true }
+}, { _id: false });
+
+const docExtractionSchema = new mongoose.Schema({
+    zohoOrgId: { type: String, required: true, index: true },
+    organizationName: String,
+    specName: { type: String, match: SPEC_NAME_PATTERN }, // Which of the org's specs the endpoints are committed to
+
+    sourceFormat: { type: String, enum: ['pdf', 'markdown'], required: true },
+    fileName: String,
+    rawText: { type: String, required: true },
+
+    status: {
+        type: String,
+        enum: ['extracting', 'pending_review', 'committing', 'committed', 'failed'],
+        default: 'extracting'
+    },
+    error: String,
+
+    // API-level details found in the docs (editable during review)
+    metadata: {
+        title: String,
+        description: String,
+        baseUrl: String
+    },
+
+    candidates: [candidateSchema],
+
+    // Chunks of the document the LLM could not process
+    failedChunks: [Number],
+
+    // Processing job running the commit (set while committing and kept afterwards)
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProcessingJob' },
+
+    // Set once the reviewed candidates are committed
+    apiIndexId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiIndex' },
+    committedAt: Date
+}, {
+    timestamps: true
+});
+
+// Record the version created from a committing extraction
+docExtractionSchema.statics.markCommitted = function (extractionId, apiIndexId) {
+    return this.updateOne(
+        { _id: extractionId, status: 'committing' },
+        { $set: { status: 'committed', apiIndexId, committedAt: new Date() } }
+    );
+};
+
+// Give a committing extraction back to review (its commit job failed or was cancelled)
+docExtractionSchema.statics.releaseCommit = function (extractionId) {
+    return this.updateOne(
+        { _id: extractionId, status: 'committing' },
+        { $set: { status: 'pending_review' } }
+    );
+};
+
+export default mongoose.model('DocExtraction', docExtractionSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { SPEC_NAME_PATTERN, toSpecScope } from './ApiIndex.js';
+
+// Named target of an org's API (e.g. sandbox / production); one active per spec
+const environmentSchema = new mongoose.Schema({
+  zohoOrgId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Spec the environment belongs to; null = the default spec
+  specName: {
+    type: String,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    match: SPEC_NAME_PATTERN
+  },
+  // Replaces the spec's server URL when set; may contain {variables}
+  baseUrl: {
+    type: String,
+    default: null
+  },
+  // Server variable values overriding the spec defaults, e.g. { region: 'eu' }
+  variables: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+environmentSchema.index({ zohoOrgId: 1, specName: 1, name: 1 }, { unique: true });
+
+// Update timestamp on save
+environmentSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+/**
+ * Active environment of a spec, or null when the spec's own server URL is used
+ */
+environmentSchema.statics.findActive = function(zohoOrgId, specName = null) {
+  return this.findOne({ zohoOrgId, specName: toSpecScope(specName), active: true });
+};
+
+export default mongoose.model('Environment', environmentSchema);
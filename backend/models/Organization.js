@@ -1,9 +1,10 @@
 /**
  * Organization Model
- * Stores organization details and OAuth credentials
+ * Stores organization details and OAuth credentials (secrets are encrypted at rest)
  */
 
 import mongoose from 'mongoose';
+import { encryptedField } from '../utils/encryption.js';
 
 const organizationSchema = new mongoose.Schema({
     // Zoho Organization ID (used as Pinecone namespace)
@@ -13,7 +14,8 @@ const organizationSchema = new mongoose.Schema({
         index: true       // Not unique! Multiple users can belong to same org
     },
 
-    // Individual user ID from third-party SaaS
+    // Individual user ID from third-party SaaS (legacy per-user rows - visitor tokens are
+    // now stored as VisitorCredential; the org-level row has no userId)
     userId: {
         type: String,
         required: false,
@@ -30,11 +32,13 @@ const organizationSchema = new mongoose.Schema({
     oauthCredentials: {
         accessToken: {
             type: String,
-            required: false
+            required: false,
+            ...encryptedField
         },
         refreshToken: {
             type: String,
-            required: false
+            required: false,
+            ...encryptedField
         },
         tokenType: {
             type: String,
@@ -59,8 +63,61 @@ const organizationSchema = new mongoose.Schema({
             required: false
         },
         clientSecret: {
+            type: String,
+            required: false,
+            ...encryptedField
+        },
+        // How the client authenticates to the refresh URL (HTTP Basic header or form body)
+        clientAuthentication: {
+            type: String,
+            enum: ['header', 'body'],
+            default: 'header'
+        },
+        // Set while a refresh is running so server instances don't refresh concurrently
+        refreshLockedUntil: {
+            type: Date,
+            default: null
+        }
+    },
+
+    // Use the org-level OAuth token for visitors who have no credential of their own
+    // (off by default: calls would act as the org rather than the visitor)
+    visitorCredentialFallback: {
+        type: Boolean,
+        default: false
+    },
+
+    // Secret shared with the org's SaaS: signs visitor identity tokens and token callbacks
+    // (see visitorIdentityService)
+    visitorIdentitySecret: {
+        type: String,
+        required: false,
+        ...encryptedField
+    },
+
+    // Authorization server visitors sign in with from the chat (authorization code + PKCE)
+    visitorSignIn: {
+        authorizationUrl: {
             type: String,
             required: false
+        },
+        tokenUrl: {
+            type: String,
+            required: false
+        },
+        clientId: {
+            type: String,
+            required: false
+        },
+        // Only for confidential clients - PKCE works without it
+        clientSecret: {
+            type: String,
+            required: false,
+            ...encryptedField
+        },
+        scopes: {
+            type: [String],
+            default: []
         }
     },
 
@@ -103,7 +160,8 @@ const organizationSchema = new mongoose.Schema({
         },
         clientSecret: {
             type: String,
-            required: false
+            required: false,
+            ...encryptedField
         },
         redirectUrl: {
             type: String,
@@ -118,8 +176,8 @@ const organizationSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Method to check if OAuth token is valid
-organizationSchema.methods.isTokenValid = function () {
+// Method to check if OAuth token is valid (for at least marginMs more)
+organizationSchema.methods.isTokenValid = function (marginMs = 0) {
     if (!this.oauthCredentials?.accessToken) {
         return false;
     }
@@ -128,20 +186,21 @@ organizationSchema.methods.isTokenValid = function () {
         return true; // Assume valid if no expiry set
     }
 
-    return new Date() < new Date(this.oauthCredentials.expiresAt);
+    return Date.now() + marginMs < new Date(this.oauthCredentials.expiresAt).getTime();
 };
 
-// Method to update OAuth token
+// Method to update OAuth token (from a token endpoint response) and release the refresh lock
 organizationSchema.methods.updateOAuthToken = function (tokenData) {
-    this.oauthCredentials = {
-        ...this.oauthCredentials,
-        accessToken: tokenData.access_token,
-        refreshToken: tokenData.refresh_token || this.oauthCredentials?.refreshToken,
-        expiresAt: tokenData.expires_in
-            ? new Date(Date.now() + tokenData.expires_in * 1000)
-            : this.oauthCredentials?.expiresAt,
-        scope: tokenData.scope || this.oauthCredentials?.scope
-    };
+    this.set('oauthCredentials.accessToken', tokenData.access_token);
+    // Refresh tokens may be rotated - the old one stays only when no new one is issued
+    if (tokenData.refresh_token) {
+        this.set('oauthCredentials.refreshToken', tokenData.refresh_token);
+    }
+    this.set('oauthCredentials.expiresAt', new Date(Date.now() + (tokenData.expires_in || 3600) * 1000));  // 1 hour default
+    if (tokenData.scope) {
+        this.set('oauthCredentials.scope', tokenData.scope);
+    }
+    this.set('oauthCredentials.refreshLockedUntil', null);
 
     return this.save();
 };
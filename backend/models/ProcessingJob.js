@@ -0,0 +1,116 @@
+/**
+ * ProcessingJob Model
+ * A spec ingestion run through the processing pipeline in the background,
+ * persisted so its progress survives restarts and can be polled by the client
+ */
+
+import mongoose from 'mongoose';
+import { DEFAULT_SPEC } from './ApiIndex.js';
+
+// Pipeline steps in order, with their share of the overall progress
+export const JOB_STEPS = [
+    { name: 'parse', weight: 5 },
+    { name: 'index', weight: 10 },
+    { name: 'tags', weight: 20 },
+    { name: 'intents', weight: 25 },
+    { name: 'embeddings', weight: 40 }
+];
+
+const jobStepSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    // Progress within the step, 0-100 (the LLM and embedding steps report intermediate values)
+    progress: { type: Number, default: 0 },
+    startedAt: Date,
+    finishedAt: Date
+}, { _id: false });
+
+export const MAX_JOB_EVENTS = 200;
+
+// Pipeline event streamed to the portal (and replayed to clients that connect late)
+const jobEventSchema = new mongoose.Schema({
+    seq: { type: Number, required: true }, // Used as the SSE event ID
+    type: {
+        type: String,
+        enum: ['step', 'progress', 'retrying', 'completed', 'failed', 'cancelled'],
+        required: true
+    },
+    step: String,
+    message: String,
+    done: Number,
+    total: Number,
+    progress: Number, // Overall job progress when the event happened
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const processingJobSchema = new mongoose.Schema({
+    type: { type: String, enum: ['ingest'], default: 'ingest' },
+    zohoOrgId: { type: String, required: true, index: true },
+    specName: { type: String, default: DEFAULT_SPEC },
+
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+        default: 'queued',
+        index: true
+    },
+    currentStep: { type: String, default: null },
+    steps: {
+        type: [jobStepSchema],
+        default: () => JOB_STEPS.map(step => ({ name: step.name }))
+    },
+    progress: { type: Number, default: 0 }, // Overall percentage
+    // Most recent pipeline events (capped at MAX_JOB_EVENTS); eventCount keeps numbering across the cap
+    events: { type: [jobEventSchema], default: [] },
+    eventCount: { type: Number, default: 0 },
+
+    // Everything needed to run (or re-run) the ingestion; the source auth is stored encrypted
+    // and removed once the job ends (the fetch headers are rebuilt from it, never stored)
+    input: {
+        rawText: { type: String, required: true },
+        mimeType: String,
+        parseOptions: mongoose.Schema.Types.Mixed, // { sourceUrl }
+        baseUrlOverride: String,
+        organizationName: String,
+        sourceType: String,
+        sourceUrl: String,
+        fileName: String,
+        syncSource: mongoose.Schema.Types.Mixed,
+        // Doc extraction whose reviewed candidates the job commits
+        extractionId: mongoose.Schema.Types.ObjectId,
+        // Set ('schedule' | 'manual') when a spec sync started the job
+        syncTrigger: String
+    },
+    // Set when the job ended and its source auth was removed - it cannot be retried without it
+    sourceAuthRemoved: { type: Boolean, default: false },
+    // Ingest response data, set when the job completes
+    result: mongoose.Schema.Types.Mixed,
+    // Version created by the job (removed again if the job fails or is cancelled)
+    apiIndexId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    error: String,
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAfter: { type: Date, default: Date.now }, // Retries are delayed with backoff
+    cancelRequested: { type: Boolean, default: false },
+    // Extended while the job runs; a running job with an expired lock was interrupted by a restart
+    lockedUntil: Date,
+
+    startedAt: Date,
+    finishedAt: Date,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+processingJobSchema.index({ status: 1, runAfter: 1 });
+
+// Update timestamp on save
+processingJobSchema.pre('save', function() {
+    this.updatedAt = Date.now();
+});
+
+export default mongoose.model('ProcessingJob', processingJobSchema);
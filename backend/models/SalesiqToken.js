@@ -1,9 +1,10 @@
 /**
  * SalesiqToken Model
- * Stores OAuth tokens for SalesIQ REST API
+ * Stores OAuth tokens for SalesIQ REST API (encrypted at rest)
  */
 
 import mongoose from 'mongoose';
+import { encryptedField } from '../utils/encryption.js';
 
 const salesiqTokenSchema = new mongoose.Schema({
     // SalesIQ portal identifier (e.g., "zylkerinc")
@@ -17,13 +18,15 @@ const salesiqTokenSchema = new mongoose.Schema({
     // OAuth access token
     accessToken: {
         type: String,
-        required: true
+        required: true,
+        ...encryptedField
     },
 
     // OAuth refresh token
     refreshToken: {
         type: String,
-        required: true
+        required: true,
+        ...encryptedField
     },
 
     // Token expiration timestamp
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { DEFAULT_SPEC } from './ApiIndex.js';
+
+// Outcome of one sync run
+const syncRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  // queued while the processing job re-ingesting the changed spec has not ended
+  status: {
+    type: String,
+    enum: ['unchanged', 'queued', 'updated', 'failed', 'cancelled']
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  // Processing job that re-ingests the changed spec
+  jobId: mongoose.Schema.Types.ObjectId,
+  // Version created by the run
+  knowledgeBaseId: mongoose.Schema.Types.ObjectId,
+  version: Number,
+  activated: Boolean,
+  // Endpoint keys added/changed/removed compared to the previous version
+  changes: mongoose.Schema.Types.Mixed,
+  error: String
+}, { _id: false });
+
+// URL source of an org's spec and its opt-in re-sync schedule
+const specSyncSchema = new mongoose.Schema({
+  zohoOrgId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  specName: {
+    type: String,
+    default: DEFAULT_SPEC
+  },
+  sourceUrl: {
+    type: String,
+    required: true
+  },
+  // Encrypted JSON of the auth config used to fetch the spec at ingestion
+  sourceAuth: {
+    encrypted: String,
+    iv: String,
+    tag: String,
+    keyId: String // missing when encrypted before keys had IDs
+  },
+  baseUrlOverride: {
+    type: String,
+    default: null
+  },
+  organizationName: {
+    type: String,
+    default: null
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  intervalMinutes: {
+    type: Number,
+    default: 1440,
+    min: 15
+  },
+  // Activate the synced version right away instead of leaving it as a draft
+  autoActivate: {
+    type: Boolean,
+    default: false
+  },
+  // Validators of the last fetched document
+  etag: String,
+  lastModified: String,
+  contentHash: String,
+  nextRunAt: Date,
+  // Set while a run is in progress so concurrent schedulers skip the sync
+  lockedUntil: Date,
+  lastRunAt: Date,
+  lastStatus: String,
+  lastError: String,
+  // Most recent runs, newest first
+  runs: {
+    type: [syncRunSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+specSyncSchema.index({ zohoOrgId: 1, specName: 1 }, { unique: true });
+specSyncSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Update timestamp on save
+specSyncSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+export default mongoose.model('SpecSync', specSyncSchema);
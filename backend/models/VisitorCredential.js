@@ -0,0 +1,130 @@
+/**
+ * VisitorCredential Model
+ * Delegated OAuth credentials of an end user of the third-party SaaS, stored under a verified
+ * visitor identity (see visitorIdentityService) - API calls made for a chat use the token of
+ * that visitor
+ * Tokens and the client secret are encrypted at rest
+ */
+
+import mongoose from 'mongoose';
+import { encryptedField } from '../utils/encryption.js';
+
+const visitorCredentialSchema = new mongoose.Schema({
+    // Zoho Organization ID
+    orgId: {
+        type: String,
+        required: true
+    },
+
+    // Individual user ID from third-party SaaS (the visitor ID for in-chat sign-ins)
+    userId: {
+        type: String,
+        required: true
+    },
+
+    // Verified visitor identity: 'user:<SaaS user ID>' or 'chat:<SalesIQ conversation ID>'
+    visitorId: {
+        type: String,
+        required: true
+    },
+
+    name: {
+        type: String,
+        required: false
+    },
+
+    // OAuth credentials of the user
+    oauthCredentials: {
+        accessToken: {
+            type: String,
+            required: false,
+            ...encryptedField
+        },
+        refreshToken: {
+            type: String,
+            required: false,
+            ...encryptedField
+        },
+        tokenType: {
+            type: String,
+            default: 'Bearer'
+        },
+        expiresAt: {
+            type: Date,
+            required: false
+        },
+        scope: {
+            type: String,
+            required: false
+        },
+        // URL to refresh the token
+        tokenRefreshUrl: {
+            type: String,
+            required: false
+        },
+        // Client credentials for token refresh (without a secret the client ID goes in the body)
+        clientId: {
+            type: String,
+            required: false
+        },
+        clientSecret: {
+            type: String,
+            required: false,
+            ...encryptedField
+        },
+        // How the client authenticates to the refresh URL (HTTP Basic header or form body)
+        clientAuthentication: {
+            type: String,
+            enum: ['header', 'body'],
+            default: 'header'
+        },
+        // Set while a refresh is running so server instances don't refresh concurrently
+        refreshLockedUntil: {
+            type: Date,
+            default: null
+        }
+    }
+}, {
+    timestamps: true
+});
+
+visitorCredentialSchema.index({ orgId: 1, visitorId: 1 }, { unique: true });
+
+// Credential of the visitor chatting with an org's bot
+visitorCredentialSchema.statics.findForVisitor = function (orgId, visitorId) {
+    if (!orgId || !visitorId) {
+        return Promise.resolve(null);
+    }
+    return this.findOne({ orgId, visitorId });
+};
+
+// Method to check if OAuth token is valid (for at least marginMs more)
+visitorCredentialSchema.methods.isTokenValid = function (marginMs = 0) {
+    if (!this.oauthCredentials?.accessToken) {
+        return false;
+    }
+
+    if (!this.oauthCredentials.expiresAt) {
+        return true; // Assume valid if no expiry set
+    }
+
+    return Date.now() + marginMs < new Date(this.oauthCredentials.expiresAt).getTime();
+};
+
+// Method to update OAuth token (from a token endpoint response) and release the refresh lock
+visitorCredentialSchema.methods.updateOAuthToken = function (tokenData) {
+    this.set('oauthCredentials.accessToken', tokenData.access_token);
+    // Refresh tokens may be rotated - the old one stays only when no new one is issued
+    if (tokenData.refresh_token) {
+        this.set('oauthCredentials.refreshToken', tokenData.refresh_token);
+    }
+    this.set('oauthCredentials.expiresAt', new Date(Date.now() + (tokenData.expires_in || 3600) * 1000));  // 1 hour default
+    if (tokenData.scope) {
+        this.set('oauthCredentials.scope', tokenData.scope);
+    }
+    this.set('oauthCredentials.refreshLockedUntil', null);
+
+    return this.save();
+};
+
+export default mongoose.model('VisitorCredential', visitorCredentialSchema);
@@ -0,0 +1,96 @@
+/**
+ * VisitorSignIn Model
+ * A pending in-chat sign-in (OAuth authorization code + PKCE) of a visitor, holding the
+ * action the visitor asked for so it can be resumed once the tokens arrive
+ *
+ * pending -> started (link opened, browser bound by cookie) -> authorized (tokens received,
+ * waiting for the confirmation code in the chat) -> completed (credential stored)
+ */
+
+import mongoose from 'mongoose';
+import { encryptedField } from '../utils/encryption.js';
+
+const visitorSignInSchema = new mongoose.Schema({
+    // OAuth state parameter - identifies the sign-in on callback
+    state: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Zoho Organization ID
+    orgId: {
+        type: String,
+        required: true
+    },
+
+    // Visitor the chat belongs to (as used by Conversation)
+    visitorId: {
+        type: String,
+        required: true
+    },
+
+    // PKCE code verifier (the authorization request carries its S256 challenge)
+    codeVerifier: {
+        type: String,
+        required: true,
+        ...encryptedField
+    },
+
+    // Action to run once the visitor is signed in
+    pendingAction: {
+        endpointId: String,
+        apiIndexId: String,
+        method: String,
+        path: String,
+        parameters: mongoose.Schema.Types.Mixed
+    },
+
+    // Actions that change data run only after the visitor confirms them in the chat
+    actionConfirmation: {
+        type: String,
+        enum: ['none', 'awaiting', 'confirmed', 'declined'],
+        default: 'none'
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'started', 'authorizing', 'authorized', 'completed', 'failed'],
+        default: 'pending'
+    },
+
+    // Hash of the nonce in the cookie of the browser that opened the link
+    browserNonceHash: {
+        type: String,
+        required: false
+    },
+
+    // Token response (JSON), held until the visitor enters the confirmation code in the chat
+    tokens: {
+        type: String,
+        required: false,
+        ...encryptedField
+    },
+
+    // Hash of the code shown in the browser after authorization
+    confirmationCodeHash: {
+        type: String,
+        required: false
+    },
+
+    confirmationAttempts: {
+        type: Number,
+        default: 0
+    },
+
+    // Sign-in links are short-lived; documents are removed by MongoDB once expired
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('VisitorSignIn', visitorSignInSchema);
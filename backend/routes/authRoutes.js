@@ -1,5 +1,5 @@
 import express from 'express';
-import { configureAuth, getAuthConfig } from '../controllers/authController.js';
+import { configureAuth, getAuthConfig, getSecuritySchemes } from '../controllers/authController.js';
 
 const router = express.Router();
 
@@ -9,4 +9,7 @@ router.post('/configure', configureAuth);
 // GET /api/auth/config - Get current authentication configuration
 router.get('/config', getAuthConfig);
 
+// GET /api/auth/schemes - Security schemes of a spec and the credential each one uses
+router.get('/schemes', getSecuritySchemes);
+
 export default router;
@@ -6,6 +6,9 @@
 import express from "express";
 import chatbotController from "../controllers/chatbotController.js";
 import salesiqOauthService from "../services/salesiqOauthService.js";
+import VisitorCredential from "../models/VisitorCredential.js";
+import visitorSignInService, { SIGN_IN_TTL_MS } from "../services/visitorSignInService.js";
+import visitorIdentityService from "../services/visitorIdentityService.js";
 
 const router = express.Router();
 
@@ -190,14 +193,32 @@ router.get("/webhook/salesiq/oauth/callback", async (req, res) => {
 
 /**
  * Receive OAuth token from third-party SaaS (user login)
- * POST /chatbot/webhook/salesiq/oauth/callback
+ * POST /chatbot/webhook/salesiq/oauth/callback/:orgId
+ * Signed with the org's visitor identity secret (X-Chat2Act-Signature, see
+ * visitorIdentityService); the token is stored for visitor 'user:<user._id>'
  */
-router.post("/webhook/salesiq/oauth/callback", async (req, res) => {
+router.post("/webhook/salesiq/oauth/callback/:orgId", async (req, res) => {
     try {
-        console.log('\n📥 Received OAuth token from third-party SaaS');
-        console.log('Payload:', JSON.stringify(req.body, null, 2));
+        const { orgId } = req.params;
+        console.log(`\n📥 Received OAuth token from third-party SaaS (org ${orgId})`);
 
-        const { event, token, user, timestamp } = req.body;
+        const secret = await visitorIdentityService.getSecret(orgId);
+        if (!secret) {
+            return res.status(403).json({
+                success: false,
+                error: 'Visitor identity is not configured for this organization'
+            });
+        }
+
+        if (!visitorIdentityService.verifyCallbackSignature(req.rawBody, req.get('X-Chat2Act-Signature'), secret)) {
+            console.warn(`⚠️  Rejected token callback with an invalid signature (org ${orgId})`);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or missing signature'
+            });
+        }
+
+        const { token, user } = req.body;
 
         // Handle token as JWT string
         const accessToken = typeof token === 'string' ? token : token?.access_token;
@@ -219,52 +240,49 @@ router.post("/webhook/salesiq/oauth/callback", async (req, res) => {
             });
         }
 
-        // Import Organization model
-        const Organization = (await import('../models/Organization.js')).default;
+        if (token?.client_authentication && !['header', 'body'].includes(token.client_authentication)) {
+            return res.status(400).json({
+                success: false,
+                error: 'token.client_authentication must be "header" or "body"'
+            });
+        }
 
-        // Find or create by userId
-        let organization = await Organization.findOne({ userId });
+        // Find or create the credential of this user - chats are matched to it through the
+        // identity token the SaaS signs for the same user ID
+        const visitorId = visitorIdentityService.toUserVisitorId(userId);
+        let credential = await VisitorCredential.findForVisitor(orgId, visitorId);
 
-        if (!organization) {
-            console.log(`📝 Creating new user entry: ${userId}`);
-            organization = new Organization({
-                userId,
-                name: user.name || user.email || userId,
-                status: 'pending'  // Pending until orgId is set from chatbot webhook
-            });
+        if (!credential) {
+            console.log(`📝 Creating visitor credential for user: ${userId}`);
+            credential = new VisitorCredential({ orgId, userId, visitorId });
         } else {
-            console.log(`✅ Found existing user: ${organization.name}`);
+            console.log(`✅ Found existing visitor credential: ${credential.visitorId}`);
         }
 
-        // Update OAuth credentials
-        organization.oauthCredentials = {
+        credential.name = user.name || user.email || userId;
+
+        // Update OAuth credentials (refresh settings are kept unless new ones are sent)
+        const previous = credential.oauthCredentials || {};
+        credential.oauthCredentials = {
             accessToken,
-            tokenType: 'Bearer',
-            expiresAt: new Date(Date.now() + 3600 * 1000)  // 1 hour default
+            refreshToken: token?.refresh_token || previous.refreshToken,
+            tokenType: token?.token_type || 'Bearer',
+            expiresAt: new Date(Date.now() + (token?.expires_in || 3600) * 1000),  // 1 hour default
+            scope: token?.scope || previous.scope,
+            tokenRefreshUrl: token?.refresh_url || previous.tokenRefreshUrl,
+            clientId: token?.client_id || previous.clientId,
+            clientSecret: token?.client_secret || previous.clientSecret,
+            clientAuthentication: token?.client_authentication || previous.clientAuthentication
         };
 
-        // Store metadata
-        if (user.email) {
-            if (!organization.metadata) {
-                organization.metadata = new Map();
-            }
-            organization.metadata.set('contact_email', user.email);
-            organization.metadata.set('contact_name', user.name);
-            if (user.mobile) {
-                organization.metadata.set('contact_mobile', user.mobile);
-            }
-        }
+        await credential.save();
 
-        await organization.save();
-
-        console.log(`✅ OAuth token stored for user: ${userId}`);
-        console.log(`   ⏳ Waiting for orgId from chatbot webhook...`);
+        console.log(`✅ OAuth token stored for user: ${userId} (org ${orgId})`);
 
         res.json({
             success: true,
             message: 'Token stored successfully',
-            user_id: userId,
-            note: 'orgId will be set when user interacts with chatbot'
+            user_id: userId
         });
 
     } catch (error) {
@@ -277,6 +295,124 @@ router.post("/webhook/salesiq/oauth/callback", async (req, res) => {
     }
 });
 
+/**
+ * Simple page shown in the visitor's browser after an in-chat sign-in step
+ */
+const renderSignInPage = (title, message, success) => {
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${escapeHtml(title)}</title>
+                <style>
+                    body {
+                        font-family: Arial, sans-serif;
+                        display: flex;
+                        justify-content: center;
+                        align-items: center;
+                        height: 100vh;
+                        margin: 0;
+                        background: #f5f5f5;
+                    }
+                    .container {
+                        background: white;
+                        padding: 40px;
+                        border-radius: 10px;
+                        box-shadow: 0 10px 40px rgba(0,0,0,0.1);
+                        text-align: center;
+                    }
+                    h1 {
+                        color: ${success ? '#4CAF50' : '#f44336'};
+                    }
+                    p {
+                        color: #666;
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <h1>${escapeHtml(title)}</h1>
+                    <p>${escapeHtml(message)}</p>
+                </div>
+            </body>
+            </html>
+        `;
+};
+
+// Cookie binding a sign-in to the browser that opened its link
+const SIGN_IN_COOKIE = 'chat2act_sign_in';
+
+const readCookie = (req, name) => {
+    const cookie = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+/**
+ * Start an in-chat visitor sign-in (link sent by the bot)
+ * GET /chatbot/visitor-auth/start/:state
+ */
+router.get("/visitor-auth/start/:state", async (req, res) => {
+    try {
+        const started = await visitorSignInService.startSignIn(req.params.state);
+
+        if (!started) {
+            return res.status(404).send(renderSignInPage(
+                'Link Expired',
+                'This sign-in link has expired or was already used. Please ask the bot again.',
+                false
+            ));
+        }
+
+        // Lax: sent on the authorization server's redirect back to the callback
+        res.cookie(SIGN_IN_COOKIE, started.browserNonce, {
+            httpOnly: true,
+            secure: req.secure || visitorSignInService.getPublicBaseUrl()?.startsWith('https:'),
+            sameSite: 'lax',
+            path: '/chatbot/visitor-auth',
+            maxAge: SIGN_IN_TTL_MS
+        });
+        res.redirect(started.authorizationUrl);
+
+    } catch (error) {
+        console.error('❌ Error starting visitor sign-in:', error);
+        res.status(500).send(renderSignInPage('Sign-In Failed', 'Please try again or contact support.', false));
+    }
+});
+
+/**
+ * OAuth callback of an in-chat visitor sign-in (authorization code + PKCE)
+ * GET /chatbot/visitor-auth/callback?code=...&state=...
+ */
+router.get("/visitor-auth/callback", async (req, res) => {
+    try {
+        const { code, state, error } = req.query;
+
+        if (error || !code || !state) {
+            console.log(`⚠️  Visitor sign-in not completed: ${error || 'missing code or state'}`);
+            return res.status(400).send(renderSignInPage(
+                'Sign-In Cancelled',
+                'You were not signed in. Please ask the bot again when you are ready.',
+                false
+            ));
+        }
+
+        const confirmationCode = await visitorSignInService.authorizeSignIn(state, code, readCookie(req, SIGN_IN_COOKIE));
+        res.clearCookie(SIGN_IN_COOKIE, { path: '/chatbot/visitor-auth' });
+
+        // The sign-in completes when this code is entered in the chat that asked for it
+        res.send(renderSignInPage(
+            'Almost Done',
+            `Enter the code ${confirmationCode} in your chat to finish signing in. Only enter it in a chat you started yourself.`,
+            true
+        ));
+
+    } catch (error) {
+        console.error('❌ Error in visitor sign-in callback:', error);
+        res.status(400).send(renderSignInPage('Sign-In Failed', error.message, false));
+    }
+});
+
 // Direct session parameter storage (bypasses Zoho webhook)
 router.post("/session", chatbotController.storeSessionParams);
 
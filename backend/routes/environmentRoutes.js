@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  listEnvironments,
+  saveEnvironment,
+  activateEnvironment,
+  deleteEnvironment
+} from '../controllers/environmentController.js';
+
+const router = express.Router();
+
+// GET /api/environments - List environments and server variables of a spec
+router.get('/', listEnvironments);
+
+// PUT /api/environments/:name - Create or update an environment
+router.put('/:name', saveEnvironment);
+
+// POST /api/environments/:name/activate - Switch API calls to an environment
+router.post('/:name/activate', activateEnvironment);
+
+// DELETE /api/environments/:name - Delete an environment and its credentials
+router.delete('/:name', deleteEnvironment);
+
+export default router;
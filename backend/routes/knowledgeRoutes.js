@@ -1,5 +1,8 @@
 import express from 'express';
 import { ingestKnowledge, getLearnedSkills, analyzeKnowledge } from '../controllers/knowledgeController.js';
+import { listVersions, activateVersion, rollbackVersion } from '../controllers/versionController.js';
+import { listEndpoints, updateEndpoint } from '../controllers/curationController.js';
+import { getSyncSchedule, updateSyncSchedule, runSyncNow } from '../controllers/syncController.js';
 
 const router = express.Router();
 
@@ -12,4 +15,28 @@ router.post('/analyze', analyzeKnowledge);
 // GET /api/skills - Get all learned skills/endpoints
 router.get('/skills', getLearnedSkills);
 
+// GET /api/knowledge/versions - List spec versions for an org
+router.get('/versions', listVersions);
+
+// POST /api/knowledge/versions/rollback - Re-activate the previously active version
+router.post('/versions/rollback', rollbackVersion);
+
+// POST /api/knowledge/versions/:knowledgeBaseId/activate - Make a version live
+router.post('/versions/:knowledgeBaseId/activate', activateVersion);
+
+// GET /api/knowledge/versions/:knowledgeBaseId/endpoints - List endpoints for curation
+router.get('/versions/:knowledgeBaseId/endpoints', listEndpoints);
+
+// PATCH /api/knowledge/versions/:knowledgeBaseId/endpoints/:endpointId - Enable/disable or annotate an endpoint
+router.patch('/versions/:knowledgeBaseId/endpoints/:endpointId', updateEndpoint);
+
+// GET /api/knowledge/sync - Sync schedule and run history of a URL-based spec
+router.get('/sync', getSyncSchedule);
+
+// PUT /api/knowledge/sync - Enable/disable scheduled re-sync of a spec
+router.put('/sync', updateSyncSchedule);
+
+// POST /api/knowledge/sync/run - Re-sync a spec now (runs in the background)
+router.post('/sync/run', runSyncNow);
+
 export default router;
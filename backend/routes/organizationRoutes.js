@@ -5,6 +5,10 @@
 
 import express from "express";
 import Organization from "../models/Organization.js";
+import visitorSignInService from "../services/visitorSignInService.js";
+import visitorIdentityService, { IDENTITY_TOKEN_FIELD } from "../services/visitorIdentityService.js";
+import { requireAdmin } from "../utils/adminAuth.js";
+import { assertPublicUrl } from "../utils/urlSafety.js";
 
 const router = express.Router();
 
@@ -20,7 +24,11 @@ const router = express.Router();
  *     "refresh_token": "...",
  *     "expires_in": 3600,
  *     "token_type": "Bearer",
- *     "scope": "..."
+ *     "scope": "...",
+ *     "refresh_url": "...",             // optional - token endpoint used to refresh
+ *     "client_id": "...",               // optional - client authenticating the refresh
+ *     "client_secret": "...",
+ *     "client_authentication": "header" | "body"
  *   },
  *   "user": {
  *     "org_id": "...",
@@ -32,10 +40,8 @@ const router = express.Router();
  */
 router.post("/oauth/callback", async (req, res) => {
     try {
-        console.log('\n📥 Received OAuth token from third-party SaaS');
-        console.log('Payload:', JSON.stringify(req.body, null, 2));
-
         const { event, token, user, timestamp } = req.body;
+        console.log(`\n📥 Received OAuth token from third-party SaaS (${event || 'token'} for org ${user?.org_id})`);
 
         // Validation
         if (!token || !token.access_token) {
@@ -52,13 +58,20 @@ router.post("/oauth/callback", async (req, res) => {
             });
         }
 
+        if (token.client_authentication && !['header', 'body'].includes(token.client_authentication)) {
+            return res.status(400).json({
+                success: false,
+                error: 'token.client_authentication must be "header" or "body"'
+            });
+        }
+
         // Calculate token expiration
         const expiresAt = token.expires_in
             ? new Date(Date.now() + token.expires_in * 1000)
             : new Date(Date.now() + 3600 * 1000); // Default 1 hour
 
         // Find or create organization
-        let organization = await Organization.findOne({ orgId: user.org_id });
+        let organization = await Organization.findOne({ orgId: user.org_id, userId: null });
 
         if (!organization) {
             console.log(`📝 Creating new organization: ${user.org_id}`);
@@ -71,13 +84,18 @@ router.post("/oauth/callback", async (req, res) => {
             console.log(`✅ Found existing organization: ${organization.name}`);
         }
 
-        // Update OAuth credentials
+        // Update OAuth credentials (refresh settings are kept unless new ones are sent)
+        const previous = organization.oauthCredentials || {};
         organization.oauthCredentials = {
             accessToken: token.access_token,
-            refreshToken: token.refresh_token || organization.oauthCredentials?.refreshToken,
+            refreshToken: token.refresh_token || previous.refreshToken,
             tokenType: token.token_type || 'Bearer',
             expiresAt: expiresAt,
-            scope: token.scope || organization.oauthCredentials?.scope
+            scope: token.scope || previous.scope,
+            tokenRefreshUrl: token.refresh_url || previous.tokenRefreshUrl,
+            clientId: token.client_id || previous.clientId,
+            clientSecret: token.client_secret || previous.clientSecret,
+            clientAuthentication: token.client_authentication || previous.clientAuthentication
         };
 
         // Store additional metadata if provided
@@ -112,6 +130,183 @@ router.post("/oauth/callback", async (req, res) => {
     }
 });
 
+/**
+ * Allow (or stop) using the org-level OAuth token for visitors without their own credential
+ * PUT /api/organization/:orgId/visitor-credential-fallback (admin only)
+ *
+ * Expected payload: { "enabled": true | false }
+ */
+router.put("/:orgId/visitor-credential-fallback", requireAdmin, async (req, res) => {
+    try {
+        const { orgId } = req.params;
+        const { enabled } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'enabled must be true or false'
+            });
+        }
+
+        // The org-level row (per-user rows carry a userId)
+        const organization = await Organization.findOne({ orgId, userId: null });
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found - send its OAuth token to /api/organization/oauth/callback first'
+            });
+        }
+
+        organization.visitorCredentialFallback = enabled;
+        await organization.save();
+
+        console.log(`${enabled ? '↪️  Enabled' : '🚫 Disabled'} org-level OAuth fallback for org: ${orgId}`);
+
+        res.json({
+            success: true,
+            org_id: orgId,
+            visitor_credential_fallback: organization.visitorCredentialFallback
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating visitor credential fallback:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Configure the authorization server visitors sign in with from the chat
+ * PUT /api/organization/:orgId/visitor-sign-in (admin only)
+ *
+ * Expected payload:
+ * {
+ *   "authorization_url": "https://auth.example.com/authorize",
+ *   "token_url": "https://auth.example.com/token",
+ *   "client_id": "...",
+ *   "client_secret": "...",          // optional - confidential clients only
+ *   "scopes": ["read", "write"]
+ * }
+ * Register {PUBLIC_BASE_URL}/chatbot/visitor-auth/callback as the redirect URI.
+ */
+router.put("/:orgId/visitor-sign-in", requireAdmin, async (req, res) => {
+    try {
+        const { orgId } = req.params;
+        const { authorization_url, token_url, client_id, client_secret, scopes } = req.body;
+
+        const urls = [authorization_url, token_url];
+        if (urls.some(url => typeof url !== 'string' || !/^https:\/\//i.test(url)) || !client_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'authorization_url and token_url (https URLs) and client_id are required'
+            });
+        }
+
+        // Visitors are sent to the authorization URL and the backend calls the token URL
+        try {
+            await Promise.all(urls.map(url => assertPublicUrl(url)));
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (scopes !== undefined && !Array.isArray(scopes)) {
+            return res.status(400).json({
+                success: false,
+                error: 'scopes must be an array'
+            });
+        }
+
+        // The org-level row (per-user rows carry a userId)
+        let organization = await Organization.findOne({ orgId, userId: null });
+
+        if (!organization) {
+            console.log(`📝 Creating new organization: ${orgId}`);
+            organization = new Organization({
+                orgId,
+                name: orgId,
+                status: 'active'
+            });
+        }
+
+        organization.visitorSignIn = {
+            authorizationUrl: authorization_url,
+            tokenUrl: token_url,
+            clientId: client_id,
+            clientSecret: client_secret || null,
+            scopes: scopes || []
+        };
+        await organization.save();
+
+        console.log(`✅ Visitor sign-in configured for org: ${orgId}`);
+
+        res.json({
+            success: true,
+            org_id: orgId,
+            redirect_uri: visitorSignInService.getRedirectUri()
+        });
+
+    } catch (error) {
+        console.error('❌ Error configuring visitor sign-in:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Issue a new visitor identity secret for an org (replaces the previous one)
+ * POST /api/organization/:orgId/visitor-identity-secret (admin only)
+ *
+ * The secret is returned only once. The org's SaaS uses it to sign visitor identity tokens
+ * and its token callbacks to /chatbot/webhook/salesiq/oauth/callback/:orgId.
+ */
+router.post("/:orgId/visitor-identity-secret", requireAdmin, async (req, res) => {
+    try {
+        const { orgId } = req.params;
+
+        // The org-level row (per-user rows carry a userId)
+        const organization = await Organization.findOne({ orgId, userId: null });
+
+        if (!organization) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found - send its OAuth token to /api/organization/oauth/callback first'
+            });
+        }
+
+        const secret = visitorIdentityService.generateSecret();
+        organization.visitorIdentitySecret = secret;
+        await organization.save();
+
+        console.log(`🔑 Issued visitor identity secret for org: ${orgId}`);
+
+        res.json({
+            success: true,
+            org_id: orgId,
+            secret,
+            identity_token_field: IDENTITY_TOKEN_FIELD,
+            callback_url: `/chatbot/webhook/salesiq/oauth/callback/${encodeURIComponent(orgId)}`
+        });
+
+    } catch (error) {
+        console.error('❌ Error issuing visitor identity secret:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
 /**
  * Health check endpoint
  * GET /api/organization/oauth/health
@@ -2,8 +2,17 @@ import express from "express";
 import {
     startProcessing,
     getProcessingStatus,
+    listJobs,
+    getJob,
+    streamJobEvents,
+    cancelJob,
+    retryJob,
     getApiIndex,
-    getIntentMappings
+    getIntentMappings,
+    listExtractions,
+    getExtraction,
+    updateExtraction,
+    commitExtraction
 } from "../controllers/processingController.js";
 
 const router = express.Router();
@@ -13,6 +22,19 @@ router.get("/status/:docId", getProcessingStatus);
 router.get("/api-index/:apiIndexId", getApiIndex);
 router.get("/intent-mappings/:intentMappingId", getIntentMappings);
 
+// Background ingestion jobs (POST /api/knowledge/ingest returns the job ID)
+router.get("/jobs", listJobs);
+router.get("/jobs/:jobId", getJob);
+router.get("/jobs/:jobId/events", streamJobEvents); // Server-sent events
+router.post("/jobs/:jobId/cancel", cancelJob);
+router.post("/jobs/:jobId/retry", retryJob);
+
+// Review of endpoints extracted from PDF / Markdown docs
+router.get("/extractions", listExtractions);
+router.get("/extractions/:extractionId", getExtraction);
+router.put("/extractions/:extractionId", updateExtraction);
+router.post("/extractions/:extractionId/commit", commitExtraction);
+
 export default router;
 
 
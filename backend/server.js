@@ -12,11 +12,15 @@ import processingRoutes from "./routes/processingRoutes.js";
 import orgRoutes from "./routes/orgRoutes.js";
 import chatbotRoutes from "./routes/chatbotRoutes.js";
 import organizationRoutes from "./routes/organizationRoutes.js";
+import environmentRoutes from "./routes/environmentRoutes.js";
+import { SpecSyncService } from "./services/specSyncService.js";
+import { ProcessingJobService } from "./services/processingJobService.js";
 
 const app = express();
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for verifying signed callbacks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 mongoose.connect(process.env.MONGO_URI,{
     tls: true,
@@ -42,6 +46,7 @@ app.use("/api/org", orgRoutes);
 app.use("/api/processing", processingRoutes);
 app.use("/chatbot", chatbotRoutes);
 app.use("/api/organization", organizationRoutes);
+app.use("/api/environments", environmentRoutes);
 
 // Legacy SalesIQ webhook endpoint
 app.post("/salesiq-webhook", (req, res, next) => {
@@ -58,6 +63,8 @@ mongoose.connect(process.env.MONGO_URI, {
   .then(() => {
     console.log("✅ MongoDB Connected");
     app.listen(5000, () => console.log("🚀 Server running on port 5000"));
+    ProcessingJobService.startWorker();
+    SpecSyncService.startScheduler();
   })
   .catch(err => {
     console.error("❌ MongoDB Connection Error:", err);
@@ -5,55 +5,102 @@
 
 import axios from 'axios';
 import Organization from '../models/Organization.js';
+import VisitorCredential from '../models/VisitorCredential.js';
 import ApiIndex from '../models/ApiIndex.js';
+import Environment from '../models/Environment.js';
+import { getDecryptedAuthConfig, getDecryptedSchemeCredentials } from '../controllers/authController.js';
+import { isEndpointEnabled } from '../utils/endpointCuration.js';
+import { resolveBaseUrl } from '../utils/serverUrl.js';
+import { buildRequestBody, getFieldCatalog } from '../utils/requestFields.js';
+import { selectContentType, encodeRequestBody, parseResponseBody } from '../utils/contentTypes.js';
+import { applyAuth, applyAuthConfig, applySchemeCredential, getCompatibleAuthTypes, selectSecurityRequirement } from '../utils/requestAuth.js';
+import oauthClientCredentialsService from './oauthClientCredentialsService.js';
+
+// Tokens are refreshed this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = (parseInt(process.env.OAUTH_TOKEN_EXPIRY_MARGIN_SECONDS, 10) || 60) * 1000;
+
+// Longest a refresh may hold a credential's lock (other instances wait that long at most)
+const REFRESH_LOCK_MS = 30000;
+const REFRESH_POLL_MS = 500;
+
+const TOKEN_REQUEST_TIMEOUT_MS = 15000;
 
 export class ApiExecutorService {
+    constructor() {
+        this.refreshing = new Map(); // credential key -> Promise of the refresh in flight
+    }
+
     /**
      * Execute an API call with OAuth authentication
      * @param {String} endpointId - The endpoint ID to call
      * @param {Object} parameters - Parameters to pass to the endpoint
      * @param {String} orgId - Organization ID for OAuth credentials
-     * @param {String} apiIndexId - API Index ID to get endpoint spec
+     * @param {String} apiIndexId - API Index ID the endpoint was chosen from (selects the spec)
+     * @param {Object} options - { visitorId } of the chat - calls use that visitor's OAuth credential
      * @returns {Promise<Object>} API response
      */
-    async executeApiCall(endpointId, parameters, orgId, apiIndexId) {
+    async executeApiCall(endpointId, parameters, orgId, apiIndexId, { visitorId = null } = {}) {
         try {
             console.log(`📞 Executing API call for endpoint: ${endpointId}`);
 
-            // 1. Get endpoint specification and base URL from ApiIndex
-            const apiIndex = await ApiIndex.findById(apiIndexId);
-            if (!apiIndex) {
-                throw new Error('API Index not found');
-            }
+            // 1. Get endpoint specification and base URL from the active version of its spec
+            const apiIndex = await this.getActiveApiIndex(orgId, apiIndexId);
 
             const endpoint = apiIndex.endpoints.find(ep => ep.endpointId === endpointId);
             if (!endpoint) {
                 throw new Error(`Endpoint ${endpointId} not found`);
             }
+            if (!isEndpointEnabled(endpoint)) {
+                throw new Error(`Endpoint ${endpointId} is disabled for chat`);
+            }
 
-            // 2. Get base URL from ApiIndex metadata
-            const baseUrl = apiIndex.metadata?.baseUrl;
-            console.log(`Base URL: ${baseUrl}`);
+            // 2. Get base URL from ApiIndex metadata and the spec's active environment (if any)
+            const environment = await Environment.findActive(orgId, apiIndex.spec);
+            const baseUrl = resolveBaseUrl(apiIndex.metadata, environment);
+            console.log(`Base URL: ${baseUrl}${environment ? ` (environment: ${environment.name})` : ''}`);
             if (!baseUrl) {
                 throw new Error('API base URL not configured in ApiIndex metadata');
             }
 
 
-            // 3. Get OAuth token
-            const token = await this.getOAuthToken(orgId);
-
-            // 4. Build request
-            const request = this.buildRequest(endpoint, parameters, token, baseUrl);
+            // 3. Build request with credentials (GraphQL APIs are called through their single endpoint)
+            const isGraphQL = apiIndex.metadata?.format === 'graphql';
+            const prepareRequest = async (staleTokens = []) => {
+                const request = isGraphQL
+                    ? this.buildGraphQLRequest(endpoint, parameters, baseUrl)
+                    : this.buildRequest(endpoint, parameters, baseUrl);
+                const refreshableTokens = await this.applyEndpointAuth(request, { orgId, visitorId, apiIndex, endpoint, environment, staleTokens });
+                if (!isGraphQL) {
+                    await this.encodeBody(request, endpoint);
+                }
+                return { request, refreshableTokens };
+            };
+            let { request, refreshableTokens } = await prepareRequest();
 
-            // 5. Execute request
+            // 4. Execute request - a 401 with an OAuth token (e.g. revoked before it expired)
+            // is retried once with a refreshed token
             console.log(`🚀 Calling ${request.method} ${request.url}`);
-            const response = await axios(request);
+            let response;
+            try {
+                response = await axios(request);
+            } catch (error) {
+                if (error.response?.status !== 401 || refreshableTokens.length === 0) {
+                    throw error;
+                }
+                console.warn('⚠️  API rejected the OAuth token (401) - retrying with a new token');
+                ({ request } = await prepareRequest(refreshableTokens));
+                response = await axios(request);
+            }
+
+            if (isGraphQL) {
+                return this.handleGraphQLResponse(response, endpoint, endpointId);
+            }
 
             console.log(`✅ API call successful: ${response.status}`);
             return {
                 success: true,
                 status: response.status,
-                data: response.data,
+                data: parseResponseBody(response.data, response.headers?.['content-type']),
                 endpoint: `${endpoint.method} ${endpoint.path}`
             };
 
@@ -61,7 +108,10 @@ export class ApiExecutorService {
             console.error(`❌ API execution error:`, error.message);
 
             // User-friendly error messages
-            if (error.response) {
+            if (error.response?.data?.errors?.length > 0) {
+                // GraphQL servers may answer with a non-2xx status and an errors[] body
+                return this.graphQLErrorResult(error.response.data.errors, endpointId);
+            } else if (error.response) {
                 // API returned error response
                 return {
                     success: false,
@@ -72,7 +122,15 @@ export class ApiExecutorService {
                         endpoint: endpointId
                     }
                 };
-            } else if (error.message.includes('OAuth')) {
+            } else if (error.code === 'VISITOR_SIGN_IN_REQUIRED') {
+                // The visitor has to sign in before the call can be made for them
+                return {
+                    success: false,
+                    error: 'SIGN_IN_REQUIRED',
+                    message: 'Please sign in to your account so I can do that for you',
+                    details: { endpoint: endpointId }
+                };
+            } else if (error.code === 'AUTH_NOT_CONFIGURED' || error.message.includes('OAuth')) {
                 // OAuth/Auth error
                 return {
                     success: false,
@@ -92,6 +150,26 @@ export class ApiExecutorService {
         }
     }
 
+    /**
+     * Get the activated API version of the spec an endpoint was chosen from
+     * Calls are never executed against a draft or rolled-back version; endpoint IDs
+     * are stable across versions, so an ID chosen from an older version still resolves
+     */
+    async getActiveApiIndex(orgId, apiIndexId) {
+        const chosen = apiIndexId
+            ? await ApiIndex.findOne({ _id: apiIndexId, zohoOrgId: orgId }).select('specName')
+            : null;
+        const apiIndex = await ApiIndex.findActive(orgId, chosen?.spec);
+        if (!apiIndex) {
+            throw new Error(`No active API version for this organization${chosen ? ` (${chosen.spec} spec)` : ''}`);
+        }
+
+        if (apiIndexId && apiIndex._id.toString() !== apiIndexId.toString()) {
+            console.warn(`⚠️  API index ${apiIndexId} is not the active version - using ${apiIndex._id} (v${apiIndex.version})`);
+        }
+        return apiIndex;
+    }
+
     /**
      * Get endpoint specification from API Index
      */
@@ -106,72 +184,411 @@ export class ApiExecutorService {
     }
 
     /**
-     * Get valid OAuth token for organization
+     * Get valid delegated OAuth token for a chat
+     * The visitor's own credential is used; the org-level token only when the org
+     * enabled visitorCredentialFallback
+     * Tokens are refreshed shortly before they expire, and whenever the API rejected them
+     * @param {String} orgId - Organization ID
+     * @param {String} visitorId - Visitor the call is made for (null outside a chat)
+     * @param {Object} options - { staleTokens } - tokens the API rejected (401)
+     * @throws {Error} With code VISITOR_SIGN_IN_REQUIRED when the visitor has no usable credential,
+     *   AUTH_NOT_CONFIGURED when there is no visitor and no fallback
      */
-    async getOAuthToken(orgId) {
-        // Debug log
-        console.log(`🔍 Looking up Organization with orgId: "${orgId}"`);
+    async getOAuthToken(orgId, visitorId = null, { staleTokens = [] } = {}) {
+        let holder = await VisitorCredential.findForVisitor(orgId, visitorId);
 
-        const org = await Organization.findOne({ orgId: orgId });
+        if (holder?.oauthCredentials?.accessToken) {
+            console.log(`✅ Using OAuth credential of visitor ${holder.visitorId}`);
+        } else {
+            // Debug log
+            console.log(`🔍 Looking up Organization with orgId: "${orgId}"`);
 
-        if (!org) {
-            console.error(`❌ Organization lookup failed for ID: ${orgId}`);
-            throw new Error(`Organization not found for orgId: ${orgId}`);
+            // The org-level row - rows with a userId are legacy per-user entries
+            const org = await Organization.findOne({ orgId: orgId, userId: null });
+
+            if (!org?.visitorCredentialFallback) {
+                console.log(org ? `✅ Found organization: ${org._id} (fallback disabled)` : `❌ Organization lookup failed for ID: ${orgId}`);
+                throw this.signInRequiredError(visitorId);
+            }
+
+            console.log(`✅ Found organization: ${org._id}`);
+
+            if (!org.oauthCredentials || !org.oauthCredentials.accessToken) {
+                throw new Error('OAuth credentials not configured for this organization');
+            }
+
+            console.log(`↪️  Falling back to the org-level OAuth token${visitorId ? ` for visitor ${visitorId}` : ''}`);
+            holder = org;
         }
 
-        console.log(`✅ Found organization: ${org._id}`);
+        // Check if token is valid (and not about to expire)
+        const rejected = staleTokens.includes(holder.oauthCredentials.accessToken);
+        if (!rejected && holder.isTokenValid(TOKEN_REFRESH_MARGIN_MS)) {
+            return holder.oauthCredentials.accessToken;
+        }
 
-        if (!org.oauthCredentials || !org.oauthCredentials.accessToken) {
-            throw new Error('OAuth credentials not configured for this organization');
+        // Refresh it - a visitor whose token cannot be refreshed signs in again
+        console.log(rejected ? '🔄 OAuth token rejected by the API, refreshing...' : '🔄 OAuth token expires soon, refreshing...');
+        try {
+            return await this.refreshOAuthToken(holder);
+        } catch (error) {
+            if (!rejected && holder.isTokenValid()) {
+                console.warn('⚠️  Using the current OAuth token until it expires');
+                return holder.oauthCredentials.accessToken;
+            }
+            if (holder instanceof VisitorCredential) {
+                throw this.signInRequiredError(visitorId);
+            }
+            throw error;
         }
+    }
 
-        // Check if token is valid
-        if (org.isTokenValid()) {
-            return org.oauthCredentials.accessToken;
+    /**
+     * Error for a call that needs a delegated token nobody can provide
+     */
+    signInRequiredError(visitorId) {
+        const error = new Error(visitorId
+            ? `No usable OAuth credential for visitor ${visitorId} (org-level fallback disabled)`
+            : 'No visitor to act for and the org-level OAuth fallback is disabled');
+        error.code = visitorId ? 'VISITOR_SIGN_IN_REQUIRED' : 'AUTH_NOT_CONFIGURED';
+        return error;
+    }
+
+    /**
+     * Add the credentials an endpoint needs to its request
+     * Specs that declare security requirements get a credential for every scheme of the
+     * requirement that can be satisfied (see selectSecurityRequirement); other specs the most
+     * specific configured auth for the spec and environment, or else the chat's OAuth token
+     * @param {Object} request - Request config (updated in place)
+     * @param {Object} context - { orgId, visitorId, apiIndex, endpoint, environment, staleTokens }
+     * @returns {Promise<Array<String>>} OAuth tokens that were applied and can be renewed (see resolveCredential)
+     * @throws {Error} With code AUTH_NOT_CONFIGURED when no requirement can be satisfied
+     */
+    async applyEndpointAuth(request, { orgId, visitorId = null, apiIndex, endpoint, environment, staleTokens = [] }) {
+        const refreshableTokens = [];
+        const resolve = async (credential, scheme = null, scopes = []) => {
+            const resolved = await this.resolveCredential(orgId, credential, { visitorId, scheme, scopes, staleTokens });
+            if (resolved.refreshable) refreshableTokens.push(resolved.config.accessToken);
+            return resolved;
+        };
+
+        const usesSecurity = apiIndex.endpoints.some(ep => ep.security?.length > 0);
+        if (!usesSecurity) {
+            const authConfig = await getDecryptedAuthConfig(orgId, apiIndex.spec, environment?.name);
+            if (authConfig) {
+                applyAuthConfig(request, await resolve(authConfig));
+            } else {
+                const token = await this.getOAuthToken(orgId, visitorId, { staleTokens });
+                applyAuth(request, 'bearer', { token });
+                refreshableTokens.push(token);
+            }
+            return refreshableTokens;
         }
 
-        // Token expired, refresh it
-        console.log('🔄 OAuth token expired, refreshing...');
-        const newToken = await this.refreshOAuthToken(org);
-        return newToken;
+        const securitySchemes = apiIndex.securitySchemes || {};
+        const credentials = await getDecryptedSchemeCredentials(orgId, apiIndex.spec, environment?.name, Object.keys(securitySchemes), { visitorId });
+        const selection = selectSecurityRequirement(endpoint.security || [], securitySchemes, credentials);
+
+        if (!selection.satisfied) {
+            // A visitor can provide an OAuth token by signing in
+            const delegable = selection.missing.some(name => getCompatibleAuthTypes(securitySchemes[name]).includes('oauth2'));
+            if (visitorId && !credentials.delegated && delegable) {
+                throw this.signInRequiredError(visitorId);
+            }
+            const error = new Error(`No credential configured for security scheme(s): ${selection.missing.join(', ')}`);
+            error.code = 'AUTH_NOT_CONFIGURED';
+            throw error;
+        }
+
+        for (const { schemeName, scheme, scopes, credential } of selection.credentials) {
+            const source = credential.delegated ? `${credential.source} OAuth token` : `${credential.authType} credential`;
+            console.log(`🔑 Using ${source} for security scheme ${schemeName}`);
+            applySchemeCredential(request, scheme, await resolve(credential, scheme, scopes));
+        }
+        if (selection.credentials.length === 0) {
+            console.log(`🔓 ${endpoint.method} ${endpoint.path} needs no credentials`);
+        }
+        return refreshableTokens;
+    }
+
+    /**
+     * Turn a credential into one that can be applied to a request
+     * Delegated OAuth tokens (see getOAuthToken) and OAuth2 client credentials are exchanged for
+     * an access token; client credentials fall back to the token URL and scopes the scheme declares
+     * @param {String} orgId - Organization ID
+     * @param {Object} credential - { authType, config, source?, delegated? }
+     * @param {Object} options - { visitorId, scheme, scopes, staleTokens } - staleTokens are never reused
+     * @returns {Promise<Object>} { authType, config, refreshable } - refreshable is set for tokens that can be renewed
+     */
+    async resolveCredential(orgId, credential, { visitorId = null, scheme = null, scopes = [], staleTokens = [] } = {}) {
+        if (credential.delegated) {
+            const accessToken = await this.getOAuthToken(orgId, visitorId, { staleTokens });
+            return { authType: 'oauth2', config: { accessToken }, refreshable: true };
+        }
+        if (credential.authType !== 'oauth2' || credential.config?.accessToken) {
+            return credential;
+        }
+
+        const config = {
+            ...credential.config,
+            tokenUrl: credential.config?.tokenUrl || scheme?.flows?.clientCredentials?.tokenUrl,
+            scopes: credential.config?.scopes || (scopes.length > 0 ? scopes : undefined)
+        };
+        if (!oauthClientCredentialsService.canRequestToken(config)) {
+            return credential;
+        }
+
+        let accessToken = await oauthClientCredentialsService.getAccessToken(config);
+        if (staleTokens.includes(accessToken)) {
+            accessToken = await oauthClientCredentialsService.getAccessToken(config, { staleToken: accessToken });
+        }
+        return { ...credential, config: { ...credential.config, accessToken }, refreshable: true };
     }
 
     /**
-     * Refresh OAuth token
+     * Refresh the OAuth token of a credential (Organization or VisitorCredential)
+     * Concurrent refreshes of one credential share a single request
+     * @param {Object} holder - Document with oauthCredentials
+     * @returns {Promise<String>} New access token
      */
-    async refreshOAuthToken(org) {
-        if (!org.oauthCredentials.refreshToken || !org.oauthCredentials.tokenRefreshUrl) {
+    async refreshOAuthToken(holder) {
+        const key = `${holder.constructor.modelName}:${holder._id}`;
+        if (!this.refreshing.has(key)) {
+            const refresh = this.runTokenRefresh(holder).finally(() => this.refreshing.delete(key));
+            this.refreshing.set(key, refresh);
+        }
+        return this.refreshing.get(key);
+    }
+
+    /**
+     * Refresh a token under the credential's lock (refresh_token grant, RFC 6749 section 6)
+     * The lock is held in the database so other server instances wait for this refresh - with
+     * refresh-token rotation a second refresh would present an already used refresh token
+     */
+    async runTokenRefresh(holder) {
+        const Model = holder.constructor;
+        const previousToken = holder.oauthCredentials?.accessToken;
+        const now = new Date();
+
+        const locked = await Model.findOneAndUpdate(
+            {
+                _id: holder._id,
+                $or: [
+                    { 'oauthCredentials.refreshLockedUntil': null },
+                    { 'oauthCredentials.refreshLockedUntil': { $lte: now } }
+                ]
+            },
+            { $set: { 'oauthCredentials.refreshLockedUntil': new Date(now.getTime() + REFRESH_LOCK_MS) } },
+            { new: true }
+        );
+        if (!locked) {
+            console.log('⏳ OAuth token is being refreshed elsewhere, waiting...');
+            return this.waitForTokenRefresh(Model, holder._id, previousToken);
+        }
+
+        const releaseLock = () => Model.updateOne({ _id: holder._id }, { $set: { 'oauthCredentials.refreshLockedUntil': null } });
+        const credentials = locked.oauthCredentials || {};
+
+        // Refreshed by another instance since the token was read
+        if (credentials.accessToken && credentials.accessToken !== previousToken) {
+            await releaseLock();
+            return credentials.accessToken;
+        }
+
+        if (!credentials.refreshToken || !credentials.tokenRefreshUrl) {
+            await releaseLock();
             throw new Error('Cannot refresh token: missing refresh token or refresh URL');
         }
 
         try {
-            const response = await axios.post(org.oauthCredentials.tokenRefreshUrl, {
+            const body = new URLSearchParams({
                 grant_type: 'refresh_token',
-                refresh_token: org.oauthCredentials.refreshToken,
-                client_id: org.oauthCredentials.clientId,
-                client_secret: org.oauthCredentials.clientSecret
-            }, {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
+                refresh_token: credentials.refreshToken
+            });
+            const headers = {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json'
+            };
+
+            // Client authentication: HTTP Basic by default, form fields when configured or
+            // for public clients (no secret)
+            if (credentials.clientId && credentials.clientSecret && credentials.clientAuthentication !== 'body') {
+                headers['Authorization'] = `Basic ${Buffer.from(`${encodeURIComponent(credentials.clientId)}:${encodeURIComponent(credentials.clientSecret)}`).toString('base64')}`;
+            } else if (credentials.clientId) {
+                body.append('client_id', credentials.clientId);
+                if (credentials.clientSecret) {
+                    body.append('client_secret', credentials.clientSecret);
                 }
+            }
+
+            const response = await axios.post(credentials.tokenRefreshUrl, body.toString(), {
+                headers,
+                timeout: TOKEN_REQUEST_TIMEOUT_MS
             });
 
-            // Update organization with new token
-            await org.updateOAuthToken(response.data);
+            // Some token endpoints answer form-encoded
+            const tokenData = typeof response.data === 'string'
+                ? Object.fromEntries(new URLSearchParams(response.data))
+                : response.data;
+            if (!tokenData?.access_token) {
+                throw new Error('Token response did not include an access_token');
+            }
+
+            // Stores a rotated refresh token and releases the lock
+            await locked.updateOAuthToken(tokenData);
 
-            console.log('✅ OAuth token refreshed successfully');
-            return response.data.access_token;
+            console.log(`✅ OAuth token refreshed successfully${tokenData.refresh_token ? ' (refresh token rotated)' : ''}`);
+            return tokenData.access_token;
 
         } catch (error) {
-            console.error('❌ Token refresh failed:', error.message);
+            await releaseLock();
+            console.error('❌ Token refresh failed:', error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message);
             throw new Error('OAuth token refresh failed');
         }
     }
 
+    /**
+     * Wait for another instance's refresh of a credential to finish
+     * @returns {Promise<String>} The new access token
+     */
+    async waitForTokenRefresh(Model, id, previousToken) {
+        const deadline = Date.now() + REFRESH_LOCK_MS;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, REFRESH_POLL_MS));
+
+            const current = await Model.findById(id);
+            const credentials = current?.oauthCredentials || {};
+            if (credentials.accessToken && credentials.accessToken !== previousToken) {
+                return credentials.accessToken;
+            }
+            if (!credentials.refreshLockedUntil || credentials.refreshLockedUntil <= new Date()) {
+                break; // Lock released without a new token
+            }
+        }
+        throw new Error('OAuth token refresh failed');
+    }
+
+    /**
+     * Build a GraphQL request (query/mutation document + variables) for an endpoint
+     * Only arguments that were actually provided are declared as variables
+     */
+    buildGraphQLRequest(endpoint, parameters, baseUrl) {
+        // Indexes parsed before operation details were stored fall back to the endpoint fields
+        const operation = endpoint.graphql || {
+            operationType: endpoint.method === 'POST' ? 'mutation' : 'query',
+            fieldName: endpoint.operationId,
+            args: (endpoint.parameters || []).map(p => ({
+                name: p.name,
+                type: `${p.schema?.type || 'String'}${p.required ? '!' : ''}`
+            })),
+            selectionSet: ''
+        };
+
+        const provided = (operation.args || []).filter(arg =>
+            parameters[arg.name] !== undefined && parameters[arg.name] !== null && parameters[arg.name] !== ''
+        );
+
+        const variableDefinitions = provided.map(arg => `$${arg.name}: ${arg.type}`).join(', ');
+        const argumentList = provided.map(arg => `${arg.name}: $${arg.name}`).join(', ');
+        const operationName = operation.fieldName.charAt(0).toUpperCase() + operation.fieldName.slice(1);
+
+        const query = `${operation.operationType} ${operationName}${variableDefinitions ? `(${variableDefinitions})` : ''} { ${operation.fieldName}${argumentList ? `(${argumentList})` : ''} ${operation.selectionSet || ''} }`;
+
+        const variables = {};
+        provided.forEach(arg => {
+            variables[arg.name] = this.coerceGraphQLVariable(parameters[arg.name], arg.type);
+        });
+
+        return {
+            method: 'POST',
+            url: baseUrl,
+            params: {},
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            data: { query, operationName, variables }
+        };
+    }
+
+    /**
+     * Coerce an extracted parameter value to its GraphQL argument type
+     * (LLM-extracted values are usually strings)
+     */
+    coerceGraphQLVariable(value, typeRef) {
+        if (typeof value !== 'string') return value;
+
+        const namedType = typeRef.replace(/[[\]!]/g, '');
+
+        switch (namedType) {
+            case 'Int':
+                return Number.isNaN(parseInt(value, 10)) ? value : parseInt(value, 10);
+            case 'Float':
+                return Number.isNaN(parseFloat(value)) ? value : parseFloat(value);
+            case 'Boolean':
+                return value.toLowerCase() === 'true';
+            case 'String':
+            case 'ID':
+                if (!typeRef.startsWith('[')) return value;
+            // falls through - lists and input objects may be sent as JSON text
+            default:
+                try {
+                    return JSON.parse(value);
+                } catch {
+                    return value;
+                }
+        }
+    }
+
+    /**
+     * Turn a GraphQL HTTP response into an execution result
+     * errors[] without data for the field is reported as a failure
+     */
+    handleGraphQLResponse(response, endpoint, endpointId) {
+        const fieldName = endpoint.graphql?.fieldName || endpoint.operationId;
+        const errors = response.data?.errors || [];
+        const data = response.data?.data?.[fieldName];
+
+        if (errors.length > 0 && (data === null || data === undefined)) {
+            return this.graphQLErrorResult(errors, endpointId);
+        }
+
+        if (errors.length > 0) {
+            console.warn(`⚠️  GraphQL returned partial data with ${errors.length} error(s)`);
+        }
+
+        console.log(`✅ GraphQL call successful: ${response.status}`);
+        return {
+            success: true,
+            status: response.status,
+            data,
+            endpoint: `${endpoint.graphql?.operationType || 'query'} ${fieldName}`
+        };
+    }
+
+    /**
+     * Build a user-facing failure from GraphQL errors[]
+     */
+    graphQLErrorResult(errors, endpointId) {
+        const messages = errors.map(e => e.message).filter(Boolean);
+        console.error(`❌ GraphQL errors: ${messages.join('; ')}`);
+
+        return {
+            success: false,
+            error: 'GRAPHQL_ERROR',
+            message: messages.length > 0
+                ? `Sorry, that action failed: ${messages.join('; ')}`
+                : 'Sorry, that action failed—try again shortly',
+            details: {
+                endpoint: endpointId,
+                errors
+            }
+        };
+    }
+
     /**
      * Build HTTP request from endpoint spec and parameters
      */
-    buildRequest(endpoint, parameters, token, baseUrl) {
+    buildRequest(endpoint, parameters, baseUrl) {
         // Build URL
         let url = baseUrl + endpoint.path;
 
@@ -194,10 +611,9 @@ export class ApiExecutorService {
             });
         }
 
-        // Build headers
+        // Build headers - the body is sent in the content type the endpoint declares
         const headers = {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
+            'Content-Type': endpoint.requestBody ? selectContentType(endpoint.requestBody.contentTypes) : 'application/json'
         };
 
         // Add header parameters
@@ -209,25 +625,10 @@ export class ApiExecutorService {
             });
         }
 
-        // Build request body
+        // Build request body - flat parameters are placed at their (nested) body field paths
         let data = null;
         if (['POST', 'PUT', 'PATCH'].includes(endpoint.method.toUpperCase())) {
-            // Extract body parameters
-            const bodyParams = {};
-            if (endpoint.requestBody && endpoint.requestBody.schema) {
-                // Use provided parameters for body
-                Object.keys(parameters).forEach(key => {
-                    // Skip path, query, header params
-                    const isPathParam = endpoint.parameters?.some(p => p.in === 'path' && p.name === key);
-                    const isQueryParam = endpoint.parameters?.some(p => p.in === 'query' && p.name === key);
-                    const isHeaderParam = endpoint.parameters?.some(p => p.in === 'header' && p.name === key);
-
-                    if (!isPathParam && !isQueryParam && !isHeaderParam) {
-                        bodyParams[key] = parameters[key];
-                    }
-                });
-            }
-            data = bodyParams;
+            data = endpoint.requestBody?.schema ? buildRequestBody(endpoint, parameters) : {};
         }
 
         return {
@@ -238,6 +639,28 @@ export class ApiExecutorService {
             data
         };
     }
+
+    /**
+     * Encode the request body for its Content-Type (form, multipart, XML, text)
+     * File parts of multipart bodies are loaded here, so this is done after buildRequest
+     */
+    async encodeBody(request, endpoint) {
+        const contentType = request.headers['Content-Type'];
+        const fileFields = getFieldCatalog(endpoint)
+            .filter(field => field.in === 'body' && [field.format, field.itemFormat].some(f => f === 'binary' || f === 'base64'))
+            .map(field => field.name);
+
+        request.data = await encodeRequestBody(request.data, contentType, {
+            fileFields,
+            xmlName: endpoint.requestBody?.schema?.xml?.name
+        });
+
+        // Axios sets the multipart boundary itself
+        if (request.data instanceof FormData) {
+            delete request.headers['Content-Type'];
+        }
+        return request;
+    }
 }
 
 export default new ApiExecutorService();
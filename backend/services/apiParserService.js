@@ -1,15 +1,21 @@
 /**
  * API Documentation Parser Service
- * Supports: OpenAPI/Swagger, JSON Schema, YAML, GraphQL
+ * Supports: OpenAPI/Swagger, Postman Collection v2.x, JSON Schema, YAML, GraphQL
  */
 
 import yaml from 'js-yaml';
+import { buildSchema, introspectionFromSchema } from 'graphql';
+import { dereference } from '../utils/refResolver.js';
+import { resolveServerUrl } from '../utils/serverUrl.js';
 
 export class ApiParserService {
     /**
      * Main entry point - detects format and parses accordingly
+     * @param {String} rawText - Raw specification text
+     * @param {String} mimeType - MIME type of the specification
+     * @param {Object} options - { sourceUrl, headers } used to resolve external $refs
      */
-    static async parse(rawText, mimeType) {
+    static async parse(rawText, mimeType, options = {}) {
         try {
             // Detect format
             const format = this.detectFormat(rawText, mimeType);
@@ -18,10 +24,13 @@ export class ApiParserService {
             switch (format) {
                 case 'openapi':
                 case 'swagger':
-                    parsed = this.parseOpenAPI(rawText);
+                    parsed = await this.parseOpenAPI(rawText, options);
                     break;
                 case 'graphql':
-                    parsed = this.parseGraphQL(rawText);
+                    parsed = this.parseGraphQL(rawText, options);
+                    break;
+                case 'postman':
+                    parsed = this.parsePostman(rawText);
                     break;
                 case 'json':
                     parsed = this.parseJSON(rawText);
@@ -41,12 +50,18 @@ export class ApiParserService {
      * Detect API documentation format
      */
     static detectFormat(rawText, mimeType) {
+        // GraphQL SDL is neither JSON nor YAML
+        if (mimeType === 'application/graphql' || this.isGraphQLSDL(rawText)) {
+            return 'graphql';
+        }
+
         // Check mime type first
         if (mimeType === 'application/json') {
             try {
                 const json = JSON.parse(rawText);
                 if (json.openapi || json.swagger) return 'openapi';
                 if (json.data && json.data.__schema) return 'graphql';
+                if (this.isPostmanCollection(json)) return 'postman';
                 return 'json';
             } catch {
                 return 'json';
@@ -68,6 +83,7 @@ export class ApiParserService {
             const json = JSON.parse(rawText);
             if (json.openapi || json.swagger) return 'openapi';
             if (json.data && json.data.__schema) return 'graphql';
+            if (this.isPostmanCollection(json)) return 'postman';
             return 'json';
         } catch {
             // Try YAML
@@ -81,10 +97,21 @@ export class ApiParserService {
         }
     }
 
+    /**
+     * Check whether a JSON document is a Postman Collection (v2.0 / v2.1)
+     */
+    static isPostmanCollection(json) {
+        if (!json || !json.info || !Array.isArray(json.item)) return false;
+        const schema = json.info.schema || '';
+        return schema.includes('getpostman.com') || Boolean(json.info._postman_id);
+    }
+
     /**
      * Parse OpenAPI/Swagger specification
+     * All $refs under paths are dereferenced before endpoints are extracted.
+     * Swagger 2.0 documents are converted to the OpenAPI 3 model on the way.
      */
-    static parseOpenAPI(rawText) {
+    static async parseOpenAPI(rawText, options = {}) {
         let spec;
         try {
             spec = JSON.parse(rawText);
@@ -92,25 +119,36 @@ export class ApiParserService {
             spec = yaml.load(rawText);
         }
 
+        const isSwagger2 = String(spec.swagger || '').startsWith('2');
+
         const endpoints = [];
-        const servers = spec.servers || [];
-        const baseUrl = servers[0]?.url || '';
-        const paths = spec.paths || {};
+        const servers = isSwagger2 ? this.getSwagger2Servers(spec) : (spec.servers || []);
+        // Server variables are resolved with their defaults; the template is kept for overrides
+        const server = servers[0];
+        const baseUrl = server ? resolveServerUrl(server.url, server.variables) : '';
+        const paths = await dereference(spec, spec.paths || {}, options);
 
         for (const [path, pathItem] of Object.entries(paths)) {
-            for (const [method, operation] of Object.entries(pathItem)) {
+            const pathParameters = pathItem.parameters || [];
+
+            for (const [method, rawOperation] of Object.entries(pathItem)) {
                 if (!['get', 'post', 'put', 'patch', 'delete', 'options', 'head'].includes(method.toLowerCase())) {
                     continue;
                 }
 
+                const parameters = this.mergeParameters(pathParameters, rawOperation.parameters || []);
+                const operation = isSwagger2
+                    ? this.convertSwagger2Operation(rawOperation, parameters, spec)
+                    : { ...rawOperation, parameters };
+
                 const endpoint = {
                     path,
                     method: method.toUpperCase(),
-                    summary: operation.summary || '',
-                    description: operation.description || '',
+                    summary: operation.summary || pathItem.summary || '',
+                    description: operation.description || pathItem.description || '',
                     operationId: operation.operationId || `${method}_${path.replace(/\//g, '_').replace(/[{}]/g, '')}`,
                     tags: operation.tags || [],
-                    parameters: this.extractParameters(operation.parameters || []),
+                    parameters: this.extractParameters(operation.parameters),
                     requestBody: this.extractRequestBody(operation.requestBody),
                     responses: this.extractResponses(operation.responses || {}),
                     security: operation.security || spec.security || [],
@@ -121,41 +159,612 @@ export class ApiParserService {
             }
         }
 
+        const components = isSwagger2
+            ? {
+                schemas: spec.definitions || {},
+                parameters: spec.parameters || {},
+                responses: spec.responses || {},
+                securitySchemes: this.convertSwagger2SecurityDefinitions(spec.securityDefinitions || {})
+            }
+            : (spec.components || {});
+
         return {
             format: 'openapi',
             version: spec.openapi || spec.swagger,
             info: spec.info || {},
             baseUrl,
+            baseUrlTemplate: server?.variables ? server.url : undefined,
+            serverVariables: server?.variables,
             servers,
             endpoints,
-            components: spec.components || {},
-            securitySchemes: spec.components?.securitySchemes || {}
+            components,
+            securitySchemes: components.securitySchemes || {}
+        };
+    }
+
+    /**
+     * Build server URLs from Swagger 2.0 schemes, host and basePath
+     */
+    static getSwagger2Servers(spec) {
+        const basePath = spec.basePath && spec.basePath !== '/' ? spec.basePath.replace(/\/$/, '') : '';
+
+        if (!spec.host) {
+            return basePath ? [{ url: basePath }] : [];
+        }
+
+        const schemes = spec.schemes?.length > 0 ? spec.schemes : ['https'];
+        return schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+    }
+
+    /**
+     * Convert a (dereferenced) Swagger 2.0 operation to the OpenAPI 3 shape
+     * - in: body becomes requestBody using consumes
+     * - in: formData becomes a form requestBody (multipart when files are present)
+     * - parameter type/format/items move under schema
+     * - response schema/examples move under content using produces
+     */
+    static convertSwagger2Operation(operation, parameters, spec) {
+        const consumes = operation.consumes || spec.consumes || ['application/json'];
+        const produces = operation.produces || spec.produces || ['application/json'];
+
+        const bodyParam = parameters.find(p => p.in === 'body');
+        const formParams = parameters.filter(p => p.in === 'formData');
+
+        let requestBody = null;
+
+        if (bodyParam) {
+            const bodyTypes = consumes.filter(type => !type.includes('form'));
+            const media = { schema: bodyParam.schema || {} };
+            if (bodyParam['x-example'] !== undefined) media.example = bodyParam['x-example'];
+
+            requestBody = {
+                description: bodyParam.description || '',
+                required: bodyParam.required || false,
+                content: Object.fromEntries(
+                    (bodyTypes.length > 0 ? bodyTypes : ['application/json']).map(type => [type, media])
+                )
+            };
+        } else if (formParams.length > 0) {
+            const hasFile = formParams.some(p => p.type === 'file');
+            const schema = { type: 'object', properties: {} };
+            const required = [];
+
+            for (const param of formParams) {
+                schema.properties[param.name] = param.type === 'file'
+                    ? { type: 'string', format: 'binary', description: param.description || '' }
+                    : { ...this.getSwagger2ParamSchema(param), description: param.description || '' };
+                if (param.required) required.push(param.name);
+            }
+            if (required.length > 0) schema.required = required;
+
+            let formTypes = consumes.filter(type => type.includes('form'));
+            if (formTypes.length === 0) {
+                formTypes = [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+            } else if (hasFile) {
+                formTypes.sort((a, b) => (b === 'multipart/form-data') - (a === 'multipart/form-data'));
+            }
+
+            requestBody = {
+                description: '',
+                required: required.length > 0,
+                content: Object.fromEntries(formTypes.map(type => [type, { schema }]))
+            };
+        }
+
+        const responses = {};
+        for (const [statusCode, response] of Object.entries(operation.responses || {})) {
+            const content = {};
+            if (response.schema) {
+                for (const type of produces) {
+                    content[type] = { schema: response.schema };
+                    if (response.examples?.[type] !== undefined) content[type].example = response.examples[type];
+                }
+            }
+            responses[statusCode] = { description: response.description || '', content };
+        }
+
+        return {
+            ...operation,
+            parameters: parameters
+                .filter(p => p.in !== 'body' && p.in !== 'formData')
+                .map(p => ({
+                    ...p,
+                    schema: p.schema || this.getSwagger2ParamSchema(p),
+                    ...(p['x-example'] !== undefined ? { example: p['x-example'] } : {})
+                })),
+            requestBody,
+            responses
+        };
+    }
+
+    /**
+     * Collect the schema keywords a Swagger 2.0 non-body parameter carries inline
+     */
+    static getSwagger2ParamSchema(param) {
+        const schema = {};
+        const keywords = ['type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'pattern', 'minLength', 'maxLength', 'collectionFormat'];
+        for (const keyword of keywords) {
+            if (param[keyword] !== undefined) schema[keyword] = param[keyword];
+        }
+        return schema;
+    }
+
+    /**
+     * Convert Swagger 2.0 securityDefinitions to OpenAPI 3 securitySchemes
+     */
+    static convertSwagger2SecurityDefinitions(definitions) {
+        const flowNames = {
+            implicit: 'implicit',
+            password: 'password',
+            application: 'clientCredentials',
+            accessCode: 'authorizationCode'
+        };
+
+        const schemes = {};
+        for (const [name, definition] of Object.entries(definitions)) {
+            if (definition.type === 'basic') {
+                schemes[name] = { type: 'http', scheme: 'basic', description: definition.description };
+            } else if (definition.type === 'oauth2') {
+                const flow = { scopes: definition.scopes || {} };
+                if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+                if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+                schemes[name] = {
+                    type: 'oauth2',
+                    description: definition.description,
+                    flows: { [flowNames[definition.flow] || definition.flow]: flow }
+                };
+            } else {
+                schemes[name] = { ...definition };
+            }
+        }
+        return schemes;
+    }
+
+    /**
+     * Parse Postman Collection v2.0 / v2.1
+     * Walks nested folders, turns unknown {{variables}} and :pathParams into templated paths,
+     * extracts saved examples and maps collection auth into securitySchemes
+     */
+    static parsePostman(rawText) {
+        const collection = JSON.parse(rawText);
+        const version = (collection.info.schema || '').match(/v(2\.\d+(\.\d+)?)/)?.[1] || '2.1.0';
+
+        const variables = {};
+        for (const variable of collection.variable || []) {
+            if (variable.key && !variable.disabled) variables[variable.key] = variable.value;
+        }
+
+        const securitySchemes = {};
+        const endpoints = [];
+        const hosts = new Map(); // baseUrl -> number of requests using it
+
+        const walk = (items, folders, inheritedAuth) => {
+            for (const item of items) {
+                const auth = item.auth || inheritedAuth;
+
+                if (Array.isArray(item.item)) {
+                    walk(item.item, [...folders, item.name].filter(Boolean), auth);
+                    continue;
+                }
+
+                if (!item.request) continue;
+
+                const { baseUrl, ...endpoint } = this.convertPostmanItem(item, folders, auth, variables, securitySchemes);
+                hosts.set(baseUrl, (hosts.get(baseUrl) || 0) + 1);
+                endpoints.push(endpoint);
+            }
+        };
+
+        walk(collection.item, [], collection.auth || null);
+
+        // Use the most common host as the API base URL
+        const baseUrl = [...hosts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+
+        return {
+            format: 'postman',
+            version,
+            info: {
+                title: collection.info.name,
+                description: this.postmanDescription(collection.info.description)
+            },
+            baseUrl,
+            servers: baseUrl ? [{ url: baseUrl }] : [],
+            endpoints,
+            components: {},
+            securitySchemes
+        };
+    }
+
+    /**
+     * Convert a single Postman request item into an endpoint
+     */
+    static convertPostmanItem(item, folders, auth, variables, securitySchemes) {
+        const request = typeof item.request === 'string' ? { url: item.request } : item.request;
+        const method = (request.method || 'GET').toUpperCase();
+        const url = this.parsePostmanUrl(request.url, variables);
+
+        const parameters = [...url.parameters];
+
+        for (const header of request.header || []) {
+            if (header.disabled || !header.key) continue;
+            if (['content-type', 'authorization', 'accept'].includes(header.key.toLowerCase())) continue;
+            parameters.push({
+                name: header.key,
+                in: 'header',
+                description: this.postmanDescription(header.description),
+                required: false,
+                schema: { type: 'string' },
+                ...(this.isPostmanVariable(header.value) ? {} : { example: header.value })
+            });
+        }
+
+        const requestBody = this.extractPostmanBody(request, variables);
+
+        // Saved examples become response schemas and request/response examples
+        const responses = {};
+        const examples = { requests: [], responses: [] };
+
+        if (requestBody?.example !== undefined) {
+            examples.requests.push({ contentType: requestBody.contentTypes[0], body: requestBody.example });
+        }
+
+        for (const saved of item.response || []) {
+            const statusCode = saved.code || 200;
+            const contentType = (saved.header || [])
+                .find(h => h.key?.toLowerCase() === 'content-type')?.value?.split(';')[0]
+                || (saved._postman_previewlanguage === 'json' ? 'application/json' : 'text/plain');
+            const body = this.parsePostmanJson(saved.body, variables);
+
+            if (!responses[statusCode]) {
+                responses[statusCode] = {
+                    description: saved.name || saved.status || '',
+                    contentTypes: [contentType],
+                    schema: this.inferSchema(body),
+                    example: body ?? null,
+                    examples: {}
+                };
+            }
+
+            if (body !== undefined) {
+                examples.responses.push({ statusCode: parseInt(statusCode), contentType, body });
+            }
+
+            const originalBody = saved.originalRequest ? this.extractPostmanBody(saved.originalRequest, variables) : null;
+            if (originalBody?.example !== undefined) {
+                examples.requests.push({ contentType: originalBody.contentTypes[0], body: originalBody.example });
+            }
+        }
+
+        const name = item.name || `${method} ${url.path}`;
+
+        return {
+            path: url.path,
+            baseUrl: url.baseUrl,
+            method,
+            summary: name,
+            description: this.postmanDescription(request.description || item.description),
+            operationId: name.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '') || `${method}_${url.path.replace(/\//g, '_')}`,
+            tags: folders,
+            parameters,
+            requestBody,
+            responses,
+            security: this.mapPostmanAuth(request.auth || auth, securitySchemes),
+            deprecated: false,
+            examples
+        };
+    }
+
+    /**
+     * Split a Postman URL into base URL, templated path and parameters
+     * Handles both the string form and the structured { host, path, query, variable } form
+     */
+    static parsePostmanUrl(url, variables) {
+        let host = '';
+        let pathSegments = [];
+        let query = [];
+        const pathVariables = (typeof url === 'object' && url?.variable) || [];
+
+        if (typeof url === 'string' || (url && !url.host && !url.path)) {
+            const raw = typeof url === 'string' ? url : url?.raw || '';
+            const queryStart = raw.indexOf('?');
+            const withoutQuery = queryStart === -1 ? raw : raw.slice(0, queryStart);
+            const queryString = queryStart === -1 ? '' : raw.slice(queryStart + 1);
+            const match = withoutQuery.match(/^((?:[a-z]+:\/\/)?[^/]*)(\/.*)?$/i);
+            host = match ? match[1] : '';
+            pathSegments = (match?.[2] || '').split('/').filter(Boolean);
+            query = queryString.split('&').filter(Boolean).map(pair => {
+                // Values may contain '=' themselves (e.g. base64)
+                const separator = pair.indexOf('=');
+                return separator === -1
+                    ? { key: pair, value: undefined }
+                    : { key: pair.slice(0, separator), value: pair.slice(separator + 1) };
+            });
+        } else if (url) {
+            const hostPart = Array.isArray(url.host) ? url.host.join('.') : (url.host || '');
+            host = url.protocol ? `${url.protocol}://${hostPart}` : hostPart;
+            if (url.port) host += `:${url.port}`;
+            pathSegments = Array.isArray(url.path) ? url.path : String(url.path || '').split('/').filter(Boolean);
+            query = url.query || [];
+        }
+
+        const baseUrl = this.resolvePostmanVariables(host, variables).replace(/\/$/, '');
+        const parameters = [];
+        const seen = new Set();
+
+        // Known collection variables are substituted; only unknown ones become path parameters
+        // Structured segments may have no value (empty or variable-only segments)
+        const segments = pathSegments.map(segment => {
+            const value = String((typeof segment === 'object' ? segment?.value : segment) ?? '');
+            return this.resolvePostmanVariables(value.replace(/^:(\w+)$/, '{$1}'), variables);
+        }).filter(Boolean);
+
+        for (const segment of segments) {
+            for (const [, name] of segment.matchAll(/\{(\w+)\}/g)) {
+                if (seen.has(name)) continue;
+                seen.add(name);
+                const variable = pathVariables.find(v => v.key === name);
+                parameters.push({
+                    name,
+                    in: 'path',
+                    description: this.postmanDescription(variable?.description),
+                    required: true,
+                    schema: { type: 'string' },
+                    ...(variable?.value && !this.isPostmanVariable(variable.value) ? { example: variable.value } : {})
+                });
+            }
+        }
+
+        for (const param of query) {
+            if (param.disabled || !param.key) continue;
+            parameters.push({
+                name: param.key,
+                in: 'query',
+                description: this.postmanDescription(param.description),
+                required: false,
+                schema: { type: 'string' },
+                ...(param.value && !this.isPostmanVariable(param.value) ? { example: param.value } : {})
+            });
+        }
+
+        return {
+            baseUrl,
+            path: `/${segments.join('/')}`,
+            parameters
         };
     }
 
     /**
-     * Parse GraphQL schema
+     * Extract request body from a Postman request (raw, urlencoded, formdata, graphql)
      */
-    static parseGraphQL(rawText) {
+    static extractPostmanBody(request, variables = {}) {
+        const body = request.body;
+        if (!body || !body.mode || body.disabled) return null;
+
+        const declaredType = (request.header || [])
+            .find(h => !h.disabled && h.key?.toLowerCase() === 'content-type')?.value?.split(';')[0];
+
+        switch (body.mode) {
+            case 'raw': {
+                if (!body.raw) return null;
+                const example = this.parsePostmanJson(body.raw, variables);
+                const languageTypes = { json: 'application/json', xml: 'application/xml', html: 'text/html' };
+                const contentType = declaredType
+                    || (typeof example === 'object' ? 'application/json' : languageTypes[body.options?.raw?.language])
+                    || 'text/plain';
+                return {
+                    required: true,
+                    description: '',
+                    contentTypes: [contentType],
+                    schema: this.inferSchema(example),
+                    example
+                };
+            }
+            case 'urlencoded':
+            case 'formdata': {
+                const fields = (body[body.mode] || []).filter(f => !f.disabled && f.key);
+                const properties = {};
+                const example = {};
+                for (const field of fields) {
+                    properties[field.key] = field.type === 'file'
+                        ? { type: 'string', format: 'binary' }
+                        : { type: 'string', description: this.postmanDescription(field.description) };
+                    if (field.type !== 'file' && field.value !== undefined && !this.isPostmanVariable(field.value)) {
+                        example[field.key] = field.value;
+                    }
+                }
+                return {
+                    required: true,
+                    description: '',
+                    contentTypes: [body.mode === 'urlencoded' ? 'application/x-www-form-urlencoded' : 'multipart/form-data'],
+                    schema: { type: 'object', properties },
+                    example
+                };
+            }
+            case 'graphql':
+                return {
+                    required: true,
+                    description: '',
+                    contentTypes: ['application/json'],
+                    schema: {
+                        type: 'object',
+                        properties: { query: { type: 'string' }, variables: { type: 'object' } }
+                    },
+                    example: {
+                        query: body.graphql?.query,
+                        variables: this.parsePostmanJson(body.graphql?.variables, variables) || {}
+                    }
+                };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Map Postman auth onto OpenAPI-style security schemes and return the security requirement
+     */
+    static mapPostmanAuth(auth, securitySchemes) {
+        if (!auth || !auth.type || auth.type === 'noauth') return [];
+
+        // v2.1 stores auth attributes as [{ key, value }], v2.0 as a plain object
+        const raw = auth[auth.type] || {};
+        const attrs = Array.isArray(raw)
+            ? Object.fromEntries(raw.map(entry => [entry.key, entry.value]))
+            : raw;
+
+        let name;
+        let scheme;
+
+        switch (auth.type) {
+            case 'bearer':
+                name = 'bearerAuth';
+                scheme = { type: 'http', scheme: 'bearer' };
+                break;
+            case 'basic':
+                name = 'basicAuth';
+                scheme = { type: 'http', scheme: 'basic' };
+                break;
+            case 'apikey':
+                name = `apiKey_${attrs.key || 'key'}`;
+                scheme = { type: 'apiKey', name: attrs.key || 'api_key', in: attrs.in === 'query' ? 'query' : 'header' };
+                break;
+            case 'oauth2': {
+                name = 'oauth2';
+                const flowName = {
+                    authorization_code: 'authorizationCode',
+                    authorization_code_with_pkce: 'authorizationCode',
+                    client_credentials: 'clientCredentials',
+                    password_credentials: 'password',
+                    implicit: 'implicit'
+                }[attrs.grant_type] || 'authorizationCode';
+                const flow = { scopes: {} };
+                if (attrs.authUrl) flow.authorizationUrl = attrs.authUrl;
+                if (attrs.accessTokenUrl) flow.tokenUrl = attrs.accessTokenUrl;
+                for (const scope of String(attrs.scope || '').split(/\s+/).filter(Boolean)) {
+                    flow.scopes[scope] = '';
+                }
+                scheme = { type: 'oauth2', flows: { [flowName]: flow } };
+                break;
+            }
+            default:
+                name = `${auth.type}Auth`;
+                scheme = { type: auth.type };
+        }
+
+        securitySchemes[name] = scheme;
+        return [{ [name]: [] }];
+    }
+
+    /**
+     * Replace {{variables}} with collection variable values (unknown ones become {name})
+     */
+    static resolvePostmanVariables(text, variables) {
+        return String(text || '').replace(/\{\{(\w+)\}\}/g, (match, name) =>
+            variables[name] !== undefined && variables[name] !== '' ? String(variables[name]) : `{${name}}`
+        );
+    }
+
+    /**
+     * Check whether a value is just a {{variable}} placeholder
+     */
+    static isPostmanVariable(value) {
+        return typeof value === 'string' && /^\{\{[^}]+\}\}$/.test(value.trim());
+    }
+
+    /**
+     * Postman descriptions can be a string or { content, type }
+     */
+    static postmanDescription(description) {
+        if (!description) return '';
+        return typeof description === 'string' ? description : description.content || '';
+    }
+
+    /**
+     * Parse a Postman JSON body, substituting {{variables}} with collection variable values
+     * Inside strings unknown variables are kept; unquoted ones become null
+     * Returns the raw text when the body is not JSON
+     */
+    static parsePostmanJson(text, variables = {}) {
+        if (text === undefined || text === null || text === '') return undefined;
+        if (typeof text !== 'string') return text;
+
+        const known = name => variables[name] !== undefined && variables[name] !== '';
+        // String literals are matched first so placeholders inside them are substituted, not replaced
+        const substituted = text.replace(/"(?:[^"\\]|\\.)*"|\{\{([^{}]+)\}\}/g, (match, bareName) => {
+            if (bareName === undefined) {
+                return match.replace(/\{\{([^{}]+)\}\}/g, (placeholder, name) =>
+                    known(name) ? JSON.stringify(String(variables[name])).slice(1, -1) : placeholder
+                );
+            }
+            if (!known(bareName)) return 'null';
+            // Postman substitutes textually, so numbers and booleans stay literals
+            const value = String(variables[bareName]);
+            try {
+                JSON.parse(value);
+                return value;
+            } catch {
+                return JSON.stringify(value);
+            }
+        });
+
+        try {
+            return JSON.parse(substituted);
+        } catch {
+            return text;
+        }
+    }
+
+    /**
+     * Infer a JSON schema from an example value
+     */
+    static inferSchema(value) {
+        if (value === undefined || value === null) return {};
+        if (Array.isArray(value)) {
+            return { type: 'array', items: value.length > 0 ? this.inferSchema(value[0]) : {} };
+        }
+        if (typeof value === 'object') {
+            const properties = {};
+            for (const [key, child] of Object.entries(value)) {
+                properties[key] = this.inferSchema(child);
+            }
+            return { type: 'object', properties };
+        }
+        if (typeof value === 'number') {
+            return { type: Number.isInteger(value) ? 'integer' : 'number' };
+        }
+        return { type: typeof value };
+    }
+
+    /**
+     * Parse GraphQL schema (introspection JSON or SDL)
+     * Each root field becomes an endpoint carrying the operation details
+     * (operation type, argument types, selection set) needed for execution
+     * @param {String} rawText - Introspection JSON or SDL
+     * @param {Object} options - { sourceUrl } the schema was fetched from
+     */
+    static parseGraphQL(rawText, options = {}) {
         let schema;
         try {
             schema = JSON.parse(rawText);
             if (schema.data && schema.data.__schema) {
                 schema = schema.data.__schema;
+            } else if (schema.__schema) {
+                schema = schema.__schema;
             }
         } catch {
-            // Try to parse as GraphQL SDL (would need graphql library)
-            throw new Error('GraphQL SDL parsing not yet implemented');
+            // Not JSON - build the schema from SDL and introspect it
+            schema = introspectionFromSchema(buildSchema(rawText, { assumeValidSDL: true })).__schema;
         }
 
         const endpoints = [];
         const queryType = schema.queryType;
         const mutationType = schema.mutationType;
-        const subscriptionType = schema.subscriptionType;
+        const typesByName = new Map((schema.types || []).map(t => [t.name, t]));
 
         const processType = (type, method) => {
             if (!type || !type.fields) return;
 
+            const operationType = method === 'POST' ? 'mutation' : 'query';
+
             for (const field of type.fields) {
                 endpoints.push({
                     path: `/${field.name}`,
@@ -168,7 +777,17 @@ export class ApiParserService {
                     requestBody: null,
                     responses: this.extractGraphQLResponse(field.type),
                     security: [],
-                    deprecated: field.isDeprecated || false
+                    deprecated: field.isDeprecated || false,
+                    graphql: {
+                        operationType,
+                        fieldName: field.name,
+                        returnType: this.getGraphQLTypeRef(field.type),
+                        args: (field.args || []).map(arg => ({
+                            name: arg.name,
+                            type: this.getGraphQLTypeRef(arg.type)
+                        })),
+                        selectionSet: this.buildGraphQLSelectionSet(this.getGraphQLNamedType(field.type), typesByName)
+                    }
                 });
             }
         };
@@ -187,7 +806,8 @@ export class ApiParserService {
             format: 'graphql',
             version: 'graphql',
             info: {},
-            baseUrl: '/graphql',
+            // Schemas do not name their endpoint - null makes the base URL a required input
+            baseUrl: this.getGraphQLEndpointUrl(options.sourceUrl),
             endpoints,
             components: {},
             securitySchemes: {}
@@ -253,6 +873,19 @@ export class ApiParserService {
         };
     }
 
+    /**
+     * Merge path-level parameters with operation parameters
+     * Operation parameters override path parameters with the same name and location
+     */
+    static mergeParameters(pathParameters, operationParameters) {
+        const merged = new Map();
+        for (const param of [...pathParameters, ...operationParameters]) {
+            if (!param || !param.name) continue;
+            merged.set(`${param.in}:${param.name}`, param);
+        }
+        return [...merged.values()];
+    }
+
     /**
      * Extract parameters from OpenAPI operation
      */
@@ -319,13 +952,40 @@ export class ApiParserService {
         return result;
     }
 
+    /**
+     * Derive the GraphQL endpoint URL from the URL the schema was fetched from
+     * Only an introspection query sent to the endpoint itself (".../graphql") reveals it
+     * @param {String} sourceUrl - URL the schema was fetched from
+     * @returns {String|null} - Absolute endpoint URL, or null when it cannot be derived
+     */
+    static getGraphQLEndpointUrl(sourceUrl) {
+        if (!sourceUrl) return null;
+        try {
+            const url = new URL(sourceUrl);
+            if (!['http:', 'https:'].includes(url.protocol) || !/\/graphql\/?$/i.test(url.pathname)) {
+                return null;
+            }
+            return `${url.origin}${url.pathname.replace(/\/$/, '')}`;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether raw text looks like GraphQL SDL
+     */
+    static isGraphQLSDL(rawText) {
+        return /^\s*(extend\s+)?type\s+(Query|Mutation)\b[^{]*\{/m.test(rawText)
+            || /^\s*schema\s*\{/m.test(rawText);
+    }
+
     /**
      * Extract GraphQL arguments
      */
     static extractGraphQLArgs(args) {
         return args.map(arg => ({
             name: arg.name,
-            in: 'query',
+            in: 'argument',
             description: arg.description || '',
             required: arg.type.kind === 'NON_NULL',
             schema: {
@@ -363,6 +1023,63 @@ export class ApiParserService {
         return type.name || type.kind;
     }
 
+    /**
+     * Get GraphQL type reference in SDL notation (e.g. "[User!]!")
+     */
+    static getGraphQLTypeRef(type) {
+        if (type.kind === 'NON_NULL') {
+            return `${this.getGraphQLTypeRef(type.ofType)}!`;
+        }
+        if (type.kind === 'LIST') {
+            return `[${this.getGraphQLTypeRef(type.ofType)}]`;
+        }
+        return type.name;
+    }
+
+    /**
+     * Unwrap NON_NULL / LIST wrappers to the named type
+     */
+    static getGraphQLNamedType(type) {
+        return type.ofType ? this.getGraphQLNamedType(type.ofType) : type.name;
+    }
+
+    /**
+     * Build a selection set for a GraphQL return type
+     * Selects scalar and enum fields, and recurses into object fields up to maxDepth.
+     * Fields that require arguments are skipped. Returns '' for scalar return types.
+     */
+    static buildGraphQLSelectionSet(typeName, typesByName, depth = 0, maxDepth = 2) {
+        const type = typesByName.get(typeName);
+        if (!type || ['SCALAR', 'ENUM'].includes(type.kind)) return '';
+
+        if (type.kind === 'UNION') {
+            if (depth >= maxDepth) return '{ __typename }';
+            const members = (type.possibleTypes || [])
+                .map(member => {
+                    const selection = this.buildGraphQLSelectionSet(member.name, typesByName, depth + 1, maxDepth);
+                    return selection ? `... on ${member.name} ${selection}` : null;
+                })
+                .filter(Boolean);
+            return `{ __typename ${members.join(' ')} }`;
+        }
+
+        const selections = [];
+        for (const field of type.fields || []) {
+            if ((field.args || []).some(arg => arg.type.kind === 'NON_NULL')) continue;
+
+            const fieldType = typesByName.get(this.getGraphQLNamedType(field.type));
+            if (!fieldType || ['SCALAR', 'ENUM'].includes(fieldType.kind)) {
+                selections.push(field.name);
+            } else if (depth + 1 < maxDepth) {
+                const nested = this.buildGraphQLSelectionSet(fieldType.name, typesByName, depth + 1, maxDepth);
+                if (nested) selections.push(`${field.name} ${nested}`);
+            }
+        }
+
+        if (selections.length === 0) selections.push('__typename');
+        return `{ ${selections.join(' ')} }`;
+    }
+
     /**
      * Normalize parsed data to standard structure
      */
@@ -374,6 +1091,8 @@ export class ApiParserService {
                 title: parsed.info?.title || 'API Documentation',
                 description: parsed.info?.description || '',
                 baseUrl: parsed.baseUrl,
+                baseUrlTemplate: parsed.baseUrlTemplate,
+                serverVariables: parsed.serverVariables,
                 servers: parsed.servers || [],
                 parsedAt: new Date().toISOString()
             },
@@ -390,9 +1109,10 @@ export class ApiParserService {
                 responses: endpoint.responses,
                 security: endpoint.security,
                 deprecated: endpoint.deprecated,
+                graphql: endpoint.graphql,
                 // Additional fields for processing
                 businessTags: [], // Will be populated by LLM
-                examples: this.extractExamples(endpoint)
+                examples: endpoint.examples || this.extractExamples(endpoint)
             })),
             securitySchemes: parsed.securitySchemes,
             components: parsed.components
@@ -0,0 +1,467 @@
+/**
+ * Doc Extraction Service - Extracts endpoints from unstructured API docs (PDF / Markdown)
+ * Candidates are stored for admin review and only committed to the processing
+ * pipeline (as a processing job) once approved
+ */
+
+import { LLMService } from "./llmService.js";
+import DocExtraction from "../models/DocExtraction.js";
+import { DEFAULT_SPEC } from "../models/ApiIndex.js";
+
+const CHUNK_SIZE = 12000; // Characters of documentation per LLM call
+const EXCERPT_LENGTH = 200;
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"];
+const PARAMETER_LOCATIONS = ["path", "query", "header"];
+
+export class DocExtractionService {
+  constructor() {
+    this.llmService = new LLMService();
+  }
+
+  /**
+   * Extract candidate endpoints from a document and store them for review
+   * @param {Object} source - { rawText, sourceFormat, fileName, zohoOrgId, organizationName, specName }
+   * @returns {Promise<Object>} - The saved DocExtraction (status pending_review)
+   */
+  async extract({
+    rawText,
+    sourceFormat,
+    fileName,
+    zohoOrgId,
+    organizationName = null,
+    specName = DEFAULT_SPEC,
+  }) {
+    if (!zohoOrgId) {
+      throw new Error("zohoOrgId is required for multi-tenancy support");
+    }
+    if (!rawText || !rawText.trim()) {
+      throw new Error("Document contains no text to extract endpoints from");
+    }
+
+    const extraction = await DocExtraction.create({
+      zohoOrgId,
+      organizationName,
+      specName,
+      sourceFormat,
+      fileName,
+      rawText,
+      status: "extracting",
+    });
+
+    try {
+      const chunks = this.splitIntoChunks(rawText);
+      console.log(
+        `📄 Extracting endpoints from ${fileName || sourceFormat} (${chunks.length} chunk(s))`
+      );
+
+      const metadata = {};
+      const candidates = new Map();
+      const failedChunks = [];
+
+      for (let i = 0; i < chunks.length; i++) {
+        try {
+          const result = await this.llmService.extractEndpointsFromText(chunks[i], {
+            chunkIndex: i,
+            totalChunks: chunks.length,
+            sourceFormat,
+          });
+
+          metadata.title = metadata.title || result.title || undefined;
+          metadata.description = metadata.description || result.description || undefined;
+          metadata.baseUrl = metadata.baseUrl || result.baseUrl || undefined;
+
+          for (const raw of result.endpoints) {
+            const candidate = this.normalizeCandidate(raw, chunks[i]);
+            if (!candidate) continue;
+
+            // Absolute URLs in the docs give us the base URL when it's not stated
+            if (!metadata.baseUrl && candidate.baseUrl) {
+              metadata.baseUrl = candidate.baseUrl;
+            }
+            delete candidate.baseUrl;
+
+            const key = `${candidate.method} ${candidate.path}`;
+            candidates.set(
+              key,
+              candidates.has(key)
+                ? this.mergeCandidates(candidates.get(key), candidate)
+                : candidate
+            );
+          }
+        } catch (error) {
+          console.error(
+            `❌ Endpoint extraction failed for chunk ${i + 1}/${chunks.length}:`,
+            error.message
+          );
+          failedChunks.push(i);
+        }
+      }
+
+      if (failedChunks.length === chunks.length) {
+        throw new Error("Endpoint extraction failed for every part of the document");
+      }
+
+      extraction.metadata = metadata;
+      extraction.candidates = [...candidates.values()].map((candidate, index) => ({
+        ...candidate,
+        candidateId: `cand_${index}`,
+      }));
+      extraction.failedChunks = failedChunks;
+      extraction.status = "pending_review";
+      await extraction.save();
+
+      console.log(
+        `✅ Extracted ${extraction.candidates.length} candidate endpoints - awaiting review`
+      );
+      return extraction;
+    } catch (error) {
+      extraction.status = "failed";
+      extraction.error = error.message;
+      await extraction.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the candidate list and API details with the admin's edited version
+   * @param {String} extractionId - DocExtraction ID
+   * @param {Object} changes - { candidates, metadata }
+   * @returns {Promise<Object>} - { extraction, errors } (errors is non-empty if nothing was saved)
+   */
+  async updateCandidates(extractionId, { candidates, metadata }) {
+    const extraction = await this.getReviewableExtraction(extractionId);
+
+    if (candidates !== undefined) {
+      if (!Array.isArray(candidates)) {
+        return { extraction, errors: ["candidates must be an array"] };
+      }
+
+      const errors = [];
+      const seen = new Set();
+      const updated = [];
+
+      candidates.forEach((raw, index) => {
+        const candidate = this.normalizeCandidate(raw);
+        if (!candidate) {
+          errors.push(`Candidate ${index}: a valid method and path are required`);
+          return;
+        }
+        if (candidate.baseUrl) {
+          errors.push(`Candidate ${index}: path must be relative to the base URL`);
+          return;
+        }
+
+        const key = `${candidate.method} ${candidate.path}`;
+        if (seen.has(key)) {
+          errors.push(`Candidate ${index}: duplicate endpoint ${key}`);
+          return;
+        }
+        seen.add(key);
+
+        updated.push({
+          ...candidate,
+          candidateId: raw.candidateId || `cand_manual_${Date.now()}_${index}`,
+          approved: raw.approved !== false,
+        });
+      });
+
+      if (errors.length > 0) {
+        return { extraction, errors };
+      }
+      extraction.candidates = updated;
+    }
+
+    if (metadata) {
+      extraction.metadata = {
+        title: metadata.title ?? extraction.metadata?.title,
+        description: metadata.description ?? extraction.metadata?.description,
+        baseUrl: metadata.baseUrl ?? extraction.metadata?.baseUrl,
+      };
+    }
+
+    await extraction.save();
+    return { extraction, errors: [] };
+  }
+
+  /**
+   * Claim an extraction pending review for committing (status committing)
+   * Only one request can claim it, so it is never processed twice
+   * @param {String} extractionId - DocExtraction ID
+   * @returns {Promise<Object|null>} - The claimed DocExtraction, null when it is no longer pending review
+   */
+  async claimForCommit(extractionId) {
+    return DocExtraction.findOneAndUpdate(
+      { _id: extractionId, status: "pending_review" },
+      { $set: { status: "committing" } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Build the processing job input for the approved candidates of an extraction
+   * The job marks the extraction committed when it completes and gives it back to
+   * review when it fails or is cancelled
+   * @param {Object} extraction - DocExtraction claimed with claimForCommit
+   * @param {Object} options - { baseUrlOverride }
+   * @returns {Object} - ProcessingJob input
+   */
+  buildCommitInput(extraction, { baseUrlOverride = null } = {}) {
+    const approved = extraction.candidates.filter((candidate) => candidate.approved);
+    if (approved.length === 0) {
+      throw new Error("No approved endpoints to process");
+    }
+
+    console.log(
+      `🔄 Committing ${approved.length} reviewed endpoints from ${extraction.fileName || extraction.sourceFormat}`
+    );
+
+    return {
+      rawText: JSON.stringify(this.toSpecDocument(extraction, approved)),
+      mimeType: "application/json",
+      parseOptions: {},
+      baseUrlOverride,
+      organizationName: extraction.organizationName,
+      sourceType: "file",
+      fileName: extraction.fileName,
+      extractionId: extraction._id,
+    };
+  }
+
+  /**
+   * Load an extraction that is still awaiting review
+   */
+  async getReviewableExtraction(extractionId) {
+    const extraction = await DocExtraction.findById(extractionId);
+    if (!extraction) {
+      throw new Error("Extraction not found");
+    }
+    if (extraction.status !== "pending_review") {
+      throw new Error(`Extraction is ${extraction.status} - only extractions pending review can be changed`);
+    }
+    return extraction;
+  }
+
+  /**
+   * Split document text into chunks on paragraph boundaries
+   */
+  splitIntoChunks(text) {
+    const paragraphs = text.split(/\n\s*\n/);
+    const chunks = [];
+    let current = "";
+
+    for (const paragraph of paragraphs) {
+      if (current && current.length + paragraph.length + 2 > CHUNK_SIZE) {
+        chunks.push(current);
+        current = "";
+      }
+
+      // A single paragraph larger than a chunk (e.g. PDF text without blank lines)
+      if (paragraph.length > CHUNK_SIZE) {
+        for (let start = 0; start < paragraph.length; start += CHUNK_SIZE) {
+          chunks.push(paragraph.slice(start, start + CHUNK_SIZE));
+        }
+        continue;
+      }
+
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+
+    if (current.trim()) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Normalize an endpoint returned by the LLM (or edited by an admin)
+   * @returns {Object|null} - Candidate, or null if method/path are unusable
+   */
+  normalizeCandidate(raw, chunkText = null) {
+    if (!raw || typeof raw !== "object") return null;
+
+    const method = String(raw.method || "").trim().toUpperCase();
+    if (!HTTP_METHODS.includes(method)) return null;
+
+    let path = String(raw.path || "").trim();
+    if (!path) return null;
+
+    let baseUrl = null;
+    if (/^https?:\/\//i.test(path)) {
+      try {
+        const url = new URL(path.replace(/[{}]/g, (c) => (c === "{" ? "%7B" : "%7D")));
+        baseUrl = url.origin;
+        path = decodeURIComponent(url.pathname);
+      } catch {
+        return null;
+      }
+    }
+
+    path = path
+      .split("?")[0]
+      .replace(/\/:([A-Za-z_][\w-]*)/g, "/{$1}") // Express-style :id -> {id}
+      .replace(/\/+$/, "");
+    if (!path.startsWith("/")) path = `/${path}`;
+
+    const parameters = (Array.isArray(raw.parameters) ? raw.parameters : [])
+      .map((field) => this.normalizeField(field, "query"))
+      .filter((field) => field && PARAMETER_LOCATIONS.includes(field.in));
+
+    // Every {param} in the path must be a required path parameter
+    for (const [, name] of path.matchAll(/\{([^}]+)\}/g)) {
+      const existing = parameters.find((p) => p.name === name);
+      if (existing) {
+        existing.in = "path";
+        existing.required = true;
+      } else {
+        parameters.push({ name, in: "path", type: "string", required: true });
+      }
+    }
+
+    const bodyFields = (Array.isArray(raw.bodyFields) ? raw.bodyFields : [])
+      .map((field) => this.normalizeField(field, "body"))
+      .filter(Boolean)
+      .map((field) => ({ ...field, in: "body" }));
+
+    const confidence = Number(raw.confidence);
+
+    return {
+      method,
+      path,
+      baseUrl,
+      summary: raw.summary || "",
+      description: raw.description || "",
+      parameters,
+      bodyFields,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : undefined,
+      sourceExcerpt: this.getExcerpt(raw, chunkText),
+    };
+  }
+
+  /**
+   * Normalize a parameter or body field
+   */
+  normalizeField(field, defaultIn) {
+    if (!field || typeof field !== "object" || !field.name) return null;
+
+    const normalized = {
+      name: String(field.name).trim(),
+      in: String(field.in || defaultIn).toLowerCase(),
+      type: String(field.type || "string").toLowerCase(),
+      required: field.required === true || field.required === "true",
+      description: field.description || "",
+    };
+
+    if (Array.isArray(field.enum) && field.enum.length > 0) {
+      normalized.enum = field.enum.map(String);
+    }
+    return normalized;
+  }
+
+  /**
+   * Pick the documentation excerpt shown to reviewers
+   */
+  getExcerpt(raw, chunkText) {
+    const excerpt = raw.sourceExcerpt || raw.excerpt;
+    if (excerpt) return String(excerpt).slice(0, EXCERPT_LENGTH);
+    if (!chunkText) return undefined;
+
+    // Fall back to the text around the path as written in the docs
+    const position = chunkText.indexOf(String(raw.path).trim());
+    if (position === -1) return undefined;
+    return chunkText.slice(position, position + EXCERPT_LENGTH).trim();
+  }
+
+  /**
+   * Merge two candidates for the same method + path (found in different chunks)
+   */
+  mergeCandidates(existing, incoming) {
+    const mergeFields = (a, b) => {
+      const merged = new Map(a.map((field) => [`${field.in}:${field.name}`, field]));
+      for (const field of b) {
+        const key = `${field.in}:${field.name}`;
+        if (!merged.has(key)) merged.set(key, field);
+      }
+      return [...merged.values()];
+    };
+    const longer = (a, b) => ((b || "").length > (a || "").length ? b : a);
+
+    return {
+      ...existing,
+      summary: existing.summary || incoming.summary,
+      description: longer(existing.description, incoming.description),
+      parameters: mergeFields(existing.parameters, incoming.parameters),
+      bodyFields: mergeFields(existing.bodyFields, incoming.bodyFields),
+      confidence: Math.max(existing.confidence ?? 0, incoming.confidence ?? 0) || undefined,
+      sourceExcerpt: existing.sourceExcerpt || incoming.sourceExcerpt,
+    };
+  }
+
+  /**
+   * Convert approved candidates into the endpoints JSON format understood by ApiParserService
+   */
+  toSpecDocument(extraction, candidates) {
+    const endpoints = candidates.map((candidate) => {
+      const segments = candidate.path.split("/").filter(Boolean);
+      const resource = segments.find((segment) => !segment.startsWith("{"));
+
+      const endpoint = {
+        path: candidate.path,
+        method: candidate.method,
+        summary: candidate.summary || "",
+        description: candidate.description || "",
+        operationId: this.buildOperationId(candidate.method, segments),
+        tags: resource ? [resource] : [],
+        parameters: candidate.parameters.map((param) => ({
+          name: param.name,
+          in: param.in,
+          required: param.required,
+          description: param.description || "",
+          schema: {
+            type: param.type,
+            ...(param.enum?.length ? { enum: param.enum } : {}),
+          },
+        })),
+      };
+
+      if (candidate.bodyFields.length > 0) {
+        const properties = {};
+        for (const field of candidate.bodyFields) {
+          properties[field.name] = {
+            type: field.type,
+            description: field.description || "",
+            ...(field.enum?.length ? { enum: field.enum } : {}),
+          };
+        }
+        const required = candidate.bodyFields.filter((f) => f.required).map((f) => f.name);
+
+        endpoint.requestBody = {
+          required: required.length > 0,
+          description: "",
+          contentTypes: ["application/json"],
+          schema: { type: "object", properties, required },
+        };
+      }
+
+      return endpoint;
+    });
+
+    return {
+      info: {
+        title: extraction.metadata?.title || extraction.fileName || "API Documentation",
+        description: extraction.metadata?.description || "",
+      },
+      baseUrl: extraction.metadata?.baseUrl || "",
+      endpoints,
+    };
+  }
+
+  /**
+   * Build an operationId such as getOrdersByOrderId from method and path segments
+   */
+  buildOperationId(method, segments) {
+    const words = segments.map((segment) => {
+      const name = segment.replace(/[{}]/g, "").replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ""));
+      const word = name.charAt(0).toUpperCase() + name.slice(1);
+      return segment.startsWith("{") ? `By${word}` : word;
+    });
+    return `${method.toLowerCase()}${words.join("")}`;
+  }
+}
@@ -1,6 +1,7 @@
 import OpenAI from 'openai';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { batchEndpoints, mapWithConcurrency } from '../utils/endpointBatching.js';
 
 dotenv.config();
 
@@ -8,6 +9,12 @@ const USE_MOCK_MODE = process.env.USE_MOCK_MODE === 'true';
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 
+// Tag / intent generation sends endpoints to the LLM in batches to stay within prompt and output limits
+const TAG_BATCH_SIZE = Number(process.env.LLM_TAG_BATCH_SIZE) || 25;
+const INTENT_BATCH_SIZE = Number(process.env.LLM_INTENT_BATCH_SIZE) || 15;
+const LLM_BATCH_CONCURRENCY = Number(process.env.LLM_BATCH_CONCURRENCY) || 3;
+const MIN_SPLIT_BATCH_SIZE = 4; // Failing batches smaller than this fall back to heuristics
+
 // Determine which LLM provider to use
 let LLM_PROVIDER = 'none';
 if (!USE_MOCK_MODE) {
@@ -311,55 +318,274 @@ export class LLMService {
 
   /**
    * Generate business tags for endpoints
+   * Endpoints are sent in batches grouped by tag/resource; endpoints the LLM
+   * did not tag get heuristic tags and are listed in fallbackEndpointIds
+   * @param {Array} endpoints - Normalized endpoints
+   * @param {Object} options - { onProgress(done, total) } awaited after each batch
+   * @returns {Promise<Object>} - { tags: { endpointId: [tags] }, fallbackEndpointIds }
    */
-  async generateBusinessTags(endpoints) {
-    try {
-      const systemPrompt = "You are an API documentation expert. Generate concise, business-oriented tags that describe what each endpoint does in plain language. Always return valid JSON only.";
-      const userPrompt = this.buildTagGenerationPrompt(endpoints);
-      const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
-
-      this._init();
-      const result = await this.model.generateContent(fullPrompt);
-      const response = await result.response;
-      const text = response.text();
+  async generateBusinessTags(endpoints, { onProgress } = {}) {
+    const batches = batchEndpoints(endpoints, TAG_BATCH_SIZE);
+    let done = 0;
+
+    const results = await mapWithConcurrency(batches, LLM_BATCH_CONCURRENCY, async (batch) => {
+      const batchResults = await this.runBatch(batch, part => this.requestBusinessTags(part), 'business tags');
+      done += batch.length;
+      await onProgress?.(done, endpoints.length);
+      return batchResults;
+    });
 
-      // Extract JSON from response (Gemini sometimes adds markdown formatting)
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? jsonMatch[0] : text;
-      const parsed = JSON.parse(jsonText);
+    const generated = Object.assign({}, ...results.flat());
+    const tags = {};
+    const fallbackEndpoints = [];
+    for (const endpoint of endpoints) {
+      const endpointTags = generated[endpoint.endpointId];
+      if (Array.isArray(endpointTags) && endpointTags.length > 0) {
+        tags[endpoint.endpointId] = endpointTags;
+      } else {
+        fallbackEndpoints.push(endpoint);
+      }
+    }
 
-      return parsed.tags || {};
-    } catch (error) {
-      console.error('Error generating business tags:', error);
-      // Fallback: generate simple tags from endpoint info
-      return this.generateFallbackTags(endpoints);
+    if (fallbackEndpoints.length > 0) {
+      console.warn(`⚠️  Using heuristic business tags for ${fallbackEndpoints.length} of ${endpoints.length} endpoints`);
+      Object.assign(tags, this.generateFallbackTags(fallbackEndpoints));
     }
+
+    return { tags, fallbackEndpointIds: fallbackEndpoints.map(ep => ep.endpointId) };
   }
 
   /**
    * Generate intent mappings from API endpoints
+   * Batches are generated separately and intents with the same name are merged;
+   * endpoints no generated intent covers get heuristic intents
+   * @param {Array} endpoints - Normalized endpoints
+   * @param {Object} apiMetadata - Spec title, description, etc.
+   * @param {Object} options - { onProgress(done, total) } awaited after each batch
+   * @returns {Promise<Object>} - { intents, fallbackEndpointIds }
    */
-  async generateIntentMappings(endpoints, apiMetadata) {
-    try {
-      const systemPrompt = "You are an API documentation expert. Analyze endpoints and create high-level intents that map user queries to API endpoints. Generate structured intent mappings with sub-intents, parameter mappings, and example queries. Always return valid JSON only.";
-      const userPrompt = this.buildIntentMappingPrompt(endpoints, apiMetadata);
-      const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
+  async generateIntentMappings(endpoints, apiMetadata, { onProgress } = {}) {
+    const batches = batchEndpoints(endpoints, INTENT_BATCH_SIZE);
+    let done = 0;
+
+    const results = await mapWithConcurrency(batches, LLM_BATCH_CONCURRENCY, async (batch) => {
+      const batchResults = await this.runBatch(
+        batch,
+        part => this.requestIntentMappings(part, apiMetadata),
+        'intent mappings'
+      );
+      done += batch.length;
+      await onProgress?.(done, endpoints.length);
+
+      // Only keep references to endpoints that were in the batch
+      const batchIds = new Set(batch.map(ep => ep.endpointId));
+      return batchResults.flat().map(intent => ({
+        ...intent,
+        subIntents: (intent.subIntents || [])
+          .map(subIntent => ({
+            ...subIntent,
+            endpointIds: (subIntent.endpointIds || []).filter(id => batchIds.has(id))
+          }))
+          .filter(subIntent => subIntent.endpointIds.length > 0)
+      })).filter(intent => intent.subIntents.length > 0);
+    });
+
+    const generated = results.flat();
+    const covered = new Set(
+      generated.flatMap(intent => intent.subIntents.flatMap(subIntent => subIntent.endpointIds))
+    );
+    const fallbackEndpoints = endpoints.filter(ep => !covered.has(ep.endpointId));
 
-      this._init();
-      const result = await this.model.generateContent(fullPrompt);
-      const response = await result.response;
-      const text = response.text();
+    if (fallbackEndpoints.length > 0) {
+      console.warn(`⚠️  Using heuristic intents for ${fallbackEndpoints.length} of ${endpoints.length} endpoints`);
+    }
 
-      // Extract JSON from response (Gemini sometimes adds markdown formatting)
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? jsonMatch[0] : text;
-      const parsed = JSON.parse(jsonText);
+    return {
+      intents: this.mergeIntents([...generated, ...this.generateFallbackIntents(fallbackEndpoints)]),
+      fallbackEndpointIds: fallbackEndpoints.map(ep => ep.endpointId)
+    };
+  }
 
-      return parsed.intents || [];
+  /**
+   * Run an LLM request for a batch of endpoints
+   * Truncated output or an oversized prompt usually succeeds on smaller batches,
+   * so those failures are retried as two halves; other failures give up on the batch
+   * @param {Array} batch - Endpoints
+   * @param {Function} request - async (endpoints) => result
+   * @param {String} label - What is generated (for logs)
+   * @returns {Promise<Array>} - Results of the (sub-)batches that succeeded
+   */
+  async runBatch(batch, request, label) {
+    try {
+      return [await request(batch)];
     } catch (error) {
-      console.error('Error generating intent mappings:', error);
-      return this.generateFallbackIntents(endpoints);
+      const splittable = error instanceof SyntaxError || /token|context|too (large|long)|length|truncat/i.test(error.message);
+      if (!splittable || batch.length < MIN_SPLIT_BATCH_SIZE) {
+        console.error(`Error generating ${label} for ${batch.length} endpoints:`, error.message);
+        return [];
+      }
+
+      console.warn(`⚠️  Generating ${label} for ${batch.length} endpoints failed (${error.message}) - retrying in two smaller batches`);
+      const middle = Math.ceil(batch.length / 2);
+      return [
+        ...await this.runBatch(batch.slice(0, middle), request, label),
+        ...await this.runBatch(batch.slice(middle), request, label)
+      ];
+    }
+  }
+
+  /**
+   * Ask the LLM for JSON and parse it
+   * @throws {SyntaxError} - When the response is not valid JSON (e.g. truncated)
+   */
+  async generateJson(systemPrompt, userPrompt) {
+    this._init();
+    const result = await this.model.generateContent(`${systemPrompt}\n\n${userPrompt}`);
+    const response = await result.response;
+    const text = response.text();
+
+    // Extract JSON from response (Gemini sometimes adds markdown formatting)
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    const jsonText = jsonMatch ? jsonMatch[0] : text;
+    return JSON.parse(jsonText);
+  }
+
+  /**
+   * Business tags for one batch of endpoints
+   */
+  async requestBusinessTags(endpoints) {
+    const systemPrompt = "You are an API documentation expert. Generate concise, business-oriented tags that describe what each endpoint does in plain language. Always return valid JSON only.";
+    const parsed = await this.generateJson(systemPrompt, this.buildTagGenerationPrompt(endpoints));
+    if (!parsed.tags || typeof parsed.tags !== 'object') {
+      throw new SyntaxError('Response has no "tags" object');
+    }
+    return parsed.tags;
+  }
+
+  /**
+   * Intent mappings for one batch of endpoints
+   */
+  async requestIntentMappings(endpoints, apiMetadata) {
+    const systemPrompt = "You are an API documentation expert. Analyze endpoints and create high-level intents that map user queries to API endpoints. Generate structured intent mappings with sub-intents, parameter mappings, and example queries. Always return valid JSON only.";
+    const parsed = await this.generateJson(systemPrompt, this.buildIntentMappingPrompt(endpoints, apiMetadata));
+    if (!Array.isArray(parsed.intents)) {
+      throw new SyntaxError('Response has no "intents" array');
     }
+    return parsed.intents;
+  }
+
+  /**
+   * Merge intents generated for different batches
+   * Intents (and their sub-intents) with the same name are combined; generated IDs are
+   * dropped because batches reuse them - the pipeline assigns unique ones
+   */
+  mergeIntents(intents) {
+    const byName = new Map();
+
+    for (const { intentId: _intentId, ...intent } of intents) {
+      const key = (intent.name || '').trim().toLowerCase();
+      const existing = byName.get(key);
+      if (!existing) {
+        byName.set(key, {
+          ...intent,
+          subIntents: [],
+          commonUseCases: [...(intent.commonUseCases || [])]
+        });
+      } else {
+        existing.commonUseCases = [...new Set([...existing.commonUseCases, ...(intent.commonUseCases || [])])];
+      }
+
+      const merged = byName.get(key);
+      for (const { subIntentId: _subIntentId, ...subIntent } of intent.subIntents || []) {
+        const same = merged.subIntents.find(
+          s => (s.name || '').trim().toLowerCase() === (subIntent.name || '').trim().toLowerCase()
+        );
+        if (same) {
+          same.endpointIds = [...new Set([...same.endpointIds, ...subIntent.endpointIds])];
+          same.exampleQueries = [...new Set([...(same.exampleQueries || []), ...(subIntent.exampleQueries || [])])];
+        } else {
+          merged.subIntents.push(subIntent);
+        }
+      }
+    }
+
+    return [...byName.values()];
+  }
+
+  /**
+   * Extract endpoint candidates from unstructured API documentation (PDF text / Markdown)
+   * Unlike tag/intent generation there is no fallback - errors are thrown so the
+   * caller can record which part of the document failed
+   */
+  async extractEndpointsFromText(text, context = {}) {
+    const systemPrompt = "You are an API documentation expert. Read unstructured API documentation and extract every HTTP endpoint it documents. Only extract endpoints that are explicitly described in the text - never invent endpoints, parameters or URLs. Always return valid JSON only.";
+    const userPrompt = this.buildEndpointExtractionPrompt(text, context);
+    const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
+
+    this._init();
+    const result = await this.model.generateContent(fullPrompt);
+    const response = await result.response;
+    const responseText = response.text();
+
+    // Extract JSON from response (Gemini sometimes adds markdown formatting)
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    const jsonText = jsonMatch ? jsonMatch[0] : responseText;
+    const parsed = JSON.parse(jsonText);
+
+    return {
+      title: parsed.title || null,
+      description: parsed.description || null,
+      baseUrl: parsed.baseUrl || null,
+      endpoints: Array.isArray(parsed.endpoints) ? parsed.endpoints : []
+    };
+  }
+
+  /**
+   * Build prompt for endpoint extraction
+   */
+  buildEndpointExtractionPrompt(text, context = {}) {
+    const { chunkIndex = 0, totalChunks = 1, sourceFormat = 'text' } = context;
+    const partNote = totalChunks > 1
+      ? `This is part ${chunkIndex + 1} of ${totalChunks} of the document. Endpoints may be described partially - extract what this part documents.`
+      : 'This is the complete document.';
+
+    return `Extract the HTTP endpoints documented in this ${sourceFormat} API documentation. ${partNote}
+
+For each endpoint, provide:
+- method: HTTP method (GET, POST, PUT, PATCH, DELETE)
+- path: Path relative to the base URL, with path parameters in braces (e.g. /users/{userId})
+- summary: Short summary of what the endpoint does
+- description: Longer description, if the documentation has one
+- parameters: Path, query and header parameters, each with name, in (path, query or header), type, required, description and enum (allowed values, if listed)
+- bodyFields: Fields of the request body, each with name, type, required, description and enum
+- confidence: 0-1 score of how clearly the documentation describes this endpoint
+- excerpt: The sentence or heading of the documentation that introduces the endpoint (max 200 characters)
+
+Also provide the API title, description and baseUrl if the documentation states them (otherwise null).
+
+Return JSON in format:
+{
+  "title": "Orders API",
+  "description": "Manage customer orders",
+  "baseUrl": "https://api.example.com/v1",
+  "endpoints": [
+    {
+      "method": "GET",
+      "path": "/orders/{orderId}",
+      "summary": "Get an order",
+      "description": "Returns a single order by its ID",
+      "parameters": [
+        {"name": "orderId", "in": "path", "type": "string", "required": true, "description": "Order ID"}
+      ],
+      "bodyFields": [],
+      "confidence": 0.9,
+      "excerpt": "GET /orders/{orderId} - Retrieve an order"
+    }
+  ]
+}
+
+Documentation:
+${text}`;
   }
 
   /**
@@ -0,0 +1,132 @@
+/**
+ * OAuth Client Credentials Service
+ * Obtains machine-to-machine OAuth2 tokens (client_credentials grant) for configured
+ * credentials and caches them until shortly before they expire
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+
+// Tokens are renewed this long before they expire
+const EXPIRY_MARGIN_SECONDS = parseInt(process.env.OAUTH_TOKEN_EXPIRY_MARGIN_SECONDS, 10) || 60;
+
+// Lifetime assumed when the token endpoint does not return expires_in
+const DEFAULT_EXPIRES_IN_SECONDS = 3600;
+
+const TOKEN_REQUEST_TIMEOUT_MS = 15000;
+
+class OAuthClientCredentialsService {
+    constructor() {
+        this.tokens = new Map(); // cacheKey -> { accessToken, expiresAt }
+        this.pending = new Map(); // cacheKey -> Promise of the token request in flight
+    }
+
+    /**
+     * Whether a credential config can be used for the client_credentials grant
+     * @param {Object} config - Decrypted oauth2 AuthConfig config
+     */
+    canRequestToken(config = {}) {
+        return Boolean(config.clientId && config.clientSecret && config.tokenUrl);
+    }
+
+    /**
+     * Get an access token for a credential, from the cache when still valid
+     * Concurrent callers share one token request per credential, so a burst of chats
+     * does not hit the token endpoint more than once
+     * @param {Object} config - { clientId, clientSecret, tokenUrl, clientAuthentication, scopes, audience }
+     * @param {Object} options - { staleToken } - a token the API rejected; it is not returned again
+     * @returns {Promise<String>} Access token
+     */
+    async getAccessToken(config, { staleToken = null } = {}) {
+        const cacheKey = this.getCacheKey(config);
+
+        const cached = this.tokens.get(cacheKey);
+        if (cached && cached.accessToken !== staleToken && cached.expiresAt - EXPIRY_MARGIN_SECONDS * 1000 > Date.now()) {
+            return cached.accessToken;
+        }
+
+        if (!this.pending.has(cacheKey)) {
+            const request = this.requestToken(config)
+                .then(token => {
+                    this.tokens.set(cacheKey, token);
+                    return token.accessToken;
+                })
+                .finally(() => this.pending.delete(cacheKey));
+            this.pending.set(cacheKey, request);
+        }
+
+        return this.pending.get(cacheKey);
+    }
+
+    /**
+     * Request a new token from the token endpoint
+     * @returns {Promise<Object>} { accessToken, expiresAt }
+     */
+    async requestToken(config) {
+        if (!this.canRequestToken(config)) {
+            throw new Error('OAuth2 client credentials incomplete: clientId, clientSecret and tokenUrl are required');
+        }
+
+        console.log(`🔑 Fetching OAuth2 token from ${config.tokenUrl}`);
+
+        const body = new URLSearchParams({ grant_type: 'client_credentials' });
+        const scopes = Array.isArray(config.scopes) ? config.scopes.join(' ') : config.scopes;
+        if (scopes) body.append('scope', scopes);
+        if (config.audience) body.append('audience', config.audience);
+
+        const headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json'
+        };
+
+        // Check client authentication method (header vs body)
+        if (config.clientAuthentication === 'body') {
+            body.append('client_id', config.clientId);
+            body.append('client_secret', config.clientSecret);
+        } else {
+            headers['Authorization'] = `Basic ${Buffer.from(`${config.clientId}:${config.clientSecret}`).toString('base64')}`;
+        }
+
+        let response;
+        try {
+            response = await axios.post(config.tokenUrl, body.toString(), {
+                headers,
+                timeout: TOKEN_REQUEST_TIMEOUT_MS
+            });
+        } catch (error) {
+            const details = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+            console.error('❌ Failed to fetch OAuth2 token:', details);
+            throw new Error(`OAuth2 token request failed: ${error.response?.status || error.message}`);
+        }
+
+        // Some token endpoints answer form-encoded
+        const data = typeof response.data === 'string'
+            ? Object.fromEntries(new URLSearchParams(response.data))
+            : response.data;
+
+        if (!data?.access_token) {
+            throw new Error('OAuth2 token response did not include an access_token');
+        }
+
+        const expiresIn = parseInt(data.expires_in, 10) || DEFAULT_EXPIRES_IN_SECONDS;
+        console.log(`✅ OAuth2 token obtained (expires in ${expiresIn}s)`);
+
+        return {
+            accessToken: data.access_token,
+            expiresAt: Date.now() + expiresIn * 1000
+        };
+    }
+
+    /**
+     * Cache key of a credential - the secret is hashed so it is not kept as a map key
+     */
+    getCacheKey(config) {
+        const scopes = Array.isArray(config.scopes) ? config.scopes.join(' ') : config.scopes;
+        return crypto
+            .createHash('sha256')
+            .update([config.tokenUrl, config.clientId, config.clientSecret, scopes || '', config.audience || ''].join('\n'))
+            .digest('hex');
+    }
+}
+
+export default new OAuthClientCredentialsService();
@@ -3,7 +3,6 @@
  * Auto-resolves missing parameters by calling resolver endpoints
  */
 
-import ApiIndex from '../models/ApiIndex.js';
 import { VectorDbService } from './vectorDbService.js';
 import apiExecutorService from './apiExecutorService.js';
 import { GoogleGenerativeAI } from '@google/generative-ai';
@@ -24,10 +23,10 @@ export class ParameterResolverService {
 
     /**
      * Try to resolve userId from email
-     * @param {Object} params - { orgId, email, conversation, apiIndexId }
+     * @param {Object} params - { orgId, email, conversation, apiIndexes }
      * @returns {Promise<String|null>} Resolved userId or null
      */
-    async tryResolveUserId({ orgId, email, conversation, apiIndexId }) {
+    async tryResolveUserId({ orgId, email, conversation, apiIndexes }) {
         try {
             console.log(`🔍 Attempting to auto-resolve userId for email: ${email}`);
 
@@ -38,18 +37,19 @@ export class ParameterResolverService {
                 return knownIds.userId;
             }
 
-            // 2. Find resolver endpoint using vector search
-            const resolverEndpoint = await this.findResolverEndpoint({
+            // 2. Find resolver endpoint using vector search (in any active spec)
+            const resolver = await this.findResolverEndpoint({
                 orgId,
-                apiIndexId,
+                apiIndexes,
                 resolverType: 'user_by_email'
             });
 
-            if (!resolverEndpoint) {
+            if (!resolver) {
                 console.log('❌ No resolver endpoint found');
                 return null;
             }
 
+            const resolverEndpoint = resolver.endpoint;
             console.log(`📞 Calling resolver: ${resolverEndpoint.method} ${resolverEndpoint.path}`);
 
             // 3. Call the resolver endpoint
@@ -57,7 +57,8 @@ export class ParameterResolverService {
                 resolverEndpoint.endpointId,
                 { email },  // Pass email as parameter
                 orgId,
-                apiIndexId
+                resolver.apiIndexId,
+                { visitorId: conversation.visitorId }
             );
 
             if (!result.success) {
@@ -88,8 +89,9 @@ export class ParameterResolverService {
 
     /**
      * Find a resolver endpoint (e.g., "Get user by email")
+     * @returns {Promise<Object|null>} Candidate { candidateId, apiIndexId, endpoint, ... } or null
      */
-    async findResolverEndpoint({ orgId, apiIndexId, resolverType }) {
+    async findResolverEndpoint({ orgId, apiIndexes, resolverType }) {
         try {
             // Build search query based on resolver type
             let searchQuery;
@@ -100,7 +102,7 @@ export class ParameterResolverService {
             // Vector search
             const results = await this.vectorDbService.searchChunks(
                 searchQuery,
-                apiIndexId,
+                apiIndexes.map(apiIndex => apiIndex._id),
                 orgId,
                 3  // top 3 candidates
             );
@@ -110,11 +112,7 @@ export class ParameterResolverService {
             }
 
             // Get endpoint specs
-            const apiIndex = await ApiIndex.findById(apiIndexId);
-            const endpointIds = [...new Set(results.map(r => r.endpointId).filter(Boolean))];
-            const candidates = apiIndex.endpoints.filter(ep =>
-                endpointIds.includes(ep.endpointId)
-            );
+            const candidates = this.vectorDbService.groupByEndpoint(results, apiIndexes, 3);
 
             if (candidates.length === 0) {
                 return null;
@@ -134,7 +132,7 @@ export class ParameterResolverService {
             const decision = JSON.parse(jsonText);
 
             if (decision.is_resolver && decision.endpoint_id) {
-                return candidates.find(c => c.endpointId === decision.endpoint_id);
+                return candidates.find(c => c.candidateId === decision.endpoint_id) || null;
             }
 
             return null;
@@ -149,9 +147,10 @@ export class ParameterResolverService {
      * Build prompt for Gemini to select resolver endpoint
      */
     buildResolverSelectionPrompt(candidates) {
-        const endpointTable = candidates.map((ep, idx) => {
+        const endpointTable = candidates.map((c, idx) => {
+            const ep = c.endpoint;
             return `${idx + 1}. ${ep.method} ${ep.path}
-   ID: ${ep.endpointId}
+   ID: ${c.candidateId}
    Description: ${ep.summary || ep.description || 'No description'}
    Parameters: ${ep.parameters?.map(p => `${p.name}${p.required ? '*' : ''}`).join(', ') || 'None'}`;
         }).join('\n\n');
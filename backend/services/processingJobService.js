@@ -0,0 +1,613 @@
+/**
+ * Processing Job Service
+ * Runs spec ingestion jobs through the processing pipeline in the background,
+ * tracking per-step progress and handling retries and cancellation
+ */
+
+import { EventEmitter } from 'events';
+import ProcessingJob, { JOB_STEPS, MAX_JOB_EVENTS } from '../models/ProcessingJob.js';
+import ApiIndex from '../models/ApiIndex.js';
+import DocExtraction from '../models/DocExtraction.js';
+import IntentMapping from '../models/IntentMapping.js';
+import { ProcessingPipeline } from './processingPipeline.js';
+import { VectorDbService } from './vectorDbService.js';
+import { SpecSourceService } from './specSourceService.js';
+import { SpecSyncService } from './specSyncService.js';
+
+const LOCK_DURATION_MS = 5 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000; // Doubled on every further attempt
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Input holding the credentials used to fetch the spec, removed once the job ends
+// (parseOptions.headers is only set on jobs queued before the headers stopped being stored)
+const SECRET_INPUT_PATHS = ['input.syncSource.sourceAuth', 'input.parseOptions.headers'];
+
+const STEP_LABELS = {
+    parse: 'Parsing the spec',
+    index: 'Building the API index',
+    tags: 'Generating business tags',
+    intents: 'Generating intents',
+    embeddings: 'Embedding chunks'
+};
+
+// Emits (event) under the job ID for every recorded job event; used by the SSE stream
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job was cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+export class ProcessingJobService {
+    static draining = false;
+
+    /**
+     * Queue an ingestion job and start working on it right away
+     * @param {Object} job - { zohoOrgId, specName, input }
+     * @returns {Promise<Object>} ProcessingJob document
+     */
+    static async enqueue({ zohoOrgId, specName, input }) {
+        const job = await ProcessingJob.create({ zohoOrgId, specName, input });
+        console.log(`📋 Queued processing job ${job._id} for org ${zohoOrgId} (spec: ${specName})`);
+        this.kick();
+        return job;
+    }
+
+    /**
+     * Cancel a job; a running job stops at its next progress report
+     * @param {Object} job - ProcessingJob document
+     * @returns {Promise<Object>} Updated job
+     */
+    static async cancel(job) {
+        let event = null;
+        if (job.status === 'queued') {
+            job.status = 'cancelled';
+            job.finishedAt = new Date();
+            job.steps.forEach(step => {
+                if (step.status === 'pending') step.status = 'cancelled';
+            });
+            event = this.createEvent(job, { type: 'cancelled', message: 'Job cancelled before it started' });
+            job.events = [...job.events, event].slice(-MAX_JOB_EVENTS);
+        } else if (job.status === 'running') {
+            job.cancelRequested = true;
+        }
+        await job.save();
+        if (job.status === 'cancelled') {
+            await this.removeSourceAuth(job);
+            await this.recordOutcome(job, { status: 'cancelled' });
+        }
+        if (event) {
+            jobEvents.emit(job._id.toString(), event);
+        }
+        return job;
+    }
+
+    /**
+     * Queue a failed or cancelled job again with a fresh set of attempts
+     * @param {Object} job - ProcessingJob document
+     * @returns {Promise<Object>} Updated job
+     */
+    static async retry(job) {
+        this.resetProgress(job);
+        job.status = 'queued';
+        job.events = []; // Events of earlier attempts would end a fresh stream right away
+        job.attempts = 0;
+        job.error = null;
+        job.cancelRequested = false;
+        job.runAfter = new Date();
+        job.finishedAt = undefined;
+        await job.save();
+        this.kick();
+        return job;
+    }
+
+    /**
+     * Put a job's steps back to pending (before a new attempt)
+     */
+    static resetProgress(job) {
+        job.steps = JOB_STEPS.map(step => ({ name: step.name }));
+        job.currentStep = null;
+        job.progress = 0;
+        job.apiIndexId = null;
+    }
+
+    /**
+     * Whether a spec has a job that is queued or running
+     * @param {String} zohoOrgId - Organization ID
+     * @param {String} specName - Spec name
+     * @returns {Promise<Boolean>}
+     */
+    static async hasUnfinishedJob(zohoOrgId, specName) {
+        return Boolean(await ProcessingJob.exists({ zohoOrgId, specName, status: { $in: ['queued', 'running'] } }));
+    }
+
+    /**
+     * Claim the next runnable job: queued and due, or running with an expired lock (interrupted by a restart)
+     * Jobs of one spec run one at a time - each builds its version from the spec's latest one -
+     * so a job whose spec another worker started on first is put back in the queue
+     * @returns {Promise<Object|null>}
+     */
+    static async claimNext() {
+        const now = new Date();
+        const job = await ProcessingJob.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'queued', runAfter: { $lte: now } },
+                    { status: 'running', lockedUntil: { $lte: now } }
+                ]
+            },
+            {
+                $set: {
+                    status: 'running',
+                    lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS),
+                    startedAt: now
+                },
+                $inc: { attempts: 1 }
+            },
+            { new: true, sort: { runAfter: 1 } }
+        );
+        if (!job) return null;
+
+        const startedFirst = await ProcessingJob.exists({
+            _id: { $ne: job._id },
+            zohoOrgId: job.zohoOrgId,
+            specName: job.specName,
+            status: 'running',
+            lockedUntil: { $gt: now },
+            $or: [{ startedAt: { $lt: job.startedAt } }, { startedAt: job.startedAt, _id: { $lt: job._id } }]
+        });
+        if (!startedFirst) return job;
+
+        await ProcessingJob.updateOne({ _id: job._id }, {
+            $set: { status: 'queued', runAfter: new Date(now.getTime() + POLL_INTERVAL_MS), lockedUntil: null },
+            $inc: { attempts: -1 }
+        });
+        return this.claimNext();
+    }
+
+    /**
+     * Run claimed jobs one after another until none are left
+     */
+    static async drain() {
+        if (this.draining) return;
+        this.draining = true;
+        try {
+            let job;
+            while ((job = await this.claimNext())) {
+                await this.runJob(job);
+            }
+        } catch (error) {
+            console.error('❌ Processing job worker error:', error);
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    /**
+     * Look for work now instead of waiting for the next poll
+     */
+    static kick() {
+        this.drain();
+    }
+
+    /**
+     * Run one job through the pipeline
+     * @param {Object} job - Claimed ProcessingJob document (status running)
+     */
+    static async runJob(job) {
+        console.log(`⚙️  Running processing job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+        // A job resumed after a restart starts over; its partial version is discarded first
+        if (job.apiIndexId) {
+            await this.discardPartialVersion(job);
+        }
+        this.resetProgress(job);
+        await ProcessingJob.updateOne({ _id: job._id }, {
+            $set: { steps: job.steps, currentStep: null, progress: 0, apiIndexId: null }
+        });
+
+        const heartbeat = setInterval(() => {
+            ProcessingJob.updateOne(
+                { _id: job._id },
+                { $set: { lockedUntil: new Date(Date.now() + LOCK_DURATION_MS) } }
+            ).catch(error => console.error('❌ Processing job heartbeat error:', error));
+        }, HEARTBEAT_INTERVAL_MS);
+
+        try {
+            const { input } = job;
+            const pipeline = new ProcessingPipeline();
+            const result = await pipeline.process(
+                `job_${job._id}`,
+                input.rawText,
+                input.mimeType,
+                input.baseUrlOverride,
+                job.zohoOrgId,
+                input.organizationName,
+                await this.buildParseOptions(input),
+                job.specName,
+                { onProgress: (progress) => this.reportProgress(job, progress) }
+            );
+
+            const data = await this.completeIngest(job, result);
+            this.finishSteps(job, 'completed');
+            job.progress = 100;
+            await this.saveWithEvent(job, {
+                status: 'completed',
+                steps: job.steps,
+                currentStep: null,
+                progress: 100,
+                result: data,
+                error: null,
+                finishedAt: new Date(),
+                lockedUntil: null
+            }, {
+                type: 'completed',
+                message: `Version ${result.version} ready: ${result.stats.endpoints} endpoints, ${result.stats.intents} intents, ${result.stats.vectorChunks} chunks`
+            });
+            console.log(`✅ Processing job ${job._id} completed: version ${result.version} (${result.apiIndexId})`);
+        } catch (error) {
+            await this.handleFailure(job, error);
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    /**
+     * Options used to resolve the spec's external $refs
+     * The headers that fetched the spec are rebuilt from the encrypted source auth
+     * @param {Object} input - Job input
+     * @returns {Promise<Object>} { sourceUrl, headers }
+     */
+    static async buildParseOptions(input) {
+        const parseOptions = { ...(input.parseOptions || {}) };
+        const authConfig = SpecSyncService.getAuthConfig(input.syncSource || {});
+        if (authConfig) {
+            const { headers } = await SpecSourceService.buildAuthRequest(authConfig);
+            parseOptions.headers = headers;
+        }
+        return parseOptions;
+    }
+
+    /**
+     * Remove the credentials from the input of a job that ended
+     * @param {Object} job - ProcessingJob document (sourceAuthRemoved is updated in place)
+     */
+    static async removeSourceAuth(job) {
+        const { modifiedCount } = await ProcessingJob.updateOne(
+            { _id: job._id, $or: SECRET_INPUT_PATHS.map(path => ({ [path]: { $ne: null } })) },
+            {
+                $unset: Object.fromEntries(SECRET_INPUT_PATHS.map(path => [path, ''])),
+                $set: { sourceAuthRemoved: true }
+            }
+        );
+        if (modifiedCount > 0) {
+            job.sourceAuthRemoved = true;
+        }
+    }
+
+    /**
+     * Pass the outcome of a job that ended on to what started it: a doc extraction goes
+     * back to review unless the job completed, a sync run records the outcome in its history
+     * @param {Object} job - ProcessingJob document
+     * @param {Object} outcome - { status, result, error }
+     */
+    static async recordOutcome(job, outcome) {
+        const { extractionId, syncTrigger } = job.input || {};
+        try {
+            if (extractionId && outcome.status !== 'completed') {
+                await DocExtraction.releaseCommit(extractionId);
+            }
+            if (syncTrigger) {
+                await SpecSyncService.finishRun(job, outcome);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to record the outcome of processing job ${job._id}:`, error);
+        }
+    }
+
+    /**
+     * Record a progress report from the pipeline and stop the job if it was cancelled
+     * @param {Object} job - ProcessingJob document (updated in place)
+     * @param {Object} progress - { step, apiIndexId, done, total, message }
+     */
+    static async reportProgress(job, { step, apiIndexId, done, total, message }) {
+        const now = new Date();
+        const position = JOB_STEPS.findIndex(s => s.name === step);
+
+        job.steps.forEach((jobStep, index) => {
+            if (index < position && jobStep.status !== 'completed') {
+                jobStep.status = 'completed';
+                jobStep.progress = 100;
+                jobStep.finishedAt = now;
+            }
+        });
+
+        const current = job.steps[position];
+        const started = current.status !== 'running';
+        if (started) {
+            current.status = 'running';
+            current.startedAt = now;
+        }
+        if (total) {
+            current.progress = Math.round((done / total) * 100);
+        }
+        if (apiIndexId) {
+            job.apiIndexId = apiIndexId;
+        }
+
+        job.currentStep = step;
+        job.progress = Math.round(JOB_STEPS.reduce(
+            (sum, { weight }, index) => sum + weight * (job.steps[index].progress || 0) / 100,
+            0
+        ));
+
+        const events = [];
+        if (started) {
+            events.push(this.createEvent(job, { type: 'step', step, message: STEP_LABELS[step] }));
+        }
+        if (message || total !== undefined) {
+            events.push(this.createEvent(job, {
+                type: 'progress',
+                step,
+                message: message || (step === 'embeddings' ? `Embedded ${done} of ${total} chunks` : undefined),
+                done,
+                total
+            }));
+        }
+
+        const updated = await ProcessingJob.findOneAndUpdate(
+            { _id: job._id },
+            {
+                $set: {
+                    steps: job.steps,
+                    currentStep: job.currentStep,
+                    progress: job.progress,
+                    apiIndexId: job.apiIndexId,
+                    eventCount: job.eventCount,
+                    lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS)
+                },
+                ...(events.length > 0 && { $push: { events: { $each: events, $slice: -MAX_JOB_EVENTS } } })
+            },
+            { new: true, projection: { cancelRequested: 1 } }
+        );
+        events.forEach(event => jobEvents.emit(job._id.toString(), event));
+
+        if (updated?.cancelRequested) {
+            throw new JobCancelledError();
+        }
+    }
+
+    /**
+     * Mark every unfinished step with a final status
+     */
+    static finishSteps(job, status) {
+        const now = new Date();
+        job.steps.forEach(step => {
+            if (status === 'completed') {
+                step.status = 'completed';
+                step.progress = 100;
+            } else if (step.status === 'running') {
+                step.status = status;
+            } else if (step.status === 'pending') {
+                step.status = 'cancelled';
+            } else {
+                return;
+            }
+            step.finishedAt = step.finishedAt || now;
+        });
+    }
+
+    /**
+     * Clean up after a failed or cancelled run and decide whether to retry
+     * Parse errors are not retried: the same document would fail again
+     */
+    static async handleFailure(job, error) {
+        const { cancelRequested } = await ProcessingJob.findById(job._id).select('cancelRequested').lean() || {};
+        const cancelled = cancelRequested || error instanceof JobCancelledError;
+
+        try {
+            await this.discardPartialVersion(job);
+        } catch (cleanupError) {
+            console.error(`❌ Failed to discard partial version of job ${job._id}:`, cleanupError);
+        }
+
+        if (cancelled) {
+            console.log(`🛑 Processing job ${job._id} cancelled during ${job.currentStep || 'startup'}`);
+            this.finishSteps(job, 'cancelled');
+            await this.saveWithEvent(job, {
+                status: 'cancelled',
+                steps: job.steps,
+                apiIndexId: null,
+                finishedAt: new Date(),
+                lockedUntil: null
+            }, {
+                type: 'cancelled',
+                step: job.currentStep,
+                message: `Cancelled during ${STEP_LABELS[job.currentStep]?.toLowerCase() || 'startup'}`
+            });
+            return;
+        }
+
+        const retryable = job.currentStep !== 'parse' && job.attempts < job.maxAttempts;
+        console.error(`❌ Processing job ${job._id} failed during ${job.currentStep || 'startup'}:`, error.message);
+
+        if (retryable) {
+            const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+            console.log(`🔁 Retrying processing job ${job._id} in ${delay / 1000}s`);
+            const failedStep = job.currentStep;
+            this.resetProgress(job);
+            await this.saveWithEvent(job, {
+                status: 'queued',
+                steps: job.steps,
+                currentStep: null,
+                progress: 0,
+                apiIndexId: null,
+                error: error.message,
+                runAfter: new Date(Date.now() + delay),
+                lockedUntil: null
+            }, {
+                type: 'retrying',
+                step: failedStep,
+                message: `${error.message} - retrying in ${delay / 1000}s (attempt ${job.attempts + 1} of ${job.maxAttempts})`
+            });
+            return;
+        }
+
+        this.finishSteps(job, 'failed');
+        await this.saveWithEvent(job, {
+            status: 'failed',
+            steps: job.steps,
+            apiIndexId: null,
+            error: error.message,
+            finishedAt: new Date(),
+            lockedUntil: null
+        }, {
+            type: 'failed',
+            step: job.currentStep,
+            message: error.message
+        });
+    }
+
+    /**
+     * Build the next event of a job (numbered from the job's event count)
+     * @param {Object} job - ProcessingJob document (eventCount is incremented)
+     * @param {Object} fields - { type, step, message, done, total }
+     * @returns {Object} Event
+     */
+    static createEvent(job, fields) {
+        job.eventCount = (job.eventCount || 0) + 1;
+        return {
+            seq: job.eventCount,
+            ...fields,
+            progress: job.progress,
+            at: new Date()
+        };
+    }
+
+    /**
+     * Update a job and record one event with it
+     * A job that ends also has its source auth removed and its outcome recorded (see recordOutcome)
+     * @param {Object} job - ProcessingJob document
+     * @param {Object} fields - Fields to set
+     * @param {Object} eventFields - { type, step, message }
+     */
+    static async saveWithEvent(job, fields, eventFields) {
+        const event = this.createEvent(job, eventFields);
+        await ProcessingJob.updateOne({ _id: job._id }, {
+            $set: { ...fields, eventCount: job.eventCount },
+            $push: { events: { $each: [event], $slice: -MAX_JOB_EVENTS } }
+        });
+        if (TERMINAL_STATUSES.includes(fields.status)) {
+            await this.removeSourceAuth(job);
+            await this.recordOutcome(job, fields);
+        }
+        jobEvents.emit(job._id.toString(), event);
+    }
+
+    /**
+     * Remove the version a job created before it failed, with its intents and vector chunks
+     */
+    static async discardPartialVersion(job) {
+        if (!job.apiIndexId) return;
+
+        const apiIndex = await ApiIndex.findById(job.apiIndexId);
+        if (apiIndex && apiIndex.status === 'draft') {
+            const vectorDbService = new VectorDbService();
+            await vectorDbService.deleteAllChunks(apiIndex._id, apiIndex.namespace);
+            await IntentMapping.deleteMany({ apiIndexId: apiIndex._id });
+            await ApiIndex.deleteOne({ _id: apiIndex._id });
+            console.log(`🗑️  Discarded partial version ${apiIndex.version} (${apiIndex._id}) of job ${job._id}`);
+        }
+        job.apiIndexId = null;
+    }
+
+    /**
+     * Store the source on the new version and build the ingest response data
+     * @param {Object} job - ProcessingJob document
+     * @param {Object} result - ProcessingPipeline.process result
+     * @returns {Promise<Object>} Same shape as the former synchronous ingest response
+     */
+    static async completeIngest(job, result) {
+        const { input } = job;
+        const syncSource = input.syncSource;
+
+        // Get the created ApiIndex to extract endpoints for frontend
+        const apiIndex = await ApiIndex.findById(result.apiIndexId);
+
+        // Update ApiIndex with source information
+        apiIndex.sourceUrl = syncSource?.sourceUrl || input.sourceUrl || null;
+        apiIndex.sourceType = syncSource ? 'url' : input.sourceType;
+        apiIndex.fileName = input.fileName || null;
+        await apiIndex.save();
+
+        if (input.syncTrigger) {
+            await SpecSyncService.activateIfEnabled(job, apiIndex);
+        }
+
+        if (input.extractionId) {
+            await DocExtraction.markCommitted(input.extractionId, result.apiIndexId);
+        }
+
+        // Keep the source (and its auth) so the spec can be re-synced on a schedule
+        if (syncSource) {
+            try {
+                await SpecSyncService.recordSource({
+                    ...syncSource,
+                    zohoOrgId: job.zohoOrgId,
+                    specName: job.specName,
+                    baseUrlOverride: input.baseUrlOverride,
+                    organizationName: input.organizationName,
+                    contentHash: SpecSourceService.hashContent(input.rawText)
+                });
+            } catch (error) {
+                console.error('⚠️  Failed to record spec source for sync:', error.message);
+            }
+        }
+
+        console.log(`✅ Knowledge ingestion complete via ProcessingPipeline`);
+        console.log(`   - Endpoints: ${result.stats.endpoints}`);
+        console.log(`   - Intents: ${result.stats.intents}`);
+        console.log(`   - Sub-intents: ${result.stats.subIntents}`);
+        console.log(`   - Vector chunks: ${result.stats.vectorChunks}`);
+
+        return {
+            knowledgeBaseId: result.apiIndexId,
+            specName: result.specName,
+            version: result.version,
+            status: apiIndex.status, // New versions are drafts until activated
+            totalEndpoints: result.stats.endpoints,
+            learnedSkills: result.stats.endpoints,
+            vectorChunks: result.stats.vectorChunks,
+            intents: result.stats.intents,
+            subIntents: result.stats.subIntents,
+            changes: result.diff || null, // Set when the new version was diffed against the previous one
+            // Endpoints the LLM could not tag / map to intents (heuristics were used instead)
+            fallbacks: result.fallbacks,
+            // Simplified view of the endpoints for the frontend
+            skills: apiIndex.endpoints.map(ep => ({
+                method: ep.method,
+                endpoint: ep.path,
+                description: ep.summary || ep.description || '',
+                parameters: ep.parameters || []
+            }))
+        };
+    }
+
+    /**
+     * Start the background worker; jobs left running by a previous process are picked up again
+     * @param {Number} intervalMs - Poll interval for delayed retries
+     */
+    static startWorker(intervalMs = POLL_INTERVAL_MS) {
+        const timer = setInterval(() => this.drain(), intervalMs);
+        timer.unref();
+        this.kick();
+
+        console.log(`⚙️  Processing job worker started (polling every ${Math.round(intervalMs / 1000)}s)`);
+        return timer;
+    }
+}
@@ -5,8 +5,12 @@
 import { ApiParserService } from "./apiParserService.js";
 import { LLMService } from "./llmService.js";
 import { VectorDbService } from "./vectorDbService.js";
-import ApiIndex from "../models/ApiIndex.js";
+import ApiIndex, { DEFAULT_SPEC } from "../models/ApiIndex.js";
 import IntentMapping from "../models/IntentMapping.js";
+import { diffEndpoints, getEndpointKey, hashEndpoint } from "../utils/endpointDiff.js";
+import { applyCuration, getSourceValue } from "../utils/endpointCuration.js";
+import { resolveServerUrl } from "../utils/serverUrl.js";
+import { archiveOldVersions } from "../controllers/versionController.js";
 import fs from "fs";
 
 function log(message) {
@@ -29,6 +33,9 @@ export class ProcessingPipeline {
    * @param {String} mimeType - The MIME type of the specification
    * @param {String} zohoOrgId - The Zoho organization ID for namespace isolation
    * @param {String} organizationName - Optional organization name
+   * @param {Object} parseOptions - { sourceUrl, headers } used to resolve external $refs
+   * @param {String} specName - Which of the org's specs this is (e.g. "billing")
+   * @param {Object} hooks - { onProgress({ step, apiIndexId, done, total }) } awaited at every step; throwing aborts processing
    */
   async process(
     apiDocId,
@@ -36,55 +43,122 @@ export class ProcessingPipeline {
     mimeType,
     baseUrlOverride = null,
     zohoOrgId,
-    organizationName = null
+    organizationName = null,
+    parseOptions = {},
+    specName = DEFAULT_SPEC,
+    hooks = {}
   ) {
+    const report = async (step, details = {}) => {
+      await hooks.onProgress?.({ step, ...details });
+    };
+
     try {
       if (!zohoOrgId) {
         throw new Error("zohoOrgId is required for multi-tenancy support");
       }
       const namespace = zohoOrgId;
-      log(`Starting Phase 1 processing for doc ${apiDocId}`);
+      log(`Starting Phase 1 processing for doc ${apiDocId} (spec: ${specName})`);
 
       // Step 1: Parse API documentation
+      await report("parse");
       log("Step 1: Parsing API documentation...");
-      const parsed = await ApiParserService.parse(rawText, mimeType);
+      const parsed = await ApiParserService.parse(rawText, mimeType, parseOptions);
       log(`Parsed ${parsed.endpoints.length} endpoints`);
+      await report("parse", {
+        done: parsed.endpoints.length,
+        total: parsed.endpoints.length,
+        message: `Parsed ${parsed.endpoints.length} endpoints`,
+      });
 
-      // Apply base URL override if provided
+      // Apply base URL override if provided (one of the spec's servers, or a custom URL)
       if (baseUrlOverride) {
         log(`Applying base URL override: ${baseUrlOverride}`);
-        parsed.metadata.baseUrl = baseUrlOverride;
+        const server = parsed.metadata.servers?.find((s) => s.url === baseUrlOverride);
+        parsed.metadata.baseUrl = resolveServerUrl(baseUrlOverride, server?.variables);
+        parsed.metadata.baseUrlTemplate = server?.variables ? baseUrlOverride : undefined;
+        parsed.metadata.serverVariables = server?.variables;
+      }
+
+      // GraphQL calls all go to one endpoint, which the schema itself does not name
+      if (parsed.metadata.format === "graphql" && !/^https?:\/\//i.test(parsed.metadata.baseUrl || "")) {
+        throw new Error("The GraphQL endpoint URL is missing - enter it as the base URL");
+      }
+
+      parsed.endpoints.forEach((endpoint) => {
+        endpoint.contentHash = hashEndpoint(endpoint);
+      });
+
+      // Re-ingestion of a spec that already has a version: copy the latest
+      // version into a new draft and only process what changed
+      const latestIndex = await ApiIndex.findLatest(zohoOrgId, specName);
+      if (latestIndex) {
+        await report("index");
+        const draft = await this.createDraftVersion(latestIndex, namespace);
+        await report("index", { apiIndexId: draft._id });
+        const result = await this.reprocess(draft, parsed, namespace, report);
+
+        try {
+          await archiveOldVersions(zohoOrgId, specName);
+        } catch (error) {
+          log(`Failed to archive old versions: ${error.message}`);
+        }
+        return result;
       }
 
       // Step 2: Create structured API index
+      await report("index");
       log("Step 2: Creating structured API index...");
       const apiIndex = await this.createApiIndex(
         apiDocId,
         parsed,
         zohoOrgId,
         namespace,
-        organizationName
+        organizationName,
+        specName
       );
       log(`Created API index: ${apiIndex._id} with namespace: ${namespace}`);
+      await report("index", { apiIndexId: apiIndex._id });
 
       // Step 3: Generate business tags using LLM
+      await report("tags");
       log("Step 3: Generating business tags...");
-      const businessTags = await this.llmService.generateBusinessTags(
-        parsed.endpoints
-      );
+      const { tags: businessTags, fallbackEndpointIds: tagFallbacks } =
+        await this.llmService.generateBusinessTags(parsed.endpoints, {
+          onProgress: (done, total) => report("tags", this.tagProgress(done, total)),
+        });
       await this.updateBusinessTags(apiIndex._id, businessTags);
       log("Business tags generated");
+      await report("tags", {
+        ...this.tagProgress(parsed.endpoints.length, parsed.endpoints.length),
+        message: this.fallbackMessage(
+          `Tagged ${parsed.endpoints.length} endpoints`,
+          tagFallbacks,
+          "heuristic tags"
+        ),
+      });
 
       // Step 4: Generate intent mappings using LLM
+      await report("intents");
       log("Step 4: Generating intent mappings...");
-      const intents = await this.llmService.generateIntentMappings(
-        parsed.endpoints,
-        parsed.metadata
-      );
+      const { intents, fallbackEndpointIds: intentFallbacks } =
+        await this.llmService.generateIntentMappings(
+          parsed.endpoints,
+          parsed.metadata,
+          { onProgress: (done, total) => report("intents", this.intentProgress(done, total)) }
+        );
       const intentMapping = await this.createIntentMapping(
         apiIndex._id,
         intents
       );
+      await report("intents", {
+        done: intents.length,
+        total: intents.length,
+        message: this.fallbackMessage(
+          `Generated ${intents.length} intents`,
+          intentFallbacks,
+          "heuristic intents"
+        ),
+      });
       log(
         `Created ${intents.length} intents with ${intents.reduce(
           (sum, i) => sum + (i.subIntents?.length || 0),
@@ -99,13 +173,16 @@ export class ProcessingPipeline {
       );
 
       // Step 6: Initialize Pinecone and create vector DB chunks
+      await report("embeddings");
       log("Step 5: Initializing Pinecone...");
       await this.vectorDbService.initializeIndex();
       log("Step 6: Creating vector DB chunks...");
       const chunks = await this.vectorDbService.createChunks(
         updatedApiIndex,
         updatedIntentMapping,
-        namespace
+        namespace,
+        null,
+        (done, total) => report("embeddings", { done, total })
       );
       log(`Created ${chunks.length} vector chunks in namespace: ${namespace}`);
 
@@ -113,6 +190,9 @@ export class ProcessingPipeline {
         success: true,
         apiIndexId: apiIndex._id,
         intentMappingId: intentMapping._id,
+        specName: apiIndex.specName,
+        version: apiIndex.version,
+        status: apiIndex.status,
         stats: {
           endpoints: parsed.endpoints.length,
           intents: intents.length,
@@ -122,6 +202,10 @@ export class ProcessingPipeline {
           ),
           vectorChunks: chunks.length,
         },
+        fallbacks: {
+          tags: this.getEndpointKeys(parsed.endpoints, tagFallbacks),
+          intents: this.getEndpointKeys(parsed.endpoints, intentFallbacks),
+        },
       };
     } catch (error) {
       log(`Processing pipeline error: ${error.message}`);
@@ -130,6 +214,342 @@ export class ProcessingPipeline {
     }
   }
 
+  /**
+   * Incremental re-ingestion - diff the parsed spec against the existing index
+   * (endpoints matched by method + path) and only regenerate business tags,
+   * intents and vector chunks for added/changed endpoints
+   * @param {Object} apiIndex - Draft ApiIndex copied from the previous version (updated in place)
+   * @param {Object} parsed - Normalized spec with contentHash on every endpoint
+   * @param {String} namespace - Pinecone namespace
+   * @param {Function} report - Progress callback of process()
+   */
+  async reprocess(apiIndex, parsed, namespace, report = async () => {}) {
+    log(
+      `Re-ingesting ${apiIndex.specName} spec into draft version ${apiIndex.version} (based on version ${apiIndex.basedOnVersion ?? "unversioned"})`
+    );
+
+    // Step 1: Diff endpoints
+    const diff = diffEndpoints(apiIndex.endpoints, parsed.endpoints);
+    log(
+      `Endpoint diff: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged.length} unchanged`
+    );
+    await report("index", {
+      message: `${diff.added.length} endpoints added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged.length} unchanged`,
+    });
+
+    // Matched endpoints keep their endpointId so intents and chunks stay valid
+    const previousByNext = new Map(
+      [...diff.changed, ...diff.unchanged].map(({ previous, next }) => [next, previous])
+    );
+    const usedIds = new Set(
+      [...previousByNext.values()].map((previous) => previous.endpointId)
+    );
+
+    const endpoints = parsed.endpoints.map((endpoint) => {
+      const previous = previousByNext.get(endpoint);
+      if (previous) {
+        return { ...endpoint, endpointId: previous.endpointId };
+      }
+
+      // Positional IDs from normalize can collide with IDs kept from the old index
+      let endpointId = endpoint.endpointId;
+      for (let n = 1; usedIds.has(endpointId); n++) {
+        endpointId = `${endpoint.endpointId}_${n}`;
+      }
+      usedIds.add(endpointId);
+      return { ...endpoint, endpointId };
+    });
+
+    const affectedSources = new Set([
+      ...diff.added,
+      ...diff.changed.map(({ next }) => next),
+    ]);
+    const affected = endpoints.filter((_, index) =>
+      affectedSources.has(parsed.endpoints[index])
+    );
+    const staleEndpointIds = [
+      ...diff.removed.map((endpoint) => endpoint.endpointId),
+      ...diff.changed.map(({ previous }) => previous.endpointId),
+    ];
+
+    // Step 2: Business tags for added/changed endpoints only
+    await report("tags");
+    let businessTags = {};
+    let tagFallbacks = [];
+    if (affected.length > 0) {
+      log(`Step 2: Generating business tags for ${affected.length} endpoints...`);
+      ({ tags: businessTags, fallbackEndpointIds: tagFallbacks } =
+        await this.llmService.generateBusinessTags(affected, {
+          onProgress: (done, total) => report("tags", this.tagProgress(done, total)),
+        }));
+    }
+    await report("tags", {
+      ...this.tagProgress(affected.length, affected.length),
+      message: this.fallbackMessage(
+        `Tagged ${affected.length} endpoints`,
+        tagFallbacks,
+        "heuristic tags"
+      ),
+    });
+
+    // Admin edits (curation) of matched endpoints are re-applied on top of the new content
+    const unchangedTags = new Map(
+      diff.unchanged.map(({ previous }) => [
+        previous.endpointId,
+        getSourceValue(previous, "businessTags"),
+      ])
+    );
+    const curationById = new Map(
+      [...previousByNext.values()]
+        .filter((previous) => previous.curation)
+        .map((previous) => [previous.endpointId, previous.curation])
+    );
+    apiIndex.endpoints = endpoints.map((endpoint) =>
+      applyCuration(
+        {
+          ...endpoint,
+          businessTags:
+            businessTags[endpoint.endpointId] || unchangedTags.get(endpoint.endpointId) || [],
+        },
+        curationById.get(endpoint.endpointId)
+      )
+    );
+    apiIndex.metadata = parsed.metadata;
+    apiIndex.securitySchemes = parsed.securitySchemes;
+    apiIndex.components = parsed.components;
+    apiIndex.updatedAt = new Date();
+    await apiIndex.save();
+
+    // Step 3: Drop stale endpoints from existing intents, generate intents for affected ones
+    await report("intents");
+    let intentMapping = await IntentMapping.findOne({ apiIndexId: apiIndex._id });
+    if (!intentMapping) {
+      intentMapping = await this.createIntentMapping(apiIndex._id, []);
+    }
+
+    const { modifiedIntentIds, removedIntentIds } = this.pruneIntents(
+      intentMapping,
+      new Set(staleEndpointIds)
+    );
+
+    let newIntentIds = [];
+    let intentFallbacks = [];
+    if (affected.length > 0) {
+      log("Step 3: Generating intent mappings for affected endpoints...");
+      const generated = await this.llmService.generateIntentMappings(
+        affected,
+        parsed.metadata,
+        { onProgress: (done, total) => report("intents", this.intentProgress(done, total)) }
+      );
+      newIntentIds = this.appendIntents(intentMapping, generated.intents);
+      intentFallbacks = generated.fallbackEndpointIds;
+    }
+    await report("intents", {
+      done: newIntentIds.length,
+      total: newIntentIds.length,
+      message: this.fallbackMessage(
+        `Generated ${newIntentIds.length} intents, updated ${modifiedIntentIds.length}, removed ${removedIntentIds.length}`,
+        intentFallbacks,
+        "heuristic intents"
+      ),
+    });
+
+    intentMapping.updatedAt = new Date();
+    await intentMapping.save();
+
+    // Step 4: Replace vector chunks for stale endpoints and touched intents
+    await report("embeddings");
+    log("Step 4: Updating vector DB chunks...");
+    await this.vectorDbService.initializeIndex();
+    const deletedChunks = await this.vectorDbService.deleteChunks(
+      apiIndex._id,
+      namespace,
+      {
+        endpointIds: staleEndpointIds,
+        intentIds: [...modifiedIntentIds, ...removedIntentIds],
+      }
+    );
+
+    const updatedApiIndex = await ApiIndex.findById(apiIndex._id);
+    const updatedIntentMapping = await IntentMapping.findById(intentMapping._id);
+    const createdChunks = await this.vectorDbService.createChunks(
+      updatedApiIndex,
+      updatedIntentMapping,
+      namespace,
+      {
+        endpointIds: affected.map((endpoint) => endpoint.endpointId),
+        intentIds: [...modifiedIntentIds, ...newIntentIds],
+      },
+      (done, total) => report("embeddings", { done, total })
+    );
+    log(
+      `Deleted ${deletedChunks} and created ${createdChunks.length} vector chunks in namespace: ${namespace}`
+    );
+
+    const VectorChunk = (await import("../models/VectorChunk.js")).default;
+    const vectorChunks = await VectorChunk.countDocuments({
+      apiIndexId: apiIndex._id,
+    });
+
+    return {
+      success: true,
+      apiIndexId: apiIndex._id,
+      intentMappingId: intentMapping._id,
+      specName: apiIndex.specName,
+      version: apiIndex.version,
+      status: apiIndex.status,
+      stats: {
+        endpoints: endpoints.length,
+        intents: updatedIntentMapping.intents.length,
+        subIntents: updatedIntentMapping.intents.reduce(
+          (sum, i) => sum + (i.subIntents?.length || 0),
+          0
+        ),
+        vectorChunks,
+      },
+      diff: {
+        added: diff.added.map(getEndpointKey),
+        changed: diff.changed.map(({ next }) => getEndpointKey(next)),
+        removed: diff.removed.map(getEndpointKey),
+        unchanged: diff.unchanged.length,
+      },
+      fallbacks: {
+        tags: this.getEndpointKeys(endpoints, tagFallbacks),
+        intents: this.getEndpointKeys(endpoints, intentFallbacks),
+      },
+    };
+  }
+
+  /**
+   * Progress reports for the LLM steps, sent after every batch of endpoints
+   */
+  tagProgress(done, total) {
+    return { done, total, message: `Tagged ${done} of ${total} endpoints` };
+  }
+
+  intentProgress(done, total) {
+    return { done, total, message: `Mapped ${done} of ${total} endpoints to intents` };
+  }
+
+  /**
+   * Step summary noting how many endpoints fell back to heuristics
+   */
+  fallbackMessage(message, fallbackEndpointIds, label) {
+    if (fallbackEndpointIds.length === 0) {
+      return message;
+    }
+    const count = fallbackEndpointIds.length;
+    return `${message} (${count} endpoint${count === 1 ? "" : "s"} with ${label})`;
+  }
+
+  /**
+   * Method + path of the given endpoints, for reporting
+   */
+  getEndpointKeys(endpoints, endpointIds) {
+    const ids = new Set(endpointIds);
+    return endpoints
+      .filter((endpoint) => ids.has(endpoint.endpointId))
+      .map(getEndpointKey);
+  }
+
+  /**
+   * Create a draft version by copying an existing version's index, intents and vector chunks
+   * The previous version is left untouched so it can still be activated (rollback)
+   */
+  async createDraftVersion(baseIndex, namespace) {
+    const { _id, __v, ...baseData } = baseIndex.toObject();
+
+    const draft = new ApiIndex({
+      ...baseData,
+      specName: baseIndex.spec,
+      version: await ApiIndex.getNextVersion(baseIndex.zohoOrgId, baseIndex.spec),
+      status: "draft",
+      basedOnVersion: baseIndex.version,
+      activatedAt: undefined,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    await draft.save();
+    log(`Created draft version ${draft.version}: ${draft._id}`);
+
+    const baseMapping = await IntentMapping.findOne({ apiIndexId: _id }).lean();
+    if (baseMapping) {
+      await new IntentMapping({
+        apiIndexId: draft._id,
+        intents: baseMapping.intents,
+      }).save();
+    }
+
+    await this.vectorDbService.initializeIndex();
+    await this.vectorDbService.cloneChunks(_id, draft, namespace);
+
+    return draft;
+  }
+
+  /**
+   * Remove stale endpoint IDs from intents, dropping sub-intents and intents left empty
+   * @returns {Object} - { modifiedIntentIds, removedIntentIds }
+   */
+  pruneIntents(intentMapping, staleEndpointIds) {
+    const modifiedIntentIds = [];
+    const removedIntentIds = [];
+
+    intentMapping.intents = intentMapping.intents.filter((intent) => {
+      let modified = false;
+
+      intent.subIntents = intent.subIntents.filter((subIntent) => {
+        const endpointIds = subIntent.endpointIds.filter(
+          (id) => !staleEndpointIds.has(id)
+        );
+        if (endpointIds.length !== subIntent.endpointIds.length) {
+          modified = true;
+          subIntent.endpointIds = endpointIds;
+        }
+        return endpointIds.length > 0;
+      });
+
+      if (intent.subIntents.length === 0 && modified) {
+        removedIntentIds.push(intent.intentId);
+        return false;
+      }
+      if (modified) {
+        modifiedIntentIds.push(intent.intentId);
+        intent.updatedAt = new Date();
+      }
+      return true;
+    });
+
+    return { modifiedIntentIds, removedIntentIds };
+  }
+
+  /**
+   * Append newly generated intents with IDs that cannot clash with existing ones
+   * @returns {Array} - IDs of the appended intents
+   */
+  appendIntents(intentMapping, intents) {
+    const batch = Date.now();
+    const appended = intents.map((intent, idx) => ({
+      intentId: `intent_${intentMapping.apiIndexId}_${batch}_${idx}`,
+      name: intent.name,
+      description: intent.description,
+      category: intent.category,
+      subIntents: (intent.subIntents || []).map((subIntent, subIdx) => ({
+        subIntentId: `sub_${intentMapping.apiIndexId}_${batch}_${idx}_${subIdx}`,
+        name: subIntent.name,
+        description: subIntent.description,
+        endpointIds: subIntent.endpointIds || [],
+        parameterMappings: subIntent.parameterMappings || [],
+        requiredFields: subIntent.requiredFields || [],
+        constraints: subIntent.constraints || {},
+        exampleQueries: subIntent.exampleQueries || [],
+      })),
+      commonUseCases: intent.commonUseCases || [],
+    }));
+
+    intentMapping.intents.push(...appended);
+    return appended.map((intent) => intent.intentId);
+  }
+
   /**
    * Create API index in database
    */
@@ -138,12 +558,16 @@ export class ProcessingPipeline {
     parsed,
     zohoOrgId,
     namespace,
-    organizationName
+    organizationName,
+    specName = DEFAULT_SPEC
   ) {
     const apiIndex = new ApiIndex({
       apiDocId: null,
       zohoOrgId,
       namespace, // Not using ApiDoc model in onboarding flow
+      specName,
+      version: await ApiIndex.getNextVersion(zohoOrgId, specName),
+      status: "draft",
       metadata: parsed.metadata,
       endpoints: parsed.endpoints,
       securitySchemes: parsed.securitySchemes,
@@ -10,6 +10,10 @@ import greetingService from './greetingService.js';
 import { VectorDbService } from './vectorDbService.js';
 import apiExecutorService from './apiExecutorService.js';
 import parameterResolverService from './parameterResolverService.js';
+import visitorSignInService from './visitorSignInService.js';
+import { getFieldCatalog, getMissingFields, formatField, getFieldLabel } from '../utils/requestFields.js';
+
+const MAX_OPTIONAL_FIELDS = 10; // Per candidate in the decision prompt
 
 export class RagOrchestrationService {
     constructor() {
@@ -31,19 +35,18 @@ export class RagOrchestrationService {
      * Main entry point - process user message
      * @param {String} userMessage - The user's message
      * @param {Object} webhookPayload - Full SalesIQ webhook payload
+     * @param {String} visitorId - Verified visitor identity (see visitorIdentityService)
      * @returns {Promise<String>} Bot response
      */
-    async processMessage(userMessage, webhookPayload) {
+    async processMessage(userMessage, webhookPayload, visitorId) {
         try {
             // Extract from enriched payload (with Redis cached params)
-            const visitorId = webhookPayload.visitor?.email || webhookPayload.visitor?.active_conversation_id;
             const orgId = webhookPayload.orgId || webhookPayload.org_id; // Use cached orgId first
             const activeConversationId = webhookPayload.visitor?.active_conversation_id;
 
             if (!visitorId || !orgId) {
                 console.error('Missing visitorId or orgId from webhook');
                 console.error('visitorId:', visitorId, 'orgId:', orgId);
-                console.error('Payload:', JSON.stringify(webhookPayload, null, 2));
                 return "Sorry, I'm having trouble identifying you. Please try again.";
             }
 
@@ -82,6 +85,14 @@ export class RagOrchestrationService {
                 await conversation.save();
             }
 
+            // 1.4 In-chat sign-in: confirmation code, or the go-ahead for the action it was for
+            const signInReply = await this.handleSignInMessage(conversation, userMessage);
+            if (signInReply) {
+                await conversation.addMessage('user', userMessage);
+                await conversation.addMessage('bot', signInReply);
+                return signInReply;
+            }
+
             // 1.5 Check for cached pending result (from background pipeline)
             if (this.isFollowUpQuery(userMessage)) {
                 console.log('🔍 Detected follow-up query, checking for cached result...');
@@ -107,9 +118,9 @@ export class RagOrchestrationService {
             const conversationHistory = conversation.getLastNTurns(2);
             console.log('📜 Chat history:', conversationHistory);
 
-            // 4. Get active API index for this org
-            const apiIndex = await this.getActiveApiIndex(orgId);
-            if (!apiIndex) {
+            // 4. Get the active API index of every spec for this org
+            const apiIndexes = await this.getActiveApiIndexes(orgId);
+            if (apiIndexes.length === 0) {
                 console.log('⚠️  No active API documentation for this org');
                 const response = "I don't have any API documentation configured yet. Please upload your API spec first.";
                 await conversation.addMessage('user', userMessage);
@@ -123,7 +134,7 @@ export class RagOrchestrationService {
                 userMessage,
                 conversationHistory,
                 orgId,
-                apiIndex._id
+                apiIndexes
             );
 
             if (candidates.length === 0) {
@@ -151,7 +162,8 @@ export class RagOrchestrationService {
                 decision,
                 conversation,
                 orgId,
-                apiIndex._id
+                candidates,
+                apiIndexes
             );
 
             // 8. Save to conversation
@@ -205,21 +217,17 @@ export class RagOrchestrationService {
     }
 
     /**
-     * Get active API index for organization
+     * Get the active API index of each spec for organization
      */
-    async getActiveApiIndex(orgId) {
-        // Find the most recent API index for this org
-        const apiIndex = await ApiIndex.findOne({ zohoOrgId: orgId })
-            .sort({ createdAt: -1 })
-            .limit(1);
-
-        return apiIndex;
+    async getActiveApiIndexes(orgId) {
+        // Drafts are only used once an admin activates them
+        return ApiIndex.findAllActive(orgId);
     }
 
     /**
-     * Perform vector search with chat history
+     * Perform vector search with chat history across all active specs
      */
-    async performVectorSearch(userMessage, conversationHistory, orgId, apiIndexId) {
+    async performVectorSearch(userMessage, conversationHistory, orgId, apiIndexes) {
         try {
             // Combine user message with recent history for better context
             let searchQuery = userMessage;
@@ -228,33 +236,16 @@ export class RagOrchestrationService {
             }
 
             // Search in Pinecone using namespace = orgId
+            // More chunks are fetched with several specs so each one can contribute candidates
             const results = await this.vectorDbService.searchChunks(
                 searchQuery,
-                apiIndexId,
+                apiIndexes.map(apiIndex => apiIndex._id),
                 orgId,  //namespace
-                5       // top 5 candidates
-            );
-
-            // Extract unique endpoint IDs from results
-            const endpointIds = [...new Set(results.map(r => r.endpointId).filter(Boolean))];
-
-            // Fetch full endpoint specs
-            const apiIndex = await ApiIndex.findById(apiIndexId);
-            const candidates = apiIndex.endpoints.filter(ep =>
-                endpointIds.includes(ep.endpointId)
+                Math.min(5 * apiIndexes.length, 20)
             );
 
-            // Attach relevance scores
-            return candidates.map(endpoint => {
-                const relevantChunks = results.filter(r => r.endpointId === endpoint.endpointId);
-                const avgScore = relevantChunks.reduce((sum, r) => sum + r.score, 0) / relevantChunks.length;
-
-                return {
-                    endpoint,
-                    score: avgScore,
-                    matchedChunks: relevantChunks.length
-                };
-            }).sort((a, b) => b.score - a.score).slice(0, 5);
+            // Group chunks into endpoint candidates ranked by relevance, top 5 overall
+            return this.vectorDbService.groupByEndpoint(results, apiIndexes, 5);
 
         } catch (error) {
             console.error('Error in vector search:', error);
@@ -297,12 +288,20 @@ export class RagOrchestrationService {
      * Build decision prompt for Gemini
      */
     buildDecisionPrompt(userMessage, conversationHistory, candidates) {
+        const multiSpec = new Set(candidates.map(c => c.specName)).size > 1;
         const endpointTable = candidates.map((c, idx) => {
             const ep = c.endpoint;
+            const fields = getFieldCatalog(ep);
+            const required = fields.filter(f => f.required);
+            const optional = fields.filter(f => !f.required);
+            const moreOptional = optional.length > MAX_OPTIONAL_FIELDS
+                ? `\n     ...and ${optional.length - MAX_OPTIONAL_FIELDS} more`
+                : '';
             return `${idx + 1}. ${ep.method} ${ep.path}
-   ID: ${ep.endpointId}
+   ID: ${c.candidateId}${multiSpec ? `\n   Service: ${c.specName}` : ''}
    Description: ${ep.summary || ep.description || 'No description'}
-   Required params: ${ep.parameters?.filter(p => p.required).map(p => p.name).join(', ') || 'None'}
+   Required fields: ${required.length > 0 ? required.map(f => `\n     - ${formatField(f)}`).join('') : 'None'}
+   Optional fields: ${optional.length > 0 ? optional.slice(0, MAX_OPTIONAL_FIELDS).map(f => `\n     - ${formatField(f)}`).join('') + moreOptional : 'None'}
    Score: ${c.score.toFixed(3)}`;
         }).join('\n\n');
 
@@ -338,7 +337,9 @@ RESPOND IN THIS EXACT JSON FORMAT:
 }
 
 IMPORTANT:
-- If required parameters are missing, set 'call_api' to true but list them in 'missing_parameters'.
+- Use field names exactly as listed: dot notation for nested body fields (e.g. "address.city") and [] for fields of array items (e.g. "items[].sku", with an array of values, one per item).
+- Fields are path/query/header parameters when marked so, otherwise request body fields; values must match the listed type, format and allowed values.
+- If required fields are missing, set 'call_api' to true but list them in 'missing_parameters'.
 - In 'clarification_question', ask specifically for the missing information (e.g., "Could you provide your User ID?").
 - Set call_api to false if the user is just asking questions or chatting.
 - Confidence should reflect how certain you are about the match, NOT whether you have all params.
@@ -349,15 +350,31 @@ Only respond with valid JSON, no markdown formatting.`;
     /**
      * Handle Gemini's decision
      */
-    async handleDecision(decision, conversation, orgId, apiIndexId) {
+    async handleDecision(decision, conversation, orgId, candidates, apiIndexes) {
         // Case 1: No API call needed
         if (!decision.call_api) {
             await conversation.resetClarificationAttempts();
             return "I understand you're asking a question. How can I help you with that?";
         }
 
+        // Required fields (including request body fields) are checked against the chosen
+        // endpoint rather than trusting the LLM's list alone
+        decision.parameters = decision.parameters || {};
+        decision.missing_parameters = decision.missing_parameters || [];
+        const chosen = this.findCandidate(candidates, decision.endpoint_id);
+        if (chosen) {
+            const missingFields = getMissingFields(getFieldCatalog(chosen.endpoint), decision.parameters)
+                .filter(field => !decision.missing_parameters.includes(field.name));
+            if (missingFields.length > 0) {
+                console.log(`❓ Required fields not extracted: ${missingFields.map(f => f.name).join(', ')}`);
+                decision.missing_parameters.push(...missingFields.map(f => f.name));
+                // The LLM's question does not cover these fields
+                decision.clarification_question = null;
+            }
+        }
+
         // Case 2: Missing parameters - try to auto-resolve first
-        if (decision.missing_parameters && decision.missing_parameters.length > 0) {
+        if (decision.missing_parameters.length > 0) {
             console.log(`❓ Missing parameters: ${decision.missing_parameters.join(', ')}`);
 
             // Try to auto-resolve userId
@@ -370,7 +387,7 @@ Only respond with valid JSON, no markdown formatting.`;
                         orgId,
                         email,
                         conversation,
-                        apiIndexId
+                        apiIndexes
                     });
 
                     if (resolvedUserId) {
@@ -385,7 +402,8 @@ Only respond with valid JSON, no markdown formatting.`;
             // If still have missing parameters after auto-resolution, ask user
             if (decision.missing_parameters.length > 0) {
                 await conversation.incrementClarificationAttempts();
-                return decision.clarification_question || `I can help with that, but I need a bit more info. Could you provide your ${decision.missing_parameters.join(' and ')}?`;
+                const labels = decision.missing_parameters.map(name => getFieldLabel({ name }));
+                return decision.clarification_question || `I can help with that, but I need a bit more info. Could you provide your ${labels.join(' and ')}?`;
             }
 
             // All parameters resolved! Fall through to execute API
@@ -396,18 +414,31 @@ Only respond with valid JSON, no markdown formatting.`;
             console.log(`✨ High confidence (${decision.confidence}), executing API...`);
             await conversation.resetClarificationAttempts();
 
+            // The chosen candidate maps the ID back to its spec so the call uses that spec's base URL and auth
+            if (!chosen) {
+                console.log(`❌ Decision picked unknown endpoint: ${decision.endpoint_id}`);
+                return "Sorry, that action failed—try again shortly";
+            }
+
             const result = await apiExecutorService.executeApiCall(
-                decision.endpoint_id,
+                chosen.endpoint.endpointId,
                 decision.parameters,
                 orgId,
-                apiIndexId
+                chosen.apiIndexId,
+                { visitorId: conversation.visitorId }
             );
 
-            if (result.success) {
-                return `Great! I executed ${result.endpoint} successfully. ${this.formatApiResponse(result.data)}`;
-            } else {
-                return result.message; // User-friendly error
+            if (result.error === 'SIGN_IN_REQUIRED') {
+                return await this.requestSignIn(conversation, {
+                    endpointId: chosen.endpoint.endpointId,
+                    apiIndexId: chosen.apiIndexId?.toString(),
+                    method: chosen.endpoint.method,
+                    path: chosen.endpoint.path,
+                    parameters: decision.parameters
+                }, result);
             }
+
+            return this.describeResult(result);
         }
 
         // Case 4: Low confidence - clarify
@@ -421,6 +452,104 @@ Only respond with valid JSON, no markdown formatting.`;
         return "I'm having trouble understanding exactly what you need. Could you try rephrasing your request more specifically?";
     }
 
+    /**
+     * Reply for an executed API call
+     */
+    describeResult(result) {
+        if (result.success) {
+            return `Great! I executed ${result.endpoint} successfully. ${this.formatApiResponse(result.data)}`;
+        }
+        return result.message; // User-friendly error
+    }
+
+    /**
+     * Ask the visitor to sign in; the action runs once they have (see handleSignInMessage)
+     * @param {Object} conversation - Conversation document
+     * @param {Object} pendingAction - { endpointId, apiIndexId, method, path, parameters }
+     * @param {Object} result - The SIGN_IN_REQUIRED execution result
+     * @returns {Promise<String>} Bot response
+     */
+    async requestSignIn(conversation, pendingAction, result) {
+        const link = await visitorSignInService.createSignInLink({
+            orgId: conversation.orgId,
+            visitorId: conversation.visitorId,
+            pendingAction
+        });
+
+        if (!link) {
+            return 'Authentication failed—please contact support';
+        }
+        return `${result.message}: ${link} - once you're signed in, enter the code shown there in this chat.`;
+    }
+
+    /**
+     * Handle a message that finishes an in-chat sign-in: the confirmation code shown after
+     * signing in, then - for actions that change data - the visitor's yes or no
+     * @param {Object} conversation - Conversation document
+     * @param {String} userMessage - The user's message
+     * @returns {Promise<String|null>} Bot response, or null for other messages
+     */
+    async handleSignInMessage(conversation, userMessage) {
+        const { orgId, visitorId } = conversation;
+
+        const confirmation = await visitorSignInService.confirmSignIn(orgId, visitorId, userMessage);
+        if (confirmation?.status === 'invalid') {
+            return "That code doesn't match. Please enter the code shown after signing in.";
+        }
+        if (confirmation?.status === 'failed') {
+            return 'Too many incorrect codes - please ask again to get a new sign-in link.';
+        }
+        if (confirmation?.status === 'completed') {
+            const { pendingAction, actionConfirmation } = confirmation.signIn;
+            if (!pendingAction?.endpointId) {
+                return "Thanks, you're signed in! What would you like me to do?";
+            }
+            if (actionConfirmation === 'awaiting') {
+                return `Thanks, you're signed in! Shall I go ahead and call ${pendingAction.method} ${pendingAction.path} with ${JSON.stringify(pendingAction.parameters || {})}? Reply yes to continue or no to cancel.`;
+            }
+            return await this.resumeAfterSignIn(confirmation.signIn);
+        }
+
+        const answer = userMessage.trim().toLowerCase().replace(/[.!]+$/, '');
+        const confirmed = ['yes', 'y', 'yes please', 'go ahead', 'confirm'].includes(answer);
+        if (!confirmed && !['no', 'n', 'cancel', 'stop'].includes(answer)) {
+            return null;
+        }
+
+        const signIn = await visitorSignInService.resolvePendingAction(orgId, visitorId, confirmed);
+        if (!signIn) {
+            return null;
+        }
+        return confirmed ? await this.resumeAfterSignIn(signIn) : "Okay, I won't do that.";
+    }
+
+    /**
+     * Run the action a visitor asked for before signing in
+     * @param {Object} signIn - Completed VisitorSignIn
+     * @returns {Promise<String>} Bot response
+     */
+    async resumeAfterSignIn(signIn) {
+        const { orgId, visitorId, pendingAction } = signIn;
+        console.log(`▶️  Resuming action for visitor ${visitorId} after sign-in`);
+
+        const result = await apiExecutorService.executeApiCall(
+            pendingAction.endpointId,
+            pendingAction.parameters || {},
+            orgId,
+            pendingAction.apiIndexId,
+            { visitorId }
+        );
+        return this.describeResult(result);
+    }
+
+    /**
+     * Candidate chosen by the decision (by candidate ID, or the bare endpoint ID)
+     */
+    findCandidate(candidates, endpointId) {
+        return candidates.find(c => c.candidateId === endpointId)
+            || candidates.find(c => c.endpoint.endpointId === endpointId);
+    }
+
     /**
      * Check if message is a follow-up query for cached result
      */
@@ -465,6 +594,11 @@ Only respond with valid JSON, no markdown formatting.`;
             if (Array.isArray(data)) {
                 return `Found ${data.length} result(s).`;
             }
+            // Lists wrapped in a single element, e.g. parsed XML <users><user/>...</users>
+            const values = Object.values(data);
+            if (values.length === 1 && Array.isArray(values[0])) {
+                return `Found ${values[0].length} result(s).`;
+            }
             return "Here's what I found.";
         }
 
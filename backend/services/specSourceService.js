@@ -0,0 +1,97 @@
+/**
+ * Spec Source Service
+ * Fetches API documentation from a URL with the auth configured at ingestion
+ */
+
+import crypto from 'crypto';
+import { applyAuth } from '../utils/requestAuth.js';
+import { fetchPublicUrl } from '../utils/urlSafety.js';
+import oauthClientCredentialsService from './oauthClientCredentialsService.js';
+
+export class SpecSourceService {
+    /**
+     * Build the auth part of a spec request
+     * @param {Object} authConfig - { type, ...fields of the AuthConfig config for that type }
+     * @returns {Promise<Object>} { headers, params } - params are added to the URL (API keys in the query)
+     */
+    static async buildAuthRequest(authConfig) {
+        const request = { headers: {}, params: {} };
+        if (!authConfig) {
+            return request;
+        }
+
+        if (authConfig.type !== 'oauth2') {
+            applyAuth(request, authConfig.type, authConfig);
+        } else if (oauthClientCredentialsService.canRequestToken(authConfig)) {
+            try {
+                const accessToken = await oauthClientCredentialsService.getAccessToken(authConfig);
+                applyAuth(request, 'oauth2', { accessToken });
+            } catch (error) {
+                console.error('❌ OAuth2 token fetch error:', error.message);
+            }
+        }
+
+        return request;
+    }
+
+    /**
+     * Fetch a spec from its URL
+     * Only public addresses are fetched, on every redirect hop; the auth headers are not sent
+     * once a redirect leaves the spec's origin
+     * Pass the validators of the previous fetch to get { notModified: true } when the server reports no change
+     * @param {String} sourceUrl - Spec URL
+     * @param {Object} authConfig - Auth used to fetch the spec (see buildAuthRequest)
+     * @param {Object} validators - { etag, lastModified } from the previous fetch
+     * @returns {Promise<Object>} { notModified, rawText, mimeType, parseOptions, etag, lastModified, contentHash }
+     */
+    static async fetchSpec(sourceUrl, authConfig = null, validators = {}) {
+        const { headers, params } = await this.buildAuthRequest(authConfig);
+
+        const url = new URL(sourceUrl);
+        Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+
+        const requestHeaders = { ...headers };
+        if (validators.etag) {
+            requestHeaders['If-None-Match'] = validators.etag;
+        }
+        if (validators.lastModified) {
+            requestHeaders['If-Modified-Since'] = validators.lastModified;
+        }
+
+        const response = await fetchPublicUrl(url, { headers: requestHeaders });
+        if (response.status === 304) {
+            return { notModified: true, etag: validators.etag, lastModified: validators.lastModified };
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch from URL: ${response.statusText}`);
+        }
+
+        const rawText = await response.text();
+
+        // Detect YAML vs JSON
+        let mimeType = 'application/json';
+        const contentType = response.headers.get('content-type');
+        if (contentType?.includes('yaml') || sourceUrl.endsWith('.yaml') || sourceUrl.endsWith('.yml')) {
+            mimeType = 'application/x-yaml';
+        }
+
+        return {
+            notModified: false,
+            rawText,
+            mimeType,
+            parseOptions: { sourceUrl, headers }, // Used to resolve relative $refs against the source URL
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            contentHash: this.hashContent(rawText)
+        };
+    }
+
+    /**
+     * Hash of a spec document, used to skip re-ingestion when the content is unchanged
+     * @param {String} rawText - Raw spec text
+     * @returns {String} SHA-256 hex digest
+     */
+    static hashContent(rawText) {
+        return crypto.createHash('sha256').update(rawText || '').digest('hex');
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * Spec Sync Service
+ * Periodically re-fetches specs ingested from a URL and re-ingests them (as processing jobs) when they change
+ */
+
+import SpecSync from '../models/SpecSync.js';
+import { ProcessingJobService } from './processingJobService.js';
+import { SpecSourceService } from './specSourceService.js';
+import { activateApiIndex } from '../controllers/versionController.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+
+const MAX_RUN_HISTORY = 20;
+const LOCK_DURATION_MS = 60 * 60 * 1000; // A run that takes longer is assumed to have crashed
+const POLL_INTERVAL_MS = 60 * 1000;
+
+export class SpecSyncService {
+    /**
+     * Remember where a spec was ingested from so it can be re-synced later
+     * Called after every URL ingestion; the schedule itself stays as configured
+     * @param {Object} source - { zohoOrgId, specName, sourceUrl, sourceAuth (see encryptAuth), baseUrlOverride, organizationName, etag, lastModified, contentHash }
+     * @returns {Promise<Object>} SpecSync document
+     */
+    static async recordSource({ zohoOrgId, specName, sourceUrl, sourceAuth, baseUrlOverride, organizationName, etag, lastModified, contentHash }) {
+        const sync = await SpecSync.findOne({ zohoOrgId, specName }) || new SpecSync({ zohoOrgId, specName });
+
+        sync.sourceUrl = sourceUrl;
+        sync.sourceAuth = sourceAuth?.encrypted ? sourceAuth : undefined;
+        sync.baseUrlOverride = baseUrlOverride || null;
+        sync.organizationName = organizationName || sync.organizationName || null;
+        sync.etag = etag || undefined;
+        sync.lastModified = lastModified || undefined;
+        sync.contentHash = contentHash;
+
+        await sync.save();
+        return sync;
+    }
+
+    /**
+     * Encrypt the auth config used to fetch a spec for storage
+     * @param {Object} authConfig - Auth config as sent to the ingest endpoint
+     * @returns {Object|null} { encrypted, iv, tag, keyId }, or null when there is none or it cannot be encrypted
+     */
+    static encryptAuth(authConfig) {
+        if (!authConfig) {
+            return null;
+        }
+        try {
+            return encrypt(JSON.stringify(authConfig));
+        } catch (error) {
+            console.error('⚠️  Spec source auth not stored - scheduled syncs will fetch without auth:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Decrypted auth config used to fetch the spec
+     * @param {Object} sync - SpecSync document
+     * @returns {Object|null}
+     */
+    static getAuthConfig(sync) {
+        const { encrypted, iv, tag, keyId } = sync.sourceAuth || {};
+        if (!encrypted) {
+            return null;
+        }
+        return JSON.parse(decrypt(encrypted, iv, tag, keyId));
+    }
+
+    /**
+     * Re-fetch a spec and queue a processing job re-ingesting it when it changed
+     * The fetch sends the previous ETag / Last-Modified and the document is hashed,
+     * so unchanged specs are skipped without touching the pipeline. The run is
+     * recorded as queued with its job and completed by finishRun when the job ends
+     * @param {Object} sync - SpecSync document
+     * @param {String} trigger - 'schedule' or 'manual'
+     * @returns {Promise<Object|null>} The recorded run, or null when another run holds the lock
+     *   or a job of the spec is still unfinished
+     */
+    static async runSync(sync, trigger = 'schedule') {
+        // The unfinished job may already ingest the new document - compare against it once it ends
+        if (await ProcessingJobService.hasUnfinishedJob(sync.zohoOrgId, sync.specName)) {
+            console.log(`⏭️  Sync of ${sync.specName} for org ${sync.zohoOrgId} waits for the spec's processing job`);
+            return null;
+        }
+
+        const now = new Date();
+        const locked = await SpecSync.findOneAndUpdate(
+            {
+                _id: sync._id,
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) } },
+            { new: true }
+        );
+        if (!locked) {
+            console.log(`⏭️  Sync of ${sync.specName} for org ${sync.zohoOrgId} is already running`);
+            return null;
+        }
+
+        const run = { trigger, startedAt: now };
+        const update = {};
+
+        try {
+            console.log(`🔄 Syncing ${locked.specName} spec for org ${locked.zohoOrgId} from ${locked.sourceUrl}`);
+
+            const source = await SpecSourceService.fetchSpec(
+                locked.sourceUrl,
+                this.getAuthConfig(locked),
+                { etag: locked.etag, lastModified: locked.lastModified }
+            );
+
+            if (source.notModified || source.contentHash === locked.contentHash) {
+                run.status = 'unchanged';
+                run.finishedAt = new Date();
+                update.etag = source.etag || undefined;
+                update.lastModified = source.lastModified || undefined;
+                console.log(`✅ ${locked.specName} spec for org ${locked.zohoOrgId} is unchanged`);
+            } else {
+                // The job records the new validators and content hash with the source once it completes
+                const { headers, ...parseOptions } = source.parseOptions;
+                const sourceAuth = locked.toObject().sourceAuth;
+                const job = await ProcessingJobService.enqueue({
+                    zohoOrgId: locked.zohoOrgId,
+                    specName: locked.specName,
+                    input: {
+                        rawText: source.rawText,
+                        mimeType: source.mimeType,
+                        parseOptions,
+                        baseUrlOverride: locked.baseUrlOverride,
+                        organizationName: locked.organizationName,
+                        sourceType: 'url',
+                        sourceUrl: locked.sourceUrl,
+                        syncSource: {
+                            sourceUrl: locked.sourceUrl,
+                            sourceAuth: sourceAuth?.encrypted ? sourceAuth : undefined,
+                            etag: source.etag,
+                            lastModified: source.lastModified
+                        },
+                        syncTrigger: trigger
+                    }
+                });
+                Object.assign(run, { status: 'queued', jobId: job._id });
+                console.log(`📋 ${locked.specName} spec for org ${locked.zohoOrgId} changed - re-ingesting in job ${job._id}`);
+            }
+        } catch (error) {
+            console.error(`❌ Sync of ${locked.specName} spec for org ${locked.zohoOrgId} failed:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+            run.finishedAt = new Date();
+        }
+
+        // Re-read so settings changed while the run was in progress are kept
+        const latest = await SpecSync.findById(locked._id);
+        if (!latest) {
+            return run;
+        }
+        Object.assign(latest, update);
+        latest.lastRunAt = run.finishedAt || run.startedAt;
+        latest.lastStatus = run.status;
+        latest.lastError = run.error || null;
+        latest.runs = [run, ...latest.runs].slice(0, MAX_RUN_HISTORY);
+        latest.nextRunAt = latest.enabled ? this.getNextRunAt(latest, latest.lastRunAt) : null;
+        latest.lockedUntil = null;
+        await latest.save();
+
+        return run;
+    }
+
+    /**
+     * Activate a version created by a sync run when its schedule asks for it
+     * @param {Object} job - ProcessingJob started by runSync
+     * @param {Object} apiIndex - Version the job created (updated in place)
+     */
+    static async activateIfEnabled(job, apiIndex) {
+        const sync = await SpecSync.findOne({ zohoOrgId: job.zohoOrgId, specName: job.specName });
+        if (sync?.autoActivate && apiIndex.status !== 'active') {
+            await activateApiIndex(apiIndex);
+        }
+    }
+
+    /**
+     * Complete the run history entry of a sync's processing job once the job ends
+     * @param {Object} job - ProcessingJob started by runSync
+     * @param {Object} outcome - { status, result, error } the job ended with
+     */
+    static async finishRun(job, { status, result, error }) {
+        const run = status === 'completed'
+            ? {
+                status: 'updated',
+                knowledgeBaseId: result.knowledgeBaseId,
+                version: result.version,
+                activated: result.status === 'active',
+                changes: result.changes || null,
+                error: null
+            }
+            : { status, error: error || null }; // failed or cancelled
+        run.finishedAt = new Date();
+
+        await SpecSync.updateOne(
+            { zohoOrgId: job.zohoOrgId, specName: job.specName, 'runs.jobId': job._id },
+            {
+                $set: {
+                    ...Object.fromEntries(Object.entries(run).map(([key, value]) => [`runs.$.${key}`, value])),
+                    lastRunAt: run.finishedAt,
+                    lastStatus: run.status,
+                    lastError: run.error
+                }
+            }
+        );
+        if (status === 'completed') {
+            console.log(`✅ Synced ${job.specName} spec for org ${job.zohoOrgId} into version ${result.version} (${result.status})`);
+        }
+    }
+
+    /**
+     * When a schedule should run next
+     * @param {Object} sync - SpecSync document
+     * @param {Date} from - Time to count the interval from
+     * @returns {Date}
+     */
+    static getNextRunAt(sync, from = new Date()) {
+        return new Date(from.getTime() + sync.intervalMinutes * 60 * 1000);
+    }
+
+    /**
+     * Run every enabled sync that is due, one at a time
+     * @returns {Promise<Number>} Number of syncs run
+     */
+    static async runDueSyncs() {
+        const now = new Date();
+        const due = await SpecSync.find({
+            enabled: true,
+            nextRunAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        }).sort({ nextRunAt: 1 });
+
+        for (const sync of due) {
+            await this.runSync(sync, 'schedule');
+        }
+        return due.length;
+    }
+
+    /**
+     * Start polling for due syncs in the background
+     * @param {Number} intervalMs - Poll interval
+     */
+    static startScheduler(intervalMs = POLL_INTERVAL_MS) {
+        let polling = false;
+
+        const timer = setInterval(async () => {
+            if (polling) return;
+            polling = true;
+            try {
+                await this.runDueSyncs();
+            } catch (error) {
+                console.error('❌ Spec sync scheduler error:', error);
+            } finally {
+                polling = false;
+            }
+        }, intervalMs);
+        timer.unref();
+
+        console.log(`⏰ Spec sync scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+        return timer;
+    }
+}
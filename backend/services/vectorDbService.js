@@ -6,6 +6,7 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { Pinecone } from "@pinecone-database/pinecone";
 import dotenv from "dotenv";
+import { isEndpointEnabled } from "../utils/endpointCuration.js";
 
 dotenv.config();
 
@@ -101,8 +102,10 @@ export class VectorDbService {
    * @param {Object} apiIndex - The API index document
    * @param {Object} intentMappings - The intent mappings document
    * @param {String} namespace - Pinecone namespace for organization isolation (e.g., zohoOrgId)
+   * @param {Object} only - Optional { endpointIds, intentIds } to chunk a subset (incremental re-ingestion)
+   * @param {Function} onProgress - Optional (done, total) callback awaited after each embedded chunk
    */
-  async createChunks(apiIndex, intentMappings, namespace) {
+  async createChunks(apiIndex, intentMappings, namespace, only = null, onProgress = null) {
     if (!namespace) {
       throw new Error("Namespace is required for multi-tenancy support");
     }
@@ -110,6 +113,8 @@ export class VectorDbService {
 
     // 1. Chunk endpoint descriptions
     for (const endpoint of apiIndex.endpoints) {
+      if (only && !only.endpointIds?.includes(endpoint.endpointId)) continue;
+
       // Endpoint description chunk
       if (endpoint.description || endpoint.summary) {
         chunks.push({
@@ -198,6 +203,22 @@ export class VectorDbService {
         }
       }
 
+      // Example queries added by an admin
+      (endpoint.curation?.exampleQueries || []).forEach((query, idx) => {
+        chunks.push({
+          endpointId: endpoint.endpointId,
+          chunkType: "use_case",
+          content: `Example query: "${query}"\nThis maps to: ${
+            endpoint.summary || `${endpoint.method} ${endpoint.path}`
+          }\nEndpoint: ${endpoint.method} ${endpoint.path}`,
+          metadata: {
+            title: `Example query ${idx + 1} for ${endpoint.method} ${endpoint.path}`,
+            tags: ["example_query", "curated"],
+            context: { endpointId: endpoint.endpointId },
+          },
+        });
+      });
+
       // Logic chunks (parameter descriptions, constraints)
       if (endpoint.parameters && endpoint.parameters.length > 0) {
         const paramDescriptions = endpoint.parameters
@@ -225,6 +246,8 @@ export class VectorDbService {
     // 2. Chunk intent mappings
     if (intentMappings && intentMappings.intents) {
       for (const intent of intentMappings.intents) {
+        if (only && !only.intentIds?.includes(intent.intentId)) continue;
+
         // Intent description chunk
         chunks.push({
           intentId: intent.intentId,
@@ -296,7 +319,7 @@ export class VectorDbService {
     const savedChunks = [];
     const vectorsToUpsert = [];
 
-    for (const chunk of chunks) {
+    for (const [position, chunk] of chunks.entries()) {
       try {
         const embedding = await this.generateEmbedding(chunk.content);
         const chunkId = `chunk_${apiIndex._id}_${Date.now()}_${Math.random()
@@ -305,24 +328,10 @@ export class VectorDbService {
         const pineconeId = `vec_${chunkId}`;
 
         // Prepare vector for Pinecone
-        const metadata = {
-          chunkId,
-          apiIndexId: apiIndex._id.toString(),
-          chunkType: chunk.chunkType,
-          content: chunk.content,
-          title: chunk.metadata.title || "",
-          tags: chunk.metadata.tags || [],
-          ...chunk.metadata.context,
-        };
-
-        // Add optional fields only if they exist
-        if (chunk.endpointId) metadata.endpointId = chunk.endpointId;
-        if (chunk.intentId) metadata.intentId = chunk.intentId;
-
         vectorsToUpsert.push({
           id: pineconeId,
           values: embedding,
-          metadata,
+          metadata: this.buildVectorMetadata(chunk, chunkId, apiIndex._id),
         });
 
         // Save metadata to MongoDB (without embedding)
@@ -345,6 +354,7 @@ export class VectorDbService {
       } catch (error) {
         console.error(`Error processing chunk: ${error.message}`);
       }
+      await onProgress?.(position + 1, chunks.length);
     }
 
     // 5. Batch upsert vectors to Pinecone (skip in mock mode)
@@ -373,6 +383,194 @@ export class VectorDbService {
     return savedChunks;
   }
 
+  /**
+   * Build the Pinecone metadata stored alongside a chunk's vector
+   */
+  buildVectorMetadata(chunk, chunkId, apiIndexId) {
+    const metadata = {
+      chunkId,
+      apiIndexId: apiIndexId.toString(),
+      chunkType: chunk.chunkType,
+      content: chunk.content,
+      title: chunk.metadata?.title || "",
+      tags: chunk.metadata?.tags || [],
+      ...chunk.metadata?.context,
+    };
+
+    // Add optional fields only if they exist
+    if (chunk.endpointId) metadata.endpointId = chunk.endpointId;
+    if (chunk.intentId) metadata.intentId = chunk.intentId;
+
+    return metadata;
+  }
+
+  /**
+   * Copy every chunk of one API index to another (used when creating a new spec version)
+   * Embeddings are fetched from Pinecone and reused; only vectors missing there are re-embedded
+   * @param {String} sourceApiIndexId - API index to copy from
+   * @param {Object} targetApiIndex - API index document to copy to
+   * @param {String} namespace - Pinecone namespace for organization isolation
+   * @returns {Array} - The saved chunks
+   */
+  async cloneChunks(sourceApiIndexId, targetApiIndex, namespace) {
+    if (!namespace) {
+      throw new Error("Namespace is required for multi-tenancy support");
+    }
+
+    const VectorChunk = (await import("../models/VectorChunk.js")).default;
+    const sourceChunks = await VectorChunk.find({
+      apiIndexId: sourceApiIndexId,
+      namespace,
+    }).lean();
+    if (sourceChunks.length === 0) return [];
+
+    if (!this.index) {
+      await this.initializeIndex();
+    }
+
+    const clonedChunks = [];
+    const vectorsToUpsert = [];
+    let reembedded = 0;
+
+    // Pinecone fetch accepts up to 100 IDs per request
+    const batchSize = 100;
+    for (let i = 0; i < sourceChunks.length; i += batchSize) {
+      const batch = sourceChunks.slice(i, i + batchSize);
+
+      let records = {};
+      if (!this.useMockMode) {
+        const fetched = await this.index
+          .namespace(namespace)
+          .fetch(batch.map((chunk) => chunk.pineconeId).filter(Boolean));
+        records = fetched.records || {};
+      }
+
+      for (const chunk of batch) {
+        try {
+          let values = records[chunk.pineconeId]?.values;
+          if (!values) {
+            values = await this.generateEmbedding(chunk.content);
+            reembedded++;
+          }
+
+          const chunkId = `chunk_${targetApiIndex._id}_${Date.now()}_${Math.random()
+            .toString(36)
+            .substr(2, 9)}`;
+          const pineconeId = `vec_${chunkId}`;
+
+          vectorsToUpsert.push({
+            id: pineconeId,
+            values,
+            metadata: this.buildVectorMetadata(chunk, chunkId, targetApiIndex._id),
+          });
+
+          clonedChunks.push({
+            chunkId,
+            apiIndexId: targetApiIndex._id,
+            zohoOrgId: targetApiIndex.zohoOrgId,
+            namespace,
+            endpointId: chunk.endpointId,
+            intentId: chunk.intentId,
+            chunkType: chunk.chunkType,
+            content: chunk.content,
+            metadata: chunk.metadata,
+            pineconeId,
+            embeddingModel: chunk.embeddingModel || this.embeddingModel,
+          });
+        } catch (error) {
+          console.error(`Error cloning chunk ${chunk.chunkId}: ${error.message}`);
+        }
+      }
+    }
+
+    if (vectorsToUpsert.length > 0 && !this.useMockMode) {
+      for (let i = 0; i < vectorsToUpsert.length; i += batchSize) {
+        await this.index
+          .namespace(namespace)
+          .upsert(vectorsToUpsert.slice(i, i + batchSize));
+      }
+    }
+
+    const savedChunks = await VectorChunk.insertMany(clonedChunks);
+    console.log(
+      `Cloned ${savedChunks.length} chunks from API index ${sourceApiIndexId} (${reembedded} re-embedded)`
+    );
+    return savedChunks;
+  }
+
+  /**
+   * Delete the chunks of specific endpoints and intents (MongoDB metadata and Pinecone vectors)
+   * @param {String} apiIndexId - The API index the chunks belong to
+   * @param {String} namespace - Pinecone namespace for organization isolation
+   * @param {Object} targets - { endpointIds, intentIds }
+   * @returns {Number} - Number of chunks deleted
+   */
+  async deleteChunks(apiIndexId, namespace, { endpointIds = [], intentIds = [] } = {}) {
+    if (!namespace) {
+      throw new Error("Namespace is required for multi-tenancy support");
+    }
+    if (endpointIds.length === 0 && intentIds.length === 0) return 0;
+
+    return this.removeChunks(
+      {
+        apiIndexId,
+        namespace,
+        $or: [
+          { endpointId: { $in: endpointIds } },
+          { intentId: { $in: intentIds } },
+        ],
+      },
+      namespace
+    );
+  }
+
+  /**
+   * Delete every chunk of an API index (e.g. a version whose processing failed)
+   * @param {String} apiIndexId - The API index the chunks belong to
+   * @param {String} namespace - Pinecone namespace for organization isolation
+   * @returns {Number} - Number of chunks deleted
+   */
+  async deleteAllChunks(apiIndexId, namespace) {
+    if (!namespace) {
+      throw new Error("Namespace is required for multi-tenancy support");
+    }
+    return this.removeChunks({ apiIndexId, namespace }, namespace);
+  }
+
+  /**
+   * Delete the chunks matching a VectorChunk query from MongoDB and Pinecone
+   * @returns {Number} - Number of chunks deleted
+   */
+  async removeChunks(query, namespace) {
+    const VectorChunk = (await import("../models/VectorChunk.js")).default;
+    const chunks = await VectorChunk.find(query).select("pineconeId");
+    const pineconeIds = chunks.map((chunk) => chunk.pineconeId).filter(Boolean);
+
+    if (pineconeIds.length > 0 && !this.useMockMode) {
+      if (!this.index) {
+        await this.initializeIndex();
+      }
+
+      // Pinecone accepts up to 1000 IDs per delete
+      const batchSize = 1000;
+      for (let i = 0; i < pineconeIds.length; i += batchSize) {
+        await this.index
+          .namespace(namespace)
+          .deleteMany(pineconeIds.slice(i, i + batchSize));
+      }
+      console.log(
+        `Deleted ${pineconeIds.length} vectors from Pinecone namespace: ${namespace}`
+      );
+    } else if (this.useMockMode) {
+      console.log(
+        `🔄 [MOCK] Skipped Pinecone delete for ${pineconeIds.length} vectors`
+      );
+    }
+
+    const result = await VectorChunk.deleteMany(query);
+    return result.deletedCount;
+  }
+
   /**
    * Generate embedding for text
    */
@@ -515,19 +713,70 @@ export class VectorDbService {
     return content.trim();
   }
 
+  /**
+   * Group search results into endpoint candidates across the searched API indexes
+   * When several specs are searched, candidate IDs are prefixed with the spec name
+   * since endpoint IDs are only unique within a spec. Endpoints disabled by an
+   * admin are skipped (their chunks are kept so re-enabling needs no re-embedding)
+   * @param {Array} results - Chunks returned by searchChunks
+   * @param {Array} apiIndexes - The API indexes that were searched
+   * @param {Number} limit - Maximum number of candidates to return
+   * @returns {Array} - [{ candidateId, apiIndexId, specName, endpoint, score, matchedChunks }]
+   */
+  groupByEndpoint(results, apiIndexes, limit = 5) {
+    const multiSpec = apiIndexes.length > 1;
+    const candidates = [];
+
+    for (const apiIndex of apiIndexes) {
+      const indexResults = results.filter(
+        (r) => r.endpointId && r.apiIndexId?.toString() === apiIndex._id.toString()
+      );
+      const endpointIds = new Set(indexResults.map((r) => r.endpointId));
+
+      for (const endpoint of apiIndex.endpoints) {
+        if (!endpointIds.has(endpoint.endpointId)) continue;
+        if (!isEndpointEnabled(endpoint)) continue; // Disabled by an admin
+
+        const relevantChunks = indexResults.filter(
+          (r) => r.endpointId === endpoint.endpointId
+        );
+        const avgScore =
+          relevantChunks.reduce((sum, r) => sum + r.score, 0) /
+          relevantChunks.length;
+
+        candidates.push({
+          candidateId: multiSpec
+            ? `${apiIndex.spec}:${endpoint.endpointId}`
+            : endpoint.endpointId,
+          apiIndexId: apiIndex._id,
+          specName: apiIndex.spec,
+          endpoint,
+          score: avgScore,
+          matchedChunks: relevantChunks.length,
+        });
+      }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
   /**
    * Search chunks by similarity using Pinecone
    * @param {String} query - The search query
-   * @param {String} apiIndexId - The API index ID to filter by
+   * @param {String|Array} apiIndexIds - The API index ID(s) to filter by (one per active spec)
    * @param {String} namespace - Pinecone namespace for organization isolation
    * @param {Number} limit - Maximum number of results to return
    */
-  async searchChunks(query, apiIndexId, namespace, limit = 10) {
+  async searchChunks(query, apiIndexIds, namespace, limit = 10) {
+    const ids = (Array.isArray(apiIndexIds) ? apiIndexIds : [apiIndexIds]).map(
+      (id) => id.toString()
+    );
+
     // Mock mode: return sample results from MongoDB
     if (this.useMockMode) {
       console.log(`🔄 [MOCK] Searching chunks for query: "${query}"`);
       const VectorChunk = (await import("../models/VectorChunk.js")).default;
-      const chunks = await VectorChunk.find({ apiIndexId }).limit(limit);
+      const chunks = await VectorChunk.find({ apiIndexId: { $in: ids } }).limit(limit);
       return chunks.map((chunk, idx) => ({
         ...chunk.toObject(),
         score: 0.9 - idx * 0.05, // Mock decreasing scores
@@ -548,20 +797,17 @@ export class VectorDbService {
       const queryEmbedding = await this.generateEmbedding(query);
 
       // Query Pinecone with namespace isolation
-      // Namespace provides organization-level isolation
+      // Namespace provides organization-level isolation; the namespace also holds the
+      // vectors of every other version, so the query is filtered to the active ones
       const queryOptions = {
         vector: queryEmbedding,
         topK: limit,
         includeMetadata: true,
+        filter: {
+          apiIndexId: { $in: ids },
+        },
       };
 
-      // Add metadata filter for apiIndexId if supported (paid plans)
-      if (process.env.PINECONE_USE_FILTER === "true") {
-        queryOptions.filter = {
-          apiIndexId: { $eq: apiIndexId.toString() },
-        };
-      }
-
       // Query specific namespace for organization isolation
       const queryResponse = await this.index
         .namespace(namespace)
@@ -575,14 +821,7 @@ export class VectorDbService {
       // Get matching chunks from MongoDB using Pinecone IDs
       const VectorChunk = (await import("../models/VectorChunk.js")).default;
 
-      // Namespace already provides organization isolation
-      // Filter results by apiIndexId if not using Pinecone metadata filter
-      let matches = queryResponse.matches || [];
-      if (process.env.PINECONE_USE_FILTER !== "true") {
-        matches = matches.filter(
-          (match) => match.metadata?.apiIndexId === apiIndexId.toString()
-        );
-      }
+      const matches = queryResponse.matches || [];
 
       const pineconeIds = matches.map((match) => match.id);
 
@@ -594,7 +833,7 @@ export class VectorDbService {
       // Filter by namespace for additional security
       const chunks = await VectorChunk.find({
         pineconeId: { $in: pineconeIds },
-        apiIndexId: apiIndexId,
+        apiIndexId: { $in: ids },
         namespace: namespace,
       });
 
@@ -0,0 +1,127 @@
+/**
+ * Visitor Identity Service
+ * Identifies chat visitors by something they cannot make up: an identity token signed by the
+ * org's SaaS with the shared secret (HS256 JWT), or else the SalesIQ conversation they chat in.
+ * Credentials and conversations are keyed by this identity - never by the email a visitor types.
+ * The same secret signs the SaaS's token callbacks.
+ */
+
+import crypto from 'crypto';
+import Organization from '../models/Organization.js';
+
+// Visitor info field (SalesIQ $zoho.salesiq.visitor.info) carrying the identity token
+export const IDENTITY_TOKEN_FIELD = 'chat2act_identity';
+
+// Signed callbacks older than this are rejected (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const base64UrlDecode = (text) => Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const hmac = (secret, text) => crypto.createHmac('sha256', secret).update(text).digest();
+
+// Constant-time comparison of two buffers of possibly different length
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+class VisitorIdentityService {
+    /**
+     * Generate a new shared secret for an org
+     */
+    generateSecret() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Shared secret of an org, or null when visitor identity is not configured
+     */
+    async getSecret(orgId) {
+        if (!orgId) {
+            return null;
+        }
+        const org = await Organization.findOne({ orgId, userId: null });
+        return org?.visitorIdentitySecret || null;
+    }
+
+    /**
+     * Visitor ID of a user of the org's SaaS
+     */
+    toUserVisitorId(userId) {
+        return `user:${userId}`;
+    }
+
+    /**
+     * Verify an identity token (HS256 JWT with sub and exp)
+     * @param {String} token - Compact JWT
+     * @param {String} secret - Org's shared secret
+     * @returns {Object|null} Claims, or null when the token is invalid or expired
+     */
+    verifyIdentityToken(token, secret) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (!secret || parts.length !== 3) {
+            return null;
+        }
+
+        try {
+            const [header, payload, signature] = parts;
+            if (JSON.parse(base64UrlDecode(header).toString('utf8')).alg !== 'HS256') {
+                return null;
+            }
+            if (!safeEqual(base64UrlDecode(signature), hmac(secret, `${header}.${payload}`))) {
+                return null;
+            }
+
+            const claims = JSON.parse(base64UrlDecode(payload).toString('utf8'));
+            if (!claims.sub || typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+                return null;
+            }
+            return claims;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Identify the visitor of a SalesIQ webhook
+     * @param {Object} payload - Webhook payload
+     * @param {String} orgId - Zoho org ID
+     * @returns {Promise<String|null>} 'user:<SaaS user ID>' for a valid identity token,
+     *   else 'chat:<SalesIQ conversation ID>', null when neither is available
+     */
+    async resolveVisitorId(payload, orgId) {
+        const visitor = payload?.visitor || {};
+        const token = visitor.info?.[IDENTITY_TOKEN_FIELD] || visitor.custom_info?.[IDENTITY_TOKEN_FIELD];
+
+        if (token) {
+            const claims = this.verifyIdentityToken(token, await this.getSecret(orgId));
+            if (claims) {
+                return this.toUserVisitorId(claims.sub);
+            }
+            console.warn('⚠️  Ignoring invalid or expired visitor identity token');
+        }
+
+        return visitor.active_conversation_id ? `chat:${visitor.active_conversation_id}` : null;
+    }
+
+    /**
+     * Verify the signature of a callback from the org's SaaS
+     * Header format: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+     * @param {Buffer|String} rawBody - Request body as received
+     * @param {String} header - X-Chat2Act-Signature header
+     * @param {String} secret - Org's shared secret
+     * @returns {Boolean}
+     */
+    verifyCallbackSignature(rawBody, header, secret) {
+        if (!secret || !rawBody || typeof header !== 'string') {
+            return false;
+        }
+
+        const fields = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+        const timestamp = parseInt(fields.t, 10);
+        if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS || !/^[0-9a-f]{64}$/i.test(fields.v1 || '')) {
+            return false;
+        }
+
+        return safeEqual(Buffer.from(fields.v1, 'hex'), hmac(secret, `${fields.t}.${rawBody}`));
+    }
+}
+
+export default new VisitorIdentityService();
@@ -0,0 +1,289 @@
+/**
+ * Visitor Sign-In Service
+ * Lets a visitor without a credential sign in from the chat: an OAuth authorization code
+ * flow with PKCE against the org's authorization server, whose tokens are stored as the
+ * visitor's credential
+ *
+ * A sign-in link is a bearer URL, so it is bound twice: the callback must come from the
+ * browser that opened the link (cookie), and the tokens are stored only once the code shown
+ * in that browser is entered in the chat that asked for the sign-in
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import Organization from '../models/Organization.js';
+import VisitorCredential from '../models/VisitorCredential.js';
+import VisitorSignIn from '../models/VisitorSignIn.js';
+import { assertPublicUrl } from '../utils/urlSafety.js';
+
+// How long a sign-in link can be used
+export const SIGN_IN_TTL_MS = 10 * 60 * 1000;
+
+const TOKEN_REQUEST_TIMEOUT_MS = 15000;
+
+// Wrong confirmation codes allowed before the sign-in is cancelled
+const MAX_CONFIRMATION_ATTEMPTS = 5;
+
+const sha256 = (text) => crypto.createHash('sha256').update(String(text)).digest('hex');
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+class VisitorSignInService {
+    /**
+     * Public URL of this server (links in chat and the OAuth redirect point here)
+     */
+    getPublicBaseUrl() {
+        return (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null;
+    }
+
+    getRedirectUri() {
+        const baseUrl = this.getPublicBaseUrl();
+        return baseUrl ? `${baseUrl}/chatbot/visitor-auth/callback` : null;
+    }
+
+    /**
+     * Sign-in configuration of an org, or null when visitors cannot sign in
+     */
+    async getConfig(orgId) {
+        const org = await Organization.findOne({ orgId, userId: null });
+        const config = org?.visitorSignIn;
+        return config?.authorizationUrl && config.tokenUrl && config.clientId ? config : null;
+    }
+
+    /**
+     * Start a sign-in for a visitor
+     * @param {Object} params - { orgId, visitorId, pendingAction: { endpointId, apiIndexId, parameters } }
+     * @returns {Promise<String|null>} Link to send to the visitor, or null when sign-in is not configured
+     */
+    async createSignInLink({ orgId, visitorId, pendingAction = null }) {
+        const config = await this.getConfig(orgId);
+        const baseUrl = this.getPublicBaseUrl();
+        if (!config || !baseUrl) {
+            console.warn(`⚠️  Visitor sign-in not available for org ${orgId} (${config ? 'PUBLIC_BASE_URL not set' : 'not configured'})`);
+            return null;
+        }
+
+        const signIn = await VisitorSignIn.create({
+            state: base64Url(crypto.randomBytes(24)),
+            orgId,
+            visitorId,
+            codeVerifier: base64Url(crypto.randomBytes(32)),
+            pendingAction,
+            expiresAt: new Date(Date.now() + SIGN_IN_TTL_MS)
+        });
+
+        console.log(`🔐 Created sign-in link for visitor ${visitorId}`);
+        return `${baseUrl}/chatbot/visitor-auth/start/${signIn.state}`;
+    }
+
+    /**
+     * Open a sign-in link: bind it to the browser and get the authorization server URL
+     * A link can be opened once
+     * @param {String} state - Sign-in state
+     * @returns {Promise<Object|null>} { authorizationUrl, browserNonce } - the nonce goes in a
+     *   cookie; null when the sign-in is unknown, used or expired
+     */
+    async startSignIn(state) {
+        const browserNonce = base64Url(crypto.randomBytes(24));
+        const signIn = await VisitorSignIn.findOneAndUpdate(
+            { state, status: 'pending', expiresAt: { $gt: new Date() } },
+            { $set: { status: 'started', browserNonceHash: sha256(browserNonce) } },
+            { new: true }
+        );
+        const config = signIn ? await this.getConfig(signIn.orgId) : null;
+        if (!config) {
+            return null;
+        }
+
+        const url = new URL(config.authorizationUrl);
+        url.searchParams.set('response_type', 'code');
+        url.searchParams.set('client_id', config.clientId);
+        url.searchParams.set('redirect_uri', this.getRedirectUri());
+        url.searchParams.set('state', state);
+        url.searchParams.set('code_challenge', base64Url(crypto.createHash('sha256').update(signIn.codeVerifier).digest()));
+        url.searchParams.set('code_challenge_method', 'S256');
+        if (config.scopes?.length > 0) {
+            url.searchParams.set('scope', config.scopes.join(' '));
+        }
+        return { authorizationUrl: url.toString(), browserNonce };
+    }
+
+    /**
+     * Finish the browser part of a sign-in: exchange the code and hold the tokens until the
+     * visitor confirms the sign-in in the chat (see confirmSignIn)
+     * @param {String} state - Sign-in state from the callback
+     * @param {String} code - Authorization code
+     * @param {String} browserNonce - Nonce from the cookie set when the link was opened
+     * @returns {Promise<String>} Confirmation code to show the visitor
+     */
+    async authorizeSignIn(state, code, browserNonce) {
+        const signIn = await VisitorSignIn.findOneAndUpdate(
+            { state, status: 'started', browserNonceHash: sha256(browserNonce), expiresAt: { $gt: new Date() } },
+            { $set: { status: 'authorizing' } },
+            { new: true }
+        );
+        if (!signIn) {
+            throw new Error('This sign-in link has expired, was already used or was opened in another browser. Please ask the bot again.');
+        }
+
+        try {
+            const config = await this.getConfig(signIn.orgId);
+            if (!config) {
+                throw new Error('Sign-in is no longer configured for this organization');
+            }
+
+            const tokenData = await this.exchangeCode(config, code, signIn.codeVerifier);
+            const confirmationCode = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+            signIn.tokens = JSON.stringify(tokenData);
+            signIn.confirmationCodeHash = sha256(confirmationCode);
+            signIn.status = 'authorized';
+            signIn.expiresAt = new Date(Date.now() + SIGN_IN_TTL_MS);
+            await signIn.save();
+
+            console.log(`🔐 Visitor ${signIn.visitorId} authorized - waiting for confirmation in the chat`);
+            return confirmationCode;
+        } catch (error) {
+            signIn.status = 'failed';
+            await signIn.save();
+            throw error;
+        }
+    }
+
+    /**
+     * Confirm a sign-in from the chat with the code shown after authorization, and store the
+     * tokens as the visitor's credential
+     * @param {String} orgId - Zoho org ID
+     * @param {String} visitorId - Visitor of the chat
+     * @param {String} message - Chat message that may contain the code
+     * @returns {Promise<Object|null>} { status: 'completed', signIn } | { status: 'invalid' } |
+     *   { status: 'failed' }; null when no sign-in waits for a code or the message has none
+     */
+    async confirmSignIn(orgId, visitorId, message) {
+        const code = String(message || '').match(/\b\d{6}\b/)?.[0];
+        const waiting = { orgId, visitorId, status: 'authorized', expiresAt: { $gt: new Date() } };
+        if (!code || !visitorId || !(await VisitorSignIn.exists(waiting))) {
+            return null;
+        }
+
+        const signIn = await VisitorSignIn.findOneAndUpdate(
+            { ...waiting, confirmationCodeHash: sha256(code) },
+            { $set: { status: 'completed' } },
+            { new: true }
+        );
+
+        if (!signIn) {
+            const attempt = await VisitorSignIn.findOneAndUpdate(waiting, { $inc: { confirmationAttempts: 1 } }, { new: true });
+            if (attempt && attempt.confirmationAttempts >= MAX_CONFIRMATION_ATTEMPTS) {
+                await VisitorSignIn.updateOne({ _id: attempt._id }, { $set: { status: 'failed' }, $unset: { tokens: 1 } });
+                console.warn(`⚠️  Sign-in of visitor ${visitorId} cancelled after ${MAX_CONFIRMATION_ATTEMPTS} wrong codes`);
+                return { status: 'failed' };
+            }
+            return { status: 'invalid' };
+        }
+
+        const config = await this.getConfig(orgId);
+        if (!config) {
+            throw new Error('Sign-in is no longer configured for this organization');
+        }
+        await this.storeCredential(signIn, config, JSON.parse(signIn.tokens));
+
+        // Actions that change data wait for the visitor's go-ahead
+        const method = (signIn.pendingAction?.method || 'GET').toUpperCase();
+        signIn.tokens = undefined;
+        signIn.actionConfirmation = signIn.pendingAction?.endpointId && method !== 'GET' ? 'awaiting' : 'none';
+        await signIn.save();
+
+        return { status: 'completed', signIn };
+    }
+
+    /**
+     * Answer the confirmation of the action a signed-in visitor asked for
+     * @param {String} orgId - Zoho org ID
+     * @param {String} visitorId - Visitor of the chat
+     * @param {Boolean} confirmed - Whether the visitor agreed
+     * @returns {Promise<Object|null>} The sign-in, or null when no action waits for confirmation
+     */
+    async resolvePendingAction(orgId, visitorId, confirmed) {
+        if (!visitorId) {
+            return null;
+        }
+        return VisitorSignIn.findOneAndUpdate(
+            { orgId, visitorId, status: 'completed', actionConfirmation: 'awaiting', expiresAt: { $gt: new Date() } },
+            { $set: { actionConfirmation: confirmed ? 'confirmed' : 'declined' } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Exchange an authorization code (with its PKCE verifier) for tokens
+     */
+    async exchangeCode(config, code, codeVerifier) {
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.getRedirectUri(),
+            client_id: config.clientId,
+            code_verifier: codeVerifier
+        });
+        if (config.clientSecret) {
+            body.append('client_secret', config.clientSecret);
+        }
+
+        try {
+            // Checked again here: the host may resolve differently than when it was configured
+            await assertPublicUrl(config.tokenUrl);
+            const response = await axios.post(config.tokenUrl, body.toString(), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json'
+                },
+                timeout: TOKEN_REQUEST_TIMEOUT_MS,
+                maxRedirects: 0
+            });
+
+            if (!response.data?.access_token) {
+                throw new Error('Token response did not include an access_token');
+            }
+            return response.data;
+        } catch (error) {
+            console.error('❌ Visitor token exchange failed:', error.response?.data || error.message);
+            throw new Error('Sign-in failed while exchanging the authorization code');
+        }
+    }
+
+    /**
+     * Store tokens as the credential of the visitor who signed in
+     */
+    async storeCredential(signIn, config, tokenData) {
+        const { orgId, visitorId } = signIn;
+        let credential = await VisitorCredential.findForVisitor(orgId, visitorId);
+
+        if (!credential) {
+            credential = new VisitorCredential({
+                orgId,
+                userId: visitorId,
+                visitorId,
+                name: visitorId
+            });
+        }
+
+        credential.oauthCredentials = {
+            accessToken: tokenData.access_token,
+            refreshToken: tokenData.refresh_token || credential.oauthCredentials?.refreshToken,
+            tokenType: tokenData.token_type || 'Bearer',
+            expiresAt: new Date(Date.now() + (tokenData.expires_in || 3600) * 1000),  // 1 hour default
+            scope: tokenData.scope || config.scopes?.join(' '),
+            tokenRefreshUrl: config.tokenUrl,
+            clientId: config.clientId,
+            clientSecret: config.clientSecret,
+            clientAuthentication: 'body'
+        };
+        await credential.save();
+
+        console.log(`✅ Visitor ${visitorId} signed in (org ${orgId})`);
+        return credential;
+    }
+}
+
+export default new VisitorSignInService();
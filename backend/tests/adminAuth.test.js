@@ -0,0 +1,51 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireAdmin } from '../utils/adminAuth.js';
+
+const realKey = process.env.ADMIN_API_KEY;
+afterEach(() => {
+  if (realKey === undefined) delete process.env.ADMIN_API_KEY;
+  else process.env.ADMIN_API_KEY = realKey;
+});
+
+// Runs the middleware and reports the status it answered with, or 'next'
+const run = (authorization) => {
+  let result = null;
+  const req = { get: name => (name.toLowerCase() === 'authorization' ? authorization : undefined) };
+  const res = {
+    status(code) {
+      result = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  requireAdmin(req, res, () => {
+    result = 'next';
+  });
+  return result;
+};
+
+test('requireAdmin accepts the admin key as a bearer token', () => {
+  process.env.ADMIN_API_KEY = 'admin-secret';
+
+  assert.equal(run('Bearer admin-secret'), 'next');
+  assert.equal(run('bearer admin-secret'), 'next');
+});
+
+test('requireAdmin rejects missing or wrong keys', () => {
+  process.env.ADMIN_API_KEY = 'admin-secret';
+
+  assert.equal(run(undefined), 401);
+  assert.equal(run('Bearer admin-secre'), 401);
+  assert.equal(run('Basic admin-secret'), 401);
+  assert.equal(run('Bearer '), 401);
+});
+
+test('requireAdmin keeps admin routes closed without a configured key', () => {
+  delete process.env.ADMIN_API_KEY;
+
+  assert.equal(run('Bearer anything'), 503);
+  assert.equal(run('Bearer '), 503);
+});
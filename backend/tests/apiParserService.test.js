@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiParserService } from '../services/apiParserService.js';
+import { buildQualityReport } from '../utils/specQuality.js';
+
+const SDL = 'type Query {\n  "Find a user"\n  user(id: ID!): String\n}';
+
+test('GraphQL schemas take the endpoint URL from an introspection source URL', async () => {
+  const parsed = await ApiParserService.parse(SDL, 'application/graphql', { sourceUrl: 'https://api.example.com/v2/graphql/?query=x' });
+
+  assert.equal(parsed.metadata.baseUrl, 'https://api.example.com/v2/graphql');
+});
+
+test('GraphQL schemas without an endpoint URL report it as missing', async () => {
+  for (const options of [{}, { sourceUrl: 'https://example.com/schema.graphql' }]) {
+    const parsed = await ApiParserService.parse(SDL, 'application/graphql', options);
+    const report = buildQualityReport(parsed);
+
+    assert.equal(parsed.metadata.baseUrl, null);
+    assert.deepEqual(
+      report.issues.filter(issue => issue.rule === 'missing_servers').map(issue => issue.message),
+      ['The GraphQL schema does not include the endpoint URL']
+    );
+  }
+});
+
+const postmanCollection = (request, variable = []) => JSON.stringify({
+  info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+  variable,
+  item: [{ name: 'Call', request }]
+});
+
+test('Postman bodies substitute variables inside strings and keep unknown ones', async () => {
+  const raw = '{"greeting": "Hello {{name}}", "note": "Hi {{unknown}}", "count": {{count}}, "id": {{id}}, "missing": {{missing}}}';
+  const parsed = await ApiParserService.parse(postmanCollection(
+    { method: 'POST', url: 'https://api.example.com/greet', body: { mode: 'raw', raw } },
+    [{ key: 'name', value: 'Ada "A"' }, { key: 'count', value: '3' }, { key: 'id', value: 'abc' }]
+  ), 'application/json');
+
+  assert.deepEqual(parsed.endpoints[0].requestBody.example, {
+    greeting: 'Hello Ada "A"',
+    note: 'Hi {{unknown}}',
+    count: 3,
+    id: 'abc',
+    missing: null
+  });
+});
+
+test('Postman query values keep everything after the first =', async () => {
+  const parsed = await ApiParserService.parse(postmanCollection(
+    { method: 'GET', url: 'https://api.example.com/items?cursor=YWJj==&filter=a=b?c&flag' }
+  ), 'application/json');
+
+  const query = parsed.endpoints[0].parameters.filter(param => param.in === 'query');
+  assert.deepEqual(query.map(param => [param.name, param.example]), [
+    ['cursor', 'YWJj=='],
+    ['filter', 'a=b?c'],
+    ['flag', undefined]
+  ]);
+});
+
+test('Postman paths resolve known variables before extracting path parameters', async () => {
+  const parsed = await ApiParserService.parse(postmanCollection(
+    { method: 'GET', url: '{{baseUrl}}/{{version}}/users/{{userId}}/orders/:orderId' },
+    [{ key: 'baseUrl', value: 'https://api.example.com' }, { key: 'version', value: 'v2' }]
+  ), 'application/json');
+
+  const [endpoint] = parsed.endpoints;
+  assert.equal(parsed.metadata.baseUrl, 'https://api.example.com');
+  assert.equal(endpoint.path, '/v2/users/{userId}/orders/{orderId}');
+  assert.deepEqual(endpoint.parameters.filter(param => param.in === 'path').map(param => param.name), ['userId', 'orderId']);
+});
+
+test('Postman paths tolerate structured segments without a value', async () => {
+  const parsed = await ApiParserService.parse(postmanCollection({
+    method: 'GET',
+    url: {
+      raw: 'https://api.example.com/users//{{userId}}',
+      protocol: 'https',
+      host: ['api', 'example', 'com'],
+      path: ['users', { type: 'string' }, null, '{{userId}}', { value: ':tab' }]
+    }
+  }), 'application/json');
+
+  const [endpoint] = parsed.endpoints;
+  assert.equal(endpoint.path, '/users/{userId}/{tab}');
+  assert.deepEqual(endpoint.parameters.map(param => param.name), ['userId', 'tab']);
+});
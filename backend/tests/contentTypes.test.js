@@ -0,0 +1,107 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeRequestBody,
+  parseCsv,
+  parseResponseBody,
+  parseXml,
+  selectContentType,
+  toFormUrlEncoded,
+  toMultipart,
+  toXml
+} from '../utils/contentTypes.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('selectContentType prefers JSON, then forms, multipart, XML and text', () => {
+  assert.equal(selectContentType(['application/xml', 'application/vnd.api+json']), 'application/vnd.api+json');
+  assert.equal(selectContentType(['text/plain', 'multipart/form-data']), 'multipart/form-data');
+  assert.equal(selectContentType(['text/plain', 'application/xml']), 'application/xml');
+  assert.equal(selectContentType(['*/*']), 'application/json');
+  assert.equal(selectContentType(['application/octet-stream']), 'application/octet-stream');
+});
+
+test('toFormUrlEncoded repeats arrays and brackets nested objects', () => {
+  assert.equal(
+    toFormUrlEncoded({ tags: ['a', 'b'], address: { city: 'Paris' }, empty: null }),
+    'tags=a&tags=b&address%5Bcity%5D=Paris'
+  );
+});
+
+test('toXml and parseXml round-trip attributes, text and repeated elements', () => {
+  const xml = toXml({ order: { '@id': '7', item: ['a', 'b'], note: 'x & y' } });
+
+  assert.equal(xml, '<?xml version="1.0" encoding="UTF-8"?>\n<order id="7"><item>a</item><item>b</item><note>x &amp; y</note></order>');
+  assert.deepEqual(parseXml(xml), { '@id': '7', item: ['a', 'b'], note: 'x & y' });
+});
+
+test('parseXml drops namespaces and reads CDATA', () => {
+  const parsed = parseXml('<ns:root xmlns:ns="urn:x"><ns:value><![CDATA[<raw>]]></ns:value></ns:root>');
+
+  assert.deepEqual(parsed, { value: '<raw>' });
+  assert.throws(() => parseXml('<a><b></a>'), /Unexpected closing tag|Unclosed tag/);
+});
+
+test('parseCsv handles quotes, embedded delimiters and newlines', () => {
+  const rows = parseCsv('name,note\r\n"Smith, Ada","said ""hi""\nthen left"\n\nBob,\n');
+
+  assert.deepEqual(rows, [
+    { name: 'Smith, Ada', note: 'said "hi"\nthen left' },
+    { name: 'Bob', note: '' }
+  ]);
+});
+
+test('parseResponseBody parses XML and CSV and leaves other bodies alone', () => {
+  assert.deepEqual(parseResponseBody('<r><a>1</a></r>', 'application/xml; charset=utf-8'), { a: '1' });
+  assert.deepEqual(parseResponseBody('a\tb\n1\t2', 'text/tab-separated-values'), [{ a: '1', b: '2' }]);
+  assert.equal(parseResponseBody('<broken', 'text/xml'), '<broken');
+  assert.deepEqual(parseResponseBody({ ok: true }, 'application/json'), { ok: true });
+});
+
+test('encodeRequestBody encodes by media type', async () => {
+  assert.equal(await encodeRequestBody({ a: 1 }, 'application/x-www-form-urlencoded'), 'a=1');
+  assert.equal(await encodeRequestBody({ a: 1 }, 'text/plain'), '{"a":1}');
+  assert.match(await encodeRequestBody({ a: 1 }, 'application/xml', { xmlName: 'Thing' }), /<Thing><a>1<\/a><\/Thing>$/);
+  assert.deepEqual(await encodeRequestBody({ a: 1 }, 'application/json'), { a: 1 });
+});
+
+test('toMultipart sends files from data URIs and objects as JSON parts', async () => {
+  const form = await toMultipart({
+    file: 'data:text/plain;base64,aGVsbG8=',
+    meta: { a: 1 },
+    tags: ['x', 'y']
+  }, ['file']);
+
+  assert.equal(await form.get('file').text(), 'hello');
+  assert.equal(await form.get('meta').text(), '{"a":1}');
+  assert.deepEqual(form.getAll('tags'), ['x', 'y']);
+});
+
+test('toMultipart refuses file URLs on private addresses', async () => {
+  globalThis.fetch = async () => assert.fail('private address was fetched');
+
+  await assert.rejects(toMultipart({ file: 'https://127.0.0.1/secret' }, ['file']), /private or loopback/);
+  await assert.rejects(toMultipart({ file: 'https://169.254.169.254/latest' }, ['file']), /private or loopback/);
+});
+
+test('toMultipart checks redirects of file URLs', async () => {
+  globalThis.fetch = async () => new Response(null, { status: 302, headers: { location: 'http://10.0.0.1/internal' } });
+
+  await assert.rejects(toMultipart({ file: 'https://8.8.8.8/file.pdf' }, ['file']), /private or loopback/);
+});
+
+test('toMultipart stops reading a file body past the size limit', async () => {
+  let chunks = 0;
+  globalThis.fetch = async () => new Response(new ReadableStream({
+    pull(controller) {
+      chunks++;
+      controller.enqueue(new Uint8Array(1024 * 1024));
+    }
+  }), { status: 200 });
+
+  await assert.rejects(toMultipart({ file: 'https://8.8.8.8/big.bin' }, ['file']), /larger than/);
+  assert.ok(chunks < 20, `read ${chunks} chunks`);
+});
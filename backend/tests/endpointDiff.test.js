@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffEndpoints, getEndpointKey, hashEndpoint } from '../utils/endpointDiff.js';
+
+const endpoint = (method, path, fields = {}) => {
+  const result = { method, path, ...fields };
+  result.contentHash = hashEndpoint(result);
+  return result;
+};
+
+test('getEndpointKey ignores path parameter names and trailing slashes', () => {
+  assert.equal(getEndpointKey({ method: 'get', path: '/users/{id}/' }), 'GET /users/{}');
+  assert.equal(getEndpointKey({ method: 'GET', path: '/users/{userId}' }), 'GET /users/{}');
+  assert.equal(getEndpointKey({ path: '' }), 'GET /');
+});
+
+test('hashEndpoint does not depend on key order', () => {
+  const a = { method: 'GET', path: '/users', requestBody: { required: true, schema: { type: 'object' } } };
+  const b = { path: '/users', requestBody: { schema: { type: 'object' }, required: true }, method: 'GET' };
+
+  assert.equal(hashEndpoint(a), hashEndpoint(b));
+  assert.notEqual(hashEndpoint(a), hashEndpoint({ ...a, summary: 'List users' }));
+});
+
+test('hashEndpoint ignores fields that do not affect processing', () => {
+  const a = { method: 'GET', path: '/users' };
+
+  assert.equal(hashEndpoint(a), hashEndpoint({ ...a, endpointId: 'ep_1', businessTags: ['crm'] }));
+});
+
+test('diffEndpoints sorts endpoints into added, removed, changed and unchanged', () => {
+  const previous = [
+    endpoint('GET', '/users'),
+    endpoint('GET', '/users/{id}'),
+    endpoint('DELETE', '/users/{id}'),
+    { method: 'GET', path: '/legacy' } // Indexed before hashing existed
+  ];
+  const next = [
+    endpoint('GET', '/users'),
+    endpoint('GET', '/users/{userId}', { summary: 'Get a user' }),
+    endpoint('POST', '/users'),
+    endpoint('GET', '/legacy')
+  ];
+
+  const diff = diffEndpoints(previous, next);
+
+  assert.deepEqual(diff.added.map(getEndpointKey), ['POST /users']);
+  assert.deepEqual(diff.removed.map(getEndpointKey), ['DELETE /users/{}']);
+  assert.deepEqual(diff.changed.map(({ next }) => getEndpointKey(next)), ['GET /users/{}', 'GET /legacy']);
+  assert.deepEqual(diff.unchanged.map(({ next }) => getEndpointKey(next)), ['GET /users']);
+});
+
+test('diffEndpoints counts a duplicate key in the new spec as added', () => {
+  const diff = diffEndpoints([endpoint('GET', '/users/{id}')], [endpoint('GET', '/users/{id}'), endpoint('GET', '/users/{name}')]);
+
+  assert.equal(diff.unchanged.length, 1);
+  assert.equal(diff.added.length, 1);
+});
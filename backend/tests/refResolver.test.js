@@ -0,0 +1,109 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { dereference, mergeAllOf, resolvePointer } from '../utils/refResolver.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Serves documents by URL and records every request
+const stubFetch = (documents) => {
+  const requests = [];
+  globalThis.fetch = async (url, options = {}) => {
+    requests.push({ url: String(url), headers: options.headers || {} });
+    const document = documents[String(url)];
+    return document === undefined
+      ? new Response('Not found', { status: 404, statusText: 'Not Found' })
+      : new Response(JSON.stringify(document), { status: 200 });
+  };
+  return requests;
+};
+
+test('resolvePointer walks escaped JSON pointers', () => {
+  const doc = { paths: { '/users/{id}': { get: { ok: true } } }, 'a~b': 1 };
+
+  assert.deepEqual(resolvePointer(doc, '/paths/~1users~1{id}/get'), { ok: true });
+  assert.equal(resolvePointer(doc, '/a~0b'), 1);
+  assert.equal(resolvePointer(doc, '/missing/path'), undefined);
+});
+
+test('mergeAllOf unions properties and required', () => {
+  const merged = mergeAllOf({
+    description: 'User',
+    allOf: [
+      { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } },
+      { required: ['id', 'name'], properties: { name: { type: 'string' } } }
+    ]
+  });
+
+  assert.deepEqual(merged, {
+    description: 'User',
+    type: 'object',
+    required: ['id', 'name'],
+    properties: { id: { type: 'integer' }, name: { type: 'string' } }
+  });
+});
+
+test('dereference resolves local references and marks circular ones', async () => {
+  const spec = {
+    components: {
+      schemas: {
+        Node: { type: 'object', properties: { child: { $ref: '#/components/schemas/Node' } } },
+        Wrapper: { $ref: '#/components/schemas/Node', description: 'Overrides' }
+      }
+    }
+  };
+
+  const result = await dereference(spec);
+
+  assert.deepEqual(result.components.schemas.Node.properties.child, {
+    type: 'object',
+    properties: { child: { $ref: '#/components/schemas/Node', 'x-circular-ref': true } }
+  });
+  assert.equal(result.components.schemas.Wrapper.description, 'Overrides');
+});
+
+test('dereference sends the spec headers only to the spec origin', async () => {
+  const requests = stubFetch({
+    'http://8.8.8.8/schemas.json': { User: { type: 'object' } },
+    'http://1.1.1.1/shared.json': { Error: { type: 'string' } }
+  });
+  const spec = { a: { $ref: 'schemas.json#/User' }, b: { $ref: 'http://1.1.1.1/shared.json#/Error' } };
+
+  const result = await dereference(spec, spec, {
+    sourceUrl: 'http://8.8.8.8/openapi.json',
+    headers: { Authorization: 'Bearer secret' }
+  });
+
+  assert.deepEqual(result, { a: { type: 'object' }, b: { type: 'string' } });
+  assert.deepEqual(requests.map(request => [request.url, request.headers.Authorization]), [
+    ['http://8.8.8.8/schemas.json', 'Bearer secret'],
+    ['http://1.1.1.1/shared.json', undefined]
+  ]);
+});
+
+test('dereference refuses references to private addresses', async () => {
+  const requests = stubFetch({});
+  const spec = { a: { $ref: 'http://169.254.169.254/latest/meta-data#/x' }, b: { $ref: 'http://127.0.0.1/x.json' } };
+
+  const result = await dereference(spec, spec, { sourceUrl: 'http://8.8.8.8/openapi.json' });
+
+  assert.deepEqual(result, spec); // Left unresolved
+  assert.equal(requests.length, 0);
+});
+
+test('dereference drops the headers when a redirect leaves the spec origin', async () => {
+  const requests = [];
+  globalThis.fetch = async (url, options = {}) => {
+    requests.push({ url: String(url), headers: options.headers || {} });
+    return String(url) === 'http://8.8.8.8/moved.json'
+      ? new Response(null, { status: 302, headers: { location: 'http://1.1.1.1/moved.json' } })
+      : new Response(JSON.stringify({ A: { type: 'string' } }), { status: 200 });
+  };
+  const spec = { a: { $ref: 'moved.json#/A' } };
+
+  await dereference(spec, spec, { sourceUrl: 'http://8.8.8.8/openapi.json', headers: { Authorization: 'Bearer secret' } });
+
+  assert.deepEqual(requests.map(request => request.headers?.Authorization), ['Bearer secret', undefined]);
+});
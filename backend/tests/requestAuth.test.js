@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyAuth,
+  applySchemeCredential,
+  findSchemeCredential,
+  getCompatibleAuthTypes,
+  selectSecurityRequirement
+} from '../utils/requestAuth.js';
+
+const request = () => ({ headers: {} });
+
+test('applyAuth adds each auth type where it belongs', () => {
+  assert.deepEqual(applyAuth(request(), 'bearer', { token: 't' }).headers, { Authorization: 'Bearer t' });
+  assert.deepEqual(applyAuth(request(), 'basic', { username: 'u', password: 'p' }).headers, {
+    Authorization: `Basic ${Buffer.from('u:p').toString('base64')}`
+  });
+  assert.deepEqual(applyAuth(request(), 'apiKey', { keyName: 'X-Key', keyValue: 'k' }).headers, { 'X-Key': 'k' });
+  assert.deepEqual(applyAuth(request(), 'apiKey', { keyName: 'key', keyValue: 'k', location: 'query' }).params, { key: 'k' });
+  assert.deepEqual(applyAuth(request(), 'custom', { headerName: 'X-Custom', headerValue: 'v' }).headers, { 'X-Custom': 'v' });
+});
+
+test('applyAuth appends API key cookies', () => {
+  const result = applyAuth({ headers: { Cookie: 'a=1' } }, 'apiKey', { keyName: 'session', keyValue: 'x y', location: 'cookie' });
+
+  assert.equal(result.headers.Cookie, 'a=1; session=x%20y');
+});
+
+test('applyAuth skips incomplete credentials', () => {
+  assert.deepEqual(applyAuth(request(), 'bearer', {}).headers, {});
+  assert.deepEqual(applyAuth(request(), 'apiKey', { keyName: 'X-Key' }).headers, {});
+  assert.deepEqual(applyAuth(request(), 'oauth2', {}).headers, {});
+});
+
+test('getCompatibleAuthTypes maps security schemes to credential types', () => {
+  assert.deepEqual(getCompatibleAuthTypes({ type: 'apiKey', in: 'header' }), ['apiKey', 'custom']);
+  assert.deepEqual(getCompatibleAuthTypes({ type: 'apiKey', in: 'query' }), ['apiKey']);
+  assert.deepEqual(getCompatibleAuthTypes({ type: 'http', scheme: 'Basic' }), ['basic']);
+  assert.deepEqual(getCompatibleAuthTypes({ type: 'http', scheme: 'bearer' }), ['bearer', 'oauth2']);
+  assert.deepEqual(getCompatibleAuthTypes({ type: 'oauth2' }), ['oauth2', 'bearer']);
+  assert.deepEqual(getCompatibleAuthTypes({ type: 'mutualTLS' }), []);
+});
+
+test('findSchemeCredential prefers the scheme credential and checks scopes', () => {
+  const scheme = { type: 'oauth2' };
+  const schemeCredential = { authType: 'oauth2', config: { scopes: 'read' } };
+  const fallback = { authType: 'bearer', config: { token: 't' } };
+  const credentials = { schemes: { oauth: schemeCredential }, default: fallback };
+
+  assert.equal(findSchemeCredential('oauth', scheme, ['read'], credentials), schemeCredential);
+  // The scheme credential lacks the write scope; the default does not list its scopes
+  assert.equal(findSchemeCredential('oauth', scheme, ['write'], credentials), fallback);
+  assert.equal(findSchemeCredential('oauth', scheme, [], { default: { authType: 'basic', config: {} } }), null);
+});
+
+test('selectSecurityRequirement picks the first alternative it can satisfy', () => {
+  const securitySchemes = {
+    key: { type: 'apiKey', in: 'header', name: 'X-Key' },
+    basic: { type: 'http', scheme: 'basic' }
+  };
+  const credentials = { schemes: { basic: { authType: 'basic', config: { username: 'u' } } } };
+
+  const selection = selectSecurityRequirement([{ key: [] }, { basic: [] }], securitySchemes, credentials);
+
+  assert.equal(selection.satisfied, true);
+  assert.deepEqual(selection.credentials.map(item => item.schemeName), ['basic']);
+});
+
+test('selectSecurityRequirement prefers sending credentials over anonymous access', () => {
+  const securitySchemes = { key: { type: 'apiKey', in: 'header', name: 'X-Key' } };
+  const credentials = { default: { authType: 'apiKey', config: { keyValue: 'k' } } };
+
+  const selection = selectSecurityRequirement([{}, { key: [] }], securitySchemes, credentials);
+
+  assert.deepEqual(selection.credentials.map(item => item.schemeName), ['key']);
+});
+
+test('selectSecurityRequirement reports the schemes it could not satisfy', () => {
+  const securitySchemes = { key: { type: 'apiKey', in: 'header' }, oauth: { type: 'oauth2' } };
+
+  const selection = selectSecurityRequirement([{ key: [], oauth: ['read'] }], securitySchemes, {});
+
+  assert.equal(selection.satisfied, false);
+  assert.deepEqual(selection.missing.sort(), ['key', 'oauth']);
+  assert.equal(selectSecurityRequirement([], securitySchemes, {}).satisfied, true);
+});
+
+test('applySchemeCredential sends API keys under the name and location of the scheme', () => {
+  const result = applySchemeCredential(
+    request(),
+    { type: 'apiKey', in: 'query', name: 'api_key' },
+    { authType: 'apiKey', config: { keyName: 'X-Key', keyValue: 'k', location: 'header' } }
+  );
+
+  assert.deepEqual(result.params, { api_key: 'k' });
+  assert.deepEqual(result.headers, {});
+});
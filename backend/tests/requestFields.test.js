@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRequestBody, flattenSchema, getFieldCatalog, getMissingFields } from '../utils/requestFields.js';
+
+const fieldNames = (fields) => fields.map(field => field.name);
+
+test('flattenSchema uses dot notation for nested objects', () => {
+  const fields = flattenSchema({
+    type: 'object',
+    required: ['name', 'address'],
+    properties: {
+      name: { type: 'string' },
+      address: {
+        type: 'object',
+        required: ['city'],
+        properties: { city: { type: 'string' }, zip: { type: 'string' } }
+      }
+    }
+  });
+
+  assert.deepEqual(fieldNames(fields), ['name', 'address.city', 'address.zip']);
+  assert.equal(fields.find(field => field.name === 'address.city').required, true);
+  assert.equal(fields.find(field => field.name === 'address.zip').required, false);
+});
+
+test('flattenSchema only requires nested fields when every parent is required', () => {
+  const fields = flattenSchema({
+    type: 'object',
+    properties: {
+      address: { type: 'object', required: ['city'], properties: { city: { type: 'string' } } }
+    }
+  });
+
+  assert.equal(fields[0].name, 'address.city');
+  assert.equal(fields[0].required, false);
+});
+
+test('flattenSchema exposes the fields of array items with a [] suffix', () => {
+  const fields = flattenSchema({
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        items: { type: 'object', required: ['sku'], properties: { sku: { type: 'string' }, quantity: { type: 'integer' } } }
+      },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  });
+
+  assert.deepEqual(fieldNames(fields), ['items[].sku', 'items[].quantity', 'tags']);
+  assert.equal(fields[0].required, true);
+  assert.equal(fields[2].type, 'array');
+  assert.equal(fields[2].itemType, 'string');
+});
+
+test('flattenSchema merges allOf members', () => {
+  const fields = flattenSchema({
+    allOf: [
+      { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } },
+      { type: 'object', required: ['name'], properties: { name: { type: 'string' }, note: { type: 'string' } } }
+    ]
+  });
+
+  assert.deepEqual(fieldNames(fields), ['id', 'name', 'note']);
+  assert.deepEqual(fields.map(field => field.required), [true, true, false]);
+});
+
+test('flattenSchema skips read-only properties and stops at circular references', () => {
+  const fields = flattenSchema({
+    type: 'object',
+    properties: {
+      id: { type: 'integer', readOnly: true },
+      parent: { $ref: '#/components/schemas/Node', 'x-circular-ref': true }
+    }
+  });
+
+  assert.deepEqual(fieldNames(fields), ['parent']);
+  assert.equal(fields[0].type, 'object');
+});
+
+test('flattenSchema turns a non-object body into a single body field', () => {
+  const fields = flattenSchema({ type: 'array', items: { type: 'string' } });
+
+  assert.deepEqual(fieldNames(fields), ['body']);
+  assert.equal(fields[0].type, 'array');
+});
+
+test('getFieldCatalog only requires body fields when the request body is required', () => {
+  const schema = { type: 'object', required: ['name'], properties: { name: { type: 'string' } } };
+  const optional = getFieldCatalog({ requestBody: { required: false, schema } });
+  const required = getFieldCatalog({ requestBody: { required: true, schema } });
+
+  assert.equal(optional[0].required, false);
+  assert.equal(required[0].required, true);
+  assert.deepEqual(getMissingFields(optional, {}), []);
+  assert.deepEqual(fieldNames(getMissingFields(required, {})), ['name']);
+});
+
+test('getFieldCatalog lists parameters before body fields', () => {
+  const fields = getFieldCatalog({
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+    requestBody: { required: true, schema: { type: 'object', properties: { name: { type: 'string' } } } }
+  });
+
+  assert.deepEqual(fields.map(field => `${field.in}:${field.name}`), ['path:id', 'body:name']);
+});
+
+const orderEndpoint = {
+  requestBody: {
+    required: true,
+    schema: {
+      type: 'object',
+      required: ['customer'],
+      properties: {
+        customer: {
+          type: 'object',
+          required: ['name'],
+          properties: { name: { type: 'string' }, age: { type: 'integer' } }
+        },
+        shipping: { type: 'object', properties: { name: { type: 'string' }, city: { type: 'string' } } },
+        items: {
+          type: 'array',
+          items: { type: 'object', properties: { sku: { type: 'string' }, quantity: { type: 'integer' } } }
+        }
+      }
+    }
+  }
+};
+
+test('buildRequestBody places dotted field names and coerces their values', () => {
+  const body = buildRequestBody(orderEndpoint, { 'customer.name': 'Ada', 'customer.age': '36' });
+
+  assert.deepEqual(body, { customer: { name: 'Ada', age: 36 } });
+});
+
+test('buildRequestBody accepts leaf names only when they are unambiguous', () => {
+  // "city" only exists under shipping; "name" exists under customer and shipping
+  const body = buildRequestBody(orderEndpoint, { city: 'Paris', name: 'Ada' });
+
+  assert.deepEqual(body.shipping, { city: 'Paris' });
+  assert.equal(body.customer, undefined);
+  assert.equal(body.name, 'Ada'); // Kept at the top level: it matched no single field
+});
+
+test('buildRequestBody reports an ambiguous leaf name as missing', () => {
+  const fields = getFieldCatalog(orderEndpoint);
+
+  assert.deepEqual(fieldNames(getMissingFields(fields, { name: 'Ada' })), ['customer.name']);
+});
+
+test('buildRequestBody spreads array item values over the items', () => {
+  const body = buildRequestBody(orderEndpoint, { 'items[].sku': ['A', 'B'], 'items[].quantity': ['1', '2'] });
+
+  assert.deepEqual(body.items, [{ sku: 'A', quantity: 1 }, { sku: 'B', quantity: 2 }]);
+});
+
+test('buildRequestBody takes over nested values given as objects', () => {
+  const body = buildRequestBody(orderEndpoint, { customer: { name: 'Ada' }, 'customer.age': 36 });
+
+  assert.deepEqual(body, { customer: { name: 'Ada', age: 36 } });
+});
+
+test('buildRequestBody drops unknown parameters when additionalProperties is false', () => {
+  const schema = { type: 'object', properties: { name: { type: 'string' } } };
+  const open = buildRequestBody({ requestBody: { schema } }, { name: 'Ada', extra: 1 });
+  const closed = buildRequestBody(
+    { requestBody: { schema: { ...schema, additionalProperties: false } } },
+    { name: 'Ada', extra: 1 }
+  );
+
+  assert.deepEqual(open, { name: 'Ada', extra: 1 });
+  assert.deepEqual(closed, { name: 'Ada' });
+});
+
+test('buildRequestBody does not copy path and query parameters into the body', () => {
+  const body = buildRequestBody({
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+    requestBody: { schema: { type: 'object', properties: { name: { type: 'string' } } } }
+  }, { id: '7', name: 'Ada' });
+
+  assert.deepEqual(body, { name: 'Ada' });
+});
+
+test('buildRequestBody returns the value of a non-object body', () => {
+  const endpoint = { requestBody: { schema: { type: 'array', items: { type: 'integer' } } } };
+
+  assert.deepEqual(buildRequestBody(endpoint, { body: '1, 2' }), [1, 2]);
+  assert.equal(buildRequestBody(endpoint, {}), null);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getUrlVariables, resolveBaseUrl, resolveServerUrl, validateVariableValues } from '../utils/serverUrl.js';
+
+const variables = {
+  region: { default: 'eu', enum: ['eu', 'us'] },
+  version: { default: 'v1' }
+};
+
+test('getUrlVariables lists the variables of a template', () => {
+  assert.deepEqual(getUrlVariables('https://{region}.example.com/{version}'), ['region', 'version']);
+  assert.deepEqual(getUrlVariables(undefined), []);
+});
+
+test('resolveServerUrl prefers values over defaults and keeps unknown variables', () => {
+  const url = 'https://{region}.example.com/{version}/{tenant}';
+
+  assert.equal(resolveServerUrl(url, variables), 'https://eu.example.com/v1/{tenant}');
+  assert.equal(resolveServerUrl(url, variables, { region: 'us', tenant: 'acme' }), 'https://us.example.com/v1/acme');
+  // Empty values are rejected by validateVariableValues, so they leave the placeholder
+  assert.equal(resolveServerUrl(url, variables, { region: '' }), 'https://{region}.example.com/v1/{tenant}');
+});
+
+test('validateVariableValues checks names, types and enums', () => {
+  assert.equal(validateVariableValues(variables, { region: 'us' }), null);
+  assert.equal(validateVariableValues(variables, { tenant: 'acme' }, ['tenant']), null);
+  assert.match(validateVariableValues(variables, { tenant: 'acme' }), /Unknown server variable "tenant"/);
+  assert.match(validateVariableValues(variables, { version: '' }), /non-empty string/);
+  assert.match(validateVariableValues(variables, { region: 'ap' }), /must be one of: eu, us/);
+});
+
+test('resolveBaseUrl applies the environment base URL and variables', () => {
+  const metadata = {
+    baseUrl: 'https://eu.example.com/v1',
+    baseUrlTemplate: 'https://{region}.example.com/{version}',
+    serverVariables: variables
+  };
+
+  assert.equal(resolveBaseUrl(metadata), 'https://eu.example.com/v1');
+  assert.equal(resolveBaseUrl(metadata, { variables: { region: 'us' } }), 'https://us.example.com/v1');
+  assert.equal(resolveBaseUrl(metadata, { baseUrl: 'https://staging.example.com/{version}' }), 'https://staging.example.com/v1');
+});
+
+test('resolveBaseUrl rejects unresolved variables', () => {
+  assert.throws(
+    () => resolveBaseUrl({ baseUrl: 'https://{tenant}.example.com' }),
+    /unresolved server variables: tenant/
+  );
+});
@@ -0,0 +1,55 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpecSourceService } from '../services/specSourceService.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const bearer = { type: 'bearer', token: 'secret' };
+
+test('fetchSpec sends the auth and validators and reports unchanged specs', async () => {
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url: String(url), headers: options.headers });
+    return new Response(null, { status: 304 });
+  };
+
+  const result = await SpecSourceService.fetchSpec('https://8.8.8.8/openapi.json', bearer, { etag: '"v1"' });
+
+  assert.equal(result.notModified, true);
+  assert.deepEqual(requests, [{
+    url: 'https://8.8.8.8/openapi.json',
+    headers: { Authorization: 'Bearer secret', 'If-None-Match': '"v1"' }
+  }]);
+});
+
+test('fetchSpec refuses specs on private addresses', async () => {
+  globalThis.fetch = async () => assert.fail('private address was fetched');
+
+  await assert.rejects(SpecSourceService.fetchSpec('http://169.254.169.254/latest/meta-data', bearer), /private or loopback/);
+  await assert.rejects(SpecSourceService.fetchSpec('http://127.0.0.1:5000/spec.json'), /private or loopback/);
+});
+
+test('fetchSpec checks redirects and drops the auth once they leave the spec origin', async () => {
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url: String(url), authorization: options.headers?.Authorization });
+    if (String(url) === 'https://8.8.8.8/openapi.json') {
+      return new Response(null, { status: 302, headers: { location: 'https://1.1.1.1/openapi.json' } });
+    }
+    return new Response('{"openapi":"3.0.0"}', { status: 200 });
+  };
+
+  const result = await SpecSourceService.fetchSpec('https://8.8.8.8/openapi.json', bearer);
+
+  assert.equal(result.rawText, '{"openapi":"3.0.0"}');
+  assert.deepEqual(requests, [
+    { url: 'https://8.8.8.8/openapi.json', authorization: 'Bearer secret' },
+    { url: 'https://1.1.1.1/openapi.json', authorization: undefined }
+  ]);
+
+  globalThis.fetch = async () => new Response(null, { status: 301, headers: { location: 'http://10.0.0.5/spec.json' } });
+  await assert.rejects(SpecSourceService.fetchSpec('https://8.8.8.8/openapi.json', bearer), /private or loopback/);
+});
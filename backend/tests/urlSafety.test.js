@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertPublicUrl, isPrivateAddress } from '../utils/urlSafety.js';
+
+test('isPrivateAddress flags loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+  assert.equal(isPrivateAddress('not an address'), true);
+});
+
+test('assertPublicUrl only allows http(s) URLs on public addresses', async () => {
+  assert.equal((await assertPublicUrl('https://8.8.8.8/spec.json')).host, '8.8.8.8');
+  await assert.rejects(assertPublicUrl('file:///etc/passwd'), /file: URL/);
+  await assert.rejects(assertPublicUrl('http://[::1]:8080/'), /private or loopback/);
+  await assert.rejects(assertPublicUrl('http://localhost/'), /private or loopback/);
+});
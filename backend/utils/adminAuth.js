@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+
+const digest = (text) => crypto.createHash('sha256').update(text).digest();
+
+/**
+ * Express middleware restricting a route to admins
+ * Admins send the ADMIN_API_KEY as a bearer token; without a configured key the route stays closed
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin routes are disabled - set ADMIN_API_KEY'
+    });
+  }
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  // Digests have the same length, so the comparison is constant-time
+  if (scheme?.toLowerCase() !== 'bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(adminKey))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin authorization required'
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,373 @@
+/**
+ * Request body encoding and response parsing for the content types endpoints declare
+ * (JSON, form-urlencoded, multipart, XML, plain text; XML and CSV responses)
+ */
+
+import { fetchPublicUrl } from './urlSafety.js';
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024; // File parts fetched from a URL
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Preference when an endpoint accepts several content types
+const CONTENT_TYPE_PREFERENCE = [
+  type => type === 'application/json' || type.endsWith('+json'),
+  type => type === 'application/x-www-form-urlencoded',
+  type => type === 'multipart/form-data',
+  type => isXmlType(type),
+  type => type.startsWith('text/')
+];
+
+/**
+ * Media type without parameters ("application/json; charset=utf-8" -> "application/json")
+ * @param {string} contentType - Content-Type value
+ * @returns {string}
+ */
+export const getMediaType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+const isXmlType = (mediaType) => mediaType === 'application/xml' || mediaType === 'text/xml' || mediaType.endsWith('+xml');
+
+/**
+ * Content type to send, chosen from the ones the endpoint declares
+ * JSON is used when accepted (and when nothing is declared)
+ * @param {Array} contentTypes - requestBody.contentTypes of the endpoint
+ * @returns {string}
+ */
+export const selectContentType = (contentTypes = []) => {
+  const declared = contentTypes.filter(type => type && type !== '*/*');
+  for (const matches of CONTENT_TYPE_PREFERENCE) {
+    const match = declared.find(type => matches(getMediaType(type)));
+    if (match) return match;
+  }
+  return declared[0] || 'application/json';
+};
+
+/**
+ * Encode a body as application/x-www-form-urlencoded
+ * Arrays repeat their key, nested objects use bracket notation (address[city]=...)
+ * @param {object} body - Request body
+ * @returns {string}
+ */
+export const toFormUrlEncoded = (body) => {
+  const params = new URLSearchParams();
+
+  const append = (key, value) => {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => append(key, item));
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([name, item]) => append(`${key}[${name}]`, item));
+    } else {
+      params.append(key, String(value));
+    }
+  };
+
+  Object.entries(body || {}).forEach(([key, value]) => append(key, value));
+  return params.toString();
+};
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => `&${Object.keys(XML_ENTITIES).find(name => XML_ENTITIES[name] === char)};`);
+
+const toXmlElement = (name, value) => {
+  if (Array.isArray(value)) {
+    return value.map(item => toXmlElement(name, item)).join('');
+  }
+  if (value === undefined || value === null) {
+    return `<${name}/>`;
+  }
+  if (typeof value !== 'object') {
+    return `<${name}>${escapeXml(value)}</${name}>`;
+  }
+
+  // "@name" keys become attributes and "#text" the element text (the shape parseXml returns)
+  const attributes = Object.entries(value)
+    .filter(([key]) => key.startsWith('@'))
+    .map(([key, item]) => ` ${key.slice(1)}="${escapeXml(item)}"`)
+    .join('');
+  const children = Object.entries(value)
+    .filter(([key]) => !key.startsWith('@') && key !== '#text')
+    .map(([key, item]) => toXmlElement(key, item))
+    .join('');
+  const text = value['#text'] !== undefined ? escapeXml(value['#text']) : '';
+  return `<${name}${attributes}>${text}${children}</${name}>`;
+};
+
+/**
+ * Serialize a body as XML
+ * The root element is the schema's xml.name, the body's only key, or "request"
+ * @param {*} body - Request body
+ * @param {string} rootName - xml.name of the request body schema
+ * @returns {string}
+ */
+export const toXml = (body, rootName) => {
+  const keys = body && typeof body === 'object' && !Array.isArray(body) ? Object.keys(body) : [];
+  const [name, value] = rootName
+    ? [rootName, body]
+    : keys.length === 1 && typeof body[keys[0]] === 'object'
+      ? [keys[0], body[keys[0]]]
+      : ['request', body];
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${toXmlElement(name, value)}`;
+};
+
+const decodeXmlEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return String.fromCodePoint(point);
+  }
+  return XML_ENTITIES[code] ?? entity;
+});
+
+const addXmlChild = (children, name, value) => {
+  if (!(name in children)) {
+    children[name] = value;
+  } else if (Array.isArray(children[name])) {
+    children[name].push(value);
+  } else {
+    children[name] = [children[name], value];
+  }
+};
+
+const toXmlValue = (node) => {
+  const text = node.text.trim();
+  if (Object.keys(node.children).length === 0 && Object.keys(node.attributes).length === 0) {
+    return text;
+  }
+  const value = { ...node.attributes, ...node.children };
+  if (text) value['#text'] = text;
+  return value;
+};
+
+/**
+ * Parse an XML document into plain objects
+ * Repeated elements become arrays, attributes "@name" keys and mixed text "#text";
+ * namespace prefixes are dropped. The root element's content is returned.
+ * @param {string} text - XML document
+ * @returns {*} - Parsed content of the root element
+ */
+export const parseXml = (text) => {
+  const source = text.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '');
+  const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const document = { children: {}, attributes: {}, text: '' };
+  const stack = [document];
+
+  for (const [, cdata, closing, tagName, attributeText, selfClosing, text] of source.matchAll(tokens)) {
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeXmlEntities(text);
+    } else if (closing) {
+      if (stack.length === 1) throw new Error(`Unexpected closing tag </${tagName}>`);
+      const node = stack.pop();
+      addXmlChild(stack[stack.length - 1].children, node.name, toXmlValue(node));
+    } else {
+      const node = { name: tagName.replace(/^[\w.-]+:/, ''), children: {}, attributes: {}, text: '' };
+      for (const [, name, , doubleQuoted, singleQuoted] of attributeText.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        if (name === 'xmlns' || name.startsWith('xmlns:')) continue;
+        node.attributes[`@${name.replace(/^[\w.-]+:/, '')}`] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+      }
+      if (selfClosing) {
+        addXmlChild(current.children, node.name, toXmlValue(node));
+      } else {
+        stack.push(node);
+      }
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  const [root] = Object.values(document.children);
+  if (root === undefined) throw new Error('No root element');
+  return root;
+};
+
+/**
+ * Parse CSV (or TSV) with a header row into one object per row
+ * Quoted fields may contain delimiters, newlines and doubled quotes
+ * @param {string} text - CSV document
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<object>}
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows;
+  const columns = header.map(name => name.trim());
+  return records
+    .filter(record => record.some(value => value !== ''))
+    .map(record => Object.fromEntries(columns.map((name, index) => [name, record[index] ?? ''])));
+};
+
+/**
+ * Read a response body, giving up as soon as it grows past maxBytes
+ * @param {Response} response - fetch response
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Blob|null>} - null when the body is too large
+ */
+const readBodyLimited = async (response, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+  const reader = response.body?.getReader();
+  while (reader) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return new Blob(chunks, { type: response.headers.get('content-type') || '' });
+};
+
+/**
+ * Turn a file value extracted from chat into a Blob
+ * Accepts an https URL on a public address, a data: URI, or { filename, content (base64), contentType } / { url }
+ */
+const loadFile = async (value, fieldName) => {
+  if (value && typeof value === 'object') {
+    if (value.url) {
+      const file = await loadFile(value.url, fieldName);
+      return { ...file, filename: value.filename || value.name || file.filename };
+    }
+    const type = value.contentType || value.type || 'application/octet-stream';
+    const content = Buffer.from(value.content ?? value.data ?? '', value.encoding || 'base64');
+    return { blob: new Blob([content], { type }), filename: value.filename || value.name || fieldName };
+  }
+
+  const text = String(value);
+  const dataUri = text.match(/^data:([^;,]*)(;base64)?,([\s\S]*)$/);
+  if (dataUri) {
+    const content = dataUri[2] ? Buffer.from(dataUri[3], 'base64') : decodeURIComponent(dataUri[3]);
+    return { blob: new Blob([content], { type: dataUri[1] || 'text/plain' }), filename: fieldName };
+  }
+
+  if (/^https:\/\//i.test(text)) {
+    const response = await fetchPublicUrl(text);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch file for ${fieldName}: ${response.status} ${response.statusText}`);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_FILE_BYTES) {
+      throw new Error(`File for ${fieldName} is larger than ${MAX_FILE_BYTES} bytes`);
+    }
+    const blob = await readBodyLimited(response, MAX_FILE_BYTES);
+    if (!blob) {
+      throw new Error(`File for ${fieldName} is larger than ${MAX_FILE_BYTES} bytes`);
+    }
+    const filename = decodeURIComponent(new URL(text).pathname.split('/').pop()) || fieldName;
+    return { blob, filename };
+  }
+
+  // Anything else is sent as the file's text content
+  return { blob: new Blob([text], { type: 'text/plain' }), filename: `${fieldName}.txt` };
+};
+
+/**
+ * Encode a body as multipart/form-data
+ * Object values are sent as JSON parts, arrays as repeated parts
+ * @param {object} body - Request body
+ * @param {Array} fileFields - Top-level body fields that hold files
+ * @returns {Promise<FormData>}
+ */
+export const toMultipart = async (body, fileFields = []) => {
+  const form = new FormData();
+
+  for (const [key, value] of Object.entries(body || {})) {
+    if (value === undefined || value === null) continue;
+
+    const items = Array.isArray(value) ? value : [value];
+    for (const item of items) {
+      if (fileFields.includes(key)) {
+        const { blob, filename } = await loadFile(item, key);
+        form.append(key, blob, filename);
+      } else if (typeof item === 'object') {
+        form.append(key, new Blob([JSON.stringify(item)], { type: 'application/json' }));
+      } else {
+        form.append(key, String(item));
+      }
+    }
+  }
+
+  return form;
+};
+
+/**
+ * Encode a request body for its content type
+ * @param {*} body - Request body (as built from the field catalog)
+ * @param {string} contentType - Content type being sent
+ * @param {object} options - { fileFields, xmlName }
+ * @returns {Promise<*>} - Body to hand to axios
+ */
+export const encodeRequestBody = async (body, contentType, { fileFields = [], xmlName } = {}) => {
+  if (body === undefined || body === null) return body;
+
+  const mediaType = getMediaType(contentType);
+  if (mediaType === 'application/x-www-form-urlencoded') {
+    return toFormUrlEncoded(body);
+  }
+  if (mediaType === 'multipart/form-data') {
+    return toMultipart(body, fileFields);
+  }
+  if (isXmlType(mediaType)) {
+    return typeof body === 'string' ? body : toXml(body, xmlName);
+  }
+  if (mediaType.startsWith('text/')) {
+    return typeof body === 'string' ? body : JSON.stringify(body);
+  }
+  return body;
+};
+
+/**
+ * Parse XML and CSV response bodies (axios leaves them as text)
+ * Bodies that fail to parse are returned unchanged
+ * @param {*} data - Response data
+ * @param {string} contentType - Response Content-Type
+ * @returns {*}
+ */
+export const parseResponseBody = (data, contentType) => {
+  if (typeof data !== 'string') return data;
+
+  const mediaType = getMediaType(contentType);
+  try {
+    if (isXmlType(mediaType)) return parseXml(data);
+    if (mediaType === 'text/csv') return parseCsv(data);
+    if (mediaType === 'text/tab-separated-values') return parseCsv(data, '\t');
+  } catch (error) {
+    console.warn(`⚠️  Could not parse ${mediaType} response: ${error.message}`);
+  }
+  return data;
+};
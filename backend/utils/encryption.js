@@ -4,19 +4,78 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 const ALGORITHM = 'aes-256-gcm';
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
 
-if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length !== 64) {
-  console.warn('⚠️  ENCRYPTION_KEY not set or invalid. Please set a 64-character hex string in .env');
+// Key ID of ENCRYPTION_KEY - also assumed for data encrypted before keys had IDs
+export const DEFAULT_KEY_ID = 'default';
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/i;
+const KEY_ID_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Load the encryption keys from the environment
+ * ENCRYPTION_KEY is the key with ID "default"; ENCRYPTION_KEYS adds more keys as
+ * comma-separated id:hexkey pairs. Every key can decrypt, ENCRYPTION_KEY_ID selects the one
+ * new data is encrypted with (default: ENCRYPTION_KEY, else the first of ENCRYPTION_KEYS).
+ * @returns {Map<string, Buffer>} - Key ID -> key
+ */
+const loadKeys = () => {
+  const keys = new Map();
+  const entries = (process.env.ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => entry.split(':').map(part => part.trim()));
+
+  if (process.env.ENCRYPTION_KEY) {
+    entries.unshift([DEFAULT_KEY_ID, process.env.ENCRYPTION_KEY]);
+  }
+
+  entries.forEach(([keyId, key]) => {
+    if (!KEY_ID_PATTERN.test(keyId || '') || !KEY_PATTERN.test(key || '')) {
+      console.warn(`⚠️  Ignoring invalid encryption key "${keyId}" - expected id:64-character hex string`);
+      return;
+    }
+    keys.set(keyId, Buffer.from(key, 'hex'));
+  });
+
+  return keys;
+};
+
+const KEYS = loadKeys();
+const CURRENT_KEY_ID = process.env.ENCRYPTION_KEY_ID || KEYS.keys().next().value || null;
+
+if (!KEYS.has(CURRENT_KEY_ID)) {
+  console.warn(CURRENT_KEY_ID
+    ? `⚠️  ENCRYPTION_KEY_ID "${CURRENT_KEY_ID}" has no key in ENCRYPTION_KEY / ENCRYPTION_KEYS`
+    : '⚠️  ENCRYPTION_KEY not set or invalid. Please set a 64-character hex string in .env');
 }
 
 /**
- * Encrypt sensitive text using AES-256-GCM
+ * ID of the key new data is encrypted with (null when there is no usable key)
+ * @returns {string|null}
+ */
+export const getCurrentKeyId = () => (KEYS.has(CURRENT_KEY_ID) ? CURRENT_KEY_ID : null);
+
+/**
+ * Key for a key ID
+ * @param {string} keyId - Key ID
+ * @returns {Buffer}
+ */
+const getKey = (keyId) => {
+  const key = KEYS.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown encryption key: ${keyId}`);
+  }
+  return key;
+};
+
+/**
+ * Encrypt sensitive text using AES-256-GCM with the current key
  * @param {string} text - Plain text to encrypt
- * @returns {object} - { encrypted, iv, tag } - All as hex strings
+ * @returns {object} - { encrypted, iv, tag, keyId } - encrypted, iv and tag as hex strings
  */
 export const encrypt = (text) => {
-  if (!text) return { encrypted: '', iv: '', tag: '' };
+  if (!text) return { encrypted: '', iv: '', tag: '', keyId: '' };
   
   try {
     // Generate random initialization vector
@@ -25,7 +84,7 @@ export const encrypt = (text) => {
     // Create cipher
     const cipher = crypto.createCipheriv(
       ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY, 'hex'),
+      getKey(CURRENT_KEY_ID),
       iv
     );
     
@@ -39,7 +98,8 @@ export const encrypt = (text) => {
     return {
       encrypted,
       iv: iv.toString('hex'),
-      tag: tag.toString('hex')
+      tag: tag.toString('hex'),
+      keyId: CURRENT_KEY_ID
     };
   } catch (error) {
     console.error('❌ Encryption error:', error.message);
@@ -52,16 +112,17 @@ export const encrypt = (text) => {
  * @param {string} encrypted - Encrypted text (hex)
  * @param {string} ivHex - Initialization vector (hex)
  * @param {string} tagHex - Authentication tag (hex)
+ * @param {string} keyId - ID of the key it was encrypted with (none before keys had IDs)
  * @returns {string} - Decrypted plain text
  */
-export const decrypt = (encrypted, ivHex, tagHex) => {
+export const decrypt = (encrypted, ivHex, tagHex, keyId = DEFAULT_KEY_ID) => {
   if (!encrypted || !ivHex || !tagHex) return '';
   
   try {
     // Create decipher
     const decipher = crypto.createDecipheriv(
       ALGORITHM,
-      Buffer.from(ENCRYPTION_KEY, 'hex'),
+      getKey(keyId || DEFAULT_KEY_ID),
       Buffer.from(ivHex, 'hex')
     );
     
@@ -83,7 +144,7 @@ export const decrypt = (encrypted, ivHex, tagHex) => {
  * Encrypt an object's sensitive fields
  * @param {object} config - Configuration object
  * @param {array} sensitiveFields - Array of field names to encrypt
- * @returns {object} - { encryptedConfig, iv, tag }
+ * @returns {object} - { encryptedConfig, ivs, tags, keyIds }
  */
 export const encryptConfig = (config, sensitiveFields = []) => {
   const encryptedConfig = { ...config };
@@ -91,15 +152,17 @@ export const encryptConfig = (config, sensitiveFields = []) => {
   
   sensitiveFields.forEach(field => {
     if (config[field]) {
-      const { encrypted, iv, tag } = encrypt(config[field]);
+      const { encrypted, iv, tag, keyId } = encrypt(config[field]);
       encryptedConfig[field] = encrypted;
       
-      // Store IV and tag for each field
+      // Store IV, tag and key ID for each field
       if (!encryptionData.ivs) encryptionData.ivs = {};
       if (!encryptionData.tags) encryptionData.tags = {};
+      if (!encryptionData.keyIds) encryptionData.keyIds = {};
       
       encryptionData.ivs[field] = iv;
       encryptionData.tags[field] = tag;
+      encryptionData.keyIds[field] = keyId;
     }
   });
   
@@ -115,9 +178,10 @@ export const encryptConfig = (config, sensitiveFields = []) => {
  * @param {object} ivs - Object mapping field names to IVs
  * @param {object} tags - Object mapping field names to tags
  * @param {array} sensitiveFields - Array of field names to decrypt
+ * @param {object} keyIds - Object mapping field names to key IDs (missing before keys had IDs)
  * @returns {object} - Decrypted configuration
  */
-export const decryptConfig = (encryptedConfig, ivs = {}, tags = {}, sensitiveFields = []) => {
+export const decryptConfig = (encryptedConfig, ivs = {}, tags = {}, sensitiveFields = [], keyIds = {}) => {
   const decryptedConfig = { ...encryptedConfig };
   
   sensitiveFields.forEach(field => {
@@ -126,7 +190,8 @@ export const decryptConfig = (encryptedConfig, ivs = {}, tags = {}, sensitiveFie
         decryptedConfig[field] = decrypt(
           encryptedConfig[field],
           ivs[field],
-          tags[field]
+          tags[field],
+          keyIds?.[field]
         );
       } catch (error) {
         console.error(`Failed to decrypt field: ${field}`);
@@ -138,6 +203,75 @@ export const decryptConfig = (encryptedConfig, ivs = {}, tags = {}, sensitiveFie
   return decryptedConfig;
 };
 
+// Marks a value encrypted with encryptValue: enc:<keyId>:<iv>:<tag>:<encrypted>
+// (values encrypted before keys had IDs have no keyId part)
+const ENCRYPTED_VALUE_PREFIX = 'enc:';
+
+/**
+ * Check whether a stored value is already encrypted (see encryptValue)
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export const isEncryptedValue = (value) =>
+  typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+
+/**
+ * Encrypt a single value into one string, so it can be stored in place of the plain text
+ * Empty and already encrypted values are returned unchanged
+ * @param {string} value - Plain text
+ * @returns {string} - enc:<keyId>:<iv>:<tag>:<encrypted>
+ */
+export const encryptValue = (value) => {
+  if (!value || isEncryptedValue(value)) return value;
+
+  const { encrypted, iv, tag, keyId } = encrypt(value);
+  return `${ENCRYPTED_VALUE_PREFIX}${keyId}:${iv}:${tag}:${encrypted}`;
+};
+
+/**
+ * Split a value encrypted with encryptValue into its parts
+ * @param {string} value - Encrypted value
+ * @returns {object} - { keyId, iv, tag, encrypted }
+ */
+const parseEncryptedValue = (value) => {
+  const parts = value.slice(ENCRYPTED_VALUE_PREFIX.length).split(':');
+  const [keyId, iv, tag, encrypted] = parts.length === 3 ? [DEFAULT_KEY_ID, ...parts] : parts;
+  return { keyId, iv, tag, encrypted };
+};
+
+/**
+ * ID of the key a value was encrypted with
+ * @param {string} value - Stored value
+ * @returns {string|null} - null for values that are not encrypted
+ */
+export const getValueKeyId = (value) => (isEncryptedValue(value) ? parseEncryptedValue(value).keyId : null);
+
+/**
+ * Decrypt a value encrypted with encryptValue
+ * Plain text (stored before encryption was enabled) is returned unchanged
+ * @param {string} value - Stored value
+ * @returns {string|null} - Plain text, null when it cannot be decrypted
+ */
+export const decryptValue = (value) => {
+  if (!isEncryptedValue(value)) return value;
+
+  const { keyId, iv, tag, encrypted } = parseEncryptedValue(value);
+  try {
+    return decrypt(encrypted, iv, tag, keyId);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Mongoose schema options for a String field that is encrypted at rest
+ * Values are encrypted when set (also in updates) and decrypted when read from a document
+ */
+export const encryptedField = {
+  set: encryptValue,
+  get: decryptValue
+};
+
 /**
  * Generate a random encryption key (for setup)
  * @returns {string} - 64-character hex string
@@ -147,8 +281,8 @@ export const generateEncryptionKey = () => {
 };
 
 // Log encryption key status on import
-if (ENCRYPTION_KEY) {
-  console.log('🔐 Encryption module loaded successfully');
+if (getCurrentKeyId()) {
+  console.log(`🔐 Encryption module loaded successfully (key "${CURRENT_KEY_ID}"${KEYS.size > 1 ? `, ${KEYS.size - 1} older key(s) for decryption` : ''})`);
 } else {
   console.log('💡 To generate an encryption key, run: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
 }
@@ -0,0 +1,66 @@
+/**
+ * Resource an endpoint belongs to: its first spec tag, else the first static path segment
+ * @param {object} endpoint - Normalized endpoint
+ * @returns {string} - Group key such as "orders"
+ */
+export const getEndpointGroup = (endpoint) => {
+  if (endpoint.tags?.length > 0) {
+    return `tag:${endpoint.tags[0]}`;
+  }
+  const segment = (endpoint.path || '').split('/').find(part => part && !part.startsWith('{'));
+  return `path:${segment || ''}`;
+};
+
+/**
+ * Split endpoints into LLM-sized batches that keep related endpoints together
+ * Endpoints are grouped by tag/resource; large groups are split and small ones packed together
+ * @param {Array} endpoints - Normalized endpoints
+ * @param {number} maxBatchSize - Maximum endpoints per batch
+ * @returns {Array<Array>} - Batches of endpoints
+ */
+export const batchEndpoints = (endpoints, maxBatchSize) => {
+  const groups = new Map();
+  for (const endpoint of endpoints) {
+    const key = getEndpointGroup(endpoint);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(endpoint);
+  }
+
+  const batches = [];
+  let current = [];
+  for (const group of groups.values()) {
+    for (let i = 0; i < group.length; i += maxBatchSize) {
+      const part = group.slice(i, i + maxBatchSize);
+      if (current.length + part.length > maxBatchSize) {
+        batches.push(current);
+        current = [];
+      }
+      current.push(...part);
+    }
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches.filter(batch => batch.length > 0);
+};
+
+/**
+ * Map items with at most `limit` workers running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in item order
+ */
+export const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
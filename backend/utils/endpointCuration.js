@@ -0,0 +1,46 @@
+// Endpoint fields an admin can override
+export const CURATED_FIELDS = ['summary', 'description', 'businessTags'];
+
+const toPlain = (value) => (value?.toObject ? value.toObject() : value);
+
+/**
+ * Whether an endpoint may be offered to and called from the chatbot
+ * @param {object} endpoint - ApiIndex endpoint
+ * @returns {boolean}
+ */
+export const isEndpointEnabled = (endpoint) => endpoint?.curation?.enabled !== false;
+
+/**
+ * Value of a curated field before admin overrides were applied
+ * @param {object} endpoint - ApiIndex endpoint
+ * @param {string} field - One of CURATED_FIELDS
+ * @returns {*} - Parsed (or LLM-generated) value
+ */
+export const getSourceValue = (endpoint, field) => {
+  const source = endpoint.curation?.source;
+  return source && field in source ? source[field] : endpoint[field];
+};
+
+/**
+ * Overlay admin overrides on an uncurated endpoint
+ * The replaced values are kept in curation.source so overrides can be cleared later
+ * @param {object} endpoint - Plain endpoint holding parsed/generated values
+ * @param {object} curation - Curation record (may be a mongoose subdocument)
+ * @returns {object} - Endpoint with overrides applied and curation attached
+ */
+export const applyCuration = (endpoint, curation) => {
+  const { source: _previousSource, ...overrides } = toPlain(curation) || {};
+  if (Object.keys(overrides).length === 0) return endpoint;
+
+  const source = {};
+  const result = { ...endpoint };
+
+  for (const field of CURATED_FIELDS) {
+    if (overrides[field] == null) continue;
+    source[field] = endpoint[field] ?? null;
+    result[field] = overrides[field];
+  }
+
+  result.curation = { ...overrides, source };
+  return result;
+};
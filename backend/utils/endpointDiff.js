@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+
+// Endpoint fields that affect tags, intents and vector chunks
+const HASHED_FIELDS = [
+  'path',
+  'method',
+  'summary',
+  'description',
+  'operationId',
+  'tags',
+  'parameters',
+  'requestBody',
+  'responses',
+  'security',
+  'deprecated',
+  'graphql',
+  'examples'
+];
+
+/**
+ * Serialize a value with sorted object keys so equal content gives equal output
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Stable identity of an endpoint across re-ingestions
+ * Path parameter names are ignored so renaming {id} to {userId} is a change, not a new endpoint
+ * @param {object} endpoint - Normalized endpoint
+ * @returns {string} - Key such as "GET /users/{}"
+ */
+export const getEndpointKey = (endpoint) => {
+  const path = (endpoint.path || '').replace(/\{[^}]*\}/g, '{}').replace(/\/+$/, '') || '/';
+  return `${(endpoint.method || 'GET').toUpperCase()} ${path}`;
+};
+
+/**
+ * Hash the content of a normalized endpoint
+ * @param {object} endpoint - Normalized endpoint (as produced by ApiParserService.normalize)
+ * @returns {string} - SHA-1 hex digest
+ */
+export const hashEndpoint = (endpoint) => {
+  const content = {};
+  for (const field of HASHED_FIELDS) {
+    content[field] = endpoint[field];
+  }
+  return crypto.createHash('sha1').update(stableStringify(content)).digest('hex');
+};
+
+/**
+ * Diff the endpoints of a stored API index against a freshly parsed spec
+ * Endpoints are matched by getEndpointKey and compared by contentHash; stored
+ * endpoints without a hash (indexed before hashing existed) count as changed
+ * @param {Array} previousEndpoints - Endpoints of the existing ApiIndex
+ * @param {Array} nextEndpoints - Parsed endpoints, each with a contentHash
+ * @returns {object} - { added, removed, changed: [{ previous, next }], unchanged: [{ previous, next }] }
+ */
+export const diffEndpoints = (previousEndpoints, nextEndpoints) => {
+  const previousByKey = new Map(previousEndpoints.map(endpoint => [getEndpointKey(endpoint), endpoint]));
+  const matchedKeys = new Set();
+
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+  for (const next of nextEndpoints) {
+    const key = getEndpointKey(next);
+    const previous = previousByKey.get(key);
+
+    if (!previous || matchedKeys.has(key)) {
+      diff.added.push(next);
+      continue;
+    }
+
+    matchedKeys.add(key);
+    if (previous.contentHash && previous.contentHash === next.contentHash) {
+      diff.unchanged.push({ previous, next });
+    } else {
+      diff.changed.push({ previous, next });
+    }
+  }
+
+  for (const [key, previous] of previousByKey) {
+    if (!matchedKeys.has(key)) diff.removed.push(previous);
+  }
+
+  return diff;
+};
@@ -0,0 +1,211 @@
+import yaml from 'js-yaml';
+import fs from 'fs/promises';
+import path from 'path';
+import { fetchPublicUrl } from './urlSafety.js';
+
+const ROOT_DOCUMENT = '#root';
+
+const isUrl = (location) => /^https?:\/\//i.test(location);
+
+/**
+ * Parse a JSON or YAML document
+ * @param {string} text - Raw document text
+ * @returns {object} - Parsed document
+ */
+const parseDocument = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return yaml.load(text);
+  }
+};
+
+/**
+ * Resolve a JSON pointer (RFC 6901) against a document
+ * @param {object} doc - Document to walk
+ * @param {string} pointer - Pointer such as "/components/schemas/User"
+ * @returns {*} - Target value, or undefined if the pointer does not resolve
+ */
+export const resolvePointer = (doc, pointer) => {
+  if (!pointer || pointer === '/') return doc;
+
+  const segments = pointer
+    .replace(/^\//, '')
+    .split('/')
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  let current = doc;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+};
+
+/**
+ * Resolve a relative document location against the document that references it
+ * @param {string} from - Location of the referencing document
+ * @param {string} target - Relative or absolute location from the $ref
+ * @returns {string} - Absolute location (URL or filesystem path)
+ */
+const resolveLocation = (from, target) => {
+  if (isUrl(target)) return target;
+
+  if (from === ROOT_DOCUMENT) {
+    throw new Error(`Cannot resolve external reference "${target}" without a source location`);
+  }
+
+  if (isUrl(from)) {
+    return new URL(target, from).href;
+  }
+
+  return path.resolve(path.dirname(from), target);
+};
+
+/**
+ * Merge allOf members into a single schema (properties and required are unioned)
+ * Members that cannot be merged (e.g. circular references) are kept under allOf
+ * @param {object} schema - Schema with an allOf array
+ * @returns {object} - Merged schema
+ */
+export const mergeAllOf = (schema) => {
+  const { allOf, ...rest } = schema;
+  const merged = { ...rest };
+  const unmerged = [];
+
+  for (const member of allOf) {
+    if (!member || typeof member !== 'object' || member['x-circular-ref']) {
+      unmerged.push(member);
+      continue;
+    }
+
+    const part = Array.isArray(member.allOf) ? mergeAllOf(member) : member;
+
+    for (const [key, value] of Object.entries(part)) {
+      if (key === 'properties') {
+        merged.properties = { ...(merged.properties || {}), ...value };
+      } else if (key === 'required') {
+        merged.required = [...new Set([...(merged.required || []), ...value])];
+      } else if (key === 'allOf') {
+        unmerged.push(...value);
+      } else if (merged[key] === undefined) {
+        merged[key] = value;
+      }
+    }
+  }
+
+  if (unmerged.length > 0) merged.allOf = unmerged;
+  return merged;
+};
+
+/**
+ * Dereference every $ref in a node of an OpenAPI/Swagger document
+ * Handles local pointers (#/components/...), relative files (./schemas/user.yaml#/User)
+ * and absolute URLs. Circular references are replaced by
+ * { $ref, 'x-circular-ref': true } so the result can be serialized.
+ * Referenced documents are only fetched from public addresses.
+ *
+ * @param {object} spec - Root document
+ * @param {*} node - Node to dereference (defaults to the whole document)
+ * @param {object} options - { sourceUrl, headers }
+ *   sourceUrl: URL or file path of the root document (needed for relative refs)
+ *   headers: Headers that fetched the root document - only sent to documents on the same origin
+ * @returns {Promise<*>} - Dereferenced copy of the node
+ */
+export const dereference = async (spec, node = spec, options = {}) => {
+  const { sourceUrl = null, headers = {} } = options;
+  const rootLocation = sourceUrl || ROOT_DOCUMENT;
+
+  const documents = new Map([[rootLocation, spec]]);
+  const resolved = new Map();
+
+  const sourceOrigin = sourceUrl && isUrl(sourceUrl) ? new URL(sourceUrl).origin : null;
+
+  const loadDocument = async (location) => {
+    if (documents.has(location)) return documents.get(location);
+
+    let text;
+    if (isUrl(location)) {
+      const response = await fetchPublicUrl(location, {
+        headers: new URL(location).origin === sourceOrigin ? headers : {}
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch referenced document ${location}: ${response.statusText}`);
+      }
+      text = await response.text();
+    } else if (sourceOrigin) {
+      // A document fetched from a URL must not read files of this server
+      throw new Error(`Cannot load ${location} referenced from a URL`);
+    } else {
+      text = await fs.readFile(location, 'utf8');
+    }
+
+    const doc = parseDocument(text);
+    documents.set(location, doc);
+    return doc;
+  };
+
+  const walk = async (value, location, stack) => {
+    if (Array.isArray(value)) {
+      const items = [];
+      for (const item of value) {
+        items.push(await walk(item, location, stack));
+      }
+      return items;
+    }
+
+    if (!value || typeof value !== 'object') return value;
+
+    if (typeof value.$ref === 'string') {
+      const { $ref, ...siblings } = value;
+      const [target, pointer = ''] = $ref.split('#');
+      const targetLocation = target ? resolveLocation(location, target) : location;
+      const key = `${targetLocation}#${pointer}`;
+
+      if (stack.includes(key)) {
+        return { $ref, 'x-circular-ref': true };
+      }
+
+      let result;
+      if (resolved.has(key)) {
+        result = resolved.get(key);
+      } else {
+        let targetValue;
+        try {
+          const doc = await loadDocument(targetLocation);
+          targetValue = resolvePointer(doc, pointer);
+        } catch (error) {
+          console.warn(`⚠️  Could not load $ref ${$ref}: ${error.message}`);
+        }
+
+        if (targetValue === undefined) {
+          console.warn(`⚠️  Unresolvable $ref: ${$ref}`);
+          return value;
+        }
+
+        result = await walk(targetValue, targetLocation, [...stack, key]);
+        resolved.set(key, result);
+      }
+
+      // OpenAPI 3.1 allows summary/description next to $ref - they override the target
+      if (Object.keys(siblings).length > 0 && result && typeof result === 'object' && !Array.isArray(result)) {
+        return { ...result, ...(await walk(siblings, location, stack)) };
+      }
+      return result;
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = await walk(child, location, stack);
+    }
+
+    if (Array.isArray(result.allOf)) {
+      return mergeAllOf(result);
+    }
+    return result;
+  };
+
+  return walk(node, rootLocation, []);
+};
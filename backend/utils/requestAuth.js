@@ -0,0 +1,176 @@
+/**
+ * Applies configured credentials to outgoing API requests
+ * Shared by the chatbot executor, the agent test console and spec fetching;
+ * specs with security requirements get a credential per required scheme
+ */
+
+export const API_KEY_LOCATIONS = ['header', 'query', 'cookie'];
+
+/**
+ * Add a cookie to the request's Cookie header
+ * @param {object} request - Axios-style request config (updated in place)
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ */
+const appendCookie = (request, name, value) => {
+  const cookie = `${name}=${encodeURIComponent(value)}`;
+  request.headers.Cookie = request.headers.Cookie ? `${request.headers.Cookie}; ${cookie}` : cookie;
+};
+
+/**
+ * Apply credentials to a request
+ * Incomplete credentials (e.g. a bearer config without a token) are skipped
+ * @param {object} request - Axios-style request config { headers, params } (updated in place)
+ * @param {string} authType - oauth2 | apiKey | bearer | basic | custom
+ * @param {object} config - Decrypted AuthConfig.config (or the same fields from an ingest request)
+ * @returns {object} - The request
+ */
+export const applyAuth = (request, authType, config = {}) => {
+  request.headers = request.headers || {};
+
+  switch (authType) {
+    case 'apiKey':
+      if (!config.keyName || !config.keyValue) break;
+      if (config.location === 'query') {
+        request.params = { ...request.params, [config.keyName]: config.keyValue };
+      } else if (config.location === 'cookie') {
+        appendCookie(request, config.keyName, config.keyValue);
+      } else {
+        request.headers[config.keyName] = config.keyValue;
+      }
+      break;
+    case 'bearer':
+      if (config.token) {
+        request.headers['Authorization'] = `Bearer ${config.token}`;
+      }
+      break;
+    case 'basic':
+      if (config.username) {
+        request.headers['Authorization'] = `Basic ${Buffer.from(`${config.username}:${config.password || ''}`).toString('base64')}`;
+      }
+      break;
+    case 'custom':
+      if (config.headerName && config.headerValue) {
+        request.headers[config.headerName] = config.headerValue;
+      }
+      break;
+    case 'oauth2':
+      // The access token is obtained elsewhere (stored on the config)
+      if (config.accessToken) {
+        request.headers['Authorization'] = `Bearer ${config.accessToken}`;
+      }
+      break;
+  }
+
+  return request;
+};
+
+/**
+ * Apply a decrypted AuthConfig (see getDecryptedAuthConfig) to a request
+ * @param {object} request - Axios-style request config (updated in place)
+ * @param {object|null} authConfig - { authType, config }; null leaves the request unchanged
+ * @returns {object} - The request
+ */
+export const applyAuthConfig = (request, authConfig) =>
+  authConfig ? applyAuth(request, authConfig.authType, authConfig.config) : request;
+
+/**
+ * Auth types of a configured credential that can satisfy a security scheme
+ * @param {object} scheme - OpenAPI 3 security scheme object
+ * @returns {Array<string>} - Empty for schemes the bot cannot apply
+ */
+export const getCompatibleAuthTypes = (scheme) => {
+  switch (scheme?.type) {
+    case 'apiKey':
+      return scheme.in === 'header' ? ['apiKey', 'custom'] : ['apiKey'];
+    case 'http':
+      if ((scheme.scheme || '').toLowerCase() === 'basic') return ['basic'];
+      return (scheme.scheme || '').toLowerCase() === 'bearer' ? ['bearer', 'oauth2'] : [];
+    case 'oauth2':
+    case 'openIdConnect':
+      return ['oauth2', 'bearer'];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Scopes a credential was granted (config.scopes as a list or space separated), or null when unknown
+ */
+const getGrantedScopes = (config = {}) => {
+  const scopes = typeof config.scopes === 'string' ? config.scopes.split(/[\s,]+/).filter(Boolean) : config.scopes;
+  return Array.isArray(scopes) && scopes.length > 0 ? scopes : null;
+};
+
+/**
+ * Credential that satisfies one scheme of a security requirement
+ * Tried in order: the credential configured for the scheme, the default credential, the
+ * delegated OAuth token of the chat. It must be of a compatible type and - when it lists the
+ * scopes it was granted - include every required scope.
+ * @param {string} schemeName - securitySchemes key
+ * @param {object} scheme - Security scheme object
+ * @param {Array} scopes - Scopes the requirement asks for
+ * @param {object} credentials - { default, schemes: { [schemeName]: credential }, delegated }
+ * @returns {object|null} - Credential ({ authType, config, source? })
+ */
+export const findSchemeCredential = (schemeName, scheme, scopes = [], credentials = {}) => {
+  const compatible = getCompatibleAuthTypes(scheme);
+  const candidates = [credentials.schemes?.[schemeName], credentials.default, credentials.delegated];
+
+  return candidates.find(credential => {
+    if (!credential || !compatible.includes(credential.authType)) return false;
+    const granted = getGrantedScopes(credential.config);
+    return !granted || scopes.every(scope => granted.includes(scope));
+  }) || null;
+};
+
+/**
+ * Pick the security requirement of an endpoint to satisfy
+ * Requirements are alternatives (OR); all schemes within one must be satisfied (AND).
+ * Alternatives that send credentials are preferred over an anonymous one ({}).
+ * @param {Array} requirements - Endpoint security ([{ schemeName: [scopes] }])
+ * @param {object} securitySchemes - Security schemes of the spec
+ * @param {object} credentials - See findSchemeCredential
+ * @returns {object} - { satisfied, credentials: [{ schemeName, scheme, scopes, credential }], missing: [schemeName] }
+ */
+export const selectSecurityRequirement = (requirements = [], securitySchemes = {}, credentials = {}) => {
+  const missing = new Set();
+  const alternatives = [...requirements].sort(
+    (a, b) => (Object.keys(a || {}).length === 0) - (Object.keys(b || {}).length === 0)
+  );
+
+  for (const requirement of alternatives) {
+    const selected = Object.entries(requirement || {}).map(([schemeName, scopes]) => {
+      const scheme = securitySchemes[schemeName];
+      const credential = findSchemeCredential(schemeName, scheme, scopes || [], credentials);
+      return { schemeName, scheme, scopes: scopes || [], credential };
+    });
+
+    const unsatisfied = selected.filter(item => !item.credential);
+    if (unsatisfied.length === 0) {
+      return { satisfied: true, credentials: selected, missing: [] };
+    }
+    unsatisfied.forEach(item => missing.add(item.schemeName));
+  }
+
+  return { satisfied: alternatives.length === 0, credentials: [], missing: [...missing] };
+};
+
+/**
+ * Apply a credential for a security scheme
+ * API keys are sent under the name and in the location the scheme declares
+ * @param {object} request - Axios-style request config (updated in place)
+ * @param {object} scheme - Security scheme object
+ * @param {object} credential - { authType, config }
+ * @returns {object} - The request
+ */
+export const applySchemeCredential = (request, scheme, credential) => {
+  if (scheme?.type === 'apiKey' && credential.authType === 'apiKey') {
+    return applyAuth(request, 'apiKey', {
+      ...credential.config,
+      keyName: scheme.name || credential.config.keyName,
+      location: scheme.in || credential.config.location
+    });
+  }
+  return applyAuthConfig(request, credential);
+};
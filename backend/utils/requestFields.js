@@ -0,0 +1,333 @@
+/**
+ * Field catalog of an endpoint: its path/query/header parameters plus the request
+ * body schema flattened into fillable fields. Nested body fields use dot notation
+ * ("address.city") and fields of array items a [] suffix ("items[].sku").
+ */
+
+const MAX_DEPTH = 5;
+const EMPTY_VALUES = [undefined, null, ''];
+
+/**
+ * Schema with allOf merged and the first oneOf/anyOf variant applied
+ * @param {object} schema - (Dereferenced) JSON schema
+ * @returns {object} - Flat schema
+ */
+const normalizeSchema = (schema = {}) => {
+  if (!schema || typeof schema !== 'object') return {};
+
+  const { allOf, oneOf, anyOf, ...rest } = schema;
+  const parts = [
+    ...(allOf || []),
+    ...[(oneOf || anyOf || []).find(variant => getSchemaType(variant) !== 'null')].filter(Boolean)
+  ];
+
+  return parts.map(normalizeSchema).reduce((merged, part) => ({
+    ...merged,
+    ...part,
+    properties: merged.properties || part.properties ? { ...merged.properties, ...part.properties } : undefined,
+    required: [...(merged.required || []), ...(part.required || [])]
+  }), rest);
+};
+
+/**
+ * Type of a schema, inferred from its shape when not declared
+ * @param {object} schema - JSON schema
+ * @returns {string} - JSON schema type ("string" when unknown)
+ */
+const getSchemaType = (schema = {}) => {
+  const type = Array.isArray(schema?.type)
+    ? schema.type.find(t => t !== 'null')
+    : schema?.type;
+  if (type) return type;
+  if (schema?.properties || schema?.['x-circular-ref']) return 'object';
+  if (schema?.items) return 'array';
+  return 'string';
+};
+
+/**
+ * Catalog entry for a single field
+ */
+const createField = (name, schema, required, location, description) => {
+  const type = getSchemaType(schema);
+  const field = {
+    name,
+    in: location,
+    type,
+    required,
+    description: description || schema.description || ''
+  };
+  // OpenAPI 3.1 marks file content with contentMediaType instead of format: binary
+  if (schema.format || schema.contentMediaType) field.format = schema.format || 'binary';
+  if (Array.isArray(schema.enum)) field.enum = schema.enum;
+  if (type === 'array') {
+    const items = normalizeSchema(schema.items);
+    field.itemType = getSchemaType(items);
+    if (items.format || items.contentMediaType) field.itemFormat = items.format || 'binary';
+    if (Array.isArray(items.enum)) field.enum = items.enum;
+  }
+  if (schema.default !== undefined) field.default = schema.default;
+  if (schema.example !== undefined) field.example = schema.example;
+  return field;
+};
+
+/**
+ * Flatten a request body schema into fields
+ * A nested field is only required when every object around it is required too.
+ * Read-only properties are skipped; circular references end the walk.
+ * @param {object} schema - Request body schema
+ * @param {object} options - { prefix, required, depth } used while recursing
+ * @returns {Array} - Body fields ({ name, in: 'body', type, required, ... })
+ */
+export const flattenSchema = (schema, { prefix = '', required = true, depth = 0 } = {}) => {
+  const normalized = normalizeSchema(schema);
+  const type = getSchemaType(normalized);
+  const expandable = depth < MAX_DEPTH && !normalized['x-circular-ref'];
+
+  if (type === 'object' && normalized.properties && expandable) {
+    const requiredProperties = new Set(normalized.required || []);
+    return Object.entries(normalized.properties).flatMap(([name, property]) => {
+      if (property?.readOnly) return [];
+      return flattenSchema(property, {
+        prefix: prefix ? `${prefix}.${name}` : name,
+        required: required && requiredProperties.has(name),
+        depth: depth + 1
+      });
+    });
+  }
+
+  // Arrays of objects nested in the body expose the fields of their items
+  if (type === 'array' && prefix && expandable) {
+    const items = normalizeSchema(normalized.items);
+    if (getSchemaType(items) === 'object' && items.properties) {
+      return flattenSchema(items, { prefix: `${prefix}[]`, required, depth: depth + 1 });
+    }
+  }
+
+  // A body that is not an object (e.g. a plain array) is filled as a single "body" field
+  return [createField(prefix || 'body', normalized, required, 'body')];
+};
+
+/**
+ * Every field of an endpoint that can be filled from a conversation
+ * @param {object} endpoint - Endpoint from the ApiIndex
+ * @returns {Array} - Parameter fields followed by request body fields
+ */
+export const getFieldCatalog = (endpoint) => {
+  const parameters = (endpoint.parameters || []).map(param =>
+    createField(param.name, normalizeSchema(param.schema), Boolean(param.required), param.in, param.description)
+  );
+  // Body fields are only required when the body itself is
+  const body = endpoint.requestBody?.schema
+    ? flattenSchema(endpoint.requestBody.schema, { required: Boolean(endpoint.requestBody.required) })
+    : [];
+  return [...parameters, ...body];
+};
+
+/**
+ * Path segments of a field name ("items[].sku" -> ["items[]", "sku"])
+ */
+const getSegments = (name) => name.split('.');
+
+const getLeafName = (name) => getSegments(name).pop().replace(/\[\]$/, '');
+
+/**
+ * Value at a field's path in nested parameters ({ address: { city } })
+ */
+const getNestedValue = (value, segments) => {
+  if (segments.length === 0) return value;
+  if (!value || typeof value !== 'object') return undefined;
+
+  const [segment, ...rest] = segments;
+  if (segment.endsWith('[]')) {
+    const items = value[segment.slice(0, -2)];
+    if (!Array.isArray(items)) return undefined;
+    const values = items.map(item => getNestedValue(item, rest)).filter(v => !EMPTY_VALUES.includes(v));
+    return values.length > 0 ? values : undefined;
+  }
+  return getNestedValue(value[segment], rest);
+};
+
+/**
+ * Convert values extracted from chat (usually strings) to the field's type
+ */
+const coerceValue = (type, value) => {
+  if (typeof value !== 'string') return value;
+
+  const trimmed = value.trim();
+  if ((type === 'integer' || type === 'number') && trimmed !== '' && !isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (type === 'boolean' && /^(true|false)$/i.test(trimmed)) {
+    return trimmed.toLowerCase() === 'true';
+  }
+  return value;
+};
+
+const coerceFieldValue = (field, value) => {
+  if (field.type === 'array') {
+    const items = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value;
+    return Array.isArray(items) ? items.map(item => coerceValue(field.itemType, item)) : items;
+  }
+  if (field.name.includes('[]') && Array.isArray(value)) {
+    return value.map(item => coerceValue(field.type, item));
+  }
+  return coerceValue(field.type, value);
+};
+
+/**
+ * Value given for a field, by full name or - when no other field shares it - by its leaf name
+ * @param {object} field - Catalog field
+ * @param {object} parameters - Parameters extracted by the LLM
+ * @param {Array} fields - Whole catalog (to check the leaf name is unambiguous)
+ * @returns {*} - The value, or undefined when none was given
+ */
+const getDirectValue = (field, parameters, fields) => {
+  if (!EMPTY_VALUES.includes(parameters[field.name])) {
+    return parameters[field.name];
+  }
+
+  const leaf = getLeafName(field.name);
+  const shared = fields.some(other => other !== field && getLeafName(other.name) === leaf);
+  if (leaf !== field.name && !shared && !EMPTY_VALUES.includes(parameters[leaf])) {
+    return parameters[leaf];
+  }
+  return undefined;
+};
+
+/**
+ * Value given for a field, in any of the accepted shapes
+ * @param {object} field - Catalog field
+ * @param {object} parameters - Parameters extracted by the LLM
+ * @param {Array} fields - Whole catalog
+ * @returns {*} - The value, or undefined when none was given
+ */
+const getFieldValue = (field, parameters = {}, fields = [field]) => {
+  const direct = getDirectValue(field, parameters, fields);
+  if (direct !== undefined) return direct;
+  return field.in === 'body' ? getNestedValue(parameters, getSegments(field.name)) : undefined;
+};
+
+/**
+ * Required fields that have no value yet
+ * @param {Array} fields - Field catalog
+ * @param {object} parameters - Parameters extracted by the LLM
+ * @returns {Array} - Missing fields
+ */
+export const getMissingFields = (fields, parameters = {}) =>
+  fields.filter(field => field.required && getFieldValue(field, parameters, fields) === undefined);
+
+/**
+ * Set a value at a field path, creating nested objects and array items on the way
+ * Values for fields of array items are spread over the items by index
+ */
+const setPath = (target, segments, value) => {
+  const [segment, ...rest] = segments;
+
+  if (segment.endsWith('[]')) {
+    const key = segment.slice(0, -2);
+    const values = Array.isArray(value) ? value : [value];
+    if (rest.length === 0) {
+      target[key] = values;
+      return;
+    }
+    if (!Array.isArray(target[key])) target[key] = [];
+    values.forEach((item, index) => {
+      if (!target[key][index] || typeof target[key][index] !== 'object') target[key][index] = {};
+      setPath(target[key][index], rest, item);
+    });
+    return;
+  }
+
+  if (rest.length === 0) {
+    target[segment] = value;
+    return;
+  }
+  if (!target[segment] || typeof target[segment] !== 'object' || Array.isArray(target[segment])) {
+    target[segment] = {};
+  }
+  setPath(target[segment], rest, value);
+};
+
+/**
+ * Build the (nested) JSON request body from flat parameters
+ * Accepts dotted field names ("address.city"), unambiguous leaf names ("city") and
+ * nested values ({ address: { city } }). Parameters that are no field are kept at the
+ * top level unless the schema forbids additional properties.
+ * @param {object} endpoint - Endpoint from the ApiIndex
+ * @param {object} parameters - Parameters extracted by the LLM
+ * @returns {*} - Request body
+ */
+export const buildRequestBody = (endpoint, parameters = {}) => {
+  const fields = getFieldCatalog(endpoint);
+  const bodyFields = fields.filter(field => field.in === 'body');
+
+  // Non-object body
+  if (bodyFields.length === 1 && bodyFields[0].name === 'body') {
+    const value = getDirectValue(bodyFields[0], parameters, fields);
+    return value === undefined ? null : coerceFieldValue(bodyFields[0], value);
+  }
+
+  const body = {};
+  const consumed = new Set(
+    fields.filter(field => field.in !== 'body').map(field => field.name)
+  );
+
+  // Nested values given as whole objects/arrays are taken over first...
+  const topLevel = new Set(bodyFields.map(field => getSegments(field.name)[0].replace(/\[\]$/, '')));
+  for (const key of topLevel) {
+    const value = parameters[key];
+    if (value && typeof value === 'object') {
+      body[key] = structuredClone(value);
+      consumed.add(key);
+    }
+  }
+
+  // ...then every field given by name is placed at its path
+  for (const field of bodyFields) {
+    const value = getDirectValue(field, parameters, fields);
+    if (value === undefined) continue;
+
+    setPath(body, getSegments(field.name), coerceFieldValue(field, value));
+    consumed.add(field.name);
+    consumed.add(getLeafName(field.name));
+  }
+
+  const schema = normalizeSchema(endpoint.requestBody?.schema);
+  if (schema.additionalProperties !== false) {
+    for (const [key, value] of Object.entries(parameters)) {
+      if (!consumed.has(key) && !(key in body)) {
+        body[key] = value;
+      }
+    }
+  }
+
+  return body;
+};
+
+/**
+ * Field description for prompts ("address.city (string, required)")
+ * @param {object} field - Catalog field
+ * @returns {string}
+ */
+export const formatField = (field) => {
+  const details = [
+    field.in !== 'body' && field.in,
+    field.type === 'array' ? `array of ${field.itemType}` : field.type,
+    field.format && `format: ${field.format}`,
+    field.enum && `one of: ${field.enum.join(' | ')}`
+  ].filter(Boolean);
+  const description = field.description ? ` - ${field.description.split('\n')[0].slice(0, 80)}` : '';
+  return `${field.name} (${details.join(', ')})${description}`;
+};
+
+/**
+ * Human-readable field name for clarification questions ("address.city" -> "address city")
+ * @param {object} field - Catalog field
+ * @returns {string}
+ */
+export const getFieldLabel = (field) =>
+  field.name
+    .replace(/\[\]/g, '')
+    .split('.')
+    .map(part => part.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase())
+    .join(' ');
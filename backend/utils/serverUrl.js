@@ -0,0 +1,64 @@
+const VARIABLE_PATTERN = /\{([^{}]+)\}/g;
+
+/**
+ * Names of the {variables} used in a server URL
+ * @param {string} url - Server URL template
+ * @returns {Array<string>}
+ */
+export const getUrlVariables = (url) => [...(url || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+
+/**
+ * Substitute OpenAPI server variables in a URL
+ * Values win over the variable defaults; unknown variables are left in place
+ * @param {string} url - Server URL such as "https://{region}.api.example.com/{version}"
+ * @param {object} variables - Server variable definitions ({ name: { default, enum, description } })
+ * @param {object} values - Values overriding the defaults
+ * @returns {string} - Resolved URL
+ */
+export const resolveServerUrl = (url, variables = {}, values = {}) =>
+  (url || '').replace(VARIABLE_PATTERN, (match, name) => {
+    const value = values?.[name] ?? variables?.[name]?.default;
+    return value !== undefined && value !== null && value !== '' ? String(value) : match;
+  });
+
+/**
+ * Check variable values against the spec's server variable definitions
+ * @param {object} variables - Server variable definitions
+ * @param {object} values - Values to check
+ * @param {Array<string>} extraNames - Other accepted names (e.g. variables of a custom base URL)
+ * @returns {string|null} - Error message, or null when the values are valid
+ */
+export const validateVariableValues = (variables = {}, values = {}, extraNames = []) => {
+  for (const [name, value] of Object.entries(values || {})) {
+    const definition = variables?.[name];
+    if (!definition && !extraNames.includes(name)) {
+      return `Unknown server variable "${name}"`;
+    }
+    if (typeof value !== 'string' || !value) {
+      return `Server variable "${name}" must be a non-empty string`;
+    }
+    if (Array.isArray(definition?.enum) && !definition.enum.includes(value)) {
+      return `Server variable "${name}" must be one of: ${definition.enum.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Base URL API calls should go to
+ * An environment can replace the spec's server URL and/or override its variables
+ * @param {object} metadata - ApiIndex metadata (baseUrl, baseUrlTemplate, serverVariables)
+ * @param {object} environment - Active environment ({ baseUrl, variables }) or null
+ * @returns {string} - Resolved base URL
+ * @throws {Error} - When a {variable} has no value
+ */
+export const resolveBaseUrl = (metadata, environment = null) => {
+  const template = environment?.baseUrl || metadata?.baseUrlTemplate || metadata?.baseUrl || '';
+  const url = resolveServerUrl(template, metadata?.serverVariables, environment?.variables);
+
+  const unresolved = getUrlVariables(url);
+  if (unresolved.length > 0) {
+    throw new Error(`Base URL has unresolved server variables: ${unresolved.join(', ')}`);
+  }
+  return url;
+};
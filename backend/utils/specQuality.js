@@ -0,0 +1,288 @@
+import { getEndpointKey } from './endpointDiff.js';
+import { getCompatibleAuthTypes, selectSecurityRequirement } from './requestAuth.js';
+
+// Maximum number of individual issues returned (suggestions still count all of them)
+const MAX_ISSUES = 200;
+
+// Summaries at least this similar (token Jaccard) are reported as near-duplicates
+const NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'for', 'to', 'by', 'in', 'on', 'and', 'or', 'with', 'from']);
+
+// Weight of each score category (sums to 100)
+const SCORE_WEIGHTS = {
+  documentation: 40,
+  parameters: 25,
+  distinctness: 15,
+  connectivity: 20
+};
+
+const RULES = {
+  missing_summary: {
+    severity: 'error',
+    suggestion: 'Add a summary that says what the operation does in business terms (e.g. "Cancel a subscription") - it is the main text the bot matches user requests against.'
+  },
+  missing_description: {
+    severity: 'info',
+    suggestion: 'Add a description explaining when to use the operation and what it returns.'
+  },
+  param_missing_description: {
+    severity: 'warning',
+    suggestion: 'Describe each parameter so the bot knows what to ask the user for and how to extract it.'
+  },
+  param_missing_example: {
+    severity: 'info',
+    suggestion: 'Add an example, enum or default to parameters so values extracted from chat match the expected format.'
+  },
+  duplicate_operation: {
+    severity: 'error',
+    suggestion: 'Remove or merge operations declared more than once for the same method and path.'
+  },
+  near_duplicate_operation: {
+    severity: 'warning',
+    suggestion: 'Give similar operations distinct summaries (or remove one) so retrieval can tell them apart.'
+  },
+  missing_servers: {
+    severity: 'error',
+    suggestion: 'Declare an absolute server URL (servers / host) or enter the base URL manually before training.'
+  },
+  relative_server: {
+    severity: 'warning',
+    suggestion: 'Use an absolute server URL including scheme and host.'
+  },
+  unsupported_security: {
+    severity: 'warning',
+    suggestion: 'Use OAuth 2.0, OpenID Connect, HTTP bearer/basic or an API key - other schemes cannot be applied to calls made from chat.'
+  },
+  missing_credential: {
+    severity: 'warning',
+    suggestion: 'Configure a credential for every security scheme the operations require (Auth settings) - calls needing a scheme without one fail.'
+  },
+  deprecated_operation: {
+    severity: 'info',
+    suggestion: 'Deprecated operations are still offered to the bot; remove them from the spec if they should not be used.'
+  }
+};
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Words of a summary used for near-duplicate detection
+ * @param {string} text - Summary or operationId
+ * @returns {Set<string>} - Lowercased tokens without stop words
+ */
+const tokenize = (text) => new Set(
+  (text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+);
+
+/**
+ * Jaccard similarity of two token sets
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Whether the bot can apply a security scheme when calling the API
+ * @param {object} scheme - OpenAPI 3 security scheme object
+ * @returns {boolean}
+ */
+const isSupportedScheme = (scheme) => getCompatibleAuthTypes(scheme).length > 0;
+
+/**
+ * Whether a parameter carries an example value (directly or through its schema)
+ */
+const hasExample = (param) => param.example !== undefined
+  || param.schema?.example !== undefined
+  || param.schema?.default !== undefined
+  || Array.isArray(param.schema?.enum);
+
+/**
+ * Build a lint-style quality report for a parsed spec
+ * Scores how well the spec will work for chat: documented operations, described
+ * parameters, distinguishable operations and a usable server / auth setup
+ * @param {object} parsed - Normalized spec (as returned by ApiParserService.parse)
+ * @param {object} options - { credentials } configured for the spec (see getDecryptedSchemeCredentials);
+ *   when given, required schemes without a usable credential are reported (not scored)
+ * @returns {object} - { score, readiness, breakdown, summary, suggestions, issues, truncatedIssues }
+ */
+export const buildQualityReport = (parsed, { credentials } = {}) => {
+  const endpoints = parsed.endpoints || [];
+  const issues = [];
+
+  const addIssue = (rule, message, endpoint = null, extra = {}) => {
+    issues.push({
+      rule,
+      severity: RULES[rule].severity,
+      message,
+      ...(endpoint && { endpointId: endpoint.endpointId, endpoint: `${endpoint.method} ${endpoint.path}` }),
+      ...extra
+    });
+  };
+
+  // Documentation and parameters
+  let documented = 0;
+  let paramCount = 0;
+  let paramScore = 0;
+
+  for (const endpoint of endpoints) {
+    const summary = endpoint.summary?.trim();
+    const description = endpoint.description?.trim();
+
+    if (!summary && !description) {
+      addIssue('missing_summary', 'Operation has no summary or description', endpoint);
+    } else {
+      documented += summary && description ? 1 : 0.75;
+      if (!description) {
+        addIssue('missing_description', 'Operation has a summary but no description', endpoint);
+      }
+    }
+
+    const params = endpoint.parameters || [];
+    const undescribed = params.filter(param => !param.description?.trim());
+    const withoutExample = params.filter(param => !hasExample(param));
+
+    paramCount += params.length;
+    paramScore += params.length
+      - undescribed.length * 0.75
+      - withoutExample.length * 0.25;
+
+    if (undescribed.length > 0) {
+      addIssue(
+        'param_missing_description',
+        `Parameters without a description: ${undescribed.map(param => param.name).join(', ')}`,
+        endpoint,
+        { parameters: undescribed.map(param => param.name) }
+      );
+    }
+    if (withoutExample.length > 0) {
+      addIssue(
+        'param_missing_example',
+        `Parameters without an example: ${withoutExample.map(param => param.name).join(', ')}`,
+        endpoint,
+        { parameters: withoutExample.map(param => param.name) }
+      );
+    }
+
+    if (endpoint.deprecated) {
+      addIssue('deprecated_operation', 'Operation is marked as deprecated', endpoint);
+    }
+  }
+
+  // Duplicate and near-duplicate operations
+  const duplicateEndpoints = new Set();
+  const byKey = new Map();
+
+  for (const endpoint of endpoints) {
+    const key = getEndpointKey(endpoint).toLowerCase();
+    const first = byKey.get(key);
+    if (first) {
+      duplicateEndpoints.add(endpoint);
+      addIssue('duplicate_operation', `Same operation as ${first.endpointId}`, endpoint, { duplicateOf: first.endpointId });
+    } else {
+      byKey.set(key, endpoint);
+    }
+  }
+
+  const tokens = endpoints.map(endpoint => tokenize(endpoint.summary || endpoint.operationId));
+  for (let i = 0; i < endpoints.length; i++) {
+    for (let j = i + 1; j < endpoints.length; j++) {
+      if (endpoints[i].method !== endpoints[j].method) continue;
+      if (duplicateEndpoints.has(endpoints[j]) || tokens[i].size < 2) continue;
+
+      if (similarity(tokens[i], tokens[j]) >= NEAR_DUPLICATE_THRESHOLD) {
+        duplicateEndpoints.add(endpoints[j]);
+        addIssue(
+          'near_duplicate_operation',
+          `Summary is nearly identical to ${endpoints[i].method} ${endpoints[i].path}`,
+          endpoints[j],
+          { duplicateOf: endpoints[i].endpointId }
+        );
+      }
+    }
+  }
+
+  // Servers and security
+  const baseUrl = parsed.metadata?.baseUrl || '';
+  let connectivity = 0;
+
+  if (!baseUrl) {
+    addIssue('missing_servers', parsed.metadata?.format === 'graphql'
+      ? 'The GraphQL schema does not include the endpoint URL'
+      : 'The spec does not declare a server URL');
+  } else if (!/^https?:\/\//i.test(baseUrl)) {
+    addIssue('relative_server', `Server URL "${baseUrl}" is not absolute`);
+    connectivity += 0.5;
+  } else {
+    connectivity += 1;
+  }
+
+  const schemes = Object.entries(parsed.securitySchemes || {});
+  const unsupported = schemes.filter(([, scheme]) => !isSupportedScheme(scheme));
+  for (const [name, scheme] of unsupported) {
+    const type = [scheme?.type, scheme?.scheme || scheme?.in].filter(Boolean).join(' ');
+    addIssue('unsupported_security', `Security scheme "${name}" (${type || 'unknown'}) is not supported`, null, { scheme: name });
+  }
+  connectivity += schemes.length === 0 ? 1 : (schemes.length - unsupported.length) / schemes.length;
+
+  // Operations none of whose security requirements can be met with the configured credentials
+  if (credentials) {
+    const securitySchemes = parsed.securitySchemes || {};
+    const blocked = new Map();
+    for (const endpoint of endpoints) {
+      const selection = selectSecurityRequirement(endpoint.security || [], securitySchemes, credentials);
+      for (const name of selection.satisfied ? [] : selection.missing) {
+        if (isSupportedScheme(securitySchemes[name])) {
+          blocked.set(name, (blocked.get(name) || 0) + 1);
+        }
+      }
+    }
+    for (const [name, count] of blocked) {
+      addIssue('missing_credential', `No credential configured for security scheme "${name}" (needed by ${count} operation${count === 1 ? '' : 's'})`, null, { scheme: name });
+    }
+  }
+
+  // Score
+  const ratio = (value, total) => (total === 0 ? 1 : Math.max(0, value) / total);
+  const breakdown = {
+    documentation: Math.round(SCORE_WEIGHTS.documentation * ratio(documented, endpoints.length)),
+    parameters: Math.round(SCORE_WEIGHTS.parameters * ratio(paramScore, paramCount)),
+    distinctness: Math.round(SCORE_WEIGHTS.distinctness * ratio(endpoints.length - duplicateEndpoints.size, endpoints.length)),
+    connectivity: Math.round(SCORE_WEIGHTS.connectivity * connectivity / 2)
+  };
+  const score = endpoints.length === 0
+    ? 0
+    : Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+  const summary = { endpoints: endpoints.length, errors: 0, warnings: 0, info: 0 };
+  const counts = {};
+  for (const issue of issues) {
+    summary[issue.severity === 'error' ? 'errors' : issue.severity === 'warning' ? 'warnings' : 'info']++;
+    counts[issue.rule] = (counts[issue.rule] || 0) + 1;
+  }
+
+  const suggestions = Object.entries(counts)
+    .map(([rule, count]) => ({ rule, severity: RULES[rule].severity, count, suggestion: RULES[rule].suggestion }))
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.count - a.count);
+
+  issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  return {
+    score,
+    readiness: score >= 80 ? 'ready' : score >= 50 ? 'needs_work' : 'not_ready',
+    breakdown,
+    summary,
+    suggestions,
+    issues: issues.slice(0, MAX_ISSUES),
+    truncatedIssues: Math.max(0, issues.length - MAX_ISSUES)
+  };
+};
@@ -0,0 +1,81 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+const MAX_REDIRECTS = 5;
+
+// Addresses that are not on the public internet (loopback, private, link-local, reserved)
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is private, loopback or otherwise not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - true for private addresses and for anything that is not an IP address
+ */
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Make sure a URL is http(s) and its host resolves only to public addresses
+ * @param {string|URL} url - URL about to be fetched
+ * @returns {Promise<URL>} - Parsed URL
+ * @throws {Error} - When the URL may not be fetched
+ */
+export const assertPublicUrl = async (url) => {
+  const parsed = new URL(url);
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Refusing to fetch ${parsed.protocol} URL`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.lookup(hostname, { all: true })).map(({ address }) => address);
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw new Error(`Refusing to fetch ${parsed.host}: it resolves to a private or loopback address`);
+  }
+  return parsed;
+};
+
+/**
+ * Fetch a URL on the public internet
+ * Redirects are followed by hand so every hop is checked with assertPublicUrl;
+ * the headers are dropped once a redirect leaves the origin of the first URL.
+ * @param {string|URL} url - URL to fetch
+ * @param {object} options - fetch options (redirect is always handled here)
+ * @returns {Promise<Response>}
+ */
+export const fetchPublicUrl = async (url, options = {}) => {
+  const origin = new URL(url).origin;
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const target = await assertPublicUrl(current);
+    const response = await fetch(target, {
+      ...options,
+      headers: target.origin === origin ? options.headers : undefined,
+      redirect: 'manual'
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Too many redirects fetching ${new URL(url).host}`);
+    }
+    await response.body?.cancel();
+    current = new URL(location, target);
+  }
+};
@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Loader2, Pencil, RotateCcw, Eye, EyeOff, Check } from 'lucide-react';
+
+const METHOD_COLORS = {
+  GET: 'bg-blue-50 text-blue-700 border-blue-200',
+  POST: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+  PUT: 'bg-amber-50 text-amber-700 border-amber-200',
+  DELETE: 'bg-rose-50 text-rose-700 border-rose-200'
+};
+
+const inputClass = 'w-full px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-600';
+
+// Admin screen to choose which endpoints the chatbot may call and to improve how they are described
+const EndpointCurationPanel = ({ apiBaseUrl, knowledgeBaseId, zohoOrgId }) => {
+  const [endpoints, setEndpoints] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [filter, setFilter] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    if (!knowledgeBaseId) return;
+
+    const loadEndpoints = async () => {
+      setIsLoading(true);
+      try {
+        const response = await axios.get(
+          `${apiBaseUrl}/api/knowledge/versions/${knowledgeBaseId}/endpoints`,
+          { params: { zohoOrgId } }
+        );
+        setEndpoints(response.data.data.endpoints);
+      } catch (error) {
+        console.error('❌ Failed to load endpoints:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadEndpoints();
+  }, [apiBaseUrl, knowledgeBaseId, zohoOrgId]);
+
+  const saveEndpoint = async (endpointId, changes) => {
+    setSavingId(endpointId);
+    try {
+      const response = await axios.patch(
+        `${apiBaseUrl}/api/knowledge/versions/${knowledgeBaseId}/endpoints/${endpointId}`,
+        { zohoOrgId, ...changes }
+      );
+      const updated = response.data.data.endpoint;
+      setEndpoints(prev => prev.map(endpoint => (endpoint.endpointId === endpointId ? updated : endpoint)));
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to update endpoint:', error);
+      alert('Failed to update endpoint: ' + (error.response?.data?.message || error.message));
+      return false;
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const startEditing = (endpoint) => {
+    setEditingId(endpoint.endpointId);
+    setDraft({
+      summary: endpoint.summary,
+      description: endpoint.description,
+      businessTags: endpoint.businessTags.join(', '),
+      exampleQueries: endpoint.exampleQueries.join('\n')
+    });
+  };
+
+  const handleSave = async (endpoint) => {
+    // Only send fields that differ from the current values so untouched fields are not overridden
+    const changes = {};
+    if (draft.summary !== endpoint.summary) changes.summary = draft.summary;
+    if (draft.description !== endpoint.description) changes.description = draft.description;
+
+    const tags = draft.businessTags.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.join(',') !== endpoint.businessTags.join(',')) changes.businessTags = tags;
+
+    const queries = draft.exampleQueries.split('\n').map(query => query.trim()).filter(Boolean);
+    if (queries.join('\n') !== endpoint.exampleQueries.join('\n')) changes.exampleQueries = queries;
+
+    if (Object.keys(changes).length === 0 || await saveEndpoint(endpoint.endpointId, changes)) {
+      setEditingId(null);
+      setDraft(null);
+    }
+  };
+
+  const handleRevert = async (endpoint) => {
+    const changes = Object.fromEntries(endpoint.overridden.map(field => [field, null]));
+    if (await saveEndpoint(endpoint.endpointId, changes)) {
+      setEditingId(null);
+      setDraft(null);
+    }
+  };
+
+  const visibleEndpoints = endpoints.filter(endpoint =>
+    `${endpoint.method} ${endpoint.path} ${endpoint.summary}`.toLowerCase().includes(filter.toLowerCase())
+  );
+  const enabledCount = endpoints.filter(endpoint => endpoint.enabled).length;
+
+  return (
+    <div className="p-6 border-t border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-900">Manage Skills</h3>
+          <p className="text-sm text-slate-500">
+            {enabledCount} of {endpoints.length} endpoints can be called from chat
+          </p>
+        </div>
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter endpoints..."
+          className="w-64 px-3 py-2 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-600"
+        />
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center gap-2 text-sm text-slate-500">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading endpoints...
+        </div>
+      ) : (
+        <div className="space-y-2 max-h-[480px] overflow-y-auto">
+          {visibleEndpoints.map(endpoint => (
+            <div
+              key={endpoint.endpointId}
+              className={`p-3 border rounded-lg ${endpoint.enabled ? 'bg-white border-gray-200' : 'bg-gray-50 border-gray-200 opacity-70'}`}
+            >
+              <div className="flex items-center gap-3">
+                <span className={`px-2 py-0.5 rounded text-xs font-bold border ${METHOD_COLORS[endpoint.method] || 'bg-gray-50 text-gray-700 border-gray-200'}`}>
+                  {endpoint.method}
+                </span>
+                <code className="text-xs font-mono text-slate-700">{endpoint.path}</code>
+                {endpoint.overridden.length > 0 && (
+                  <span className="px-2 py-0.5 rounded-full text-[11px] bg-indigo-50 text-indigo-700">Edited</span>
+                )}
+                {endpoint.deprecated && (
+                  <span className="px-2 py-0.5 rounded-full text-[11px] bg-amber-50 text-amber-700">Deprecated</span>
+                )}
+                <div className="ml-auto flex items-center gap-2">
+                  {savingId === endpoint.endpointId && <Loader2 className="w-4 h-4 text-indigo-600 animate-spin" />}
+                  <button
+                    onClick={() => startEditing(endpoint)}
+                    className="p-1.5 text-slate-500 hover:text-indigo-600 rounded"
+                    title="Edit"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => saveEndpoint(endpoint.endpointId, { enabled: !endpoint.enabled })}
+                    disabled={savingId === endpoint.endpointId}
+                    className="p-1.5 text-slate-500 hover:text-indigo-600 rounded"
+                    title={endpoint.enabled ? 'Hide from chat' : 'Allow in chat'}
+                  >
+                    {endpoint.enabled ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+                  </button>
+                </div>
+              </div>
+              <p className="mt-1 text-xs text-slate-500">{endpoint.summary || endpoint.description}</p>
+
+              {editingId === endpoint.endpointId && draft && (
+                <div className="mt-3 space-y-3">
+                  <div>
+                    <label className="block text-xs font-semibold text-slate-500 uppercase mb-1">Summary</label>
+                    <input
+                      type="text"
+                      value={draft.summary}
+                      onChange={(e) => setDraft({ ...draft, summary: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-semibold text-slate-500 uppercase mb-1">Description</label>
+                    <textarea
+                      value={draft.description}
+                      onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                      rows={3}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-semibold text-slate-500 uppercase mb-1">Business Tags (comma separated)</label>
+                    <input
+                      type="text"
+                      value={draft.businessTags}
+                      onChange={(e) => setDraft({ ...draft, businessTags: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-semibold text-slate-500 uppercase mb-1">Example Queries (one per line)</label>
+                    <textarea
+                      value={draft.exampleQueries}
+                      onChange={(e) => setDraft({ ...draft, exampleQueries: e.target.value })}
+                      rows={3}
+                      placeholder="Where is my order?"
+                      className={inputClass}
+                    />
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => handleSave(endpoint)}
+                      disabled={savingId === endpoint.endpointId}
+                      className="px-4 py-2 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 disabled:bg-gray-300 flex items-center gap-1.5"
+                    >
+                      <Check className="w-4 h-4" />
+                      Save
+                    </button>
+                    {endpoint.overridden.length > 0 && (
+                      <button
+                        onClick={() => handleRevert(endpoint)}
+                        disabled={savingId === endpoint.endpointId}
+                        className="px-4 py-2 bg-white border border-gray-200 text-slate-700 text-sm font-medium rounded-lg hover:bg-gray-50 flex items-center gap-1.5"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                        Revert to Spec
+                      </button>
+                    )}
+                    <button
+                      onClick={() => { setEditingId(null); setDraft(null); }}
+                      className="px-4 py-2 text-sm text-slate-500 hover:text-slate-700"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EndpointCurationPanel;
@@ -19,10 +19,46 @@ import {
   FileText,
   Building2
 } from 'lucide-react';
+import EndpointCurationPanel from './EndpointCurationPanel';
 
 // Backend API base URL
 const API_BASE_URL = 'http://localhost:5000';
 
+const JOB_EVENT_ICONS = { step: '▸', retrying: '↻', failed: '✕', cancelled: '✕' };
+
+// Follow an ingestion job's server-sent events until it finishes
+// Resolves with the finished job, rejects when it fails or is cancelled
+const followJobEvents = (jobId, onEvent) => new Promise((resolve, reject) => {
+  const source = new EventSource(`${API_BASE_URL}/api/processing/jobs/${jobId}/events`);
+
+  const finish = async (event) => {
+    source.close();
+    const job = (await axios.get(`${API_BASE_URL}/api/processing/jobs/${jobId}`)).data;
+    if (job.status === 'completed') {
+      resolve(job);
+    } else {
+      reject(new Error(job.error || JSON.parse(event.data).message || `Processing ${job.status}`));
+    }
+  };
+
+  ['step', 'progress', 'retrying'].forEach(type => {
+    source.addEventListener(type, (event) => onEvent(JSON.parse(event.data)));
+  });
+  ['completed', 'failed', 'cancelled'].forEach(type => {
+    source.addEventListener(type, (event) => {
+      onEvent(JSON.parse(event.data));
+      finish(event).catch(reject);
+    });
+  });
+  // Sent after the replay; covers jobs that finished before the stream was opened
+  source.addEventListener('snapshot', (event) => {
+    const job = JSON.parse(event.data);
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      finish(event).catch(reject);
+    }
+  });
+});
+
 const OnboardingPortal = () => {
   const [currentStep, setCurrentStep] = useState(0);
   const [completedSteps, setCompletedSteps] = useState([]);
@@ -34,6 +70,7 @@ const OnboardingPortal = () => {
   const [isTraining, setIsTraining] = useState(false);
   const [trainingProgress, setTrainingProgress] = useState(0);
   const [trainingStage, setTrainingStage] = useState('');
+  const [trainingEvents, setTrainingEvents] = useState([]); // Live pipeline events of the ingestion job
   // Organization States
   const [zohoOrgId, setZohoOrgId] = useState('');
   const [orgExists, setOrgExists] = useState(false);
@@ -47,12 +84,13 @@ const OnboardingPortal = () => {
   const [selectedServerUrl, setSelectedServerUrl] = useState('');
   const [manualBaseUrl, setManualBaseUrl] = useState('');
   const [analysisId, setAnalysisId] = useState(null); // Store analysis ID for optimization
+  const [qualityReport, setQualityReport] = useState(null);
   
   // Step 2: Access Control State
   const [authEnabled, setAuthEnabled] = useState(false);
   const [selectedAuthType, setSelectedAuthType] = useState('oauth2');
   const [authConfig, setAuthConfig] = useState({
-    oauth2: { clientId: '', clientSecret: '', tokenUrl: '', clientAuthentication: 'header' },
+    oauth2: { clientId: '', clientSecret: '', tokenUrl: '', clientAuthentication: 'header', scopes: '' },
     apiKey: { keyName: '', keyValue: '', location: 'header' },
     bearer: { token: '' },
     basic: { username: '', password: '' },
@@ -65,6 +103,7 @@ const OnboardingPortal = () => {
   const [chatMessages, setChatMessages] = useState([]);
   const [userInput, setUserInput] = useState('');
   const [isBotTyping, setIsBotTyping] = useState(false);
+  const [isActivating, setIsActivating] = useState(false);
 
   const steps = [
   { number: 0, title: 'Organization Setup', icon: Building2 },
@@ -85,6 +124,7 @@ const OnboardingPortal = () => {
     setShowServerSelection(false);
     setAvailableServers([]);
     setSelectedServerUrl('');
+    setQualityReport(null);
     
     try {
       // Prepare payload (similar to ingest but for analysis)
@@ -93,6 +133,7 @@ const OnboardingPortal = () => {
         payload = {
           sourceType: 'url',
           sourceUrl: apiUrl,
+          zohoOrgId: zohoOrgId,
           authConfig: authEnabled ? {
             type: selectedAuthType,
             ...authConfig[selectedAuthType]
@@ -103,8 +144,8 @@ const OnboardingPortal = () => {
         payload = {
           sourceType: 'file',
           fileContent: fileContent,
-          fileName: uploadedFile.name
-          
+          fileName: uploadedFile.name,
+          zohoOrgId: zohoOrgId
         };
       }
       
@@ -114,6 +155,7 @@ const OnboardingPortal = () => {
         const servers = response.data.data.metadata.servers || [];
         setAvailableServers(servers);
         setAnalysisId(response.data.data.analysisId); // Store ID for later use
+        setQualityReport(response.data.data.quality || null);
         
         if (servers.length > 0) {
           // Default to first server
@@ -186,26 +228,33 @@ const OnboardingPortal = () => {
         };
       }
       
-      setTrainingProgress(50);
-      setTrainingStage('Validating Schema...');
+      setTrainingProgress(40);
+      setTrainingStage('Queueing Processing Job...');
+      setTrainingEvents([]);
       
-      // Call real backend API
+      // Ingestion runs as a background job - follow its pipeline events until it finishes
       const response = await axios.post(`${API_BASE_URL}/api/knowledge/ingest`, payload);
-      console.log("first response formbackend: ", response);
-      setTrainingProgress(80);
-      setTrainingStage('Generating Vector Embeddings...');
-      
-      await new Promise(resolve => setTimeout(resolve, 800));
+      const job = await followJobEvents(response.data.data.jobId, (event) => {
+        setTrainingProgress(40 + Math.round((event.progress || 0) * 0.6));
+        if (event.message) {
+          setTrainingStage(event.message);
+          // Consecutive progress of one step (e.g. embedded chunks) updates a single line
+          setTrainingEvents(prev => {
+            const last = prev[prev.length - 1];
+            const kept = last?.type === 'progress' && event.type === 'progress' && last.step === event.step ? prev.slice(0, -1) : prev;
+            return [...kept, event].slice(-8);
+          });
+        }
+      });
       setTrainingProgress(100);
       
-      // Extract learned skills and knowledge base ID from response
-      if (response.data.success && response.data.data.skills) {
-        console.log("skills: ", response.data.data);
-        setLearnedSkills(response.data.data.skills);
-        setKnowledgeBaseId(response.data.data.knowledgeBaseId); // Store for agent queries
+      // Extract learned skills and knowledge base ID from the job result
+      if (job.result?.skills) {
+        setLearnedSkills(job.result.skills);
+        setKnowledgeBaseId(job.result.knowledgeBaseId); // Store for agent queries
       }
       
-      console.log('✅ Knowledge ingestion successful:', response.data);
+      console.log('✅ Knowledge ingestion successful:', job.result);
       
       setIsTraining(false);
       setCompletedSteps([...completedSteps, 1]);
@@ -274,6 +323,24 @@ const OnboardingPortal = () => {
 
   // This function is no longer needed - auth is handled in handleTrainAgent
 
+  // Activate the tested version - the chatbot only uses the active version
+  const handleActivateAgent = async () => {
+    setIsActivating(true);
+    try {
+      await axios.post(`${API_BASE_URL}/api/knowledge/versions/${knowledgeBaseId}/activate`, {
+        zohoOrgId: zohoOrgId
+      });
+      setOrgData(orgData ? { ...orgData, status: 'active' } : orgData);
+      setCompletedSteps([...completedSteps, 2]);
+      alert('🎉 Onboarding Complete! Your AI agent is ready to deploy.');
+    } catch (error) {
+      console.error('❌ Activation failed:', error);
+      alert('Failed to activate agent: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setIsActivating(false);
+    }
+  };
+
   // Real API: Execute Agent Query
   const handleSendMessage = async () => {
     if (!userInput.trim()) return;
@@ -637,6 +704,21 @@ const OnboardingPortal = () => {
                                 placeholder="••••••••"
                               />
                             </div>
+                            <div className="col-span-2">
+                              <label className="block text-xs font-semibold text-slate-500 uppercase mb-2">Send Key In</label>
+                              <select
+                                value={authConfig.apiKey.location}
+                                onChange={(e) => setAuthConfig({
+                                  ...authConfig,
+                                  apiKey: { ...authConfig.apiKey, location: e.target.value }
+                                })}
+                                className="w-full px-3 py-2.5 bg-white border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-600"
+                              >
+                                <option value="header">Request Header</option>
+                                <option value="query">Query String</option>
+                                <option value="cookie">Cookie</option>
+                              </select>
+                            </div>
                           </div>
                         )}
 
@@ -743,6 +825,19 @@ const OnboardingPortal = () => {
                                 <option value="body">Send in Request Body</option>
                               </select>
                             </div>
+                            <div className="col-span-2">
+                              <label className="block text-xs font-semibold text-slate-500 uppercase mb-2">Scopes (optional)</label>
+                              <input
+                                type="text"
+                                value={authConfig.oauth2.scopes}
+                                onChange={(e) => setAuthConfig({
+                                  ...authConfig,
+                                  oauth2: { ...authConfig.oauth2, scopes: e.target.value }
+                                })}
+                                className="w-full px-3 py-2.5 bg-white border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-600"
+                                placeholder="read:orders write:orders"
+                              />
+                            </div>
                           </div>
                         )}
 
@@ -795,6 +890,18 @@ const OnboardingPortal = () => {
                       style={{ width: `${trainingProgress}%` }}
                     />
                   </div>
+                  {trainingEvents.length > 0 && (
+                    <ul className="mt-3 space-y-1">
+                      {trainingEvents.map(event => (
+                        <li
+                          key={event.seq}
+                          className={`text-xs ${['failed', 'retrying'].includes(event.type) ? 'text-rose-600' : 'text-indigo-700/80'}`}
+                        >
+                          {JOB_EVENT_ICONS[event.type] || '✓'} {event.message}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
               )}
 
@@ -803,6 +910,61 @@ const OnboardingPortal = () => {
               {/* Action Button - Only show if org doesn't exist (new setup) */}
               {!orgExists && (
                 <div className="space-y-4">
+                  {/* Spec Quality Report */}
+                  {showServerSelection && qualityReport && (
+                    <div className="p-4 bg-white border border-slate-200 rounded-lg animate-in fade-in slide-in-from-top-2">
+                      <div className="flex items-center justify-between mb-3">
+                        <h3 className="text-sm font-semibold text-slate-900 flex items-center gap-2">
+                          <FileText className="w-4 h-4 text-indigo-600" />
+                          Chat-Readiness Report
+                        </h3>
+                        <span className={`px-2.5 py-1 rounded-full text-xs font-semibold ${
+                          qualityReport.readiness === 'ready'
+                            ? 'bg-green-50 text-green-700'
+                            : qualityReport.readiness === 'needs_work'
+                              ? 'bg-amber-50 text-amber-700'
+                              : 'bg-red-50 text-red-700'
+                        }`}>
+                          {qualityReport.score}/100
+                        </span>
+                      </div>
+
+                      <div className="grid grid-cols-4 gap-2 mb-3">
+                        {Object.entries(qualityReport.breakdown).map(([category, value]) => (
+                          <div key={category} className="p-2 bg-slate-50 rounded-md text-center">
+                            <p className="text-sm font-semibold text-slate-900">{value}</p>
+                            <p className="text-[11px] text-slate-500 capitalize">{category}</p>
+                          </div>
+                        ))}
+                      </div>
+
+                      <p className="text-xs text-slate-500 mb-3">
+                        {qualityReport.summary.endpoints} endpoints · {qualityReport.summary.errors} errors · {qualityReport.summary.warnings} warnings · {qualityReport.summary.info} notes
+                      </p>
+
+                      {qualityReport.suggestions.length > 0 ? (
+                        <ul className="space-y-2 max-h-56 overflow-y-auto">
+                          {qualityReport.suggestions.map((item) => (
+                            <li key={item.rule} className="flex items-start gap-2 text-sm">
+                              <AlertCircle className={`w-4 h-4 mt-0.5 flex-shrink-0 ${
+                                item.severity === 'error' ? 'text-red-500' : item.severity === 'warning' ? 'text-amber-500' : 'text-slate-400'
+                              }`} />
+                              <span className="text-slate-700">
+                                {item.suggestion}
+                                <span className="text-slate-400"> ({item.count})</span>
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p className="flex items-center gap-2 text-sm text-green-700">
+                          <Check className="w-4 h-4" />
+                          No issues found - this spec is ready for chat.
+                        </p>
+                      )}
+                    </div>
+                  )}
+
                   {/* Server Selection UI */}
                   {showServerSelection && (
                     <div className="p-4 bg-slate-50 border border-slate-200 rounded-lg animate-in fade-in slide-in-from-top-2">
@@ -994,18 +1156,25 @@ const OnboardingPortal = () => {
                 </div>
               </div>
 
+              {/* Endpoint Curation */}
+              {knowledgeBaseId && (
+                <EndpointCurationPanel
+                  apiBaseUrl={API_BASE_URL}
+                  knowledgeBaseId={knowledgeBaseId}
+                  zohoOrgId={zohoOrgId}
+                />
+              )}
+
               {/* Complete Setup */}
-               {/* Only show "Complete Setup" button for NEW orgs (not existing ones) */}
-              {!orgExists && (
+               {/* Shown for NEW orgs, or existing orgs whose latest version is still a draft */}
+              {(!orgExists || orgData?.status === 'draft') && (
                 <div className="p-6 bg-gray-50 border-t border-gray-200">
                   <button
-                    onClick={() => {
-                      setCompletedSteps([...completedSteps, 2]);
-                      alert('🎉 Onboarding Complete! Your AI agent is ready to deploy.');
-                    }}
-                    className="w-full py-3.5 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition-all shadow-sm hover:shadow-md flex items-center justify-center gap-2"
+                    onClick={handleActivateAgent}
+                    disabled={isActivating}
+                    className="w-full py-3.5 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-all shadow-sm hover:shadow-md flex items-center justify-center gap-2"
                   >
-                    <Check className="w-5 h-5" />
+                    {isActivating ? <Loader2 className="w-5 h-5 animate-spin" /> : <Check className="w-5 h-5" />}
                     Complete Setup & Deploy Agent
                   </button>
                 </div>